@@ -0,0 +1,41 @@
+import { Router } from 'express';
+import yieldService from '../services/yield.service.js';
+
+const router = Router();
+
+// GET /api/dwelling-types — the shared library, the types used by default,
+// and the apartment types multiple dwellings are planned with
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      types: yieldService.getDwellingTypeLibrary(),
+      defaults: yieldService.getDefaultDwellingTypes(),
+      apartments: yieldService.getApartmentTypeLibrary(),
+    },
+  });
+});
+
+// POST /api/dwelling-types/resolve — check a selection, with any edits or
+// custom types, and return the types the engines would build with
+router.post('/resolve', (req, res) => {
+  const { dwellingTypes } = req.body;
+  const errors = yieldService.validateDwellingTypes(dwellingTypes);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid dwelling types',
+        details: errors,
+      },
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { types: yieldService.resolveDwellingTypes(dwellingTypes) },
+  });
+});
+
+export default router;
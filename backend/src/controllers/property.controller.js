@@ -2,6 +2,7 @@ import { Router } from 'express';
 import osmService from '../services/openstreetmap.service.js';
 import elevationService from '../services/elevation.service.js';
 import suburbPricingService from '../services/suburbPricing.service.js';
+import yieldService from '../services/yield.service.js';
 
 const router = Router();
 
@@ -75,6 +76,8 @@ router.post('/lookup', async (req, res, next) => {
     let lotArea = null;
     let frontage = null;
     let depth = null;
+    let frontageBearing = null;
+    let lotBoundary = null;
     let dataQuality = 'ESTIMATED';
 
     boundaries = await osmService.getPropertyBoundaries(geocoded.lat, geocoded.lng);
@@ -83,6 +86,11 @@ router.post('/lookup', async (req, res, next) => {
       lotArea = boundaries.area;
       frontage = boundaries.frontage;
       depth = boundaries.depth;
+      frontageBearing = osmService.estimateFrontageBearing(boundaries.boundaries);
+      // The site layout only packs convex lots; any other shape is left to
+      // its width and depth
+      const points = osmService.toLotBoundary(boundaries.boundaries, frontageBearing);
+      if (points && yieldService.validateLotBoundary(points).length === 0) lotBoundary = points;
       dataQuality = 'GOOD';
     } else {
       // Fallback: estimate typical Perth lot
@@ -117,6 +125,8 @@ router.post('/lookup', async (req, res, next) => {
         lotArea,
         frontage,
         depth,
+        frontageBearing,
+        lotBoundary,
         rCode,
         dataQuality,
       },
@@ -9,87 +9,342 @@ import costingService from '../services/costing.service.js';
 
 const router = Router();
 
-// POST /api/reports/generate
-router.post('/generate', validateReportRequest, (req, res, next) => {
-  try {
-    const { property, financial, siteContext = {}, report = {} } = req.body;
+// Run yield → compliance → feasibility → risk for a single R-Code, searching
+// for the mix for up to timeBudget milliseconds
+function analyseAtCode(rCode, { property, financial, siteContext, report }, timeBudget) {
+  // Rule set is explicit when chosen, otherwise picked by assessment date
+  const ruleSet = property.ruleSet || undefined;
+  const assessmentDate = property.assessmentDate || undefined;
+  // Council whose local planning policies vary the R-Codes for this site
+  const lga = property.lga || undefined;
+  // Tolerance bands for variations assessed on the design principles
+  const tolerances = property.tolerances || undefined;
+  // Dwelling types the scheme may use, from the shared library
+  const dwellingTypes = property.dwellingTypes || undefined;
+  // Grouped townhouses, or multiple dwellings: apartments in one building
+  const dwellingType = property.dwellingType || 'grouped';
+  const multiple = dwellingType === 'multiple';
+  // Lot polygon for the site layout, where the lot isn't a plain rectangle
+  const lotBoundary = property.lotBoundary || undefined;
+  // Dwelling mix picked from the frontier, in place of the optimiser's
+  const mix = property.mix || undefined;
+  // Existing house kept on its own lot at the front, new dwellings behind
+  const retainedDwelling = property.retainedDwelling || undefined;
+  // Close enough to frequent public transport for a granny flat to need no bay
+  const nearTransit = Boolean(property.nearTransit);
+  // Adjoining lots amalgamated into this site, each bought on its own terms
+  const landParcels = property.parcels?.map(parcel => ({
+    landCost: Number(parcel.landCost),
+    settlementDate: parcel.settlementDate,
+  }));
 
-    // 1. Yield optimization
-    const yieldResult = yieldService.optimize({
-      lotArea: Number(property.lotArea),
-      lotWidth: Number(property.lotWidth),
-      lotDepth: Number(property.lotDepth),
-      rCode: property.rCode,
-    });
+  // Custom prices — merge user overrides with each type's default price
+  const DEFAULT_MARKET_PRICES = financialService.getDefaultMarketPrices();
+  const customPrices = {};
+  const priced = multiple ? yieldService.getApartmentTypes() : yieldService.resolveDwellingTypes(dwellingTypes);
+  Object.entries(priced).forEach(([key, type]) => {
+    const userPrice = financial[`price_${key}`];
+    customPrices[key] = {
+      ...DEFAULT_MARKET_PRICES[key],
+      mid: userPrice ? Number(userPrice) : type.defaultPrice,
+    };
+  });
 
-    // 2. Compliance check
-    const compliance = rcodesService.checkCompliance({
-      lotArea: Number(property.lotArea),
-      lotWidth: Number(property.lotWidth),
-      lotDepth: Number(property.lotDepth),
-      rCode: property.rCode,
-      proposedDwellings: yieldResult.totalUnits,
-      proposedGFA: yieldResult.totalGFA,
-      proposedSiteCoverage: yieldResult.totalCoverage,
-      proposedOpenSpace: yieldResult.openSpace,
-      proposedHeight: 2,
-    });
+  // Feasibility inputs, shared by the yield objective and the feasibility
+  // itself so the chosen mix is scored on the numbers reported for it.
+  // Normalize percentages: frontend sends 20 for 20%, engine expects 0.20
+  const feasibilityInputs = {
+    landCost: landParcels
+      ? landParcels.reduce((sum, parcel) => sum + parcel.landCost, 0)
+      : Number(financial.landCost),
+    landParcels,
+    lotArea: Number(property.lotArea),
+    constructionQuality: financial.constructionQuality || 'standard',
+    customBuildCostPerSqm: financial.customBuildCostPerSqm ? Number(financial.customBuildCostPerSqm) : null,
+    targetMargin: (financial.targetMargin ?? 20) / 100,
+    debtRatio: (financial.debtRatio ?? 70) / 100,
+    interestRate: (financial.interestRate ?? 7.5) / 100,
+    timelineMonths: Number(financial.timelineMonths) || 18,
+    demolitionRequired: Boolean(siteContext.demolitionRequired),
+    existingStructures: Number(siteContext.existingStructures) || 1,
+    siteSlope: siteContext.siteSlope || 'flat',
+    retainedDwelling: retainedDwelling && { value: Number(retainedDwelling.value) || 0 },
+    // Granny flats sold with the house, or let
+    ancillaryIncome: financial.ancillaryIncome || 'sale',
+    ancillaryRent: financial.ancillaryRent ? Number(financial.ancillaryRent) : null,
+    ...(financial.rentalYield && { rentalYield: Number(financial.rentalYield) / 100 }),
+  };
 
-    // 3. Custom prices — merge user overrides with defaults
-    const DEFAULT_MARKET_PRICES = financialService.getDefaultMarketPrices();
-    const customPrices = {};
-    ['2bed', '3bed', '4bed'].forEach(key => {
-      const userPrice = financial[`price_${key}`];
-      customPrices[key] = {
-        ...DEFAULT_MARKET_PRICES[key],
-        mid: userPrice ? Number(userPrice) : DEFAULT_MARKET_PRICES[key].mid,
-      };
-    });
+  // 1. Yield optimization
+  const yieldResult = yieldService.optimize({
+    lotArea: Number(property.lotArea),
+    lotWidth: Number(property.lotWidth),
+    lotDepth: Number(property.lotDepth),
+    rCode,
+    frontageType: property.frontageType || undefined,
+    terrain: property.terrainAnalysis || undefined,
+    roofForm: property.roofForm || undefined,
+    ruleSet,
+    assessmentDate,
+    lga,
+    tolerances,
+    dwellingTypes,
+    lotBoundary,
+    prices: Object.fromEntries(Object.entries(customPrices).map(([key, price]) => [key, price.mid])),
+    objective: financial.objective || undefined,
+    financial: feasibilityInputs,
+    mix,
+    retainedDwelling,
+    nearTransit,
+    dwellingType,
+    apartmentParking: property.apartmentParking || undefined,
+    timeBudget,
+  });
 
-    // 4. Financial feasibility
-    // Normalize percentages: frontend sends 20 for 20%, engine expects 0.20
-    const feasibility = financialService.calculate({
-      landCost: Number(financial.landCost),
-      lotArea: Number(property.lotArea),
-      yield: yieldResult,
-      constructionQuality: financial.constructionQuality || 'standard',
-      customBuildCostPerSqm: financial.customBuildCostPerSqm ? Number(financial.customBuildCostPerSqm) : null,
-      targetMargin: (financial.targetMargin ?? 20) / 100,
-      debtRatio: (financial.debtRatio ?? 70) / 100,
-      interestRate: (financial.interestRate ?? 7.5) / 100,
-      timelineMonths: Number(financial.timelineMonths) || 18,
-      demolitionRequired: Boolean(siteContext.demolitionRequired),
-      existingStructures: Number(siteContext.existingStructures) || 1,
-      siteSlope: siteContext.siteSlope || 'flat',
-      customPrices,
-      companyName: report.companyName || '',
-    });
+  // Compliance is assessed on the lot the new dwellings are built on
+  const developedLot = yieldResult.retainedDwelling?.developedLot;
 
-    // 5. Risk assessment
-    const riskAssessment = riskService.assess({
-      heritageOverlay: Boolean(siteContext.heritageOverlay),
-      bushfireProne: Boolean(siteContext.bushfireProne),
-      floodRisk: Boolean(siteContext.floodRisk),
-      contaminatedSite: Boolean(siteContext.contaminatedSite),
-      treePO: Boolean(siteContext.treePO),
-      acidSulfateSoils: Boolean(siteContext.acidSulfateSoils),
-      comparableSalesCount: Number(siteContext.comparableSalesCount) || 10,
-      marketTrend: siteContext.marketTrend || 'stable',
-      avgDaysOnMarket: Number(siteContext.avgDaysOnMarket) || 30,
-      supplyLevel: siteContext.supplyLevel || 'normal',
-      lotShape: siteContext.lotShape || 'regular',
-      streetFrontage: siteContext.streetFrontage || 'adequate',
-      topography: siteContext.siteSlope || 'flat',
-      largeTrees: Boolean(siteContext.largeTrees),
-      profitMargin: feasibility.profitability.profitMargin,
-      returnOnCost: feasibility.profitability.returnOnCost,
-      debtRatio: (financial.debtRatio ?? 70) / 100,
-      timelineMonths: Number(financial.timelineMonths) || 18,
-    });
+  // 2. Compliance check
+  const compliance = rcodesService.checkCompliance({
+    lotArea: developedLot?.lotArea ?? Number(property.lotArea),
+    lotWidth: Number(property.lotWidth),
+    lotDepth: developedLot?.lotDepth ?? Number(property.lotDepth),
+    rCode,
+    proposedDwellings: yieldResult.totalUnits,
+    dwellingType,
+    proposedLots: yieldResult.lots,
+    proposedAncillary: yieldResult.ancillary
+      ? { dwellings: yieldResult.ancillary.ancillaryDwellings, floorArea: yieldResult.ancillary.floorArea }
+      : undefined,
+    nearTransit,
+    commonPropertyArea: yieldResult.commonPropertyArea,
+    proposedGFA: yieldResult.totalGFA,
+    proposedSiteCoverage: yieldResult.totalCoverage,
+    proposedOpenSpace: yieldResult.openSpace,
+    proposedHeight: yieldResult.height.stories,
+    proposedWallHeight: yieldResult.height.wallHeight,
+    proposedBuildingHeight: yieldResult.height.buildingHeight,
+    roofForm: yieldResult.height.roofForm,
+    proposedParkingBays: yieldResult.parkingProvision.totalBays,
+    proposedVisitorBays: yieldResult.parkingProvision.visitorBays,
+    proposedDeepSoil: yieldResult.deepSoilArea,
+    proposedTrees: yieldResult.treesProvided,
+    proposedOutdoorLiving: yieldResult.outdoorLiving?.dwellings,
+    proposedStreetscape: yieldResult.streetscape?.positions.filter(u => u.position === 'street'),
+    proposedBuildings: yieldResult.buildings,
+    massing: yieldResult.massing,
+    openings: property.openings || yieldResult.openings,
+    frontageType: developedLot ? yieldResult.layout : property.frontageType || undefined,
+    frontageFacing: property.frontageFacing || undefined,
+    latitude: property.latitude != null ? Number(property.latitude) : undefined,
+    ruleSet,
+    assessmentDate,
+    lga,
+    tolerances,
+  });
+
+  // 3. Financial feasibility
+  const feasibility = financialService.calculate({
+    ...feasibilityInputs,
+    yield: yieldResult,
+    customPrices,
+    companyName: report.companyName || '',
+  });
+
+  // 4. Risk assessment
+  const riskAssessment = riskService.assess({
+    heritageOverlay: Boolean(siteContext.heritageOverlay),
+    bushfireProne: Boolean(siteContext.bushfireProne),
+    floodRisk: Boolean(siteContext.floodRisk),
+    contaminatedSite: Boolean(siteContext.contaminatedSite),
+    treePO: Boolean(siteContext.treePO),
+    acidSulfateSoils: Boolean(siteContext.acidSulfateSoils),
+    comparableSalesCount: Number(siteContext.comparableSalesCount) || 10,
+    marketTrend: siteContext.marketTrend || 'stable',
+    avgDaysOnMarket: Number(siteContext.avgDaysOnMarket) || 30,
+    supplyLevel: siteContext.supplyLevel || 'normal',
+    lotShape: siteContext.lotShape || 'regular',
+    streetFrontage: siteContext.streetFrontage || 'adequate',
+    topography: siteContext.siteSlope || 'flat',
+    largeTrees: Boolean(siteContext.largeTrees),
+    designPrinciples: compliance.designPrinciples,
+    profitMargin: feasibility.profitability.profitMargin,
+    returnOnCost: feasibility.profitability.returnOnCost,
+    debtRatio: (financial.debtRatio ?? 70) / 100,
+    timelineMonths: Number(financial.timelineMonths) || 18,
+  });
+
+  return { feasibility, yieldResult, compliance, riskAssessment };
+}
+
+function summariseAnalysis(rCode, analysis) {
+  return {
+    rCode,
+    totalUnits: analysis.yieldResult.totalUnits,
+    totalGFA: analysis.yieldResult.totalGFA,
+    totalGRV: analysis.feasibility.revenue.totalGRV,
+    grossProfit: analysis.feasibility.profitability.grossProfit,
+    profitMargin: analysis.feasibility.profitability.profitMargin,
+  };
+}
+
+// Split-coded lots (e.g. R20/R40) are analysed at both codes, each in half
+// the time; the bonus code result is reported only when its conditions are met.
+function analyseSite({ property, financial, siteContext = {}, report = {} }, timeBudget) {
+  const inputs = { property, financial, siteContext, report };
+  const split = rcodesService.parseSplitCode(property.rCode);
+  if (!split) return analyseAtCode(property.rCode, inputs, timeBudget);
+
+  const eligibility = rcodesService.evaluateBonusEligibility({
+    lotArea: Number(property.lotArea),
+    lotWidth: Number(property.lotWidth),
+    amalgamated: Boolean(property.amalgamated),
+    lanewayAccess: Boolean(property.lanewayAccess) || property.frontageType === 'laneway',
+    dwellingType: property.dwellingType || 'grouped',
+  }, property.bonusConditions);
+
+  const base = analyseAtCode(split.baseCode, inputs, timeBudget / 2);
+  const bonus = analyseAtCode(split.bonusCode, inputs, timeBudget / 2);
+  const baseSummary = summariseAnalysis(split.baseCode, base);
+  const bonusSummary = summariseAnalysis(split.bonusCode, bonus);
+
+  return {
+    ...(eligibility.eligible ? bonus : base),
+    splitCode: {
+      ...split,
+      appliedCode: eligibility.eligible ? split.bonusCode : split.baseCode,
+      eligibility,
+      base: baseSummary,
+      bonus: bonusSummary,
+      uplift: {
+        units: bonusSummary.totalUnits - baseSummary.totalUnits,
+        gfa: bonusSummary.totalGFA - baseSummary.totalGFA,
+        grv: bonusSummary.totalGRV - baseSummary.totalGRV,
+        grossProfit: bonusSummary.grossProfit - baseSummary.grossProfit,
+      },
+    },
+  };
+}
+
+const totalOf = (summaries, field) => summaries.reduce((sum, summary) => sum + summary[field], 0);
+
+// Adjoining lots are merged into one site and compared with developing each
+// on its own, at its own land cost and base code. The premium is what
+// amalgamating adds: the most the deal can pay the owners over what the lots
+// are worth to develop separately. The merged site and each lot share the
+// time budget evenly.
+function analyseAmalgamation(inputs, timeBudget) {
+  const { property, financial } = inputs;
+  const parcels = property.parcels.map(parcel => ({
+    ...parcel,
+    lotArea: Number(parcel.lotArea),
+    lotWidth: Number(parcel.lotWidth),
+    lotDepth: Number(parcel.lotDepth),
+    landCost: Number(parcel.landCost),
+  }));
+  const site = yieldService.amalgamateParcels(parcels);
+  const share = timeBudget / (parcels.length + 1);
+
+  const combined = analyseSite({
+    ...inputs,
+    property: {
+      ...property,
+      lotArea: site.lotArea,
+      lotWidth: site.lotWidth,
+      lotDepth: site.lotDepth,
+      lotBoundary: undefined,
+      amalgamated: true,
+    },
+  }, share);
+  const separate = parcels.map(parcel => analyseSite({
+    ...inputs,
+    property: {
+      ...property,
+      lotArea: parcel.lotArea,
+      lotWidth: parcel.lotWidth,
+      lotDepth: parcel.lotDepth,
+      frontageType: parcel.frontageType || property.frontageType,
+      lotBoundary: undefined,
+      mix: undefined,
+      parcels: undefined,
+      amalgamated: false,
+    },
+    financial: { ...financial, landCost: parcel.landCost },
+  }, share));
+
+  const combinedSummary = summariseAnalysis(combined.yieldResult.rCode, combined);
+  const parcelSummaries = separate.map((analysis, i) => ({
+    ...summariseAnalysis(analysis.yieldResult.rCode, analysis),
+    address: parcels[i].address || `Lot ${i + 1}`,
+    lotArea: parcels[i].lotArea,
+    landCost: parcels[i].landCost,
+    settlementDate: parcels[i].settlementDate,
+  }));
+  const separateTotal = {
+    totalUnits: totalOf(parcelSummaries, 'totalUnits'),
+    totalGFA: totalOf(parcelSummaries, 'totalGFA'),
+    totalGRV: totalOf(parcelSummaries, 'totalGRV'),
+    grossProfit: totalOf(parcelSummaries, 'grossProfit'),
+  };
+
+  return {
+    ...combined,
+    amalgamation: {
+      site,
+      combined: combinedSummary,
+      parcels: parcelSummaries,
+      separate: separateTotal,
+      premium: {
+        units: combinedSummary.totalUnits - separateTotal.totalUnits,
+        gfa: combinedSummary.totalGFA - separateTotal.totalGFA,
+        grv: combinedSummary.totalGRV - separateTotal.totalGRV,
+        grossProfit: combinedSummary.grossProfit - separateTotal.grossProfit,
+      },
+    },
+  };
+}
+
+// Full report pipeline. Keeping the existing house is compared against a
+// full knock-down, which demolishes it and develops the whole lot. However
+// many searches a report runs, they share one search's time budget.
+function runReportPipeline(inputs) {
+  const { property, siteContext = {} } = inputs;
+  const timeBudget = yieldService.getSearchTimeBudget();
+  if (property.parcels) return analyseAmalgamation(inputs, timeBudget);
+  if (!property.retainedDwelling) return analyseSite(inputs, timeBudget);
+
+  const retain = analyseSite(inputs, timeBudget / 2);
+  const knockDown = analyseSite({
+    ...inputs,
+    property: { ...property, retainedDwelling: undefined, mix: undefined },
+    siteContext: { ...siteContext, demolitionRequired: true },
+  }, timeBudget / 2);
+  const retainSummary = summariseAnalysis(retain.yieldResult.rCode, retain);
+  const knockDownSummary = summariseAnalysis(knockDown.yieldResult.rCode, knockDown);
+
+  return {
+    ...retain,
+    retention: {
+      retain: retainSummary,
+      knockDown: knockDownSummary,
+      difference: {
+        units: retainSummary.totalUnits - knockDownSummary.totalUnits,
+        gfa: retainSummary.totalGFA - knockDownSummary.totalGFA,
+        grv: retainSummary.totalGRV - knockDownSummary.totalGRV,
+        grossProfit: retainSummary.grossProfit - knockDownSummary.grossProfit,
+      },
+    },
+  };
+}
+
+// POST /api/reports/generate
+router.post('/generate', validateReportRequest, (req, res, next) => {
+  try {
+    const data = runReportPipeline(req.body);
 
     res.json({
       success: true,
-      data: { feasibility, yieldResult, compliance, riskAssessment },
+      data,
     });
   } catch (err) {
     next(err);
@@ -104,74 +359,7 @@ router.post('/generate/pdf', validateReportRequest, async (req, res, next) => {
     const { property, financial, siteContext = {}, report = {} } = req.body;
 
     // Run the same analysis pipeline
-    const yieldResult = yieldService.optimize({
-      lotArea: Number(property.lotArea),
-      lotWidth: Number(property.lotWidth),
-      lotDepth: Number(property.lotDepth),
-      rCode: property.rCode,
-    });
-
-    const compliance = rcodesService.checkCompliance({
-      lotArea: Number(property.lotArea),
-      lotWidth: Number(property.lotWidth),
-      lotDepth: Number(property.lotDepth),
-      rCode: property.rCode,
-      proposedDwellings: yieldResult.totalUnits,
-      proposedGFA: yieldResult.totalGFA,
-      proposedSiteCoverage: yieldResult.totalCoverage,
-      proposedOpenSpace: yieldResult.openSpace,
-      proposedHeight: 2,
-    });
-
-    const DEFAULT_MARKET_PRICES = financialService.getDefaultMarketPrices();
-    const customPrices = {};
-    ['2bed', '3bed', '4bed'].forEach(key => {
-      const userPrice = financial[`price_${key}`];
-      customPrices[key] = {
-        ...DEFAULT_MARKET_PRICES[key],
-        mid: userPrice ? Number(userPrice) : DEFAULT_MARKET_PRICES[key].mid,
-      };
-    });
-
-    const feasibility = financialService.calculate({
-      landCost: Number(financial.landCost),
-      lotArea: Number(property.lotArea),
-      yield: yieldResult,
-      constructionQuality: financial.constructionQuality || 'standard',
-      customBuildCostPerSqm: financial.customBuildCostPerSqm ? Number(financial.customBuildCostPerSqm) : null,
-      targetMargin: (financial.targetMargin ?? 20) / 100,
-      debtRatio: (financial.debtRatio ?? 70) / 100,
-      interestRate: (financial.interestRate ?? 7.5) / 100,
-      timelineMonths: Number(financial.timelineMonths) || 18,
-      demolitionRequired: Boolean(siteContext.demolitionRequired),
-      existingStructures: Number(siteContext.existingStructures) || 1,
-      siteSlope: siteContext.siteSlope || 'flat',
-      customPrices,
-      companyName: report.companyName || '',
-    });
-
-    const riskAssessment = riskService.assess({
-      heritageOverlay: Boolean(siteContext.heritageOverlay),
-      bushfireProne: Boolean(siteContext.bushfireProne),
-      floodRisk: Boolean(siteContext.floodRisk),
-      contaminatedSite: Boolean(siteContext.contaminatedSite),
-      treePO: Boolean(siteContext.treePO),
-      acidSulfateSoils: Boolean(siteContext.acidSulfateSoils),
-      comparableSalesCount: Number(siteContext.comparableSalesCount) || 10,
-      marketTrend: siteContext.marketTrend || 'stable',
-      avgDaysOnMarket: Number(siteContext.avgDaysOnMarket) || 30,
-      supplyLevel: siteContext.supplyLevel || 'normal',
-      lotShape: siteContext.lotShape || 'regular',
-      streetFrontage: siteContext.streetFrontage || 'adequate',
-      topography: siteContext.siteSlope || 'flat',
-      largeTrees: Boolean(siteContext.largeTrees),
-      profitMargin: feasibility.profitability.profitMargin,
-      returnOnCost: feasibility.profitability.returnOnCost,
-      debtRatio: (financial.debtRatio ?? 70) / 100,
-      timelineMonths: Number(financial.timelineMonths) || 18,
-    });
-
-    const results = { feasibility, yieldResult, compliance, riskAssessment };
+    const results = runReportPipeline(req.body);
     const formData = { ...property, ...financial, ...siteContext, ...report };
 
     const { buffer, filename } = pdfService.generate(results, formData);
@@ -196,13 +384,41 @@ router.post('/generate/scenarios', (req, res, next) => {
       });
     }
 
+    if (property.dwellingTypes != null) {
+      const typeErrors = yieldService.validateDwellingTypes(property.dwellingTypes);
+      if (typeErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: { message: `Invalid dwelling types: ${typeErrors.join('; ')}` },
+        });
+      }
+    }
+
     const lotArea = Number(property.lotArea);
-    const rCode = property.rCode;
     const lotWidth = Number(property.lotWidth) || 18;
     const lotDepth = Number(property.lotDepth) || 40;
 
+    // Split-coded lots use the bonus code only when its conditions are met
+    let rCode = property.rCode;
+    const split = rcodesService.parseSplitCode(rCode);
+    if (split) {
+      const { eligible } = rcodesService.evaluateBonusEligibility({
+        lotArea,
+        lotWidth,
+        amalgamated: Boolean(property.amalgamated),
+        lanewayAccess: Boolean(property.lanewayAccess) || property.frontageType === 'laneway',
+        dwellingType: 'grouped',
+      }, property.bonusConditions);
+      rCode = eligible ? split.bonusCode : split.baseCode;
+    }
+
     // Validate R-Code
-    const rules = rcodesService.getRCodeRules(rCode);
+    const ruleOptions = {
+      ruleSet: property.ruleSet || undefined,
+      assessmentDate: property.assessmentDate || undefined,
+      lga: property.lga || undefined,
+    };
+    const rules = rcodesService.getRCodeRules(rCode, ruleOptions);
     if (!rules) {
       return res.status(400).json({
         success: false,
@@ -210,11 +426,30 @@ router.post('/generate/scenarios', (req, res, next) => {
       });
     }
 
+    // A granny flat kept as a rental is priced at the value its rent adds
+    const prices = { ...marketData?.prices };
+    if (financial.ancillaryIncome === 'rental') {
+      const rentalYield = financial.rentalYield ? Number(financial.rentalYield) / 100 : undefined;
+      for (const [key, type] of Object.entries(yieldService.resolveDwellingTypes(property.dwellingTypes || undefined))) {
+        if (!type.ancillary) continue;
+        prices[key] = financialService.ancillaryRentalValue(Number(financial.ancillaryRent) || type.defaultRent || 0, rentalYield);
+      }
+    }
+
     // Generate mixed scenarios — service derives all constraints from R-Code rules directly
     const scenarios = mixedScenarioService.generateMixedScenarios(
-      { lotArea, lotWidth, lotDepth, rCode },
+      {
+        lotArea,
+        lotWidth,
+        lotDepth,
+        rCode,
+        frontageType: property.frontageType || undefined,
+        tolerances: property.tolerances || undefined,
+        dwellingTypes: property.dwellingTypes || undefined,
+        ...ruleOptions,
+      },
       null,
-      marketData
+      { ...marketData, prices }
     );
 
     // 3. For each scenario, calculate terrain-adjusted costs and financials
@@ -263,10 +498,14 @@ router.post('/generate/scenarios', (req, res, next) => {
         terrainAnalysis,
         rCodeRules: {
           rCode,
+          ruleSet: rules.ruleSet,
+          ruleSetLabel: rules.ruleSetLabel,
+          localPolicies: rules.localPolicies,
           maxPlotRatio: rules.maxPlotRatio,
           maxSiteCoverage: rules.maxSiteCoverage,
           minOpenSpace: rules.minOpenSpace,
           minLotSize: rules.minLotSize,
+          avgLotSize: rules.avgLotSize,
           maxGFA: lotArea * rules.maxPlotRatio,
         },
       },
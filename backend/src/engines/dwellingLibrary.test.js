@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDwellingTypeLibrary,
+  validateDwellingTypes,
+  resolveDwellingTypes,
+  DWELLING_TYPE_LIBRARY,
+  DEFAULT_DWELLING_TYPES,
+} from '../../../src/engines/dwellingLibrary.js';
+
+const CUSTOM_STUDIO = {
+  key: 'studio',
+  label: 'Studio',
+  bedrooms: 0,
+  groundFloorArea: 45,
+  totalBuildArea: 45,
+  internalGarage: 0,
+  parkingBays: 0,
+  garageWidth: 0,
+  pavedOutdoorArea: 6,
+  outdoorLivingArea: 12,
+  coveredOutdoorArea: 3,
+  minLotWidth: 6,
+  stories: 1,
+  floorToFloor: 3,
+  plateHeight: 2.7,
+  defaultPrice: 320000,
+};
+
+describe('dwelling type library', () => {
+  it('lists every type and flags the default townhouses', () => {
+    const library = getDwellingTypeLibrary();
+    expect(library.map(t => t.key)).toEqual(Object.keys(DWELLING_TYPE_LIBRARY));
+    expect(library.filter(t => t.isDefault).map(t => t.key)).toEqual(DEFAULT_DWELLING_TYPES);
+    expect(library.find(t => t.key === 'villa')).toMatchObject({ stories: 1, bedrooms: 3 });
+    expect(library.find(t => t.key === 'terrace').stories).toBe(3);
+  });
+
+  it('gives every type each field the engines read', () => {
+    for (const type of Object.values(DWELLING_TYPE_LIBRARY)) {
+      expect(validateDwellingTypes(['2bed', { key: 'check', ...type }])).toEqual([]);
+    }
+  });
+
+  it('resolves the default types when nothing is selected', () => {
+    expect(Object.keys(resolveDwellingTypes())).toEqual(['2bed', '3bed', '4bed']);
+  });
+
+  it('edits a library type without touching the library', () => {
+    const types = resolveDwellingTypes(['2bed', { key: '3bed', groundFloorArea: 75, defaultPrice: 650000 }]);
+    expect(Object.keys(types)).toEqual(['2bed', '3bed']);
+    expect(types['3bed']).toMatchObject({ groundFloorArea: 75, defaultPrice: 650000, totalBuildArea: 145 });
+    expect(DWELLING_TYPE_LIBRARY['3bed'].groundFloorArea).toBe(70);
+  });
+
+  it('adds a custom type given all of its fields', () => {
+    expect(validateDwellingTypes(['1bed', CUSTOM_STUDIO])).toEqual([]);
+    expect(resolveDwellingTypes([CUSTOM_STUDIO]).studio).toMatchObject({ label: 'Studio', roofForm: 'pitched' });
+  });
+
+  it('reports what is wrong with a selection', () => {
+    expect(validateDwellingTypes([])).toEqual(['must list at least one dwelling type']);
+    expect(validateDwellingTypes(['6bed'])[0]).toMatch(/6bed is not in the library/);
+    expect(validateDwellingTypes(['2bed', '2bed'])).toEqual(['2bed is listed twice']);
+    expect(validateDwellingTypes([{ key: 'studio', label: 'Studio' }])).toContain('studio.groundFloorArea must be a number of zero or more');
+    expect(validateDwellingTypes([{ key: '2bed', stories: 1.5 }])).toEqual(['2bed.stories must be a whole number']);
+    expect(validateDwellingTypes([{ key: '2bed', totalBuildArea: 40 }]))
+      .toEqual(["2bed.totalBuildArea can't be less than its groundFloorArea"]);
+    expect(validateDwellingTypes([{ key: '2bed', defaultPrice: 0 }])).toEqual(['2bed.defaultPrice must be more than zero']);
+    expect(validateDwellingTypes(['ancillary'])).toEqual(['must list a dwelling type that is not ancillary']);
+  });
+});
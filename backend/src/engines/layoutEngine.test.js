@@ -0,0 +1,335 @@
+import { describe, it, expect } from 'vitest';
+import {
+  packSiteLayout,
+  validateLotBoundary,
+  rectangleBoundary,
+  buildSitePlan,
+  rearOfBoundary,
+  withRetainedLot,
+  amalgamateParcels,
+  largestRectangle,
+  setbacksOf,
+} from '../../../src/engines/layoutEngine.js';
+import { optimizeYield } from '../../../src/engines/yieldEngine.js';
+
+const SETBACKS = { front: 4, rear: 1, left: 1, right: 1 };
+
+function dwelling(name, position, overrides = {}) {
+  // A 3-bed: 7.5m wide, 70sqm footprint, 30sqm courtyard
+  return { name, type: '3bed', position, width: 7.5, footprintArea: 70, courtyardArea: 30, ...overrides };
+}
+
+function within(rect, u0, u1, v0, v1) {
+  return rect.u0 >= u0 - 1e-9 && rect.u1 <= u1 + 1e-9 && rect.v0 >= v0 - 1e-9 && rect.v1 <= v1 + 1e-9;
+}
+
+describe('packSiteLayout', () => {
+  const base = { lotWidth: 20, lotDepth: 50, setbacks: SETBACKS, drivewayWidth: 3.5 };
+
+  it('places a street dwelling and internal dwellings along a side driveway', () => {
+    const layout = packSiteLayout({
+      ...base,
+      dwellings: [dwelling('Dwelling 1', 'street'), dwelling('Dwelling 2', 'internal'), dwelling('Dwelling 3', 'internal')],
+    });
+    expect(layout.packed).toBe(true);
+    expect(layout.access).toBe('side');
+    expect(layout.driveway).toMatchObject({ u0: 16.5, u1: 20, v0: 0 });
+
+    const [front, ...internal] = layout.dwellings;
+    expect(front.building).toMatchObject({ u0: 1, u1: 8.5, v0: 4 });
+    expect(front.courtyard.v0).toBeCloseTo(front.building.v1);
+    for (const d of layout.dwellings) {
+      expect(within(d.building, 1, 19, 4, 49)).toBe(true);
+      expect(d.building.u1 <= layout.driveway.u0 + 1e-9).toBe(true);
+    }
+    // Internal dwellings open onto the driveway, one after another
+    expect(internal.map(d => d.building.u1)).toEqual([16.5, 16.5]);
+    expect(internal[1].building.v0).toBeCloseTo(internal[0].building.v1);
+    expect(layout.driveway.v1).toBeCloseTo(internal[1].building.v1);
+  });
+
+  it('reports the dwellings that run out of room', () => {
+    const layout = packSiteLayout({
+      ...base,
+      lotDepth: 30,
+      dwellings: [dwelling('Dwelling 1', 'street'), dwelling('Dwelling 2', 'internal'), dwelling('Dwelling 3', 'internal')],
+    });
+    expect(layout.packed).toBe(false);
+    expect(layout.unplaced).toEqual(['Dwelling 3']);
+  });
+
+  it('leaves off the bays with no room and counts them', () => {
+    const layout = packSiteLayout({
+      ...base,
+      lotDepth: 30,
+      dwellings: [dwelling('Dwelling 1', 'street'), dwelling('Dwelling 2', 'internal')],
+      parkingBays: 6,
+    });
+    expect(layout.packed).toBe(true);
+    expect(layout.unplaced).toEqual([]);
+    expect(layout.parking.length + layout.unplacedBays).toBe(6);
+    expect(layout.unplacedBays).toBeGreaterThan(0);
+  });
+
+  it('moves the driveway to the middle when one column of dwellings is not enough', () => {
+    const twoBed = { width: 6, footprintArea: 55, courtyardArea: 24 };
+    const layout = packSiteLayout({
+      ...base,
+      lotWidth: 32,
+      lotDepth: 40,
+      drivewayWidth: 6,
+      parkingBays: 2,
+      dwellings: [1, 2, 3, 4, 5, 6].map(i => dwelling(`Dwelling ${i}`, i === 1 ? 'street' : 'internal', twoBed)),
+    });
+    expect(layout.packed).toBe(true);
+    expect(layout.access).toBe('central');
+    const { u0, u1 } = layout.driveway;
+    expect(layout.dwellings.some(d => d.building.u0 >= u1 - 1e-9)).toBe(true);
+    expect(layout.dwellings.some(d => d.building.u1 <= u0 + 1e-9)).toBe(true);
+    expect(layout.parking).toHaveLength(2);
+    for (const bay of layout.parking) expect(bay.u1 - bay.u0).toBeCloseTo(5.5);
+  });
+
+  it('puts the courtyard behind a dwelling where the lot is too narrow for it beside', () => {
+    const layout = packSiteLayout({ ...base, lotWidth: 14.5, dwellings: [dwelling('Dwelling 1', 'internal')] });
+    expect(layout.packed).toBe(true);
+    const [{ building, courtyard }] = layout.dwellings;
+    expect(courtyard.u0).toBeCloseTo(building.u0);
+    expect(courtyard.v0).toBeCloseTo(building.v1);
+  });
+
+  it('runs a courtyard out at least the minimum dimension', () => {
+    const layout = packSiteLayout({
+      ...base, lotWidth: 14.5, minCourtyardDimension: 4, dwellings: [dwelling('Dwelling 1', 'internal')],
+    });
+    const [{ courtyard }] = layout.dwellings;
+    // 30sqm behind a 9.33m deep building would only be 3.2m deep
+    expect(courtyard.v1 - courtyard.v0).toBeCloseTo(4);
+  });
+
+  it('cuts a courtyard back to the lot boundary where it can\'t fit whole', () => {
+    const layout = packSiteLayout({ ...base, lotDepth: 16, drivewayWidth: 0, dwellings: [dwelling('Dwelling 1', 'street')] });
+    expect(layout.packed).toBe(true);
+    const [{ building, courtyard }] = layout.dwellings;
+    expect(courtyard.v0).toBeCloseTo(building.v1);
+    expect(courtyard.v1).toBeCloseTo(16);
+    expect((courtyard.u1 - courtyard.u0) * (courtyard.v1 - courtyard.v0)).toBeCloseTo(20);
+  });
+
+  it('leaves out the driveway where garages open off a laneway', () => {
+    const layout = packSiteLayout({
+      ...base,
+      drivewayWidth: 0,
+      dwellings: [dwelling('Dwelling 1', 'street'), dwelling('Dwelling 2', 'internal')],
+    });
+    expect(layout.packed).toBe(true);
+    expect(layout.driveway).toBeNull();
+    expect(layout.dwellings[1].building.u1).toBeCloseTo(19);
+  });
+
+  it('places the turning area at the end of the driveway', () => {
+    const layout = packSiteLayout({ ...base, turningArea: 35, dwellings: [dwelling('Dwelling 1', 'internal')] });
+    expect(layout.turningArea.v0).toBeCloseTo(layout.driveway.v1);
+    expect(layout.turningArea.v1 - layout.turningArea.v0).toBeCloseTo(10);
+  });
+
+  it('sets buildings back from a tapering boundary', () => {
+    const boundary = [{ u: 0, v: 0 }, { u: 20, v: 0 }, { u: 16, v: 50 }, { u: 0, v: 50 }];
+    const layout = packSiteLayout({ ...base, boundary, drivewayWidth: 0, dwellings: [dwelling('Dwelling 1', 'internal')] });
+    expect(layout.packed).toBe(true);
+    expect(layout.envelope).toHaveLength(4);
+    const { building } = layout.dwellings[0];
+    // The right boundary runs from u = 20 at the street to u = 16 at the rear
+    const boundaryAt = v => 20 - 4 * v / 50;
+    expect(building.u1).toBeLessThan(Math.min(boundaryAt(building.v0), boundaryAt(building.v1)) - 0.99);
+  });
+
+  it('fails every dwelling when the setbacks leave no envelope', () => {
+    const layout = packSiteLayout({ ...base, lotDepth: 4, dwellings: [dwelling('Dwelling 1', 'street')] });
+    expect(layout.packed).toBe(false);
+    expect(layout.unplaced).toEqual(['Dwelling 1']);
+  });
+});
+
+describe('setbacksOf', () => {
+  it('measures a rectangle in from each boundary', () => {
+    const setbacks = setbacksOf(rectangleBoundary(20, 40), { u0: 0, u1: 15, v0: 6, v1: 30 });
+    expect(setbacks).toEqual({ front: 6, right: 5, rear: 10, left: 0 });
+    expect(Object.is(setbacks.left, -0)).toBe(false);
+  });
+
+  it('takes the nearest point of a tapering boundary', () => {
+    const boundary = [{ u: 0, v: 0 }, { u: 20, v: 0 }, { u: 16, v: 40 }, { u: 0, v: 40 }];
+    const { right } = setbacksOf(boundary, { u0: 0, u1: 14, v0: 0, v1: 40 });
+    expect(right).toBeCloseTo(2 * 40 / Math.hypot(4, 40));
+  });
+});
+
+describe('validateLotBoundary', () => {
+  it('accepts a convex polygon in either winding', () => {
+    expect(validateLotBoundary(rectangleBoundary(20, 40))).toEqual([]);
+    expect(validateLotBoundary([...rectangleBoundary(20, 40)].reverse())).toEqual([]);
+  });
+
+  it('reports what is wrong with a boundary', () => {
+    expect(validateLotBoundary([{ u: 0, v: 0 }, { u: 1, v: 1 }])).toEqual(['must list at least three points']);
+    expect(validateLotBoundary([{ u: 0, v: 0 }, { u: 1 }, { u: 1, v: 1 }])).toEqual(['each point needs numeric u and v']);
+    expect(validateLotBoundary([{ u: 0, v: 0 }, { u: 1, v: 1 }, { u: 2, v: 2 }])).toEqual(['must enclose an area']);
+    const notch = [{ u: 0, v: 0 }, { u: 20, v: 0 }, { u: 20, v: 40 }, { u: 10, v: 20 }, { u: 0, v: 40 }];
+    expect(validateLotBoundary(notch)).toEqual(['must be convex']);
+  });
+});
+
+describe('buildSitePlan', () => {
+  const layout = packSiteLayout({
+    lotWidth: 20,
+    lotDepth: 50,
+    setbacks: SETBACKS,
+    drivewayWidth: 3.5,
+    parkingBays: 2,
+    dwellings: [dwelling('Dwelling 1', 'street'), dwelling('Dwelling 2', 'internal')],
+  });
+
+  it('draws the lot, setback line and every placed element', () => {
+    const plan = buildSitePlan(layout, { '3bed': '3 Bedroom' }, 1);
+    expect(plan.extent).toEqual({ u0: 0, u1: 20, v0: 0, v1: 50 });
+    expect(plan.lot).toEqual(rectangleBoundary(20, 50));
+    expect(plan.envelope).toHaveLength(4);
+    expect(plan.shapes.map(s => s.kind)).toEqual([
+      'driveway', 'bay', 'visitor-bay', 'courtyard', 'dwelling', 'courtyard', 'dwelling',
+    ]);
+    const dwellings = plan.shapes.filter(s => s.kind === 'dwelling');
+    expect(dwellings.map(d => d.label)).toEqual(['3 Bedroom', '3 Bedroom']);
+    expect(dwellings[0]).toMatchObject(layout.dwellings[0].building);
+  });
+
+  it('counts courtyards as open space but not buildings or paving', () => {
+    const plan = buildSitePlan(layout);
+    const paved = 3.5 * layout.driveway.v1 + 2 * 2.5 * 5.5;
+    expect(plan.openSpaceArea).toBeCloseTo(1000 - 2 * 70 - paved);
+    expect(plan.shapes.find(s => s.kind === 'dwelling').label).toBe('3bed');
+  });
+});
+
+describe('largestRectangle', () => {
+  // 40m across the street, narrowing to 10m at 50m deep
+  const trapezoid = [{ u: 0, v: 0 }, { u: 40, v: 0 }, { u: 25, v: 50 }, { u: 15, v: 50 }];
+  const setbacks = { front: 3, left: 3, right: 3, rear: 6 };
+
+  it('fills a rectangular lot inside its setbacks, cut short at maxArea', () => {
+    const boundary = rectangleBoundary(20, 40);
+    expect(largestRectangle(boundary, setbacks)).toEqual({ u0: 3, u1: 17, v0: 3, v1: 34 });
+    expect(largestRectangle(boundary, setbacks, { maxArea: 280 })).toEqual({ u0: 3, u1: 17, v0: 3, v1: 23 });
+    expect(largestRectangle(boundary, setbacks, { within: { u0: 5, u1: 15, v0: 3, v1: 20 } }))
+      .toEqual({ u0: 5, u1: 15, v0: 3, v1: 20 });
+  });
+
+  it('keeps inside a lot that narrows, its setbacks taken square to each boundary', () => {
+    const rect = largestRectangle(trapezoid, setbacks);
+    const clear = setbacksOf(trapezoid, rect);
+    for (const boundary of ['front', 'left', 'right', 'rear']) {
+      expect(clear[boundary]).toBeGreaterThanOrEqual(setbacks[boundary] - 1e-9);
+    }
+    // Narrower than the frontage where it reaches back into the lot
+    expect(rect.u1 - rect.u0).toBeLessThan(34);
+    expect(rect.v1).toBeGreaterThan(3);
+  });
+});
+
+describe('withRetainedLot', () => {
+  const rear = packSiteLayout({
+    lotWidth: 20,
+    lotDepth: 32,
+    setbacks: SETBACKS,
+    drivewayWidth: 3.5,
+    dwellings: [dwelling('Dwelling 1', 'internal'), dwelling('Dwelling 2', 'internal')],
+  });
+
+  it('cuts the rear of a lot off behind a line across it', () => {
+    const boundary = [{ u: 0, v: 0 }, { u: 20, v: 0 }, { u: 16, v: 50 }, { u: 0, v: 50 }];
+    const cut = rearOfBoundary(boundary, 18);
+    expect(validateLotBoundary(cut)).toEqual([]);
+    expect(Math.min(...cut.map(p => p.v))).toBeCloseTo(0);
+    expect(Math.max(...cut.map(p => p.v))).toBeCloseTo(32);
+    expect(Math.max(...cut.map(p => p.u))).toBeCloseTo(20 - 4 * 18 / 50);
+  });
+
+  it('draws the rear plan behind the retained lot, with its driveway reaching the street', () => {
+    const plan = withRetainedLot(buildSitePlan(rear), rectangleBoundary(20, 50), 18);
+    expect(plan.extent).toEqual({ u0: 0, u1: 20, v0: 0, v1: 50 });
+    expect(plan.retainedLot).toHaveLength(4);
+    expect(Math.max(...plan.retainedLot.map(p => p.v))).toBeCloseTo(18);
+    for (const shape of plan.shapes.filter(s => s.kind !== 'driveway')) {
+      expect(shape.v0).toBeGreaterThanOrEqual(18);
+    }
+    const leg = plan.shapes.find(s => s.name === 'Access leg');
+    expect(leg).toMatchObject({ kind: 'driveway', u0: rear.driveway.u0, u1: rear.driveway.u1, v0: 0, v1: 18 });
+  });
+});
+
+describe('amalgamateParcels', () => {
+  it('lays adjoining lots side by side into one site', () => {
+    const site = amalgamateParcels([
+      { lotArea: 728, lotWidth: 18.2, lotDepth: 40 },
+      { lotArea: 700, lotWidth: 17.5, lotDepth: 40 },
+    ]);
+    expect(site).toMatchObject({ lotArea: 1428, lotDepth: 40, evenDepth: true });
+    expect(site.lotWidth).toBeCloseTo(35.7);
+    expect(site.parcels.map(p => p.u0)).toEqual([0, 18.2]);
+    expect(site.parcels[1].u1).toBeCloseTo(35.7);
+  });
+
+  it('develops the largest rectangle inside lots of different depths', () => {
+    const site = amalgamateParcels([
+      { lotArea: 800, lotWidth: 20, lotDepth: 40 },
+      { lotArea: 1000, lotWidth: 20, lotDepth: 50 },
+    ]);
+    // The full frontage to the shallower depth
+    expect(site).toMatchObject({ u0: 0, lotArea: 1600, lotWidth: 40, lotDepth: 40, heldArea: 1800, evenDepth: false });
+    expect(site.outline).toEqual([
+      { u: 0, v: 0 }, { u: 40, v: 0 }, { u: 40, v: 50 }, { u: 20, v: 50 }, { u: 20, v: 40 }, { u: 0, v: 40 },
+    ]);
+
+    // The deep lot's own strip, where the shallow lot adds less than it costs in depth
+    const stepped = amalgamateParcels([
+      { lotArea: 400, lotWidth: 20, lotDepth: 20 },
+      { lotArea: 1200, lotWidth: 20, lotDepth: 60 },
+    ]);
+    expect(stepped).toMatchObject({ u0: 20, lotArea: 1200, lotWidth: 20, lotDepth: 60, heldArea: 1600 });
+  });
+});
+
+describe('optimizeYield — site layout', () => {
+  const site = { lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R60' };
+
+  it('places every dwelling of the chosen mix', () => {
+    const result = optimizeYield(site);
+    expect(result.compliance.envelope).toBe(true);
+    expect(result.siteLayout.packed).toBe(true);
+    expect(result.siteLayout.dwellings).toHaveLength(result.totalUnits);
+    expect(result.siteLayout.parking).toHaveLength(result.parkingProvision.hardstandBays + result.parkingProvision.visitorBays);
+  });
+
+  it('includes a site plan of the chosen layout', () => {
+    const { sitePlan, totalUnits } = optimizeYield(site);
+    const dwellings = sitePlan.shapes.filter(s => s.kind === 'dwelling');
+    expect(dwellings).toHaveLength(totalUnits);
+    expect(dwellings.every(d => d.label.endsWith('Bedroom'))).toBe(true);
+    expect(sitePlan.shapes.some(s => s.kind === 'driveway')).toBe(true);
+  });
+
+  it('only accepts mixes that pack on the lot', () => {
+    // Area totals alone would allow six dwellings on this lot
+    const result = optimizeYield({ lotArea: 800, lotWidth: 20, lotDepth: 40, rCode: 'R160' });
+    expect(result.totalUnits).toBe(4);
+    expect(result.siteLayout.packed).toBe(true);
+  });
+
+  it('packs inside the lot polygon when one is given', () => {
+    const lotBoundary = [{ u: 0, v: 0 }, { u: 20, v: 0 }, { u: 12, v: 50 }, { u: 0, v: 50 }];
+    const result = optimizeYield({ ...site, lotArea: 800, lotBoundary });
+    expect(result.siteLayout.lot).toEqual(lotBoundary);
+    expect(result.siteLayout.packed).toBe(true);
+    expect(result.totalUnits).toBeLessThan(optimizeYield(site).totalUnits);
+  });
+});
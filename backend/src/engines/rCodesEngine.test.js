@@ -2,28 +2,62 @@ import { describe, it, expect } from 'vitest';
 import {
   getRCodeRules,
   getAllRCodes,
+  getRuleSets,
+  selectRuleSet,
+  getLocalPolicies,
+  measureVariation,
+  classifyVariation,
   calculateBuildableArea,
   calculateBuildableEnvelope,
   calculateParkingRequirements,
+  calculateLandscapeRequirements,
+  assessSiteArea,
+  assessAncillaryDwelling,
+  assessOutdoorLiving,
+  assessStreetscape,
+  parseSplitCode,
+  isValidRCode,
+  evaluateBonusEligibility,
+  getBoundarySetbacks,
+  getWallSetback,
+  getBuildingSeparation,
+  getOvershadowingLimit,
+  assessPrivacy,
+  checkCompliance,
 } from '../../../src/engines/rCodesEngine.js';
 
+const DENSITY_CODES = [
+  'R10', 'R12.5', 'R15', 'R17.5', 'R20', 'R25', 'R30', 'R35',
+  'R40', 'R50', 'R60', 'R80', 'R100', 'R160',
+];
+const ACTIVITY_CENTRE_CODES = ['R-AC4', 'R-AC3', 'R-AC2', 'R-AC1'];
+const VOL1 = { ruleSet: 'rcodes-vol1' };
+
 describe('getRCodeRules', () => {
   it('returns rules for each valid R-Code', () => {
-    for (const code of ['R20', 'R30', 'R40', 'R60', 'R80']) {
+    for (const code of [...DENSITY_CODES, ...ACTIVITY_CENTRE_CODES]) {
       const rules = getRCodeRules(code);
       expect(rules).not.toBeNull();
       expect(rules.label).toBe(code);
       expect(rules.minLotSize).toBeGreaterThan(0);
+      expect(rules.avgLotSize).toBeGreaterThanOrEqual(rules.minLotSize);
       expect(rules.maxPlotRatio).toBeGreaterThan(0);
-      expect(rules.maxPlotRatio).toBeLessThanOrEqual(1);
       expect(rules.minOpenSpace).toBeGreaterThan(0);
       expect(rules.maxSiteCoverage).toBeGreaterThan(0);
+      expect(rules.maxBuildingHeight).toBeGreaterThan(rules.maxWallHeight);
+      expect(rules.setbacks).toBeDefined();
+    }
+  });
+
+  it('grouped dwelling codes (R10–R80) keep plot ratio at or below 1.0', () => {
+    for (const code of DENSITY_CODES.slice(0, DENSITY_CODES.indexOf('R80') + 1)) {
+      expect(getRCodeRules(code).maxPlotRatio).toBeLessThanOrEqual(1);
     }
   });
 
   it('returns null for an invalid R-Code', () => {
-    expect(getRCodeRules('R10')).toBeNull();
-    expect(getRCodeRules('R50')).toBeNull();
+    expect(getRCodeRules('R45')).toBeNull();
+    expect(getRCodeRules('R-AC5')).toBeNull();
     expect(getRCodeRules('')).toBeNull();
     expect(getRCodeRules(undefined)).toBeNull();
   });
@@ -47,21 +81,46 @@ describe('getRCodeRules', () => {
     expect(rules.maxStories).toBe(2);
   });
 
-  it('density increases from R20 to R80', () => {
-    const codes = ['R20', 'R30', 'R40', 'R60', 'R80'];
-    for (let i = 1; i < codes.length; i++) {
-      const prev = getRCodeRules(codes[i - 1]);
-      const curr = getRCodeRules(codes[i]);
+  it('R12.5 has correct key values', () => {
+    const rules = getRCodeRules('R12.5');
+    expect(rules.minLotSize).toBe(700);
+    expect(rules.avgLotSize).toBe(800);
+    expect(rules.minOpenSpace).toBe(0.55);
+    expect(rules.setbacks.primaryStreet).toBe(7.5);
+    expect(rules.parkingPerDwelling).toBe(2);
+  });
+
+  it('R-AC1 allows the highest plot ratio and tallest buildings', () => {
+    const rules = getRCodeRules('R-AC1');
+    expect(rules.maxPlotRatio).toBe(3.0);
+    expect(rules.maxStories).toBe(10);
+    expect(rules.setbacks.primaryStreet).toBe(0);
+  });
+
+  it('density increases from R10 to R160', () => {
+    for (let i = 1; i < DENSITY_CODES.length; i++) {
+      const prev = getRCodeRules(DENSITY_CODES[i - 1]);
+      const curr = getRCodeRules(DENSITY_CODES[i]);
       expect(curr.minLotSize).toBeLessThan(prev.minLotSize);
       expect(curr.maxPlotRatio).toBeGreaterThanOrEqual(prev.maxPlotRatio);
     }
   });
+
+  it('density increases from R-AC4 to R-AC1', () => {
+    for (let i = 1; i < ACTIVITY_CENTRE_CODES.length; i++) {
+      const prev = getRCodeRules(ACTIVITY_CENTRE_CODES[i - 1]);
+      const curr = getRCodeRules(ACTIVITY_CENTRE_CODES[i]);
+      expect(curr.minLotSize).toBeLessThan(prev.minLotSize);
+      expect(curr.maxPlotRatio).toBeGreaterThan(prev.maxPlotRatio);
+      expect(curr.maxStories).toBeGreaterThan(prev.maxStories);
+    }
+  });
 });
 
 describe('getAllRCodes', () => {
-  it('returns all 5 R-Codes', () => {
+  it('returns every density code followed by the R-AC codes', () => {
     const codes = getAllRCodes();
-    expect(codes).toEqual(['R20', 'R30', 'R40', 'R60', 'R80']);
+    expect(codes).toEqual([...DENSITY_CODES, ...ACTIVITY_CENTRE_CODES]);
   });
 });
 
@@ -84,7 +143,7 @@ describe('calculateParkingRequirements', () => {
   });
 
   it('returns null for invalid R-Code', () => {
-    expect(calculateParkingRequirements(4, 'R10')).toBeNull();
+    expect(calculateParkingRequirements(4, 'R99')).toBeNull();
   });
 
   it('ceiling rounds up visitor bays', () => {
@@ -123,8 +182,8 @@ describe('calculateBuildableArea', () => {
 
 describe('calculateBuildableEnvelope', () => {
   it('returns correct envelope for R60 / 20m × 40m lot', () => {
-    const result = calculateBuildableEnvelope(20, 40, 'R60');
-    // R60 setbacks: primaryStreet=4, side=1.0, rear=1.5
+    const result = calculateBuildableEnvelope(20, 40, 'R60', VOL1);
+    // R-Codes Volume 1 R60 setbacks: primaryStreet=4, side=1.0, rear=1.5
     // effectiveWidth = 20 - (1.0 * 2) = 18
     expect(result.effectiveWidth).toBe(18);
     // effectiveDepth = 40 - 4 - 1.5 = 34.5
@@ -152,10 +211,1217 @@ describe('calculateBuildableEnvelope', () => {
   });
 
   it('includes setbacks in the result', () => {
-    const result = calculateBuildableEnvelope(20, 40, 'R40');
+    const result = calculateBuildableEnvelope(20, 40, 'R40', VOL1);
     expect(result.setbacks).toBeDefined();
     expect(result.setbacks.primaryStreet).toBe(4);
     expect(result.setbacks.side).toBe(1.0);
     expect(result.setbacks.rear).toBe(1.5);
   });
 });
+
+describe('frontage types', () => {
+  // R40 Volume 1: primary 4m, secondary 1.5m, side 1.0m, rear 1.5m
+  it('sets a secondary street setback on the left of a corner lot', () => {
+    const setbacks = getBoundarySetbacks('R40', 'corner', VOL1);
+    expect(setbacks).toMatchObject({ front: 4, left: 1.5, right: 1, rear: 1.5, streets: ['left'] });
+    const envelope = calculateBuildableEnvelope(20, 40, 'R40', { ...VOL1, frontageType: 'corner' });
+    expect(envelope.effectiveWidth).toBe(17.5);
+  });
+
+  it('gives a battle-axe lot no primary street setback', () => {
+    expect(getBoundarySetbacks('R40', 'battle-axe', VOL1).front).toBe(1);
+    const envelope = calculateBuildableEnvelope(20, 40, 'R40', { ...VOL1, frontageType: 'battle-axe' });
+    expect(envelope.effectiveDepth).toBe(37.5);
+  });
+
+  it('keeps street setbacks for a single frontage', () => {
+    const envelope = calculateBuildableEnvelope(20, 40, 'R40', VOL1);
+    expect(envelope.frontageType).toBe('street');
+    expect(envelope.boundarySetbacks).toMatchObject({ front: 4, left: 1, right: 1, streets: [], laneway: false });
+  });
+
+  const massing = {
+    storeys: [{
+      wallHeight: 6,
+      walls: [
+        { boundary: 'left', length: 18, setback: 1.5 },
+        { boundary: 'right', length: 18, setback: 2.1 },
+        { boundary: 'rear', length: 12, setback: 1.5 },
+      ],
+    }],
+  };
+
+  it('holds a secondary street wall to the street setback, not Table 2a', () => {
+    const envelope = calculateBuildableEnvelope(20, 40, 'R40', { ...VOL1, frontageType: 'corner', massing });
+    const left = envelope.walls.find(w => w.boundary === 'left');
+    expect(left).toMatchObject({ boundaryType: 'street', table: null, requiredSetback: 1.5, compliant: true });
+    // The same wall on an ordinary side boundary needs 2.1m
+    const street = calculateBuildableEnvelope(20, 40, 'R40', { ...VOL1, massing });
+    expect(street.walls.find(w => w.boundary === 'left').compliant).toBe(false);
+  });
+
+  it('holds a rear wall on a laneway to the rear setback', () => {
+    const envelope = calculateBuildableEnvelope(20, 40, 'R40', { ...VOL1, frontageType: 'laneway', massing });
+    const rear = envelope.walls.find(w => w.boundary === 'rear');
+    expect(rear).toMatchObject({ boundaryType: 'laneway', requiredSetback: 1.5, compliant: true });
+  });
+
+  it('does not allow a boundary wall on a secondary street', () => {
+    const nil = {
+      storeys: [{ wallHeight: 3, walls: [{ boundary: 'left', length: 9, nilSetback: true, setback: 0 }] }],
+    };
+    const envelope = calculateBuildableEnvelope(20, 40, 'R40', { ...VOL1, frontageType: 'corner', massing: nil });
+    expect(envelope.walls[0].nilSetbackAllowed).toBe(false);
+  });
+});
+
+describe('checkCompliance — frontage types', () => {
+  const base = {
+    lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R40', ruleSet: 'rcodes-vol1',
+    proposedDwellings: 4, proposedGFA: 500, proposedSiteCoverage: 450,
+    proposedOpenSpace: 550, proposedHeight: 2, proposedParkingBays: 7,
+    proposedDeepSoil: 100, proposedTrees: 4,
+  };
+  const check = (result, name) => result.checks.find(c => c.name === name);
+
+  it('adds a secondary street check on a corner lot', () => {
+    const result = checkCompliance({
+      ...base,
+      frontageType: 'corner',
+      proposedBuildings: [{ name: 'Block A', setbacks: { primaryStreet: 4, secondaryStreet: 1.2, side: 1.5, rear: 2 } }],
+    });
+    expect(check(result, 'Secondary Setback')).toMatchObject({ allowed: '1.5m', proposed: '1.2m', compliant: false });
+    expect(result.frontageType).toBe('corner');
+  });
+
+  it('skips the primary street setback on a battle-axe lot', () => {
+    const result = checkCompliance({
+      ...base,
+      frontageType: 'battle-axe',
+      proposedBuildings: [{ name: 'Block A', setbacks: { primaryStreet: null, side: 1.5, rear: 2 } }],
+    });
+    expect(check(result, 'Primary Setback')).toMatchObject({ proposed: 'N/A', compliant: true });
+    expect(check(result, 'Secondary Setback')).toBeUndefined();
+    expect(result.valid).toBe(true);
+  });
+
+  it('does not screen windows facing a secondary street', () => {
+    const window = { name: 'Bed 1', type: 'window', room: 'bedroom', u: 2, v: 20, facing: 'left', floorLevel: 3 };
+    const corner = checkCompliance({ ...base, frontageType: 'corner', openings: [window] });
+    expect(corner.privacy.needsScreening).toBe(0);
+    const street = checkCompliance({ ...base, openings: [window] });
+    expect(street.privacy.needsScreening).toBe(1);
+  });
+});
+
+describe('getWallSetback', () => {
+  it('reads Table 2a for walls without major openings', () => {
+    // 3.5m high, 9m long → first cell
+    expect(getWallSetback(3.5, 9)).toBe(1.0);
+    // 6m high, 18m long → 6m row, ≤20m column
+    expect(getWallSetback(6, 18)).toBe(2.1);
+  });
+
+  it('reads Table 2b for walls with major openings', () => {
+    expect(getWallSetback(3.5, 9, true)).toBe(1.5);
+    expect(getWallSetback(6, 18, true)).toBe(2.9);
+  });
+
+  it('rounds height and length up to the next band', () => {
+    // 3.6m falls in the 4.5m row, 9.1m in the ≤12m column
+    expect(getWallSetback(3.6, 9.1)).toBe(getWallSetback(4.5, 12));
+  });
+
+  it('never decreases as walls get longer or taller', () => {
+    for (const majorOpenings of [false, true]) {
+      let previous = 0;
+      for (const length of [5, 10, 14, 18, 24, 40]) {
+        const setback = getWallSetback(6, length, majorOpenings);
+        expect(setback).toBeGreaterThanOrEqual(previous);
+        previous = setback;
+      }
+      expect(getWallSetback(9, 20, majorOpenings)).toBeGreaterThan(getWallSetback(3.5, 20, majorOpenings));
+    }
+  });
+
+  it('extends past the tallest row for taller walls', () => {
+    // 11m is 2m above the 9m row → +1.0m
+    expect(getWallSetback(11, 9)).toBe(3.0);
+  });
+});
+
+describe('calculateBuildableEnvelope — massing', () => {
+  const twoStorey = {
+    storeys: [
+      {
+        wallHeight: 3.5,
+        walls: [
+          { boundary: 'left', length: 20 },
+          { boundary: 'right', length: 20, majorOpenings: true },
+          { boundary: 'rear', length: 12 },
+        ],
+      },
+      {
+        wallHeight: 6,
+        walls: [
+          { boundary: 'left', length: 20 },
+          { boundary: 'right', length: 20, majorOpenings: true },
+          { boundary: 'rear', length: 12 },
+        ],
+      },
+    ],
+  };
+
+  it('returns the required setback for each wall', () => {
+    const result = calculateBuildableEnvelope(20, 40, 'R40', { ...VOL1, massing: twoStorey });
+    expect(result.walls).toHaveLength(6);
+    const wall = (storey, boundary) => result.walls.find(w => w.storey === storey && w.boundary === boundary);
+    expect(wall(1, 'left')).toMatchObject({ table: '2a', requiredSetback: 1.3 });
+    expect(wall(1, 'right')).toMatchObject({ table: '2b', requiredSetback: 1.8 });
+    expect(wall(2, 'left').requiredSetback).toBe(2.1);
+    expect(wall(2, 'right').requiredSetback).toBe(2.9);
+    // Rear wall table gives 1.1m but R40's 1.5m rear setback is the floor
+    expect(wall(1, 'rear').requiredSetback).toBe(1.5);
+  });
+
+  it('steps the envelope in for upper storeys', () => {
+    const result = calculateBuildableEnvelope(20, 40, 'R40', { ...VOL1, massing: twoStorey });
+    const [ground, upper] = result.storeys;
+    // Ground: 20 - 1.3 - 1.8 = 16.9
+    expect(ground.effectiveWidth).toBeCloseTo(16.9);
+    // Upper: 20 - 2.1 - 2.9 = 15
+    expect(upper.effectiveWidth).toBeCloseTo(15);
+    expect(upper.envelopeArea).toBeLessThan(ground.envelopeArea);
+    expect(result.envelopeArea).toBe(ground.envelopeArea);
+  });
+
+  it('keeps the flat envelope when no massing is given', () => {
+    const flat = calculateBuildableEnvelope(20, 40, 'R40', VOL1);
+    expect(flat.walls).toBeUndefined();
+    expect(flat.effectiveWidth).toBe(18);
+  });
+
+  const garageOnBoundary = (boundary, overrides = {}) => ({
+    boundary, length: 9, nilSetback: true, ...overrides,
+  });
+  const singleStorey = walls => ({ storeys: [{ wallHeight: 3, walls }] });
+
+  it('allows a nil setback for a low boundary wall', () => {
+    const result = calculateBuildableEnvelope(15, 40, 'R20', { massing: singleStorey([garageOnBoundary('left')]) });
+    expect(result.walls[0]).toMatchObject({ nilSetbackAllowed: true, requiredSetback: 0 });
+    expect(result.boundaryWalls[0]).toMatchObject({ boundary: 'left', allowed: true });
+  });
+
+  it('limits boundary walls to one side below R30', () => {
+    const massing = singleStorey([garageOnBoundary('left'), garageOnBoundary('right')]);
+    const r20 = calculateBuildableEnvelope(15, 40, 'R20', { massing });
+    expect(r20.walls.map(w => w.nilSetbackAllowed)).toEqual([true, false]);
+    const r40 = calculateBuildableEnvelope(15, 40, 'R40', { massing });
+    expect(r40.walls.map(w => w.nilSetbackAllowed)).toEqual([true, true]);
+  });
+
+  it('refuses boundary walls that are too high or too long', () => {
+    // R20 side boundary behind the 6m street setback is 34m → 22.67m max
+    const tooLong = calculateBuildableEnvelope(15, 40, 'R20', {
+      massing: singleStorey([garageOnBoundary('left', { length: 23 })]),
+    });
+    expect(tooLong.walls[0].nilSetbackAllowed).toBe(false);
+    expect(tooLong.walls[0].requiredSetback).toBeGreaterThan(0);
+
+    const tooHigh = calculateBuildableEnvelope(15, 40, 'R20', {
+      massing: singleStorey([garageOnBoundary('left', { height: 3.4, averageHeight: 3.2 })]),
+    });
+    expect(tooHigh.walls[0].nilSetbackAllowed).toBe(false);
+  });
+
+  it('does not allow nil setbacks to the rear boundary', () => {
+    const result = calculateBuildableEnvelope(15, 40, 'R40', { massing: singleStorey([garageOnBoundary('rear')]) });
+    expect(result.walls[0].nilSetbackAllowed).toBe(false);
+  });
+});
+
+describe('rule sets', () => {
+  it('lists R-Codes Volume 1 and the Medium Density Code', () => {
+    const ids = getRuleSets().map(s => s.id);
+    expect(ids).toEqual(['rcodes-vol1', 'mdc-2024']);
+  });
+
+  it('selects the rule set in force on the assessment date', () => {
+    expect(selectRuleSet('2024-08-31')).toBe('rcodes-vol1');
+    expect(selectRuleSet('2024-09-01')).toBe('mdc-2024');
+    expect(selectRuleSet(new Date('2026-01-15'))).toBe('mdc-2024');
+  });
+
+  it('returns null for an unparseable assessment date', () => {
+    expect(selectRuleSet('not a date')).toBeNull();
+  });
+
+  it('applies Medium Density Code provisions to R30–R60', () => {
+    for (const code of ['R30', 'R35', 'R40', 'R50', 'R60']) {
+      const rules = getRCodeRules(code, { ruleSet: 'mdc-2024' });
+      expect(rules.ruleSet).toBe('mdc-2024');
+      expect(rules.deepSoil.minRatio).toBeGreaterThan(0);
+      expect(rules.treeCanopy.treesPerDwelling).toBeGreaterThanOrEqual(1);
+      expect(rules.solarAccess.maxOvershadowing).toBeGreaterThan(0);
+      // Street setback is an average with a lower hard minimum
+      expect(rules.setbacks.primaryStreetMin).toBeLessThan(rules.setbacks.primaryStreet);
+    }
+  });
+
+  it('keeps Volume 1 values for codes the Medium Density Code does not cover', () => {
+    const mdc = getRCodeRules('R20', { ruleSet: 'mdc-2024' });
+    expect(mdc.ruleSet).toBe('rcodes-vol1');
+    expect(mdc.setbacks).toEqual(getRCodeRules('R20', VOL1).setbacks);
+    expect(mdc.deepSoil).toEqual(getRCodeRules('R20', VOL1).deepSoil);
+  });
+
+  it('leaves density controls unchanged under the Medium Density Code', () => {
+    const vol1 = getRCodeRules('R40', VOL1);
+    const mdc = getRCodeRules('R40', { ruleSet: 'mdc-2024' });
+    expect(mdc.maxPlotRatio).toBe(vol1.maxPlotRatio);
+    expect(mdc.minLotSize).toBe(vol1.minLotSize);
+    // Secondary street setback isn't overridden, so it falls through
+    expect(mdc.setbacks.secondaryStreet).toBe(vol1.setbacks.secondaryStreet);
+  });
+
+  it('lets an explicit rule set win over the assessment date', () => {
+    const rules = getRCodeRules('R40', { ruleSet: 'rcodes-vol1', assessmentDate: '2025-06-01' });
+    expect(rules.ruleSet).toBe('rcodes-vol1');
+    expect(rules.setbacks.primaryStreet).toBe(4);
+  });
+
+  it('defaults by assessment date when no rule set is given', () => {
+    expect(getRCodeRules('R40', { assessmentDate: '2023-01-01' }).ruleSet).toBe('rcodes-vol1');
+    expect(getRCodeRules('R40', { assessmentDate: '2025-01-01' }).ruleSet).toBe('mdc-2024');
+  });
+
+  it('returns null for an unknown rule set', () => {
+    expect(getRCodeRules('R40', { ruleSet: 'rcodes-vol9' })).toBeNull();
+  });
+
+  it('reports the applied rule set from checkCompliance', () => {
+    const result = checkCompliance({
+      lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R40',
+      proposedDwellings: 4, proposedGFA: 500, proposedSiteCoverage: 450,
+      proposedOpenSpace: 550, proposedHeight: 2, assessmentDate: '2025-01-01',
+    });
+    expect(result.ruleSet).toEqual({ id: 'mdc-2024', label: 'Medium Density Code (2024)' });
+    const primary = result.checks.find(c => c.name === 'Primary Setback');
+    expect(primary.allowed).toBe('3m average (min 1.5m)');
+  });
+});
+
+describe('local planning policies', () => {
+  it('lists the council packs with their policies', () => {
+    const stirling = getLocalPolicies().find(p => p.lga === 'stirling');
+    expect(stirling.label).toBe('City of Stirling');
+    expect(stirling.policies[0]).toMatchObject({ id: 'stirling-street-setbacks', codes: expect.any(Array) });
+  });
+
+  it('patches a nested field and keeps its siblings', () => {
+    const vol1 = getRCodeRules('R30', VOL1);
+    const rules = getRCodeRules('R30', { ...VOL1, lga: 'City of Stirling' });
+    expect(rules.lga).toBe('stirling');
+    expect(rules.setbacks.primaryStreet).toBe(6);
+    expect(rules.setbacks.side).toBe(vol1.setbacks.side);
+    expect(rules.setbacks.rear).toBe(vol1.setbacks.rear);
+    expect(rules.localPolicies).toEqual([{
+      lga: 'stirling',
+      lgaLabel: 'City of Stirling',
+      id: 'stirling-street-setbacks',
+      title: 'Street Setbacks',
+      fields: ['setbacks.primaryStreet', 'setbacks.secondaryStreet'],
+    }]);
+  });
+
+  it('layers over the rule set in force', () => {
+    const rules = getRCodeRules('R40', { ruleSet: 'mdc-2024', lga: 'stirling' });
+    expect(rules.ruleSet).toBe('mdc-2024');
+    expect(rules.setbacks.primaryStreet).toBe(6);
+    // The Medium Density Code minimum is untouched by the policy
+    expect(rules.setbacks.primaryStreetMin).toBe(1.5);
+  });
+
+  it('only applies a policy to the codes it lists', () => {
+    const rules = getRCodeRules('R60', { ...VOL1, lga: 'stirling' });
+    expect(rules.setbacks).toEqual(getRCodeRules('R60', VOL1).setbacks);
+    expect(rules.localPolicies).toEqual([]);
+  });
+
+  it('applies a policy without a code list to every code', () => {
+    for (const code of ['R20', 'R60', 'R-AC1']) {
+      const rules = getRCodeRules(code, { ...VOL1, lga: 'Town of Bayswater' });
+      expect(rules.deepSoil).toEqual({ minRatio: 0.15 });
+      expect(rules.treeCanopy.treesPerDwelling).toBe(1);
+    }
+  });
+
+  it('assesses an area without a pack on the R-Codes alone', () => {
+    const rules = getRCodeRules('R40', { ...VOL1, lga: 'Shire of Nowhere' });
+    expect(rules.lga).toBeNull();
+    expect(rules.localPolicies).toEqual([]);
+    expect(rules.maxStories).toBe(getRCodeRules('R40', VOL1).maxStories);
+  });
+
+  it('lists the active overrides and names them on the checks they vary', () => {
+    const result = checkCompliance({
+      lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R40', ruleSet: 'rcodes-vol1', lga: 'vincent',
+      proposedDwellings: 4, proposedGFA: 500, proposedSiteCoverage: 450,
+      proposedOpenSpace: 550, proposedHeight: 3, proposedWallHeight: 9, proposedParkingBays: 7,
+    });
+    expect(result.localPolicies.map(p => p.id)).toEqual(['vincent-building-height']);
+    for (const name of ['Storeys', 'Wall Height']) {
+      const height = result.checks.find(c => c.name === name);
+      expect(height.compliant).toBe(false);
+      expect(height.localPolicy).toBe('City of Vincent — Built Form — Building Height');
+    }
+    expect(result.checks.find(c => c.name === 'Plot Ratio').localPolicy).toBeUndefined();
+  });
+});
+
+describe('checkCompliance — parking and setbacks', () => {
+  // R40 Volume 1: 1.5 bays/dwelling + 0.25 visitor → 4 dwellings need 6 + 1 = 7
+  // Setbacks: primary 4m, side 1.0m, rear 1.5m
+  const base = {
+    lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R40', ruleSet: 'rcodes-vol1',
+    proposedDwellings: 4, proposedGFA: 500, proposedSiteCoverage: 450,
+    proposedOpenSpace: 550, proposedHeight: 2, proposedDeepSoil: 100, proposedTrees: 4,
+  };
+  const building = { name: 'Block A', setbacks: { primaryStreet: 4, side: 1.5, rear: 2 } };
+  const check = (result, name) => result.checks.find(c => c.name === name);
+
+  it('passes when enough bays and setbacks are proposed', () => {
+    const result = checkCompliance({ ...base, proposedParkingBays: 7, proposedBuildings: [building] });
+    expect(check(result, 'Parking Bays')).toMatchObject({ proposed: '7 bays provided', compliant: true });
+    expect(check(result, 'Primary Setback').compliant).toBe(true);
+    expect(check(result, 'Side Setbacks')).toMatchObject({ proposed: '1.5m', compliant: true });
+    expect(check(result, 'Rear Setback')).toMatchObject({ proposed: '2m', compliant: true });
+    expect(result.valid).toBe(true);
+  });
+
+  it('fails a parking shortfall', () => {
+    const result = checkCompliance({ ...base, proposedParkingBays: 6, proposedBuildings: [building] });
+    expect(check(result, 'Parking Bays').compliant).toBe(false);
+    expect(result.valid).toBe(false);
+  });
+
+  it('fails missing visitor bays however many residents have', () => {
+    const result = checkCompliance({ ...base, proposedParkingBays: 8, proposedVisitorBays: 0, proposedBuildings: [building] });
+    expect(check(result, 'Parking Bays')).toMatchObject({
+      allowed: '7 bays required, 1 for visitors',
+      proposed: '8 bays provided, 0 for visitors',
+      compliant: false,
+    });
+  });
+
+  it('fails on the building closest to each boundary', () => {
+    const result = checkCompliance({
+      ...base,
+      proposedParkingBays: 7,
+      proposedBuildings: [
+        building,
+        { name: 'Block B', setbacks: { primaryStreet: null, side: 0.8, rear: 1.0 } },
+      ],
+    });
+    expect(check(result, 'Primary Setback').compliant).toBe(true);
+    expect(check(result, 'Side Setbacks')).toMatchObject({ proposed: '0.8m (Block B)', compliant: false });
+    expect(check(result, 'Rear Setback')).toMatchObject({ proposed: '1m (Block B)', compliant: false });
+    expect(result.valid).toBe(false);
+  });
+
+  it('does not pass checks when nothing is proposed', () => {
+    const result = checkCompliance(base);
+    for (const name of ['Parking Bays', 'Primary Setback', 'Side Setbacks', 'Rear Setback']) {
+      expect(check(result, name)).toMatchObject({ proposed: 'Not provided', compliant: false });
+    }
+    expect(result.valid).toBe(false);
+  });
+
+  it('averages street setbacks under the Medium Density Code', () => {
+    // MDC R40: 3m average, 1.5m minimum
+    const mdc = { ...base, ruleSet: 'mdc-2024', proposedParkingBays: 7 };
+    const buildings = (a, b) => [
+      { name: 'Front A', setbacks: { primaryStreet: a, side: 1.2, rear: 20 } },
+      { name: 'Front B', setbacks: { primaryStreet: b, side: 1.2, rear: 20 } },
+    ];
+    // 2m and 4m average 3m, neither inside 1.5m
+    const ok = checkCompliance({ ...mdc, proposedBuildings: buildings(2, 4) });
+    expect(check(ok, 'Primary Setback')).toMatchObject({ proposed: '3m average, 2m (Front A) min', compliant: true });
+    // Average still 3m, but 1m breaches the minimum
+    const tooClose = checkCompliance({ ...mdc, proposedBuildings: buildings(1, 5) });
+    expect(check(tooClose, 'Primary Setback').compliant).toBe(false);
+    // Both above the minimum, but the average is short
+    const shortAverage = checkCompliance({ ...mdc, proposedBuildings: buildings(2, 2.5) });
+    expect(check(shortAverage, 'Primary Setback').compliant).toBe(false);
+  });
+});
+
+describe('calculateLandscapeRequirements', () => {
+  it('requires a share of the site as deep soil and a tree per dwelling', () => {
+    // R30 Volume 1: 7% of 1000 sqm, 4 trees need 36 sqm
+    const result = calculateLandscapeRequirements(1000, 4, 'R30', VOL1);
+    expect(result.deepSoilArea).toBeCloseTo(70);
+    expect(result.trees).toBe(4);
+  });
+
+  it('raises deep soil to 10% under the Medium Density Code', () => {
+    const result = calculateLandscapeRequirements(1000, 4, 'R30', { ruleSet: 'mdc-2024' });
+    expect(result.deepSoilRatio).toBe(0.10);
+    expect(result.deepSoilArea).toBeCloseTo(100);
+  });
+
+  it('grows the deep soil area to fit every tree', () => {
+    // 12 trees × 9 sqm outweighs 7% of 600 sqm
+    expect(calculateLandscapeRequirements(600, 12, 'R60', VOL1).deepSoilArea).toBe(108);
+  });
+
+  it('needs fewer trees per dwelling at multiple-dwelling codes', () => {
+    expect(calculateLandscapeRequirements(1000, 9, 'R80').trees).toBe(5);
+  });
+
+  it('defines deep soil and trees for every code', () => {
+    for (const code of [...DENSITY_CODES, ...ACTIVITY_CENTRE_CODES]) {
+      const result = calculateLandscapeRequirements(1000, 1, code);
+      expect(result.deepSoilArea).toBeGreaterThan(0);
+      expect(result.trees).toBeGreaterThanOrEqual(1);
+    }
+  });
+
+  it('returns null for an unknown code', () => {
+    expect(calculateLandscapeRequirements(1000, 1, 'R99')).toBeNull();
+  });
+});
+
+describe('checkCompliance — deep soil and trees', () => {
+  // R40 Volume 1, 4 dwellings: 70 sqm deep soil, 4 trees
+  const base = {
+    lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R40', ruleSet: 'rcodes-vol1',
+    proposedDwellings: 4, proposedGFA: 500, proposedSiteCoverage: 450,
+    proposedOpenSpace: 550, proposedHeight: 2, proposedParkingBays: 7,
+    proposedBuildings: [{ name: 'Block A', setbacks: { primaryStreet: 4, side: 1.5, rear: 2 } }],
+  };
+  const check = (result, name) => result.checks.find(c => c.name === name);
+
+  it('passes when the deep soil area and trees are provided', () => {
+    const result = checkCompliance({ ...base, proposedDeepSoil: 80, proposedTrees: 4 });
+    expect(check(result, 'Deep Soil Area')).toMatchObject({
+      allowed: '70sqm (7% of site)',
+      proposed: '80sqm (8.0%)',
+      compliant: true,
+    });
+    expect(check(result, 'Trees')).toMatchObject({ proposed: '4 trees provided', compliant: true });
+    expect(result.landscape.trees).toBe(4);
+    expect(result.valid).toBe(true);
+  });
+
+  it('fails a deep soil or tree shortfall', () => {
+    const shortSoil = checkCompliance({ ...base, proposedDeepSoil: 60, proposedTrees: 4 });
+    expect(check(shortSoil, 'Deep Soil Area').compliant).toBe(false);
+    expect(shortSoil.valid).toBe(false);
+
+    const shortTrees = checkCompliance({ ...base, proposedDeepSoil: 80, proposedTrees: 3 });
+    expect(check(shortTrees, 'Trees').compliant).toBe(false);
+    expect(shortTrees.valid).toBe(false);
+  });
+
+  it('does not pass when nothing is proposed', () => {
+    const result = checkCompliance(base);
+    expect(check(result, 'Deep Soil Area')).toMatchObject({ proposed: 'Not provided', compliant: false });
+    expect(check(result, 'Trees')).toMatchObject({ proposed: 'Not provided', compliant: false });
+  });
+});
+
+describe('assessSiteArea', () => {
+  // R40: 180 sqm minimum, 220 sqm average
+  it('splits the site evenly without lots', () => {
+    const result = assessSiteArea({ lotArea: 900, numDwellings: 4 }, 'R40');
+    expect(result.average).toBe(225);
+    expect(result.minimum).toBe(225);
+    expect(result.compliant).toBe(true);
+  });
+
+  it('fails when the average is short', () => {
+    const result = assessSiteArea({ lotArea: 800, numDwellings: 4 }, 'R40');
+    expect(result.averageOk).toBe(false);
+    expect(result.compliant).toBe(false);
+  });
+
+  it('credits each survey-strata lot an equal share of common property', () => {
+    // 100 sqm of driveway shared by four lots adds 25 sqm to each
+    const result = assessSiteArea(
+      { lotArea: 1000, commonPropertyArea: 100, lotAreas: [160, 200, 240, 300] },
+      'R40'
+    );
+    expect(result.commonPropertyShare).toBe(25);
+    expect(result.siteAreas).toEqual([185, 225, 265, 325]);
+    expect(result.average).toBe(250);
+    expect(result.compliant).toBe(true);
+  });
+
+  it('fails a lot under the minimum even when the average is met', () => {
+    const result = assessSiteArea(
+      { lotArea: 1000, commonPropertyArea: 100, lotAreas: [140, 220, 240, 300] },
+      'R40'
+    );
+    expect(result.minimum).toBe(165);
+    expect(result.averageOk).toBe(true);
+    expect(result.minimumOk).toBe(false);
+  });
+});
+
+describe('assessAncillaryDwelling', () => {
+  it('allows one granny flat of up to 70 sqm beside a single house on 350 sqm or more', () => {
+    const result = assessAncillaryDwelling({ lotArea: 450, floorArea: 70 }, 'R20');
+    expect(result.required).toEqual({ minLotArea: 350, maxPlotRatioArea: 70 });
+    expect(result.compliant).toBe(true);
+    expect(result.variation).toBe(0);
+    expect(result.parkingBays).toBe(1);
+  });
+
+  it('measures a small lot or an oversized flat as a variation', () => {
+    const result = assessAncillaryDwelling({ lotArea: 315, floorArea: 77 }, 'R20');
+    expect(result.lotAreaOk).toBe(false);
+    expect(result.floorAreaOk).toBe(false);
+    expect(result.variation).toBeCloseTo(0.1);
+  });
+
+  it('only pairs a granny flat with a single house', () => {
+    const result = assessAncillaryDwelling({ lotArea: 900, floorArea: 60, houses: 2 }, 'R20');
+    expect(result.singleHouse).toBe(false);
+    expect(result.compliant).toBe(false);
+    expect(classifyVariation('ancillaryDwelling', result.variation, { ancillaryDwelling: 0.5 })).toBe('non-compliant');
+  });
+
+  it('needs no car bay close to frequent public transport', () => {
+    expect(assessAncillaryDwelling({ lotArea: 450, floorArea: 70, nearTransit: true }, 'R20').parkingBays).toBe(0);
+    const parking = options => calculateParkingRequirements(1, 'R20', { ancillaryDwellings: 1, ...options });
+    expect(parking().residentBays).toBe(3);
+    expect(parking({ nearTransit: true }).residentBays).toBe(2);
+  });
+});
+
+describe('checkCompliance — ancillary dwelling', () => {
+  const params = {
+    lotArea: 600,
+    lotWidth: 15,
+    lotDepth: 40,
+    rCode: 'R20',
+    proposedDwellings: 2,
+    proposedAncillary: { dwellings: 1, floorArea: 70 },
+    proposedGFA: 270,
+    proposedSiteCoverage: 250,
+    proposedOpenSpace: 350,
+    proposedHeight: 2,
+    proposedParkingBays: 4,
+  };
+
+  it('assesses the granny flat and leaves it out of the site area per dwelling', () => {
+    const result = checkCompliance(params);
+    expect(result.checks.find(c => c.name === 'Ancillary Dwelling')).toMatchObject({ compliant: true, variation: 0 });
+    expect(result.checks.find(c => c.name === 'Site Area per Dwelling').compliant).toBe(true);
+    expect(result.parking.totalBays).toBe(4);
+  });
+
+  it('fails a granny flat over the floor area cap', () => {
+    const result = checkCompliance({ ...params, proposedAncillary: { dwellings: 1, floorArea: 90 } });
+    expect(result.checks.find(c => c.name === 'Ancillary Dwelling').compliant).toBe(false);
+    expect(result.valid).toBe(false);
+  });
+});
+
+describe('assessOutdoorLiving', () => {
+  const courtyard = { name: 'Dwelling 1', area: 24, width: 6, depth: 4, coveredArea: 6 };
+
+  it('passes a courtyard meeting the area, dimension and uncovered share', () => {
+    // R30: 24 sqm, 4m minimum, two-thirds uncovered
+    const result = assessOutdoorLiving([courtyard], 'R30');
+    expect(result.required.minArea).toBe(24);
+    expect(result.dwellings[0]).toMatchObject({ minDimension: 4, uncoveredRatio: 0.75, compliant: true });
+    expect(result.compliant).toBe(true);
+  });
+
+  it('needs more area at lower codes', () => {
+    expect(assessOutdoorLiving([courtyard], 'R20').compliant).toBe(false);
+  });
+
+  it('fails a courtyard that is too narrow', () => {
+    const narrow = { ...courtyard, width: 8, depth: 3 };
+    expect(assessOutdoorLiving([narrow], 'R30').dwellings[0].compliant).toBe(false);
+  });
+
+  it('fails a courtyard that is mostly roofed', () => {
+    const roofed = { ...courtyard, coveredArea: 12 };
+    expect(assessOutdoorLiving([roofed], 'R30').compliant).toBe(false);
+  });
+
+  it('fails the whole site when any one dwelling falls short', () => {
+    const result = assessOutdoorLiving([courtyard, { ...courtyard, name: 'Dwelling 2', area: 16 }], 'R30');
+    expect(result.dwellings.map(d => d.compliant)).toEqual([true, false]);
+    expect(result.compliant).toBe(false);
+  });
+});
+
+describe('checkCompliance — site area', () => {
+  const base = {
+    lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R40', ruleSet: 'rcodes-vol1',
+    proposedDwellings: 4, proposedGFA: 500, proposedSiteCoverage: 450,
+    proposedOpenSpace: 550, proposedHeight: 2,
+  };
+  const check = result => result.checks.find(c => c.name === 'Site Area per Dwelling');
+
+  it('reports the site area achieved per dwelling', () => {
+    expect(check(checkCompliance(base))).toMatchObject({
+      allowed: '180sqm min, 220sqm average',
+      proposed: '250sqm min, 250sqm average',
+      compliant: true,
+    });
+  });
+
+  it('fails too many dwellings for the average', () => {
+    const result = checkCompliance({ ...base, proposedDwellings: 5 });
+    expect(check(result)).toMatchObject({ proposed: '200sqm min, 200sqm average', compliant: false });
+    expect(result.valid).toBe(false);
+  });
+
+  it('measures the smallest survey-strata lot', () => {
+    const result = checkCompliance({
+      ...base,
+      proposedLots: [140, 220, 240, 300],
+      commonPropertyArea: 100,
+    });
+    expect(check(result)).toMatchObject({ proposed: '165sqm min, 250sqm average', compliant: false });
+  });
+});
+
+describe('checkCompliance — outdoor living', () => {
+  const base = {
+    lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R30', ruleSet: 'rcodes-vol1',
+    proposedDwellings: 2, proposedGFA: 300, proposedSiteCoverage: 300,
+    proposedOpenSpace: 700, proposedHeight: 2, proposedParkingBays: 5,
+    proposedDeepSoil: 100, proposedTrees: 2,
+    proposedBuildings: [{ name: 'Block A', setbacks: { primaryStreet: 6, side: 1.5, rear: 4 } }],
+  };
+  const courtyard = name => ({ name, area: 30, width: 7.5, depth: 4, coveredArea: 8 });
+  const check = result => result.checks.find(c => c.name === 'Outdoor Living');
+
+  it('counts the dwellings that fall short', () => {
+    const result = checkCompliance({
+      ...base,
+      proposedOutdoorLiving: [courtyard('Dwelling 1'), { ...courtyard('Dwelling 2'), area: 24, depth: 3.2 }],
+    });
+    expect(check(result)).toMatchObject({
+      allowed: '24sqm, 4m min, 67% uncovered',
+      proposed: '1 of 2 dwellings short',
+      compliant: false,
+    });
+    expect(result.valid).toBe(false);
+  });
+
+  it('passes when every dwelling has its outdoor living area', () => {
+    const result = checkCompliance({ ...base, proposedOutdoorLiving: [courtyard('Dwelling 1'), courtyard('Dwelling 2')] });
+    expect(check(result)).toMatchObject({ proposed: '30sqm smallest (Dwelling 1)', compliant: true });
+    expect(result.valid).toBe(true);
+  });
+
+  it('is skipped when outdoor living areas are not given', () => {
+    const result = checkCompliance(base);
+    expect(check(result)).toBeUndefined();
+    expect(result.outdoorLiving).toBeNull();
+  });
+});
+
+describe('design-principles variations', () => {
+  it('measures how far a value falls outside a limit', () => {
+    expect(measureVariation(0.66, 0.6)).toBeCloseTo(0.1);
+    expect(measureVariation(0.5, 0.6)).toBe(0);
+    expect(measureVariation(270, 300, 'min')).toBeCloseTo(0.1);
+    expect(measureVariation(null, 300, 'min')).toBeNull();
+  });
+
+  it('classifies a variation against its tolerance band', () => {
+    expect(classifyVariation('plotRatio', 0, {})).toBe('compliant');
+    expect(classifyVariation('plotRatio', 0.05, { plotRatio: 0.1 })).toBe('design-principles');
+    expect(classifyVariation('plotRatio', 0.1, { plotRatio: 0.1 })).toBe('design-principles');
+    expect(classifyVariation('plotRatio', 0.15, { plotRatio: 0.1 })).toBe('non-compliant');
+    expect(classifyVariation('plotRatio', 0.05, { siteCoverage: 0.1 })).toBe('non-compliant');
+    expect(classifyVariation('deepSoil', null, { deepSoil: 0.5 })).toBe('non-compliant');
+  });
+});
+
+describe('checkCompliance — design principles', () => {
+  const maxPlotRatio = getRCodeRules('R40', VOL1).maxPlotRatio;
+  const base = {
+    lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R40', ruleSet: 'rcodes-vol1',
+    proposedDwellings: 4, proposedSiteCoverage: 450, proposedOpenSpace: 550,
+    proposedHeight: 2, proposedParkingBays: 7, proposedDeepSoil: 80, proposedTrees: 4,
+    proposedBuildings: [{ name: 'Block A', setbacks: { primaryStreet: 4, side: 1.5, rear: 2 } }],
+  };
+  // Plot ratio 5% over the deemed-to-comply limit
+  const overBy5 = { ...base, proposedGFA: 1000 * maxPlotRatio * 1.05 };
+  const check = (result, name) => result.checks.find(c => c.name === name);
+
+  it('fails any miss when no tolerance is set', () => {
+    const result = checkCompliance(overBy5);
+    expect(check(result, 'Plot Ratio').status).toBe('non-compliant');
+    expect(result.valid).toBe(false);
+    expect(result.requiresDesignPrinciples).toBe(false);
+  });
+
+  it('keeps a miss within tolerance for a design principles assessment', () => {
+    const result = checkCompliance({ ...overBy5, tolerances: { plotRatio: 0.1 } });
+    const plotRatio = check(result, 'Plot Ratio');
+    expect(plotRatio.compliant).toBe(false);
+    expect(plotRatio.status).toBe('design-principles');
+    expect(plotRatio.variation).toBeCloseTo(0.05);
+    expect(result.valid).toBe(true);
+    expect(result.deemedToComply).toBe(false);
+    expect(result.requiresDesignPrinciples).toBe(true);
+    expect(result.designPrinciples).toEqual([expect.objectContaining({
+      provision: 'plotRatio', name: 'Plot Ratio', tolerance: 0.1,
+    })]);
+    expect(check(result, 'Site Coverage').status).toBe('compliant');
+  });
+
+  it('fails a miss beyond the tolerance band', () => {
+    const result = checkCompliance({ ...overBy5, proposedGFA: 1000 * maxPlotRatio * 1.2, tolerances: { plotRatio: 0.1 } });
+    expect(check(result, 'Plot Ratio').status).toBe('non-compliant');
+    expect(result.valid).toBe(false);
+  });
+
+  it('bands every setback check under one provision', () => {
+    const result = checkCompliance({
+      ...base,
+      proposedGFA: 500,
+      proposedBuildings: [{ name: 'Block A', setbacks: { primaryStreet: 3.6, side: 1.5, rear: 2 } }],
+      tolerances: { setbacks: 0.1 },
+    });
+    expect(check(result, 'Primary Setback')).toMatchObject({ compliant: false, status: 'design-principles' });
+    expect(result.valid).toBe(true);
+  });
+});
+
+describe('checkCompliance — height in metres', () => {
+  // R30 Volume 1: 2 storeys, 6m wall, 9m building
+  const base = {
+    lotArea: 800, lotWidth: 16, lotDepth: 50, rCode: 'R30', ruleSet: 'rcodes-vol1',
+    proposedDwellings: 2, proposedGFA: 290, proposedSiteCoverage: 300,
+    proposedOpenSpace: 500, proposedHeight: 2, proposedParkingBays: 5,
+  };
+  const check = (result, name) => result.checks.find(c => c.name === name);
+
+  it('checks wall and building heights against the limits', () => {
+    const result = checkCompliance({ ...base, proposedWallHeight: 5.7, proposedBuildingHeight: 7.45 });
+    expect(check(result, 'Storeys')).toMatchObject({ allowed: '2 stories', compliant: true });
+    expect(check(result, 'Wall Height')).toMatchObject({
+      allowed: '6m above natural ground', proposed: '5.7m', compliant: true,
+    });
+    expect(check(result, 'Building Height')).toMatchObject({
+      allowed: '9m above natural ground', proposed: '7.45m', compliant: true,
+    });
+  });
+
+  it('fails a wall or roof over the limit', () => {
+    const result = checkCompliance({ ...base, proposedWallHeight: 6.3, proposedBuildingHeight: 9.2 });
+    expect(check(result, 'Wall Height').compliant).toBe(false);
+    expect(check(result, 'Building Height').compliant).toBe(false);
+    expect(result.valid).toBe(false);
+  });
+
+  it('allows a taller wall that conceals the roof', () => {
+    const result = checkCompliance({ ...base, proposedWallHeight: 6.6, proposedBuildingHeight: 6.6, roofForm: 'concealed' });
+    expect(check(result, 'Wall Height')).toMatchObject({ allowed: '7m above natural ground', compliant: true });
+  });
+
+  it('only checks storeys when no heights are given', () => {
+    const result = checkCompliance(base);
+    expect(check(result, 'Storeys')).toBeDefined();
+    expect(check(result, 'Wall Height')).toBeUndefined();
+    expect(check(result, 'Building Height')).toBeUndefined();
+  });
+});
+
+describe('assessStreetscape', () => {
+  const unit = (name, frontage, garageWidth) => ({ name, frontage, garageWidth, garageFacesStreet: true });
+
+  it('measures garage doors against the lot frontage', () => {
+    const result = assessStreetscape([unit('Dwelling 1', 7, 3.5), unit('Dwelling 2', 8, 6)], 20, 'R30', VOL1);
+    expect(result.garageWidth).toBeCloseTo(9.5);
+    expect(result.garageRatio).toBeCloseTo(0.475);
+    expect(result.maxGarageRatio).toBe(0.5);
+    expect(result.compliant).toBe(true);
+  });
+
+  it('flags garages over half the frontage unless an upper floor spans them', () => {
+    const units = [unit('Dwelling 1', 8, 6), unit('Dwelling 2', 8, 6)];
+    const result = assessStreetscape(units, 20, 'R30', VOL1);
+    expect(result.garageOk).toBe(false);
+    expect(result.variation).toBeCloseTo(0.2);
+
+    const under = assessStreetscape(units.map(u => ({ ...u, upperFloorOver: true })), 20, 'R30', VOL1);
+    expect(under.maxGarageRatio).toBe(0.6);
+    expect(under.garageOk).toBe(true);
+  });
+
+  it('needs every street-facing dwelling to address the street', () => {
+    const result = assessStreetscape([unit('Dwelling 1', 7, 6)], 20, 'R30', VOL1);
+    expect(result.dwellings[0]).toMatchObject({ activeFrontage: 1, addressesStreet: false });
+    expect(result.compliant).toBe(false);
+    expect(result.variation).toBeNull();
+    expect(assessStreetscape([], 20, 'R30', VOL1).addressesStreet).toBe(false);
+  });
+
+  it('ignores garages that open elsewhere and lots with no street', () => {
+    const result = assessStreetscape([{ ...unit('Dwelling 1', 7, 6), garageFacesStreet: false }], 20, 'R30', VOL1);
+    expect(result.garageWidth).toBe(0);
+    expect(result.compliant).toBe(true);
+    expect(assessStreetscape([], 20, 'R30', { ...VOL1, frontageType: 'battle-axe' }))
+      .toMatchObject({ applicable: false, compliant: true });
+  });
+});
+
+describe('checkCompliance — streetscape', () => {
+  const base = {
+    lotArea: 800, lotWidth: 16, lotDepth: 50, rCode: 'R30', ruleSet: 'rcodes-vol1',
+    proposedDwellings: 2, proposedGFA: 290, proposedSiteCoverage: 300,
+    proposedOpenSpace: 500, proposedHeight: 2, proposedParkingBays: 5,
+  };
+  const street = [{ name: 'Dwelling 1', frontage: 12, garageWidth: 6, garageFacesStreet: true, upperFloorOver: true }];
+  const check = (result, name) => result.checks.find(c => c.name === name);
+
+  it('checks garage width and street surveillance', () => {
+    const result = checkCompliance({ ...base, proposedStreetscape: street });
+    expect(check(result, 'Garage Width')).toMatchObject({
+      allowed: '60% of 16m frontage', proposed: '6m (37.5%)', compliant: true,
+    });
+    expect(check(result, 'Street Surveillance')).toMatchObject({
+      proposed: '1 of 1 street-facing dwellings address it', compliant: true,
+    });
+    expect(result.streetscape.compliant).toBe(true);
+  });
+
+  it('bands a garage width breach for design principles', () => {
+    const wide = [
+      { ...street[0], frontage: 8, upperFloorOver: false },
+      { ...street[0], name: 'Dwelling 2', frontage: 8, garageWidth: 3, upperFloorOver: false },
+    ];
+    const result = checkCompliance({ ...base, proposedStreetscape: wide, tolerances: { garageWidth: 0.2 } });
+    expect(check(result, 'Garage Width')).toMatchObject({ compliant: false, status: 'design-principles' });
+    expect(result.designPrinciples.map(d => d.provision)).toContain('garageWidth');
+  });
+
+  it('has nothing to check on a battle-axe lot', () => {
+    const result = checkCompliance({ ...base, frontageType: 'battle-axe', proposedStreetscape: [] });
+    expect(check(result, 'Garage Width')).toMatchObject({ proposed: 'N/A', compliant: true });
+    expect(check(result, 'Street Surveillance')).toBeUndefined();
+  });
+
+  it('is skipped when street-facing dwellings are not given', () => {
+    const result = checkCompliance(base);
+    expect(check(result, 'Garage Width')).toBeUndefined();
+    expect(result.streetscape).toBeNull();
+  });
+});
+
+describe('checkCompliance — massing', () => {
+  const base = {
+    lotArea: 600, lotWidth: 15, lotDepth: 40, rCode: 'R20',
+    proposedDwellings: 1, proposedGFA: 200, proposedSiteCoverage: 200,
+    proposedOpenSpace: 400, proposedHeight: 2, proposedParkingBays: 3,
+    proposedBuildings: [{ name: 'House', setbacks: { primaryStreet: 6, side: 1.5, rear: 8 } }],
+  };
+  const check = (result, name) => result.checks.find(c => c.name === name);
+
+  it('holds each wall to its own table setback', () => {
+    const massing = {
+      storeys: [{
+        wallHeight: 6,
+        walls: [
+          { boundary: 'left', length: 18, setback: 2.2 },
+          // 6m high with major openings, 18m long needs 2.9m
+          { boundary: 'right', length: 18, majorOpenings: true, setback: 2.5 },
+          { boundary: 'rear', length: 12, setback: 8 },
+        ],
+      }],
+    };
+    const result = checkCompliance({ ...base, massing });
+    expect(check(result, 'Side Setbacks')).toMatchObject({
+      allowed: '2.9m (Table 2b)',
+      proposed: '2.5m (storey 1 right wall)',
+      compliant: false,
+    });
+    expect(check(result, 'Rear Setback').compliant).toBe(true);
+    expect(result.valid).toBe(false);
+  });
+
+  it('reports boundary walls and accepts an allowed nil setback', () => {
+    const massing = {
+      storeys: [{
+        wallHeight: 3,
+        walls: [
+          { boundary: 'left', length: 9, nilSetback: true, setback: 0 },
+          { boundary: 'right', length: 18, setback: 1.5 },
+        ],
+      }],
+    };
+    const result = checkCompliance({ ...base, massing });
+    expect(check(result, 'Side Setbacks').compliant).toBe(true);
+    expect(check(result, 'Boundary Walls').compliant).toBe(true);
+  });
+});
+
+describe('getBuildingSeparation', () => {
+  it('steps the separation up with the storey and for major openings', () => {
+    const rules = getRCodeRules('R80');
+    expect(getBuildingSeparation(rules, 1, 'left')).toBe(3);
+    expect(getBuildingSeparation(rules, 4, 'left', true)).toBe(6);
+    expect(getBuildingSeparation(rules, 5, 'rear')).toBe(4.5);
+    expect(getBuildingSeparation(rules, 8, 'right', true)).toBe(9);
+    expect(getBuildingSeparation(rules, 9, 'rear', true)).toBe(12);
+  });
+
+  it('lets the podium stand on the side boundaries where the code allows a nil setback', () => {
+    const rules = getRCodeRules('R-AC1');
+    expect(getBuildingSeparation(rules, 1, 'left')).toBe(0);
+    expect(getBuildingSeparation(rules, 2, 'right', true)).toBe(0);
+    expect(getBuildingSeparation(rules, 2, 'rear')).toBe(3);
+    expect(getBuildingSeparation(rules, 3, 'left')).toBe(3);
+  });
+});
+
+describe('checkCompliance — multiple dwellings', () => {
+  // 20 dwellings on 800 sqm at R80, far below its site area per dwelling
+  const base = {
+    lotArea: 800, lotWidth: 20, lotDepth: 40, rCode: 'R80',
+    proposedDwellings: 20, proposedGFA: 800, proposedSiteCoverage: 400,
+    proposedOpenSpace: 400, proposedHeight: 3, proposedParkingBays: 20,
+  };
+  const siteArea = result => result.checks.find(c => c.provision === 'siteArea');
+
+  it('controls density by plot ratio rather than site area', () => {
+    expect(siteArea(checkCompliance(base)).compliant).toBe(false);
+    const multiple = checkCompliance({ ...base, dwellingType: 'multiple' });
+    expect(siteArea(multiple)).toMatchObject({
+      allowed: 'Not applicable (multiple dwellings, by plot ratio)',
+      proposed: '40sqm average',
+      compliant: true,
+    });
+    expect(multiple.siteArea).toBeNull();
+  });
+
+  it('holds a multiple-dwelling massing to building separation', () => {
+    const massing = {
+      multipleDwelling: true,
+      storeys: [1, 2, 3].map(storey => ({
+        wallHeight: storey * 3,
+        walls: [
+          { boundary: 'left', length: 30, setback: 3 },
+          { boundary: 'rear', length: 20, majorOpenings: true, setback: storey === 3 ? 5 : 6 },
+        ],
+      })),
+    };
+    const result = checkCompliance({ ...base, dwellingType: 'multiple', massing });
+    expect(result.checks.find(c => c.name === 'Side Setbacks').compliant).toBe(true);
+    expect(result.checks.find(c => c.name === 'Rear Setback')).toMatchObject({
+      allowed: '6m (building separation)',
+      proposed: '5m (storey 3 rear wall)',
+      compliant: false,
+    });
+  });
+});
+
+describe('overshadowing', () => {
+  it('limits overshadowing by density', () => {
+    expect(getOvershadowingLimit('R20')).toBe(0.25);
+    expect(getOvershadowingLimit('R40', VOL1)).toBe(0.35);
+    expect(getOvershadowingLimit('R80')).toBe(0.50);
+    // Medium Density Code sets its own figure
+    expect(getOvershadowingLimit('R50', { ruleSet: 'mdc-2024' })).toBe(0.50);
+  });
+
+  // Tall block close to the rear boundary of a 15m × 30m R20 lot
+  const params = {
+    lotArea: 450, lotWidth: 15, lotDepth: 30, rCode: 'R20',
+    proposedDwellings: 1, proposedGFA: 150, proposedSiteCoverage: 150,
+    proposedOpenSpace: 300, proposedHeight: 2, proposedParkingBays: 3,
+    massing: {
+      storeys: [{
+        wallHeight: 9,
+        walls: [
+          { boundary: 'left', length: 10, setback: 1.5 },
+          { boundary: 'right', length: 10, setback: 1.5 },
+          { boundary: 'rear', length: 12, setback: 2 },
+        ],
+      }],
+    },
+  };
+  const check = result => result.checks.find(c => c.name === 'Overshadowing');
+
+  it('fails when the southern lot is over the limit', () => {
+    // 9m wall → 13m shadow, 11m onto the rear lot across 12m = 132 of 450 sqm (29%)
+    const result = checkCompliance({ ...params, frontageFacing: 'N' });
+    expect(result.overshadowing.southern.boundary).toBe('rear');
+    expect(check(result)).toMatchObject({ allowed: '25% of southern lot', compliant: false });
+    expect(result.valid).toBe(false);
+  });
+
+  it('passes when the street is to the south', () => {
+    const result = checkCompliance({ ...params, frontageFacing: 'S' });
+    expect(check(result)).toMatchObject({ proposed: 'Street to the south', compliant: true });
+  });
+
+  it('assumes a north-facing frontage when none is given', () => {
+    const result = checkCompliance(params);
+    expect(result.overshadowing.frontageAssumed).toBe(true);
+    expect(result.overshadowing.frontageFacing).toBe('N');
+  });
+
+  it('is skipped without a massing to measure', () => {
+    const { massing: _massing, ...withoutMassing } = params;
+    const result = checkCompliance(withoutMassing);
+    expect(check(result)).toBeUndefined();
+    expect(result.overshadowing).toBeNull();
+  });
+});
+
+describe('assessPrivacy', () => {
+  // 20m × 40m lot, openings on an upper floor 3m above ground
+  const opening = overrides => ({
+    name: 'Opening', type: 'window', room: 'bedroom', u: 10, v: 36,
+    facing: 'rear', floorLevel: 3, ...overrides,
+  });
+  const assess = (...openings) => assessPrivacy(openings, 20, 40);
+
+  it('uses 4.5m for bedrooms, 6m for other habitable rooms and 7.5m for balconies', () => {
+    const { openings } = assess(
+      opening({ room: 'bedroom' }),
+      opening({ room: 'study' }),
+      opening({ room: 'living' }),
+      opening({ type: 'balcony', room: undefined }),
+    );
+    expect(openings.map(o => o.requiredDistance)).toEqual([4.5, 4.5, 6, 7.5]);
+  });
+
+  it('measures straight ahead to the boundary the opening faces', () => {
+    const [bedroom] = assess(opening({ v: 35 })).openings;
+    expect(bedroom).toMatchObject({ nearestBoundary: 'rear', distance: 5, needsScreening: false });
+  });
+
+  it('flags openings inside their cone of vision', () => {
+    const result = assess(opening({ room: 'living', v: 35 }));
+    expect(result.openings[0]).toMatchObject({ distance: 5, needsScreening: true, compliant: false });
+    expect(result.needsScreening).toBe(1);
+    expect(result.compliant).toBe(false);
+  });
+
+  it('catches a side boundary at the edge of the cone', () => {
+    // 2m from the left boundary looking at the rear: the 45° cone edge meets
+    // the side boundary 2√2 ≈ 2.83m away, closer than the 5m to the rear
+    const [result] = assess(opening({ u: 2, v: 35 })).openings;
+    expect(result.nearestBoundary).toBe('left');
+    expect(result.distance).toBeCloseTo(2 * Math.SQRT2);
+    expect(result.needsScreening).toBe(true);
+  });
+
+  it('measures from the near edge of a wide opening', () => {
+    const [narrow] = assess(opening({ u: 3, v: 35 })).openings;
+    const [wide] = assess(opening({ u: 3, v: 35, width: 2 })).openings;
+    expect(narrow.distance).toBeCloseTo(3 * Math.SQRT2);
+    expect(wide.distance).toBeCloseTo(2 * Math.SQRT2);
+  });
+
+  it('ignores the street boundary', () => {
+    const [result] = assess(opening({ v: 2, facing: 'front' })).openings;
+    expect(result.distance).toBeNull();
+    expect(result.needsScreening).toBe(false);
+  });
+
+  it('exempts openings within 0.5m of natural ground', () => {
+    const [result] = assess(opening({ room: 'living', v: 38, floorLevel: 0.5 })).openings;
+    expect(result).toMatchObject({ exempt: true, needsScreening: false, compliant: true });
+  });
+
+  it('accepts screened openings but still flags them', () => {
+    const [result] = assess(opening({ v: 38, screened: true })).openings;
+    expect(result).toMatchObject({ needsScreening: true, screened: true, compliant: true });
+  });
+
+  it('adds a Visual Privacy check to checkCompliance', () => {
+    const result = checkCompliance({
+      lotArea: 800, lotWidth: 20, lotDepth: 40, rCode: 'R40',
+      proposedDwellings: 1, proposedGFA: 200, proposedSiteCoverage: 200,
+      proposedOpenSpace: 600, proposedHeight: 2,
+      openings: [opening({ v: 38 }), opening({ v: 38, u: 12, screened: true }), opening({ v: 30 })],
+    });
+    const privacy = result.checks.find(c => c.name === 'Visual Privacy');
+    expect(privacy).toMatchObject({ proposed: '1 screened, 1 need screening', compliant: false });
+    expect(result.privacy.needsScreening).toBe(2);
+  });
+});
+
+describe('parseSplitCode', () => {
+  it('splits a dual code into base and bonus codes', () => {
+    expect(parseSplitCode('R20/R40')).toEqual({ baseCode: 'R20', bonusCode: 'R40', label: 'R20/R40' });
+  });
+
+  it('accepts the bonus code without its prefix', () => {
+    expect(parseSplitCode('R20/40')).toEqual({ baseCode: 'R20', bonusCode: 'R40', label: 'R20/R40' });
+    expect(parseSplitCode('R12.5/60').bonusCode).toBe('R60');
+  });
+
+  it('returns null for single or malformed codes', () => {
+    expect(parseSplitCode('R40')).toBeNull();
+    expect(parseSplitCode('R20/R45')).toBeNull();
+    expect(parseSplitCode('R20/R40/R60')).toBeNull();
+    expect(parseSplitCode('R40/R40')).toBeNull();
+    expect(parseSplitCode(undefined)).toBeNull();
+  });
+
+  it('rejects a bonus code no denser than the base code', () => {
+    expect(parseSplitCode('R40/R20')).toBeNull();
+    expect(parseSplitCode('R60/40')).toBeNull();
+  });
+
+  it('isValidRCode accepts single and split codes', () => {
+    expect(isValidRCode('R40')).toBe(true);
+    expect(isValidRCode('R20/R40')).toBe(true);
+    expect(isValidRCode('R99')).toBe(false);
+  });
+});
+
+describe('evaluateBonusEligibility', () => {
+  const site = { lotArea: 1012, lotWidth: 20.1, dwellingType: 'grouped' };
+
+  it('is eligible when the default frontage and dwelling type conditions are met', () => {
+    const result = evaluateBonusEligibility(site);
+    expect(result.eligible).toBe(true);
+    expect(result.conditions.map(c => c.name)).toEqual(['Street Frontage', 'Dwelling Type']);
+  });
+
+  it('fails on narrow frontage', () => {
+    const result = evaluateBonusEligibility({ ...site, lotWidth: 15 });
+    expect(result.eligible).toBe(false);
+    expect(result.conditions.find(c => c.name === 'Street Frontage').met).toBe(false);
+  });
+
+  it('checks amalgamation, site area and laneway access when required', () => {
+    const conditions = { requiresAmalgamation: true, minLotArea: 1500, requiresLanewayAccess: true };
+    const result = evaluateBonusEligibility(site, conditions);
+    expect(result.eligible).toBe(false);
+    expect(result.conditions.filter(c => !c.met).map(c => c.name))
+      .toEqual(['Lot Amalgamation', 'Site Area', 'Laneway Access']);
+
+    const met = evaluateBonusEligibility(
+      { ...site, lotArea: 1600, amalgamated: true, lanewayAccess: true },
+      conditions
+    );
+    expect(met.eligible).toBe(true);
+  });
+
+  it('restricts the bonus to the listed dwelling types', () => {
+    const result = evaluateBonusEligibility(
+      { ...site, dwellingType: 'single' },
+      { dwellingTypes: ['multiple'] }
+    );
+    expect(result.eligible).toBe(false);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toBearing,
+  toCompass,
+  getNoonSunAltitude,
+  footprintsFromMassing,
+  calculateOvershadowing,
+} from '../../../src/engines/solarEngine.js';
+
+// 20m × 40m lot with a 6m-high block 1.5m off the left boundary, 6m off the
+// right and 6m off the rear: u 1.5–14, v 4–34
+const lot = { lotWidth: 20, lotDepth: 40 };
+const block = { u0: 1.5, u1: 14, v0: 4, v1: 34, height: 6 };
+const PERTH = -31.95;
+// Noon sun at Perth on 21 June: 90 - (31.95 + 23.44) = 34.61°
+const shadowLength = height => height / Math.tan(34.61 * Math.PI / 180);
+
+describe('bearings', () => {
+  it('converts compass points and bearings both ways', () => {
+    expect(toBearing('SE')).toBe(135);
+    expect(toBearing('nw')).toBe(315);
+    expect(toBearing(-90)).toBe(270);
+    expect(toBearing('up')).toBeNull();
+    expect(toCompass(100)).toBe('E');
+    expect(toCompass(350)).toBe('N');
+  });
+});
+
+describe('getNoonSunAltitude', () => {
+  it('is about 34.6° in Perth at midwinter', () => {
+    expect(getNoonSunAltitude(PERTH)).toBeCloseTo(34.61, 2);
+  });
+
+  it('is lower further south', () => {
+    expect(getNoonSunAltitude(-35)).toBeLessThan(getNoonSunAltitude(PERTH));
+  });
+});
+
+describe('calculateOvershadowing', () => {
+  it('shadows the rear lot when the street is to the north', () => {
+    const result = calculateOvershadowing({ ...lot, footprints: [block], frontageFacing: 'N', latitude: PERTH });
+    expect(result.southern.boundary).toBe('rear');
+    // Shadow runs past the 6m rear setback onto a 12.5m-wide strip
+    const expected = (shadowLength(6) - 6) * 12.5;
+    expect(result.southern.shadowArea).toBeCloseTo(expected, 1);
+    expect(result.southern.shadowRatio).toBeCloseTo(expected / 800, 4);
+  });
+
+  it('shadows the left lot when the street is to the east', () => {
+    const result = calculateOvershadowing({ ...lot, footprints: [block], frontageFacing: 'E', latitude: PERTH });
+    expect(result.southern.boundary).toBe('left');
+    const expected = (shadowLength(6) - 1.5) * 30;
+    expect(result.southern.shadowArea).toBeCloseTo(expected, 1);
+  });
+
+  it('has no southern neighbour when the street is to the south', () => {
+    const result = calculateOvershadowing({ ...lot, footprints: [block], frontageFacing: 'S', latitude: PERTH });
+    expect(result.southern).toBeNull();
+  });
+
+  it('leaves out a secondary street on a corner lot', () => {
+    // Street to the east puts the shadow on the left, which is a street here
+    const result = calculateOvershadowing({
+      ...lot, footprints: [block], frontageFacing: 'E', latitude: PERTH, streets: ['left'],
+    });
+    expect(result.neighbours.map(n => n.boundary)).toEqual(['right', 'rear']);
+    expect(result.southern).toBeNull();
+  });
+
+  it('does not double count overlapping storey shadows', () => {
+    const upper = { ...block, u0: 3, u1: 12, height: 9 };
+    const both = calculateOvershadowing({ ...lot, footprints: [block, upper], frontageFacing: 'N', latitude: PERTH });
+    // Rear lot: 12.5m strip from the ground storey, a deeper 9m strip from the upper
+    const ground = (shadowLength(6) - 6) * 12.5;
+    const extra = (shadowLength(9) - shadowLength(6)) * 9;
+    expect(both.southern.shadowArea).toBeCloseTo(ground + extra, 1);
+  });
+
+  it('casts longer shadows from taller buildings', () => {
+    const low = calculateOvershadowing({ ...lot, footprints: [block], frontageFacing: 'N' });
+    const high = calculateOvershadowing({ ...lot, footprints: [{ ...block, height: 9 }], frontageFacing: 'N' });
+    expect(high.shadowLength).toBeGreaterThan(low.shadowLength);
+    expect(high.southern.shadowRatio).toBeGreaterThan(low.southern.shadowRatio);
+  });
+});
+
+describe('footprintsFromMassing', () => {
+  it('places each storey from its wall setbacks', () => {
+    const massing = {
+      storeys: [{
+        wallHeight: 6,
+        walls: [
+          { boundary: 'left', length: 30, setback: 1.5 },
+          { boundary: 'right', length: 30, setback: 6 },
+          { boundary: 'rear', length: 12.5, setback: 6 },
+        ],
+      }],
+    };
+    expect(footprintsFromMassing(massing, 20, 40)).toEqual([block]);
+  });
+
+  it('takes the footprints a storey lists, at its wall height', () => {
+    const footprints = [{ u0: 1, u1: 8.5, v0: 6, v1: 15 }, { u0: 8.5, u1: 16, v0: 6, v1: 15 }];
+    const massing = { storeys: [{ wallHeight: 3, walls: [], footprints }] };
+    expect(footprintsFromMassing(massing, 20, 40)).toEqual(footprints.map(f => ({ ...f, height: 3 })));
+  });
+
+  it('returns null when a storey lacks a placed wall', () => {
+    const massing = { storeys: [{ wallHeight: 3, walls: [{ boundary: 'left', length: 10, setback: 1 }] }] };
+    expect(footprintsFromMassing(massing, 20, 40)).toBeNull();
+    expect(footprintsFromMassing(undefined, 20, 40)).toBeNull();
+  });
+});
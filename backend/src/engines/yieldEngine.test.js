@@ -1,6 +1,9 @@
-import { describe, it, expect } from 'vitest';
-import { optimizeYield, DWELLING_TYPES } from '../../../src/engines/yieldEngine.js';
-import { getRCodeRules } from '../../../src/engines/rCodesEngine.js';
+import { describe, it, expect, vi } from 'vitest';
+import { optimizeYield, calculateBuildingHeight, DWELLING_TYPES } from '../../../src/engines/yieldEngine.js';
+import { getRCodeRules, getAllRCodes, assessPrivacy } from '../../../src/engines/rCodesEngine.js';
+import {
+  calculateFeasibility, calculateStampDuty, LIFT_COST_PER_STOP, CAR_PARK_COST_PER_BAY,
+} from '../../../src/engines/financialEngine.js';
 
 // Standard test property: R60 / 800 sqm (20m × 40m)
 const STANDARD_PARAMS = { lotArea: 800, lotWidth: 20, lotDepth: 40, rCode: 'R60' };
@@ -101,6 +104,751 @@ describe('optimizeYield — different R-Codes', () => {
   });
 });
 
+describe('optimizeYield — full R-Code table', () => {
+  it('produces a result within the plot ratio for every R-Code', () => {
+    for (const rCode of getAllRCodes()) {
+      const result = optimizeYield({ lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode });
+      const rules = getRCodeRules(rCode);
+      expect(result, rCode).not.toBeNull();
+      expect(result.totalUnits, rCode).toBeGreaterThanOrEqual(1);
+      if (result.compliant) {
+        expect(result.plotRatio, rCode).toBeLessThanOrEqual(rules.maxPlotRatio);
+      }
+    }
+  });
+
+  it('R12.5 yields fewer units than R25 on the same lot', () => {
+    const low = optimizeYield({ lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R12.5' });
+    const mid = optimizeYield({ lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R25' });
+    expect(low.totalUnits).toBeLessThanOrEqual(mid.totalUnits);
+  });
+});
+
+describe('optimizeYield — parking and setbacks', () => {
+  const site = { lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R30', ruleSet: 'rcodes-vol1' };
+
+  it('provides at least the required parking bays', () => {
+    const result = optimizeYield(site);
+    expect(result.parkingProvision.totalBays).toBeGreaterThanOrEqual(result.parking.totalBays);
+    expect(result.compliance.parking).toBe(true);
+  });
+
+  it('puts resident bays the garages cannot hold on hardstand', () => {
+    const result = optimizeYield(site);
+    const { garageBays, hardstandBays } = result.parkingProvision;
+    expect(garageBays + hardstandBays).toBeGreaterThanOrEqual(result.parking.residentBays);
+  });
+
+  it('only provides the uncovered bays the layout finds room for', () => {
+    const result = optimizeYield(site);
+    const { hardstandBays, visitorBays } = result.parkingProvision;
+    expect(hardstandBays + visitorBays).toBeLessThanOrEqual(result.siteLayout.parking.length);
+    expect(visitorBays).toBe(result.parking.visitorBays);
+
+    // The visitor bay finds no room behind the dwelling on a shallow lot
+    const shallow = optimizeYield({ lotArea: 300, lotWidth: 20, lotDepth: 15, rCode: 'R60' });
+    expect(shallow.siteLayout.unplacedBays).toBeGreaterThan(0);
+    expect(shallow.parkingProvision.visitorBays).toBeLessThan(shallow.parking.visitorBays);
+    expect(shallow.compliance.parking).toBe(false);
+  });
+
+  it('proposes a building that meets side and rear setbacks', () => {
+    const result = optimizeYield(site);
+    const [building] = result.buildings;
+    const { setbacks } = result.rules;
+    expect(building.setbacks.primaryStreet).toBe(setbacks.primaryStreet);
+    expect(building.setbacks.side).toBeGreaterThanOrEqual(setbacks.side);
+    expect(building.setbacks.rear).toBeGreaterThanOrEqual(setbacks.rear);
+    // One building per dwelling, as placed on the lot
+    expect(result.buildings).toHaveLength(result.totalUnits);
+    const footprint = result.buildings.reduce((sum, b) => sum + b.width * b.depth, 0);
+    expect(footprint).toBeCloseTo(result.totalFootprint);
+  });
+
+  it('supplies a two-storey massing with every wall at or beyond its table setback', () => {
+    const result = optimizeYield(site);
+    expect(result.massing.storeys).toHaveLength(2);
+    const [ground, upper] = result.massing.storeys;
+    expect(upper.wallHeight).toBeGreaterThan(ground.wallHeight);
+    const side = storey => storey.walls.find(w => w.boundary === 'left').setback;
+    // Upper walls stand no closer to the side boundary than those below
+    expect(side(upper)).toBeGreaterThanOrEqual(side(ground));
+    expect(result.compliance.setbacks).toBe(true);
+  });
+
+  it('places upper-floor openings without assuming any are screened', () => {
+    const result = optimizeYield(site);
+    // One window per dwelling over the driveway plus the rear dwelling's rear window
+    expect(result.openings).toHaveLength(result.totalUnits + 1);
+    for (const opening of result.openings) {
+      expect(opening.floorLevel).toBeGreaterThan(0.5);
+      expect(opening.screened).toBeUndefined();
+    }
+    // On a 15m lot the windows sit 3.5m off the side boundary, inside the 4.5m bedroom cone
+    const narrow = { lotArea: 600, lotWidth: 15, lotDepth: 40, rCode: 'R60' };
+    const privacy = assessPrivacy(optimizeYield(narrow).openings, narrow.lotWidth, narrow.lotDepth);
+    expect(privacy.needsScreening).toBeGreaterThan(0);
+    expect(privacy.compliant).toBe(false);
+  });
+});
+
+describe('optimizeYield — deep soil and trees', () => {
+  it('keeps the required deep soil area and trees in the open space', () => {
+    const result = optimizeYield({ lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R40' });
+    expect(result.deepSoilArea).toBeGreaterThanOrEqual(result.landscape.deepSoilArea);
+    // Paved outdoor areas don't count as deep soil
+    expect(result.deepSoilArea).toBeLessThan(result.openSpace);
+    expect(result.treesProvided).toBe(result.landscape.trees);
+    expect(result.compliance.deepSoil).toBe(true);
+    expect(result.compliance.trees).toBe(true);
+  });
+
+  it('gives up dwellings when deep soil is what runs out', () => {
+    // R-AC1 allows little open space, so deep soil and trees bind
+    const result = optimizeYield({ lotArea: 800, lotWidth: 20, lotDepth: 40, rCode: 'R-AC1' });
+    expect(result.compliant).toBe(true);
+    expect(result.deepSoilArea).toBeGreaterThanOrEqual(result.landscape.deepSoilArea);
+    expect(result.totalUnits).toBeLessThan(8);
+  });
+});
+
+describe('optimizeYield — outdoor living', () => {
+  it('gives every dwelling a compliant outdoor living area', () => {
+    const result = optimizeYield({ lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R30' });
+    expect(result.outdoorLiving.dwellings).toHaveLength(result.totalUnits);
+    for (const courtyard of result.outdoorLiving.dwellings) {
+      expect(courtyard.area).toBeGreaterThanOrEqual(result.rules.outdoorLiving.minArea);
+      expect(courtyard.compliant).toBe(true);
+    }
+    expect(result.compliance.outdoorLiving).toBe(true);
+  });
+
+  it('fits the outdoor living areas inside the open space', () => {
+    const result = optimizeYield({ lotArea: 800, lotWidth: 20, lotDepth: 40, rCode: 'R-AC1' });
+    const total = result.outdoorLiving.dwellings.reduce((sum, d) => sum + d.area, 0);
+    expect(total).toBeLessThanOrEqual(result.openSpace);
+  });
+
+  it('judges the courtyard the layout leaves on a cramped lot', () => {
+    const result = optimizeYield({ lotArea: 300, lotWidth: 20, lotDepth: 15, rCode: 'R60' });
+    expect(result.siteLayout.packed).toBe(true);
+    const [courtyard] = result.outdoorLiving.dwellings;
+    const placed = result.siteLayout.dwellings[0].courtyard;
+    expect(courtyard.depth).toBeCloseTo(placed.v1 - placed.v0);
+    expect(courtyard.depth).toBeLessThan(result.rules.outdoorLiving.minDimension);
+    expect(result.compliance.outdoorLiving).toBe(false);
+  });
+});
+
+describe('optimizeYield — site area per dwelling', () => {
+  it('never proposes more dwellings than the average site area allows', () => {
+    // R20: 450 sqm average, so 800 sqm holds one dwelling
+    const result = optimizeYield({ lotArea: 800, lotWidth: 20, lotDepth: 40, rCode: 'R20' });
+    expect(result.totalUnits).toBe(1);
+    expect(result.compliance.siteArea).toBe(true);
+  });
+
+  it('keeps every survey-strata lot above the minimum with its common property share', () => {
+    const result = optimizeYield({ lotArea: 2000, lotWidth: 30, lotDepth: 66, rCode: 'R40' });
+    expect(result.lots).toHaveLength(result.totalUnits);
+    const lotTotal = result.lots.reduce((sum, a) => sum + a, 0);
+    expect(lotTotal + result.commonPropertyArea).toBeCloseTo(2000);
+    expect(result.siteArea.minimum).toBeGreaterThanOrEqual(result.rules.minLotSize);
+    expect(result.siteArea.average).toBeGreaterThanOrEqual(result.rules.avgLotSize);
+  });
+});
+
+describe('optimizeYield — frontage types', () => {
+  const site = { lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R40' };
+
+  it('needs no shared driveway on a laneway lot', () => {
+    const street = optimizeYield(site);
+    const laneway = optimizeYield({ ...site, frontageType: 'laneway' });
+    expect(laneway.layout).toBe('laneway');
+    expect(laneway.infrastructure.drivewayArea).toBe(0);
+    expect(laneway.infrastructure.totalInfraArea).toBeLessThan(street.infrastructure.totalInfraArea);
+    expect(laneway.totalUnits).toBeGreaterThanOrEqual(street.totalUnits);
+  });
+
+  it('uses a single-width driveway and no turning area on a corner lot', () => {
+    const result = optimizeYield({ ...site, frontageType: 'corner' });
+    expect(result.infrastructure.drivewayWidth).toBe(3.5);
+    expect(result.infrastructure.turningArea).toBe(0);
+    // The block holds the secondary street setback on the left
+    expect(result.buildings[0].setbacks.secondaryStreet).toBeGreaterThanOrEqual(result.rules.setbacks.secondaryStreet);
+    expect(result.compliance.setbacks).toBe(true);
+  });
+
+  it('runs an access leg to a battle-axe lot and drops the street setback', () => {
+    const result = optimizeYield({ ...site, frontageType: 'battle-axe' });
+    expect(result.layout).toBe('battle-axe');
+    expect(result.infrastructure.drivewayArea).toBeGreaterThan(optimizeYield(site).infrastructure.drivewayArea);
+    expect(result.buildings[0].setbacks.primaryStreet).toBeNull();
+  });
+
+  it('still infers the layout from proportions for a single frontage', () => {
+    expect(optimizeYield({ lotArea: 1000, lotWidth: 10, lotDepth: 100, rCode: 'R40' }).layout).toBe('battle-axe');
+    expect(optimizeYield(site).layout).toBe('standard');
+  });
+});
+
+describe('optimizeYield — rule sets', () => {
+  const site = { lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R40' };
+
+  it('uses the rule set in force on the assessment date', () => {
+    expect(optimizeYield({ ...site, assessmentDate: '2023-06-01' }).rules.ruleSet).toBe('rcodes-vol1');
+    expect(optimizeYield({ ...site, assessmentDate: '2025-06-01' }).rules.ruleSet).toBe('mdc-2024');
+  });
+
+  it('honours an explicit rule set', () => {
+    const result = optimizeYield({ ...site, ruleSet: 'rcodes-vol1' });
+    expect(result.rules.ruleSet).toBe('rcodes-vol1');
+    expect(result.rules.setbacks.primaryStreet).toBe(4);
+  });
+
+  it('plans under local planning policy overrides', () => {
+    const vincent = optimizeYield({ ...site, rCode: 'R60', ruleSet: 'rcodes-vol1', lga: 'vincent' });
+    expect(vincent.rules.maxStories).toBe(2);
+    expect(vincent.rules.localPolicies.map(p => p.id)).toEqual(['vincent-building-height']);
+    expect(vincent.totalUnits).toBeLessThanOrEqual(optimizeYield({ ...site, rCode: 'R60', ruleSet: 'rcodes-vol1' }).totalUnits);
+  });
+});
+
+describe('optimizeYield — design principles', () => {
+  // R30: 3 dwellings on 800 sqm average 267 sqm, 11% short of the 300 sqm average
+  const site = { lotArea: 800, lotWidth: 16, lotDepth: 50, rCode: 'R30', ruleSet: 'rcodes-vol1' };
+
+  it('keeps only deemed-to-comply mixes without tolerances', () => {
+    const result = optimizeYield(site);
+    expect(result.totalUnits).toBe(2);
+    expect(result.compliant).toBe(true);
+    expect(result.requiresDesignPrinciples).toBe(false);
+  });
+
+  it('keeps a mix within tolerance and flags it', () => {
+    const result = optimizeYield({ ...site, tolerances: { siteArea: 0.15 } });
+    expect(result.totalUnits).toBe(3);
+    expect(result.compliant).toBe(false);
+    expect(result.withinTolerance).toBe(true);
+    expect(result.requiresDesignPrinciples).toBe(true);
+    expect(result.designPrinciples).toEqual([
+      { provision: 'siteArea', variation: expect.closeTo(0.111, 3), tolerance: 0.15 },
+    ]);
+  });
+
+  it('ignores a band too narrow for the variation', () => {
+    expect(optimizeYield({ ...site, tolerances: { siteArea: 0.05 } }).totalUnits).toBe(2);
+  });
+
+  it('applies the bands to the fallback mix when nothing passes', () => {
+    const result = optimizeYield({ lotArea: 120, lotWidth: 8, lotDepth: 15, rCode: 'R160', tolerances: { deepSoil: 10 } });
+    expect(result.withinTolerance).toBe(false);
+    expect(result.designPrinciples.map(d => d.provision)).toEqual(['deepSoil']);
+  });
+});
+
+describe('calculateBuildingHeight', () => {
+  const twoStorey = { stories: 2, floorToFloor: 3, plateHeight: 2.7, roofSpan: 8 };
+
+  it('stacks floors to the wall plate and adds the roof', () => {
+    const height = calculateBuildingHeight({ ...twoStorey, roofForm: 'pitched' });
+    expect(height.floorLevels).toEqual([0, 3]);
+    expect(height.storeyWallHeights).toEqual([3, 5.7]);
+    expect(height.wallHeight).toBeCloseTo(5.7);
+    // 25° pitch rising over half the 8m span
+    expect(height.buildingHeight).toBeCloseTo(5.7 + 4 * Math.tan(25 * Math.PI / 180));
+  });
+
+  it('tops a concealed roof at its parapet', () => {
+    const height = calculateBuildingHeight({ ...twoStorey, roofForm: 'concealed' });
+    expect(height.wallHeight).toBeCloseTo(6.6);
+    expect(height.buildingHeight).toBeCloseTo(6.6);
+  });
+
+  it('measures from the low side of sloping ground', () => {
+    const flat = calculateBuildingHeight(twoStorey);
+    const sloping = calculateBuildingHeight({ ...twoStorey, groundFall: 1 });
+    expect(sloping.wallHeight - flat.wallHeight).toBeCloseTo(0.5);
+    expect(sloping.floorLevels[1]).toBeCloseTo(3.5);
+  });
+});
+
+describe('optimizeYield — height', () => {
+  const site = { lotArea: 800, lotWidth: 16, lotDepth: 50, rCode: 'R30', ruleSet: 'rcodes-vol1' };
+
+  it('reports heights in metres within the code limits', () => {
+    const result = optimizeYield(site);
+    expect(result.height.stories).toBe(2);
+    expect(result.height.wallHeight).toBeLessThanOrEqual(result.rules.maxWallHeight);
+    expect(result.height.buildingHeight).toBeLessThanOrEqual(result.rules.maxBuildingHeight);
+    expect(result.compliance.height).toBe(true);
+    // The massing stands to the same heights
+    expect(result.massing.storeys.map(s => s.wallHeight)).toEqual(result.height.storeyWallHeights);
+  });
+
+  it('raises the walls over falling ground and drops mixes that outgrow the limit', () => {
+    const flat = optimizeYield(site);
+    const steep = optimizeYield({ ...site, terrain: { totalFall: 4 } });
+    expect(steep.height.groundFall).toBeGreaterThan(0);
+    expect(steep.height.wallHeight).toBeGreaterThan(flat.height.wallHeight - 1e-9);
+    expect(steep.height.wallHeight).toBeLessThanOrEqual(steep.rules.maxWallHeight);
+    expect(steep.totalUnits).toBeLessThan(flat.totalUnits);
+  });
+
+  it('lets a concealed roof use the taller wall limit', () => {
+    const result = optimizeYield({ ...site, roofForm: 'concealed' });
+    expect(result.height.roofForm).toBe('concealed');
+    expect(result.height.wallHeight).toBeGreaterThan(result.rules.maxWallHeight);
+    expect(result.compliance.height).toBe(true);
+  });
+});
+
+describe('optimizeYield — streetscape', () => {
+  const site = { lotArea: 800, lotWidth: 20, lotDepth: 40, rCode: 'R30', ruleSet: 'rcodes-vol1' };
+  const street = result => result.streetscape.positions.filter(u => u.position === 'street');
+
+  it('puts the front dwellings on the street within the garage limit', () => {
+    const result = optimizeYield(site);
+    expect(street(result).length).toBeGreaterThan(0);
+    expect(result.streetscape.garageRatio).toBeLessThanOrEqual(result.streetscape.maxGarageRatio);
+    expect(result.streetscape.dwellings.every(d => d.addressesStreet)).toBe(true);
+    expect(result.compliance.streetscape).toBe(true);
+  });
+
+  it('keeps a dwelling internal rather than crowd the frontage with garages', () => {
+    // Deep enough to hold the turning area at the end of the driveway
+    const result = optimizeYield({ ...site, lotArea: 1600, lotWidth: 40, lotDepth: 40, rCode: 'R40' });
+    const frontage = street(result).reduce((sum, u) => sum + u.frontage, 0);
+    expect(frontage).toBeLessThanOrEqual(40 - result.infrastructure.drivewayWidth + 1e-9);
+    expect(result.siteLayout.packed).toBe(true);
+    expect(result.streetscape.positions.some(u => u.position === 'internal')).toBe(true);
+    expect(result.streetscape.compliant).toBe(true);
+  });
+
+  it('takes garages off the street on laneway lots and has no street on battle-axe lots', () => {
+    const laneway = optimizeYield({ ...site, frontageType: 'laneway' });
+    expect(street(laneway).every(u => !u.garageFacesStreet)).toBe(true);
+    expect(laneway.streetscape.garageWidth).toBe(0);
+
+    const battleAxe = optimizeYield({ ...site, lotArea: 1000, lotDepth: 50, frontageType: 'battle-axe' });
+    expect(battleAxe.streetscape.applicable).toBe(false);
+    expect(street(battleAxe)).toHaveLength(0);
+  });
+});
+
+describe('optimizeYield — dwelling types', () => {
+  const site = { lotArea: 2000, lotWidth: 30, lotDepth: 66, rCode: 'R60', ruleSet: 'rcodes-vol1' };
+
+  it('mixes only the selected types', () => {
+    const result = optimizeYield({ ...site, dwellingTypes: ['1bed', '2bed'] });
+    expect(Object.keys(result.mix)).toEqual(['1bed', '2bed']);
+    expect(result.dwellingDetails.map(d => d.key).every(key => ['1bed', '2bed'].includes(key))).toBe(true);
+    expect(result.compliant).toBe(true);
+  });
+
+  it('builds single-storey villas as a single-storey block', () => {
+    const result = optimizeYield({ ...site, rCode: 'R30', dwellingTypes: ['villa'] });
+    expect(result.mix.villa).toBe(result.totalUnits);
+    expect(result.height.stories).toBe(1);
+    expect(result.massing.storeys).toHaveLength(1);
+    expect(result.totalGFA).toBe(result.totalFootprint);
+  });
+
+  it('stacks three storeys for terraces where the code allows them', () => {
+    const result = optimizeYield({ ...site, rCode: 'R160', dwellingTypes: ['terrace'] });
+    expect(result.height.stories).toBe(3);
+    expect(result.massing.storeys).toHaveLength(3);
+    expect(optimizeYield({ ...site, rCode: 'R30', dwellingTypes: ['terrace'] }).compliant).toBe(false);
+  });
+
+  it('scores mixes on edited prices and sizes', () => {
+    const result = optimizeYield({ ...site, dwellingTypes: [{ key: '2bed', defaultPrice: 500000 }] });
+    expect(result.estimatedRevenue).toBe(result.totalUnits * 500000);
+    expect(result.dwellingDetails[0]).toMatchObject({ key: '2bed', defaultPrice: 500000 });
+  });
+
+  it('caps a mix at three dwelling types', () => {
+    const result = optimizeYield({ ...site, dwellingTypes: ['1bed', '2bed', '3bed', '4bed', '5bed'] });
+    expect(Object.values(result.mix).filter(count => count > 0).length).toBeLessThanOrEqual(3);
+  });
+});
+
+describe('optimizeYield — objectives', () => {
+  const site = {
+    lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R60', ruleSet: 'rcodes-vol1', financial: { landCost: 800000 },
+  };
+  const feasibilityOf = (result, prices = {}) => calculateFeasibility({
+    ...site.financial,
+    lotArea: site.lotArea,
+    yield: result,
+    customPrices: Object.fromEntries(result.dwellingDetails
+      .map(d => [d.key, { mid: prices[d.key] || d.defaultPrice }])),
+  });
+
+  it('maximises profit by default, on the numbers the feasibility reports', () => {
+    const result = optimizeYield(site);
+    expect(result.objective).toMatchObject({ key: 'profit', label: 'Maximise profit' });
+    expect(result.objective.value).toBeCloseTo(feasibilityOf(result).profitability.grossProfit, 6);
+  });
+
+  it('chooses the mix on the prices given', () => {
+    const prices = { '2bed': 600000 };
+    const result = optimizeYield({ ...site, prices });
+    expect(result.mix).toMatchObject({ '2bed': result.totalUnits, '3bed': 0, '4bed': 0 });
+    expect(result.estimatedRevenue).toBe(result.totalUnits * 600000);
+    expect(result.objective.value).toBeCloseTo(feasibilityOf(result, prices).profitability.grossProfit, 6);
+  });
+
+  it('weighs build cost against the revenue a mix adds', () => {
+    const build = customBuildCostPerSqm => optimizeYield({
+      ...site, financial: { ...site.financial, constructionQuality: 'custom', customBuildCostPerSqm },
+    });
+    expect(build(4000).totalGFA).toBeLessThan(build(1200).totalGFA);
+  });
+
+  it('beats the profit mix on its own measure', () => {
+    const profit = optimizeYield(site);
+    const byProfit = feasibilityOf(profit).profitability;
+    expect(optimizeYield({ ...site, objective: 'units' }).totalUnits).toBeGreaterThan(profit.totalUnits);
+
+    const margin = optimizeYield({ ...site, objective: 'margin' });
+    expect(margin.objective.key).toBe('margin');
+    expect(margin.objective.value).toBeGreaterThanOrEqual(byProfit.profitMargin);
+
+    const roe = optimizeYield({ ...site, objective: 'roe' });
+    expect(roe.objective.value).toBeCloseTo(feasibilityOf(roe).profitability.returnOnEquity, 6);
+    expect(roe.objective.value).toBeGreaterThanOrEqual(byProfit.returnOnEquity);
+  });
+});
+
+describe('optimizeYield — frontier', () => {
+  const site = {
+    lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R60', ruleSet: 'rcodes-vol1', financial: { landCost: 800000 },
+  };
+  const result = optimizeYield(site);
+  const covers = (a, b) => ['grossProfit', 'profitMargin', 'totalUnits', 'openSpace'].every(m => a[m] >= b[m]);
+
+  it('keeps only the mixes no other passing mix beats on every measure', () => {
+    expect(result.frontier.length).toBeGreaterThan(1);
+    for (const point of result.frontier) {
+      expect(result.frontier.some(other => other !== point && covers(other, point))).toBe(false);
+    }
+  });
+
+  it('holds the chosen mix and the most dwellings that pass', () => {
+    const chosen = result.frontier.filter(point => point.selected);
+    expect(chosen).toHaveLength(1);
+    expect(chosen[0].mix).toEqual(result.mix);
+    expect(chosen[0].grossProfit).toBeCloseTo(result.objective.value, 6);
+
+    const most = optimizeYield({ ...site, objective: 'units' });
+    expect(Math.max(...result.frontier.map(point => point.totalUnits))).toBe(most.totalUnits);
+  });
+
+  it('reports a mix picked from the frontier in place of its own choice', () => {
+    const picked = result.frontier.find(point => !point.selected);
+    const rerun = optimizeYield({ ...site, mix: picked.mix });
+    expect(rerun.chosenMix).toBe(true);
+    expect(rerun.mix).toEqual(picked.mix);
+    expect(rerun.totalUnits).toBe(picked.totalUnits);
+    expect(rerun.frontier.find(point => point.selected).mix).toEqual(picked.mix);
+    expect(result.chosenMix).toBe(false);
+  });
+});
+
+describe('optimizeYield — search', () => {
+  const site = {
+    lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R60', ruleSet: 'rcodes-vol1', financial: { landCost: 800000 },
+  };
+  const result = optimizeYield(site);
+
+  it('finishes on a small site with no passing mix scoring higher', () => {
+    expect(result.search.complete).toBe(true);
+    const most = Math.floor(site.lotArea / getRCodeRules('R60').avgLotSize);
+    for (let total = 1; total <= most; total++) {
+      for (let fours = 0; fours <= Math.floor(total * 0.3); fours++) {
+        for (let threes = 0; threes <= total - fours; threes++) {
+          const mix = { '2bed': total - threes - fours, '3bed': threes, '4bed': fours };
+          const other = optimizeYield({ ...site, mix, timeBudget: 0 });
+          if (other.compliant || other.withinTolerance) {
+            expect(other.objective.value).toBeLessThanOrEqual(result.objective.value + 1e-6);
+          }
+        }
+      }
+    }
+  });
+
+  it('returns the best mix found so far when the time budget runs out', () => {
+    const rushed = optimizeYield({ ...site, timeBudget: 0 });
+    expect(rushed.search.complete).toBe(false);
+    expect(rushed.totalUnits).toBeGreaterThan(0);
+    expect(rushed.objective.value).toBeLessThanOrEqual(result.objective.value);
+  });
+
+  it('goes past 20 dwellings on a large site within the time budget', () => {
+    // A clock that moves on a millisecond each time it's read stops the search
+    // after the same work however fast the machine
+    let now = 0;
+    const clock = vi.spyOn(Date, 'now').mockImplementation(() => now++);
+    let large;
+    try {
+      large = optimizeYield({
+        lotArea: 8000, lotWidth: 80, lotDepth: 100, rCode: 'R-AC1', financial: { landCost: 4000000 }, timeBudget: 500,
+      });
+    } finally {
+      clock.mockRestore();
+    }
+    expect(large.search.complete).toBe(false);
+    expect(large.search.evaluated).toBeGreaterThan(0);
+    expect(large.totalUnits).toBeGreaterThan(20);
+    expect(large.compliant || large.withinTolerance).toBe(true);
+  });
+});
+
+describe('optimizeYield — retained dwelling', () => {
+  const site = {
+    lotArea: 1000, lotWidth: 20, lotDepth: 50, rCode: 'R60', ruleSet: 'rcodes-vol1', financial: { landCost: 900000 },
+  };
+  const retainedDwelling = { lotArea: 350, value: 700000 };
+  const result = optimizeYield({ ...site, retainedDwelling });
+
+  it('builds the new dwellings on a battle-axe lot behind the retained house', () => {
+    expect(result.retainedDwelling).toMatchObject({
+      lotDepth: 17.5,
+      value: 700000,
+      status: 'compliant',
+      developedLot: { lotArea: 650, lotWidth: 20, lotDepth: 32.5 },
+    });
+    expect(result.layout).toBe('battle-axe');
+    expect(result.compliant).toBe(true);
+    expect(result.totalUnits).toBeGreaterThan(0);
+    expect(result.totalUnits).toBeLessThanOrEqual(Math.floor(650 / getRCodeRules('R60').avgLotSize));
+    expect(result.sitePlan.lot).toHaveLength(4);
+    const dwellings = result.sitePlan.shapes.filter(s => s.kind === 'dwelling');
+    expect(dwellings.every(d => d.v0 >= 17.5)).toBe(true);
+  });
+
+  it('takes the access leg out of the retained lot', () => {
+    const { drivewayWidth } = result.infrastructure;
+    expect(drivewayWidth).toBeGreaterThan(0);
+    expect(result.retainedDwelling.accessLegArea).toBeCloseTo(drivewayWidth * 17.5);
+    expect(result.retainedDwelling.lotArea).toBeCloseTo(350 - drivewayWidth * 17.5);
+    const leg = result.sitePlan.shapes.find(s => s.name === 'Access leg');
+    expect((leg.u1 - leg.u0) * (leg.v1 - leg.v0)).toBeCloseTo(result.retainedDwelling.accessLegArea);
+  });
+
+  it('fails a retained lot the access leg leaves below the minimum site area', () => {
+    // 10 sqm over R60's minimum, until the leg takes its share
+    const { minLotSize } = getRCodeRules('R60');
+    const narrow = optimizeYield({ ...site, retainedDwelling: { lotArea: minLotSize + 10, value: 500000 } });
+    expect(narrow.retainedDwelling.lotArea).toBeLessThan(minLotSize);
+    expect(narrow.retainedDwelling.status).not.toBe('compliant');
+    expect(narrow.compliant).toBe(false);
+  });
+
+  it('fails a retained lot below the minimum site area', () => {
+    const cramped = optimizeYield({ ...site, retainedDwelling: { lotArea: 100, value: 500000 } });
+    expect(cramped.retainedDwelling.status).toBe('non-compliant');
+    expect(cramped.compliant).toBe(false);
+    expect(cramped.withinTolerance).toBe(false);
+  });
+
+  it('sells the retained house and spares it from demolition', () => {
+    const feasibilityOf = retained => calculateFeasibility({
+      landCost: 900000,
+      lotArea: 1000,
+      yield: result,
+      demolitionRequired: true,
+      existingStructures: 2,
+      retainedDwelling: retained,
+    });
+    const knockDown = feasibilityOf(null);
+    const retain = feasibilityOf({ value: 700000 });
+    expect(retain.revenue.totalGRV - knockDown.revenue.totalGRV).toBe(700000);
+    expect(retain.revenue.byType.at(-1)).toMatchObject({ type: 'Retained Dwelling', quantity: 1, total: 700000 });
+    expect(knockDown.costs.sitePrep.demolition - retain.costs.sitePrep.demolition).toBe(27500);
+  });
+});
+
+describe('optimizeYield — ancillary dwelling', () => {
+  // R20 averages 450 sqm a dwelling, so 700 sqm takes a single grouped dwelling
+  const site = {
+    lotArea: 700,
+    lotWidth: 17,
+    lotDepth: 700 / 17,
+    rCode: 'R20',
+    dwellingTypes: ['3bed', '4bed', 'ancillary'],
+    financial: { landCost: 700000 },
+  };
+  const houseAndFlat = optimizeYield({ ...site, mix: { '4bed': 1, ancillary: 1 } });
+
+  it('weighs a house with a granny flat against grouped dwellings', () => {
+    const result = optimizeYield(site);
+    const pairs = result.frontier.filter(p => p.mix.ancillary === 1);
+    expect(pairs.length).toBeGreaterThan(0);
+    for (const point of pairs) {
+      expect(point.totalUnits).toBe(2);
+      expect(point.compliant).toBe(true);
+    }
+  });
+
+  it('keeps the granny flat on the house lot, behind the street', () => {
+    expect(houseAndFlat.compliant).toBe(true);
+    expect(houseAndFlat.ancillary).toMatchObject({ compliant: true, singleHouse: true, floorArea: 70 });
+    expect(houseAndFlat.lots).toHaveLength(1);
+    expect(houseAndFlat.siteArea.compliant).toBe(true);
+    const flat = houseAndFlat.streetscape.positions.find(u => u.type === 'ancillary');
+    expect(flat.position).toBe('internal');
+    // Two bays for the house, one for the flat
+    expect(houseAndFlat.parking.residentBays).toBe(3);
+    expect(optimizeYield({ ...site, mix: { '4bed': 1, ancillary: 1 }, nearTransit: true }).parking.residentBays).toBe(2);
+  });
+
+  it('fails a granny flat beside grouped dwellings', () => {
+    const grouped = optimizeYield({ ...site, lotArea: 1400, lotDepth: 1400 / 17, mix: { '3bed': 2, ancillary: 1 } });
+    expect(grouped.ancillary.singleHouse).toBe(false);
+    expect(grouped.compliant).toBe(false);
+    expect(grouped.withinTolerance).toBe(false);
+  });
+
+  it('sells the granny flat with the house or lets it', () => {
+    const feasibilityOf = params => calculateFeasibility({ landCost: 700000, lotArea: 700, yield: houseAndFlat, ...params });
+    const sold = feasibilityOf({});
+    expect(sold.revenue.byType.at(-1)).toMatchObject({ quantity: 1, total: 160000 });
+    expect(sold.revenue.rentalIncome).toBeNull();
+    const rented = feasibilityOf({ ancillaryIncome: 'rental', ancillaryRent: 500, rentalYield: 0.065 });
+    expect(rented.revenue.rentalIncome).toEqual({ weeklyRent: 500, annualRent: 26000, rentalYield: 0.065 });
+    expect(rented.revenue.byType.at(-1).total).toBeCloseTo(400000);
+    expect(rented.revenue.totalGRV - sold.revenue.totalGRV).toBeCloseTo(240000);
+  });
+});
+
+describe('optimizeYield — amalgamated lots', () => {
+  const lot = { lotArea: 600, lotWidth: 15, lotDepth: 40, rCode: 'R40' };
+  const parcels = [
+    { landCost: 700000, settlementDate: '2027-01-01' },
+    { landCost: 750000, settlementDate: '2027-03-02' },
+  ];
+
+  it('yields at least as much on the merged site as on the lots apart', () => {
+    const apart = optimizeYield(lot);
+    const merged = optimizeYield({ ...lot, lotArea: 1200, lotWidth: 30 });
+    expect(merged.compliant).toBe(true);
+    expect(merged.totalUnits).toBeGreaterThanOrEqual(2 * apart.totalUnits);
+  });
+
+  it('assesses duty on each purchase and holds lots until the last settles', () => {
+    const merged = optimizeYield({ ...lot, lotArea: 1200, lotWidth: 30 });
+    const feasibility = calculateFeasibility({
+      landCost: 1450000,
+      lotArea: 1200,
+      yield: merged,
+      landParcels: parcels,
+    });
+    const { land, finance } = feasibility.costs;
+    expect(land.stampDuty).toBeCloseTo(calculateStampDuty(700000) + calculateStampDuty(750000));
+    expect(land.legalFees).toBe(7000);
+    expect(land.parcels.map(p => p.holdingDays)).toEqual([60, 0]);
+    // 70% debt at 7.5% on the first lot for 60 days
+    expect(finance.landHolding).toBeCloseTo(700000 * 0.7 * 0.075 * 60 / 365);
+
+    const single = calculateFeasibility({ landCost: 1450000, lotArea: 1200, yield: merged });
+    expect(single.costs.land.parcels).toBeNull();
+    expect(single.costs.finance.landHolding).toBe(0);
+    expect(finance.total).toBeCloseTo(finance.establishment + finance.interest + finance.landHolding);
+  });
+});
+
+describe('optimizeYield — multiple dwellings', () => {
+  const site = { lotArea: 800, lotWidth: 20, lotDepth: 40, rCode: 'R-AC1' };
+  const rules = getRCodeRules('R-AC1');
+  const apartments = optimizeYield({ ...site, dwellingType: 'multiple' });
+  const basement = optimizeYield({ ...site, dwellingType: 'multiple', apartmentParking: 'basement' });
+  const podium = optimizeYield({ ...site, dwellingType: 'multiple', apartmentParking: 'podium' });
+
+  it('stacks more dwellings than townhouses on an activity centre code', () => {
+    expect(apartments.compliant).toBe(true);
+    expect(apartments.dwellingType).toBe('multiple');
+    expect(apartments.totalUnits).toBeGreaterThan(2 * optimizeYield(site).totalUnits);
+  });
+
+  it('stays within the plot ratio and storey limits', () => {
+    for (const result of [apartments, basement, podium]) {
+      expect(result.apartments.plotRatioArea).toBeLessThanOrEqual(rules.maxPlotRatio * site.lotArea);
+      expect(result.height.stories).toBeLessThanOrEqual(rules.maxStories);
+      expect(result.siteArea).toBeNull();
+    }
+  });
+
+  it('parks in a basement or on a podium storey', () => {
+    expect(basement.apartments.parking).toMatchObject({ form: 'basement' });
+    expect(basement.apartments.parking.basementArea).toBeGreaterThan(0);
+    expect(basement.apartments.storeys.every(storey => storey.use === 'apartments')).toBe(true);
+    expect(podium.apartments.parking).toMatchObject({ form: 'podium', basementArea: 0 });
+    expect(podium.apartments.storeys[0].use).toBe('parking');
+    for (const result of [basement, podium]) {
+      expect(result.apartments.parking.bays).toBeGreaterThanOrEqual(result.parking.totalBays);
+    }
+  });
+
+  it('counts the mix by apartment type across the storeys', () => {
+    const counted = {};
+    for (const storey of apartments.apartments.storeys) {
+      for (const [key, n] of Object.entries(storey.mix || {})) counted[key] = (counted[key] || 0) + n;
+    }
+    expect(counted).toEqual(apartments.mix);
+    expect(Object.keys(apartments.mix)).toEqual(['1bed-apt', '2bed-apt', '3bed-apt']);
+    expect(apartments.dwellingDetails.reduce((sum, d) => sum + d.quantity, 0)).toBe(apartments.totalUnits);
+    expect(apartments.mix['3bed-apt']).toBeLessThanOrEqual(Math.ceil(apartments.totalUnits * 0.3));
+  });
+
+  it('plans every storey inside the lot boundary', () => {
+    // 40m across the street, narrowing to 10m at 50m deep
+    const lotBoundary = [{ u: 0, v: 0 }, { u: 40, v: 0 }, { u: 25, v: 50 }, { u: 15, v: 50 }];
+    const result = optimizeYield({
+      lotArea: 1250, lotWidth: 40, lotDepth: 50, rCode: 'R80', dwellingType: 'multiple', lotBoundary,
+    });
+    const { footprint, storeys } = result.apartments;
+    // The sides close in by 15m over 50m, so at the rear of the building
+    // the lot spans 0.3 × v1 to 40 - 0.3 × v1, less the 3m side separation
+    const slope = Math.hypot(15, 50) / 50;
+    expect(footprint.u0).toBeGreaterThanOrEqual(0.3 * footprint.v1 + 3 * slope - 1e-9);
+    expect(footprint.u1).toBeLessThanOrEqual(40 - 0.3 * footprint.v1 - 3 * slope + 1e-9);
+    for (const storey of storeys) {
+      expect(storey.setbacks.left).toBeGreaterThanOrEqual(3 - 1e-9);
+      expect(storey.setbacks.right).toBeGreaterThanOrEqual(3 - 1e-9);
+    }
+    expect(result.sitePlan.shapes.find(s => s.name === 'Building')).toMatchObject(footprint);
+  });
+
+  it('stops planning buildings when the time budget runs out', () => {
+    expect(apartments.search.complete).toBe(true);
+    // A clock that moves on a millisecond each time it's read
+    let now = 0;
+    const clock = vi.spyOn(Date, 'now').mockImplementation(() => now++);
+    let cut;
+    try {
+      cut = optimizeYield({ ...site, dwellingType: 'multiple', timeBudget: 20 });
+    } finally {
+      clock.mockRestore();
+    }
+    expect(cut.search.complete).toBe(false);
+    expect(cut.search.evaluated).toBeGreaterThan(0);
+    expect(cut.search.evaluated).toBeLessThan(apartments.search.evaluated);
+  });
+
+  it('costs the lifts and car parking on top of the building', () => {
+    const feasibility = calculateFeasibility({ landCost: 1500000, lotArea: 800, yield: podium });
+    const { construction } = feasibility.costs;
+    const { lifts, liftStops, parking } = podium.apartments;
+    expect(construction.lifts).toBe(lifts * liftStops * LIFT_COST_PER_STOP);
+    expect(construction.carParking).toBe(parking.bays * CAR_PARK_COST_PER_BAY.podium);
+    const works = construction.buildingCosts + construction.lifts + construction.carParking;
+    expect(construction.designContingency).toBeCloseTo(works * 0.04);
+    expect(construction.total).toBeCloseTo(works * 1.11);
+  });
+});
+
 describe('optimizeYield — edge cases', () => {
   it('returns null for invalid R-Code', () => {
     const result = optimizeYield({ lotArea: 800, lotWidth: 20, lotDepth: 40, rCode: 'R99' });
@@ -1,3 +1,43 @@
+import rcodesService from '../services/rcodes.service.js';
+import yieldService from '../services/yield.service.js';
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const MAX_PARCELS = 5;
+// Grouped townhouses, or multiple dwellings (apartments in one building)
+const DWELLING_FORMS = ['grouped', 'multiple'];
+
+const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+// Adjoining lots to amalgamate, side by side along the street from the left
+function validateParcels(parcels, property) {
+  if (!Array.isArray(parcels) || parcels.length < 2 || parcels.length > MAX_PARCELS) {
+    return [`property.parcels must list between 2 and ${MAX_PARCELS} adjoining lots`];
+  }
+  const errors = [];
+  parcels.forEach((parcel, i) => {
+    const name = `property.parcels[${i}]`;
+    if (!parcel || typeof parcel !== 'object' || Array.isArray(parcel)) {
+      errors.push(`${name} must give the lot's dimensions, land cost and settlement date`);
+      return;
+    }
+    for (const field of ['lotArea', 'lotWidth', 'lotDepth', 'landCost']) {
+      if (!(Number(parcel[field]) > 0)) errors.push(`${name}.${field} must be a number above 0`);
+    }
+    if (!isDate(parcel.settlementDate)) {
+      errors.push(`${name}.settlementDate must be a valid date (YYYY-MM-DD)`);
+    }
+    if (parcel.frontageType && !rcodesService.getFrontageTypes().includes(parcel.frontageType)) {
+      errors.push(`${name}.frontageType must be one of: ${rcodesService.getFrontageTypes().join(', ')}`);
+    }
+  });
+  // The merged site replaces any single-lot geometry
+  if (property.lotBoundary != null) errors.push('property.lotBoundary can\'t be given with property.parcels');
+  if (property.retainedDwelling != null) {
+    errors.push('property.retainedDwelling can\'t be given with property.parcels');
+  }
+  return errors;
+}
+
 export function validateReportRequest(req, res, next) {
   const { property, financial } = req.body;
   const errors = [];
@@ -5,16 +45,154 @@ export function validateReportRequest(req, res, next) {
   if (!property) {
     errors.push('property object is required');
   } else {
-    if (!property.lotArea) errors.push('property.lotArea is required');
-    if (!property.lotWidth) errors.push('property.lotWidth is required');
-    if (!property.lotDepth) errors.push('property.lotDepth is required');
+    if (property.parcels != null) {
+      // Amalgamated lots give the site's dimensions between them
+      errors.push(...validateParcels(property.parcels, property));
+    } else {
+      if (!property.lotArea) errors.push('property.lotArea is required');
+      if (!property.lotWidth) errors.push('property.lotWidth is required');
+      if (!property.lotDepth) errors.push('property.lotDepth is required');
+    }
     if (!property.rCode) errors.push('property.rCode is required');
+    else if (!rcodesService.isValidRCode(property.rCode)) {
+      errors.push('property.rCode must be an R-Code (e.g. R40) or split code (e.g. R20/R40)');
+    }
+    if (property.ruleSet && !rcodesService.getRuleSets().some(s => s.id === property.ruleSet)) {
+      errors.push(`property.ruleSet must be one of: ${rcodesService.getRuleSets().map(s => s.id).join(', ')}`);
+    }
+    if (property.lga != null && typeof property.lga !== 'string') {
+      errors.push('property.lga must be the name of a local government area (e.g. City of Stirling)');
+    }
+    const { frontageFacing } = property;
+    if (frontageFacing != null && typeof frontageFacing !== 'number' &&
+      !COMPASS_POINTS.includes(String(frontageFacing).toUpperCase())) {
+      errors.push('property.frontageFacing must be a compass point (e.g. N, SE) or a bearing in degrees');
+    }
+    if (property.frontageType && !rcodesService.getFrontageTypes().includes(property.frontageType)) {
+      errors.push(`property.frontageType must be one of: ${rcodesService.getFrontageTypes().join(', ')}`);
+    }
+    if (property.tolerances != null) {
+      const provisions = rcodesService.getVariationProvisions();
+      const bands = typeof property.tolerances === 'object' && !Array.isArray(property.tolerances)
+        ? Object.entries(property.tolerances)
+        : null;
+      if (!bands) {
+        errors.push('property.tolerances must map provisions to tolerance bands');
+      } else {
+        for (const [provision, band] of bands) {
+          if (!provisions.includes(provision)) {
+            errors.push(`property.tolerances.${provision} is not a provision; use one of: ${provisions.join(', ')}`);
+          } else if (typeof band !== 'number' || band < 0 || band > 1) {
+            errors.push(`property.tolerances.${provision} must be a fraction between 0 and 1 (e.g. 0.1 for 10%)`);
+          }
+        }
+      }
+    }
+    if (property.roofForm && !yieldService.getRoofForms().includes(property.roofForm)) {
+      errors.push(`property.roofForm must be one of: ${yieldService.getRoofForms().join(', ')}`);
+    }
+    if (property.dwellingTypes != null) {
+      errors.push(...yieldService.validateDwellingTypes(property.dwellingTypes)
+        .map(error => `property.dwellingTypes: ${error}`));
+      const roofForms = yieldService.getRoofForms();
+      for (const entry of Array.isArray(property.dwellingTypes) ? property.dwellingTypes : []) {
+        if (entry?.roofForm != null && !roofForms.includes(entry.roofForm)) {
+          errors.push(`property.dwellingTypes: ${entry.key}.roofForm must be one of: ${roofForms.join(', ')}`);
+        }
+      }
+    }
+    const multiple = property.dwellingType === 'multiple';
+    if (property.dwellingType != null && !DWELLING_FORMS.includes(property.dwellingType)) {
+      errors.push(`property.dwellingType must be one of: ${DWELLING_FORMS.join(', ')}`);
+    }
+    if (property.apartmentParking != null) {
+      const forms = yieldService.getParkingForms();
+      if (!multiple) {
+        errors.push('property.apartmentParking only applies to multiple dwellings');
+      } else if (!forms.includes(property.apartmentParking)) {
+        errors.push(`property.apartmentParking must be one of: ${forms.join(', ')}`);
+      }
+    }
+    if (property.mix != null) {
+      // A mix picked from the frontier, keyed by the scheme's dwelling types,
+      // or the apartment types for multiple dwellings
+      const selection = Array.isArray(property.dwellingTypes)
+        ? property.dwellingTypes
+        : yieldService.getDefaultDwellingTypes();
+      const keys = multiple
+        ? Object.keys(yieldService.getApartmentTypes())
+        : selection.map(entry => (typeof entry === 'string' ? entry : entry?.key));
+      const library = yieldService.getDwellingTypeLibrary();
+      const ancillaryKeys = selection
+        .filter(entry => (typeof entry === 'string'
+          ? library.find(type => type.key === entry)?.ancillary
+          : entry?.ancillary ?? library.find(type => type.key === entry?.key)?.ancillary))
+        .map(entry => (typeof entry === 'string' ? entry : entry.key));
+      const counts = property.mix && typeof property.mix === 'object' ? Object.entries(property.mix) : null;
+      if (!counts || Array.isArray(property.mix)) {
+        errors.push('property.mix must map dwelling types to a number of dwellings');
+      } else {
+        for (const [key, count] of counts) {
+          if (!keys.includes(key)) {
+            errors.push(`property.mix.${key} is not one of the scheme's dwelling types: ${keys.join(', ')}`);
+          } else if (!Number.isInteger(count) || count < 0) {
+            errors.push(`property.mix.${key} must be a whole number of zero or more`);
+          }
+        }
+        if (!counts.some(([, count]) => count > 0)) {
+          errors.push('property.mix must include at least one dwelling');
+        } else if (!counts.some(([key, count]) => count > 0 && !ancillaryKeys.includes(key))) {
+          errors.push('property.mix must include a house for its ancillary dwelling to go with');
+        }
+      }
+    }
+    if (property.retainedDwelling != null) {
+      // The existing house kept on a front lot of its own
+      const retained = property.retainedDwelling;
+      if (typeof retained !== 'object' || Array.isArray(retained)) {
+        errors.push('property.retainedDwelling must give the retained lot area and the house value');
+      } else {
+        const area = Number(retained.lotArea);
+        if (!(area > 0) || (property.lotArea && area >= Number(property.lotArea))) {
+          errors.push('property.retainedDwelling.lotArea must be an area in sqm smaller than the lot');
+        }
+        if (retained.value != null && !(Number(retained.value) >= 0)) {
+          errors.push('property.retainedDwelling.value must be a dollar value of zero or more');
+        }
+      }
+    }
+    if (property.nearTransit != null && typeof property.nearTransit !== 'boolean') {
+      errors.push('property.nearTransit must be true or false');
+    }
+    if (property.lotBoundary != null) {
+      errors.push(...yieldService.validateLotBoundary(property.lotBoundary)
+        .map(error => `property.lotBoundary ${error}`));
+    }
+    if (property.openings != null && !Array.isArray(property.openings)) {
+      errors.push('property.openings must be an array of windows and balconies');
+    }
+    if (property.assessmentDate && !rcodesService.selectRuleSet(property.assessmentDate)) {
+      errors.push('property.assessmentDate must be a valid date (YYYY-MM-DD)');
+    }
   }
 
   if (!financial) {
     errors.push('financial object is required');
   } else {
-    if (!financial.landCost) errors.push('financial.landCost is required');
+    // Amalgamated lots each carry their own land cost
+    if (!financial.landCost && property?.parcels == null) errors.push('financial.landCost is required');
+    if (financial.objective && !yieldService.getObjectives().includes(financial.objective)) {
+      errors.push(`financial.objective must be one of: ${yieldService.getObjectives().join(', ')}`);
+    }
+    if (financial.ancillaryIncome != null && !['sale', 'rental'].includes(financial.ancillaryIncome)) {
+      errors.push('financial.ancillaryIncome must be one of: sale, rental');
+    }
+    if (financial.ancillaryRent != null && !(Number(financial.ancillaryRent) >= 0)) {
+      errors.push('financial.ancillaryRent must be a weekly rent of zero or more');
+    }
+    if (financial.rentalYield != null && !(Number(financial.rentalYield) > 0 && Number(financial.rentalYield) <= 100)) {
+      errors.push('financial.rentalYield must be a percentage above 0 (e.g. 5 for 5%)');
+    }
   }
 
   if (errors.length > 0) {
@@ -4,6 +4,7 @@ import { fileURLToPath } from 'url';
 import path from 'path';
 import reportController from './controllers/report.controller.js';
 import propertyController from './controllers/property.controller.js';
+import dwellingTypeController from './controllers/dwellingType.controller.js';
 import { errorHandler } from './middleware/errorHandler.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -22,6 +23,7 @@ app.get('/api/health', (req, res) => {
 // Routes
 app.use('/api/reports', reportController);
 app.use('/api/property', propertyController);
+app.use('/api/dwelling-types', dwellingTypeController);
 
 // In production, serve the built frontend
 if (process.env.NODE_ENV === 'production') {
@@ -3,6 +3,7 @@ import {
   CONSTRUCTION_QUALITY,
   DEFAULT_MARKET_PRICES,
   calculateStampDuty,
+  ancillaryRentalValue,
 } from '../../../src/engines/financialEngine.js';
 
 class FinancialService {
@@ -21,6 +22,10 @@ class FinancialService {
   calculateStampDuty(value) {
     return calculateStampDuty(value);
   }
+
+  ancillaryRentalValue(weeklyRent, rentalYield) {
+    return ancillaryRentalValue(weeklyRent, rentalYield);
+  }
 }
 
 export default new FinancialService();
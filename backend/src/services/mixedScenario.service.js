@@ -1,17 +1,34 @@
 // Mixed Dwelling Scenario Generator
-// Generates 7 mixed-dwelling configurations for comparison analysis
-
-import { getRCodeRules, calculateParkingRequirements } from '../../../src/engines/rCodesEngine.js';
-
-// Unit templates: footprint = ground floor only (2-storey assumed), gfa = total across all levels
-// Footprints aligned with yield engine: 2-storey townhouses where GFA ≈ 2× footprint
-const UNIT_TEMPLATES = {
-  '2bed': { label: '2 Bedroom', footprint: 55, gfa: 100, parking: 1 },
-  '3bed': { label: '3 Bedroom', footprint: 75, gfa: 145, parking: 1.5 },
-  '4bed': { label: '4 Bedroom', footprint: 100, gfa: 200, parking: 2 },
-};
+// Generates mixed-dwelling configurations for comparison analysis, plus a
+// house with a granny flat when an ancillary type is selected
+
+import {
+  getRCodeRules,
+  calculateParkingRequirements,
+  assessSiteArea,
+  assessAncillaryDwelling,
+  measureVariation,
+  classifyVariation,
+} from '../../../src/engines/rCodesEngine.js';
+import { determineSiteLayout, calculateInfrastructureArea, mixLimits } from '../../../src/engines/yieldEngine.js';
+import { resolveDwellingTypes, DEFAULT_DWELLING_TYPES } from '../../../src/engines/dwellingLibrary.js';
+
+// Unit templates from the shared dwelling type library, so scenarios and the
+// yield engine size each dwelling the same way: footprint = ground floor only,
+// gfa = total across all levels
+function buildUnitTemplates(dwellingTypes) {
+  return Object.fromEntries(Object.entries(resolveDwellingTypes(dwellingTypes)).map(([key, type]) => [key, {
+    label: type.label,
+    footprint: type.groundFloorArea,
+    gfa: type.totalBuildArea,
+    parking: type.parkingBays,
+    price: type.defaultPrice,
+    ancillary: Boolean(type.ancillary),
+  }]));
+}
 
-// 7 mixed scenario definitions — no pure single-type configurations
+// 7 mixed scenario definitions for the 2/3/4-bed townhouses — no pure
+// single-type configurations
 const SCENARIO_DEFINITIONS = [
   {
     name: 'Balanced Affordable',
@@ -64,81 +81,146 @@ const SCENARIO_DEFINITIONS = [
   },
 ];
 
-// Determine site layout type based on lot proportions (matching yield engine logic)
-function determineSiteLayout(lotWidth, lotDepth) {
-  const ratio = lotDepth / lotWidth;
-  if (ratio > 2.5) return 'battle-axe';
-  if (lotWidth > lotDepth * 1.2) return 'wide-frontage';
-  return 'standard';
-}
-
-// Calculate infrastructure area (matching yield engine logic)
-function calculateInfrastructureArea(numDwellings, layout) {
-  const drivewayWidth = numDwellings > 3 ? 6 : 3.5;
-  const drivewayLength = layout === 'battle-axe' ? 25 : 15;
-  const drivewayArea = drivewayWidth * drivewayLength;
-
-  const turningArea = numDwellings > 4 ? 50 : 0;
-
-  const commonLandscaping = numDwellings * 8;
-
-  return {
-    drivewayArea,
-    turningArea,
-    commonLandscaping,
-    totalInfraArea: drivewayArea + turningArea + commonLandscaping,
+// Scenarios for a selection the townhouse mixes don't cover, with ratios built
+// from the selected types themselves: all of each type, an even split, and
+// splits weighted toward the smaller or the larger homes (by GFA). Ancillary
+// types only go with a house, in the house + granny flat scenario.
+function buildLibraryDefinitions(templates) {
+  const keys = Object.keys(templates).filter(key => !templates[key].ancillary);
+  if (keys.every(key => DEFAULT_DWELLING_TYPES.includes(key))) return [];
+
+  const bySize = [...keys].sort((a, b) => templates[a].gfa - templates[b].gfa);
+  const weighted = weightOf => {
+    const total = bySize.reduce((sum, _, i) => sum + weightOf(i), 0);
+    return Object.fromEntries(bySize.map((key, i) => [key, weightOf(i) / total]));
   };
+
+  const definitions = bySize.map(key => ({
+    name: `All ${templates[key].label}`,
+    description: `Every dwelling a ${templates[key].label.toLowerCase()}.`,
+    strategy: 'Single product for simpler design and construction, relying on one buyer segment.',
+    ratios: { [key]: 1 },
+    riskLevel: 'MEDIUM',
+  }));
+  if (bySize.length < 2) return definitions;
+
+  return [
+    ...definitions,
+    {
+      name: 'Even Split',
+      description: 'Equal numbers of each selected dwelling type.',
+      strategy: 'Spreads sales across every buyer segment the selected product serves.',
+      ratios: weighted(() => 1),
+      riskLevel: 'LOW',
+    },
+    {
+      name: 'Smaller Homes Focus',
+      description: 'Weighted toward the smaller selected dwelling types.',
+      strategy: 'More, cheaper dwellings for faster sales to first-home buyers and investors.',
+      ratios: weighted(i => bySize.length - i),
+      riskLevel: 'LOW',
+    },
+    {
+      name: 'Larger Homes Focus',
+      description: 'Weighted toward the larger selected dwelling types.',
+      strategy: 'Higher revenue per dwelling targeting families. Longer sales period expected.',
+      ratios: weighted(i => i + 1),
+      riskLevel: 'MEDIUM-HIGH',
+    },
+  ];
 }
 
+// Offered next to the grouped mixes when an ancillary type is selected: a
+// single house, the priciest type that fits, with a granny flat behind it
+const ANCILLARY_SCENARIO = {
+  name: 'House + Granny Flat',
+  description: 'A single house with an ancillary dwelling behind it, kept on the one lot.',
+  strategy: 'Sell the house with the granny flat, or keep the flat as a rental, without subdividing.',
+  riskLevel: 'LOW',
+};
+
 class MixedScenarioService {
   /**
    * Generate all mixed scenarios that fit the site constraints.
-   * @param {Object} property - { lotArea, lotWidth, lotDepth, rCode }
+   * @param {Object} property - { lotArea, lotWidth, lotDepth, rCode, frontageType?, ruleSet?, assessmentDate?, lga?, tolerances?, dwellingTypes? }
    * @param {Object} _constraints - Unused (kept for API compat, constraints derived from R-Code rules)
-   * @param {Object} marketData - { prices: { 2bed, 3bed, 4bed } }
+   * @param {Object} marketData - { prices: { [typeKey]: price } }
    * @returns {Array<Object>} Array of viable scenarios sorted by estimated profit margin
    */
   generateMixedScenarios(property, _constraints, marketData) {
-    const { lotArea, lotWidth, lotDepth, rCode } = property;
+    const {
+      lotArea, lotWidth, lotDepth, rCode, frontageType, ruleSet, assessmentDate, lga, tolerances, dwellingTypes,
+    } = property;
 
-    const rules = getRCodeRules(rCode);
+    const rules = getRCodeRules(rCode, { ruleSet, assessmentDate, lga });
     if (!rules) return [];
 
-    const defaultPrices = { '2bed': 550000, '3bed': 650000, '4bed': 780000 };
-    const prices = marketData?.prices || defaultPrices;
+    const templates = buildUnitTemplates(dwellingTypes);
+    // Market prices win; a type without one sells at its library default
+    const prices = Object.fromEntries(Object.entries(templates)
+      .map(([key, template]) => [key, marketData?.prices?.[key] || template.price]));
 
     const scenarios = [];
 
-    for (const def of SCENARIO_DEFINITIONS) {
+    for (const def of [...SCENARIO_DEFINITIONS, ...buildLibraryDefinitions(templates)]) {
+      // A scenario built from a type the selection leaves out can't be offered
+      const types = Object.keys(def.ratios).filter(type => def.ratios[type] > 0);
+      if (!types.every(type => templates[type])) continue;
+
       const config = this.calculateMixedConfig(
-        lotArea, lotWidth, lotDepth, rules, UNIT_TEMPLATES, def.ratios
+        lotArea, lotWidth, lotDepth, rules, templates, def.ratios, frontageType, tolerances
       );
 
       if (config) {
-        const scenario = this.createScenario(def, config, prices, lotArea, rules);
+        const scenario = this.createScenario(def, config, prices, templates, lotArea, rules);
         if (scenario) {
           scenarios.push(scenario);
         }
       }
     }
 
+    const config = this.calculateAncillaryConfig(lotArea, lotWidth, lotDepth, rules, templates, prices, frontageType, tolerances);
+    if (config) scenarios.push(this.createScenario(ANCILLARY_SCENARIO, config, prices, templates, lotArea, rules));
+
     return scenarios;
   }
 
+  /**
+   * Find the house + granny flat config: the priciest house type that passes
+   * beside an ancillary type, trying each pairing in turn.
+   * @returns {Object|null} First passing config or null if none viable
+   */
+  calculateAncillaryConfig(lotArea, lotWidth, lotDepth, rules, templates, prices, frontageType, tolerances = {}) {
+    const keys = Object.keys(templates);
+    const flats = keys.filter(key => templates[key].ancillary);
+    const houses = keys.filter(key => !templates[key].ancillary).sort((a, b) => prices[b] - prices[a]);
+    const layout = determineSiteLayout(lotWidth, lotDepth, frontageType);
+
+    for (const house of houses) {
+      for (const flat of flats) {
+        const counts = Object.fromEntries(keys.map(key => [key, key === house || key === flat ? 1 : 0]));
+        const config = this.assessConfig(counts, lotArea, rules, templates, layout, tolerances);
+        if (config) return config;
+      }
+    }
+    return null;
+  }
+
   /**
    * Calculate the optimal unit counts for a given ratio within R-Code constraints.
-   * Iterates from 2 to 20 total units, applies full compliance checks including
-   * infrastructure, parking, plot ratio, site coverage, open space, and min lot size.
+   * Iterates from 2 total units up to the most the site area per dwelling allows,
+   * applies full compliance checks including
+   * infrastructure, parking, plot ratio, site coverage, open space, and the minimum
+   * and average site area per dwelling. Configs that miss a limit by no more
+   * than its tolerance band are kept and flagged for a design-principles assessment.
    * @returns {Object|null} Best compliant config or null if none viable
    */
-  calculateMixedConfig(lotArea, lotWidth, lotDepth, rules, templates, ratios) {
+  calculateMixedConfig(lotArea, lotWidth, lotDepth, rules, templates, ratios, frontageType, tolerances = {}) {
     let bestConfig = null;
-    let bestUtilization = 0;
 
-    const layout = determineSiteLayout(lotWidth, lotDepth);
-    const maxGFA = lotArea * rules.maxPlotRatio;
+    const layout = determineSiteLayout(lotWidth, lotDepth, frontageType);
 
-    for (let totalTarget = 2; totalTarget <= 20; totalTarget++) {
+    for (let totalTarget = 2; totalTarget <= mixLimits(totalTarget, lotArea, rules, layout, tolerances).maxUnits; totalTarget++) {
       // Convert ratios to unit counts (round to whole numbers)
       const counts = {};
       let assigned = 0;
@@ -164,84 +246,128 @@ class MixedScenarioService {
         if (!counts[type]) counts[type] = 0;
       }
 
-      // Calculate actual totals
-      const actualTotal = counts['2bed'] + counts['3bed'] + counts['4bed'];
-      let totalFootprint = 0;
-      let totalGFA = 0;
-      let totalParking = 0;
-
-      for (const [type, count] of Object.entries(counts)) {
-        if (count > 0 && templates[type]) {
-          totalFootprint += count * templates[type].footprint;
-          totalGFA += count * templates[type].gfa;
-          totalParking += count * templates[type].parking;
-        }
-      }
+      const config = this.assessConfig(counts, lotArea, rules, templates, layout, tolerances);
 
-      // Infrastructure area (matching yield engine)
-      const infra = calculateInfrastructureArea(actualTotal, layout);
-
-      // Visitor parking area (matching yield engine: visitorBays × 15 sqm)
-      const parking = calculateParkingRequirements(actualTotal, rules.label);
-      const visitorParkingArea = parking ? parking.visitorBays * 15 : 0;
-
-      // Total site coverage including all infrastructure
-      const totalCoverage = totalFootprint + infra.totalInfraArea + visitorParkingArea;
-
-      // Open space
-      const openSpace = lotArea - totalCoverage;
-
-      // Compliance checks (all must pass)
-      const plotRatio = totalGFA / lotArea;
-      const siteCoverageRatio = totalCoverage / lotArea;
-      const openSpaceRatio = openSpace / lotArea;
-      const lotSizePerUnit = lotArea / actualTotal;
-
-      const plotRatioOk = plotRatio <= rules.maxPlotRatio;
-      const siteCoverageOk = siteCoverageRatio <= rules.maxSiteCoverage;
-      const openSpaceOk = openSpaceRatio >= rules.minOpenSpace;
-      const minLotSizeOk = lotSizePerUnit >= rules.minLotSize;
-
-      if (!plotRatioOk || !siteCoverageOk || !openSpaceOk || !minLotSizeOk) continue;
-
-      // Utilization of the correct GFA cap
-      const utilization = totalGFA / maxGFA;
-
-      // Prefer higher utilization among compliant configs
-      if (utilization > bestUtilization) {
-        bestUtilization = utilization;
-        bestConfig = {
-          counts,
-          totalUnits: actualTotal,
-          totalFootprint: Math.round(totalFootprint),
-          totalGFA: Math.round(totalGFA),
-          totalParking: Math.ceil(totalParking),
-          utilization: Math.round(utilization * 100),
-          infrastructure: infra,
-          visitorParkingArea,
-          totalCoverage: Math.round(totalCoverage),
-          openSpace: Math.round(openSpace),
-          parking,
-          compliance: {
-            plotRatio: Math.round(plotRatio * 1000) / 1000,
-            siteCoverageRatio: Math.round(siteCoverageRatio * 1000) / 1000,
-            openSpaceRatio: Math.round(openSpaceRatio * 1000) / 1000,
-            lotSizePerUnit: Math.round(lotSizePerUnit),
-          },
-        };
-      }
+      // Prefer higher utilization of the GFA cap among compliant configs
+      if (config && config.totalGFA > (bestConfig?.totalGFA ?? 0)) bestConfig = config;
     }
 
     return bestConfig;
   }
 
+  /**
+   * Check one set of unit counts against the R-Code limits.
+   * @returns {Object|null} The config, or null if a limit is missed by more than its tolerance
+   */
+  assessConfig(counts, lotArea, rules, templates, layout, tolerances = {}) {
+    // Calculate actual totals. Ancillary dwellings share the house's lot, so
+    // they're left out of the site area per dwelling and take their own parking.
+    const actualTotal = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const ancillaryTotal = Object.entries(counts)
+      .reduce((sum, [type, count]) => sum + (templates[type]?.ancillary ? count : 0), 0);
+    let totalFootprint = 0;
+    let totalGFA = 0;
+    let totalParking = 0;
+
+    for (const [type, count] of Object.entries(counts)) {
+      if (count > 0 && templates[type]) {
+        totalFootprint += count * templates[type].footprint;
+        totalGFA += count * templates[type].gfa;
+        totalParking += count * templates[type].parking;
+      }
+    }
+
+    // Infrastructure area (matching yield engine)
+    const infra = calculateInfrastructureArea(actualTotal, layout);
+
+    // Visitor parking area (matching yield engine: visitorBays × 15 sqm)
+    const parking = calculateParkingRequirements(actualTotal - ancillaryTotal, rules.label, {
+      ruleSet: rules.ruleSet,
+      lga: rules.lga,
+      ancillaryDwellings: ancillaryTotal,
+    });
+    const visitorParkingArea = parking ? parking.visitorBays * 15 : 0;
+
+    // Total site coverage including all infrastructure
+    const totalCoverage = totalFootprint + infra.totalInfraArea + visitorParkingArea;
+
+    // Open space
+    const openSpace = lotArea - totalCoverage;
+
+    // Compliance checks (all must pass)
+    const plotRatio = totalGFA / lotArea;
+    const siteCoverageRatio = totalCoverage / lotArea;
+    const openSpaceRatio = openSpace / lotArea;
+    const lotSizePerUnit = lotArea / (actualTotal - ancillaryTotal);
+
+    // Survey-strata lots (matching yield engine): driveway and visitor parking
+    // are common property, the rest is split by dwelling footprint
+    const commonPropertyArea = infra.totalInfraArea + visitorParkingArea;
+    const privateArea = Math.max(0, lotArea - commonPropertyArea);
+    const lotFootprint = Object.entries(counts)
+      .reduce((sum, [type, count]) => sum + (templates[type]?.ancillary ? 0 : count * templates[type].footprint), 0);
+    const lotAreas = Object.entries(counts)
+      .filter(([type]) => templates[type] && !templates[type].ancillary)
+      .flatMap(([type, count]) => Array(count).fill(privateArea * templates[type].footprint / lotFootprint));
+    const siteArea = assessSiteArea({ lotArea, commonPropertyArea, lotAreas }, rules.label, { ruleSet: rules.ruleSet, lga: rules.lga });
+
+    const variations = {
+      plotRatio: measureVariation(plotRatio, rules.maxPlotRatio),
+      siteCoverage: measureVariation(siteCoverageRatio, rules.maxSiteCoverage),
+      openSpace: measureVariation(openSpaceRatio, rules.minOpenSpace, 'min'),
+      siteArea: siteArea.variation,
+    };
+    if (ancillaryTotal > 0) {
+      variations.ancillaryDwelling = assessAncillaryDwelling({
+        lotArea,
+        floorArea: Math.max(...Object.entries(counts)
+          .filter(([type, count]) => count > 0 && templates[type].ancillary)
+          .map(([type]) => templates[type].gfa)),
+        houses: actualTotal - ancillaryTotal,
+        ancillaryDwellings: ancillaryTotal,
+      }, rules.label, { ruleSet: rules.ruleSet, lga: rules.lga }).variation;
+    }
+    const statuses = Object.entries(variations)
+      .map(([provision, variation]) => [provision, classifyVariation(provision, variation, tolerances)]);
+
+    if (statuses.some(([, status]) => status === 'non-compliant')) return null;
+    const designPrinciples = statuses
+      .filter(([, status]) => status === 'design-principles')
+      .map(([provision]) => ({ provision, variation: variations[provision], tolerance: tolerances[provision] }));
+
+    // Utilization of the correct GFA cap
+    const utilization = totalGFA / (lotArea * rules.maxPlotRatio);
+
+    return {
+      counts,
+      totalUnits: actualTotal,
+      totalFootprint: Math.round(totalFootprint),
+      totalGFA: Math.round(totalGFA),
+      totalParking: Math.ceil(totalParking),
+      utilization: Math.round(utilization * 100),
+      infrastructure: infra,
+      visitorParkingArea,
+      totalCoverage: Math.round(totalCoverage),
+      openSpace: Math.round(openSpace),
+      parking,
+      designPrinciples,
+      compliance: {
+        plotRatio: Math.round(plotRatio * 1000) / 1000,
+        siteCoverageRatio: Math.round(siteCoverageRatio * 1000) / 1000,
+        openSpaceRatio: Math.round(openSpaceRatio * 1000) / 1000,
+        lotSizePerUnit: Math.round(lotSizePerUnit),
+        minSiteAreaPerUnit: Math.round(siteArea.minimum),
+      },
+    };
+  }
+
   /**
    * Build a complete scenario object with mix breakdown and financial estimates.
    */
-  createScenario(definition, config, prices, lotArea, rules) {
+  createScenario(definition, config, prices, templates, lotArea, rules) {
     const {
       counts, totalUnits, totalFootprint, totalGFA, totalParking, utilization,
-      infrastructure, visitorParkingArea, totalCoverage, openSpace, parking, compliance,
+      infrastructure, visitorParkingArea, totalCoverage, openSpace, parking, designPrinciples, compliance,
     } = config;
 
     // Mix breakdown with percentages
@@ -250,20 +376,18 @@ class MixedScenarioService {
       if (count > 0) {
         mixBreakdown.push({
           type,
-          label: UNIT_TEMPLATES[type].label,
+          label: templates[type].label,
           units: count,
           percentage: Math.round((count / totalUnits) * 100),
-          footprint: count * UNIT_TEMPLATES[type].footprint,
-          gfa: count * UNIT_TEMPLATES[type].gfa,
+          footprint: count * templates[type].footprint,
+          gfa: count * templates[type].gfa,
         });
       }
     }
 
     // Estimated revenue (GRV)
-    const estimatedGRV =
-      (counts['2bed'] || 0) * (prices['2bed'] || 550000) +
-      (counts['3bed'] || 0) * (prices['3bed'] || 650000) +
-      (counts['4bed'] || 0) * (prices['4bed'] || 780000);
+    const estimatedGRV = Object.entries(counts)
+      .reduce((sum, [type, count]) => sum + count * (prices[type] || 0), 0);
 
     return {
       name: definition.name,
@@ -286,12 +410,15 @@ class MixedScenarioService {
       totalCoverage,
       openSpace,
       parking,
+      requiresDesignPrinciples: designPrinciples.length > 0,
+      designPrinciples,
       compliance: {
         ...compliance,
         maxPlotRatio: rules.maxPlotRatio,
         maxSiteCoverage: rules.maxSiteCoverage,
         minOpenSpace: rules.minOpenSpace,
         minLotSize: rules.minLotSize,
+        avgLotSize: rules.avgLotSize,
       },
     };
   }
@@ -1,6 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import mixedScenarioService from './mixedScenario.service.js';
 import { getRCodeRules } from '../../../src/engines/rCodesEngine.js';
+import { DWELLING_TYPES } from '../../../src/engines/yieldEngine.js';
 
 // Standard test property: R60 / 800 sqm (20m × 40m)
 const R60_PROPERTY = { lotArea: 800, lotWidth: 20, lotDepth: 40, rCode: 'R60' };
@@ -45,6 +46,18 @@ describe('MixedScenarioService — R60/800sqm compliance', () => {
     }
   });
 
+  it('every scenario satisfies the average site area (lotArea / totalUnits ≥ 150)', () => {
+    for (const s of scenarios) {
+      expect(R60_PROPERTY.lotArea / s.totalUnits).toBeGreaterThanOrEqual(rules.avgLotSize);
+    }
+  });
+
+  it('every survey-strata lot with its common property share reaches 120', () => {
+    for (const s of scenarios) {
+      expect(s.compliance.minSiteAreaPerUnit).toBeGreaterThanOrEqual(rules.minLotSize);
+    }
+  });
+
   it('no scenario exceeds maxGFA cap (800 × 0.7 = 560)', () => {
     const maxGFA = R60_PROPERTY.lotArea * rules.maxPlotRatio;
     for (const s of scenarios) {
@@ -130,6 +143,92 @@ describe('MixedScenarioService — scenario structure', () => {
     expect(s.compliance.maxSiteCoverage).toBe(0.65);
     expect(s.compliance.minOpenSpace).toBe(0.40);
     expect(s.compliance.minLotSize).toBe(120);
+    expect(s.compliance.avgLotSize).toBe(150);
+  });
+});
+
+describe('MixedScenarioService — frontage types', () => {
+  it('drops the shared driveway for a rear-laneway lot', () => {
+    const [laneway] = mixedScenarioService.generateMixedScenarios(
+      { ...R40_PROPERTY, frontageType: 'laneway' }, {}, DEFAULT_MARKET
+    );
+    expect(laneway.infrastructure.drivewayArea).toBe(0);
+  });
+});
+
+describe('MixedScenarioService — design principles', () => {
+  const tolerances = { plotRatio: 0.2, siteCoverage: 0.2, openSpace: 0.2, siteArea: 0.2 };
+
+  it('keeps larger configs within tolerance and flags them', () => {
+    const strict = mixedScenarioService.generateMixedScenarios(R40_PROPERTY, {}, DEFAULT_MARKET);
+    const tolerant = mixedScenarioService.generateMixedScenarios({ ...R40_PROPERTY, tolerances }, {}, DEFAULT_MARKET);
+    expect(strict.every(s => !s.requiresDesignPrinciples)).toBe(true);
+
+    const flagged = tolerant.filter(s => s.requiresDesignPrinciples);
+    expect(flagged.length).toBeGreaterThan(0);
+    for (const s of flagged) {
+      const match = strict.find(d => d.name === s.name);
+      expect(s.totalUnits).toBeGreaterThan(match.totalUnits);
+      for (const v of s.designPrinciples) {
+        expect(v.variation).toBeGreaterThan(0);
+        expect(v.variation).toBeLessThanOrEqual(tolerances[v.provision]);
+      }
+    }
+  });
+});
+
+describe('MixedScenarioService — dwelling types', () => {
+  it('sizes units from the shared dwelling type library', () => {
+    const [scenario] = mixedScenarioService.generateMixedScenarios(R60_PROPERTY, {}, DEFAULT_MARKET);
+    for (const line of scenario.mixBreakdown) {
+      expect(line.footprint).toBe(line.units * DWELLING_TYPES[line.type].groundFloorArea);
+      expect(line.gfa).toBe(line.units * DWELLING_TYPES[line.type].totalBuildArea);
+    }
+  });
+
+  it('offers only scenarios built from the selected types', () => {
+    const scenarios = mixedScenarioService.generateMixedScenarios(
+      { ...R60_PROPERTY, dwellingTypes: ['2bed', '3bed'] }, {}, DEFAULT_MARKET
+    );
+    expect(scenarios.map(s => s.name)).toEqual(['Balanced Affordable', '3-Bed Dominant', 'Entry-Level Focus']);
+  });
+
+  it('builds scenarios from a selection of library types alone', () => {
+    const scenarios = mixedScenarioService.generateMixedScenarios(
+      { ...R60_PROPERTY, dwellingTypes: ['1bed', 'villa', '5bed'] }, {}, DEFAULT_MARKET
+    );
+    expect(scenarios.map(s => s.name)).toEqual([
+      'All 1 Bedroom', 'All Single-storey Villa', 'All 5 Bedroom',
+      'Even Split', 'Smaller Homes Focus', 'Larger Homes Focus',
+    ]);
+    for (const s of scenarios) {
+      expect(Object.keys(s.mix).sort()).toEqual(['1bed', '5bed', 'villa']);
+      expect(s.totalUnits).toBeGreaterThan(0);
+    }
+    expect(scenarios[0].mix).toMatchObject({ villa: 0, '5bed': 0 });
+  });
+
+  it('offers a house with a granny flat when an ancillary type is selected', () => {
+    const property = { lotArea: 700, lotWidth: 17, lotDepth: 700 / 17, rCode: 'R20' };
+    const scenarios = mixedScenarioService.generateMixedScenarios(
+      { ...property, dwellingTypes: ['3bed', '4bed', 'ancillary'] }, {}, DEFAULT_MARKET
+    );
+    const houseAndFlat = scenarios.find(s => s.name === 'House + Granny Flat');
+    expect(houseAndFlat.mix).toEqual({ '3bed': 0, '4bed': 1, ancillary: 1 });
+    expect(houseAndFlat.estimatedGRV).toBe(780000 + 160000);
+    expect(houseAndFlat.compliance.lotSizePerUnit).toBe(700);
+    expect(scenarios.filter(s => s.mix.ancillary > 0).map(s => s.name)).toEqual(['House + Granny Flat']);
+    expect(mixedScenarioService.generateMixedScenarios(property, {}, DEFAULT_MARKET)
+      .some(s => s.name === 'House + Granny Flat')).toBe(false);
+  });
+
+  it('prices a type without a market price at its library default', () => {
+    const scenarios = mixedScenarioService.generateMixedScenarios(R60_PROPERTY, {}, { prices: {} });
+    for (const s of scenarios) {
+      const expected = Object.entries(s.mix)
+        .reduce((sum, [type, count]) => sum + count * DWELLING_TYPES[type].defaultPrice, 0);
+      expect(s.estimatedGRV).toBe(expected);
+    }
   });
 });
 
@@ -152,6 +251,16 @@ describe('MixedScenarioService — edge cases', () => {
     expect(scenarios).toEqual([]);
   });
 
+  it('sizes a large lot past 20 dwellings, within the site area per dwelling', () => {
+    const largeProperty = { lotArea: 6000, lotWidth: 60, lotDepth: 100, rCode: 'R80' };
+    const scenarios = mixedScenarioService.generateMixedScenarios(largeProperty, {}, DEFAULT_MARKET);
+    const rules = getRCodeRules('R80');
+    expect(Math.max(...scenarios.map(s => s.totalUnits))).toBeGreaterThan(20);
+    for (const s of scenarios) {
+      expect(6000 / s.totalUnits).toBeGreaterThanOrEqual(rules.avgLotSize);
+    }
+  });
+
   it('uses default prices when no market data provided', () => {
     const scenarios = mixedScenarioService.generateMixedScenarios(
       R60_PROPERTY, {}, null
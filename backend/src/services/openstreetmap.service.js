@@ -445,6 +445,76 @@ class OpenStreetMapService {
     };
   }
 
+  /**
+   * Estimate which way the lot's frontage faces from its boundary polygon.
+   * The longest edge gives the depth axis. Without street data the frontage is
+   * taken at the northern end, the worst case for overshadowing the rear lot.
+   * @returns {number|null} Bearing in degrees (0 = north, 90 = east)
+   */
+  estimateFrontageBearing(coordinates) {
+    if (!coordinates || coordinates.length < 3) return null;
+
+    const metersPerDegreeLat = 111320;
+    const metersPerDegreeLng = 111320 * Math.cos(coordinates[0].lat * Math.PI / 180);
+
+    let longest = 0;
+    let axis = null;
+    for (let i = 0; i < coordinates.length; i++) {
+      const a = coordinates[i];
+      const b = coordinates[(i + 1) % coordinates.length];
+      const dx = (b.lng - a.lng) * metersPerDegreeLng;
+      const dy = (b.lat - a.lat) * metersPerDegreeLat;
+      const length = Math.hypot(dx, dy);
+      if (length > longest) {
+        longest = length;
+        axis = ((Math.atan2(dx, dy) * 180 / Math.PI) % 180 + 180) % 180;
+      }
+    }
+    if (axis === null) return null;
+
+    // The axis points both ways; keep the more northerly end
+    const bearing = axis <= 90 ? axis : axis + 180;
+    return Math.round(bearing * 10) / 10;
+  }
+
+  /**
+   * Boundary polygon in lot coordinates for the site layout: u runs across the
+   * frontage from the left boundary (as seen from the street), v from the
+   * street back to the rear, both in metres from the lot's nearest corner.
+   * A closing point repeating the first is dropped.
+   * @param {Array<Object>} coordinates - [{ lat, lng }]
+   * @param {number} frontageBearing - Bearing in degrees the street lies in
+   * @returns {Array<Object>|null} [{ u, v }]
+   */
+  toLotBoundary(coordinates, frontageBearing) {
+    if (!coordinates || frontageBearing == null) return null;
+    const first = coordinates[0];
+    const last = coordinates[coordinates.length - 1];
+    const ring = coordinates.length > 1 && first.lat === last.lat && first.lng === last.lng
+      ? coordinates.slice(0, -1)
+      : coordinates;
+    if (ring.length < 3) return null;
+
+    const metersPerDegreeLat = 111320;
+    const metersPerDegreeLng = 111320 * Math.cos(first.lat * Math.PI / 180);
+    const bearing = frontageBearing * Math.PI / 180;
+    // Facing the lot from the street, v points away from it and u to the right
+    const vAxis = { x: -Math.sin(bearing), y: -Math.cos(bearing) };
+    const uAxis = { x: -Math.cos(bearing), y: Math.sin(bearing) };
+
+    const points = ring.map(c => {
+      const x = (c.lng - first.lng) * metersPerDegreeLng;
+      const y = (c.lat - first.lat) * metersPerDegreeLat;
+      return { u: x * uAxis.x + y * uAxis.y, v: x * vAxis.x + y * vAxis.y };
+    });
+    const minU = Math.min(...points.map(p => p.u));
+    const minV = Math.min(...points.map(p => p.v));
+    return points.map(p => ({
+      u: Math.round((p.u - minU) * 100) / 100,
+      v: Math.round((p.v - minV) * 100) / 100,
+    }));
+  }
+
   /**
    * Shoelace formula for polygon area from lat/lng coordinates.
    * Converts coordinates to meters using local projection.
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import osmService from './openstreetmap.service.js';
+
+describe('toLotBoundary', () => {
+  // A 20m (east-west) by 40m (north-south) lot in Perth, as a closed way
+  const lat = -31.95;
+  const dLat = 40 / 111320;
+  const dLng = 20 / (111320 * Math.cos(lat * Math.PI / 180));
+  const nw = { lat, lng: 115.86 };
+  const ne = { lat, lng: 115.86 + dLng };
+  const se = { lat: lat - dLat, lng: 115.86 + dLng };
+  const sw = { lat: lat - dLat, lng: 115.86 };
+
+  it('lays the lot out from the street it faces', () => {
+    const boundary = osmService.toLotBoundary([nw, ne, se, sw, nw], 0);
+    // Seen from a street to the north, the east boundary is on the left
+    expect(boundary).toEqual([
+      { u: 20, v: 0 },
+      { u: 0, v: 0 },
+      { u: 0, v: 40 },
+      { u: 20, v: 40 },
+    ]);
+  });
+
+  it('turns the lot round when the street is to the south', () => {
+    const boundary = osmService.toLotBoundary([nw, ne, se, sw], 180);
+    expect(boundary).toEqual([
+      { u: 0, v: 40 },
+      { u: 20, v: 40 },
+      { u: 20, v: 0 },
+      { u: 0, v: 0 },
+    ]);
+  });
+
+  it('needs a bearing and three distinct points', () => {
+    expect(osmService.toLotBoundary([nw, ne, se], null)).toBeNull();
+    expect(osmService.toLotBoundary([nw, ne, nw], 0)).toBeNull();
+  });
+});
@@ -1,35 +1,75 @@
 import {
   getRCodeRules,
   getAllRCodes,
+  getRuleSets,
+  selectRuleSet,
+  getLocalPolicies,
+  parseSplitCode,
+  isValidRCode,
+  evaluateBonusEligibility,
   checkCompliance,
   calculateBuildableArea,
   calculateBuildableEnvelope,
   calculateParkingRequirements,
+  FRONTAGE_TYPES,
+  VARIATION_PROVISIONS,
 } from '../../../src/engines/rCodesEngine.js';
 
 class RCodesService {
-  getRCodeRules(rCode) {
-    return getRCodeRules(rCode);
+  getRCodeRules(rCode, options) {
+    return getRCodeRules(rCode, options);
   }
 
   getAllRCodes() {
     return getAllRCodes();
   }
 
+  getRuleSets() {
+    return getRuleSets();
+  }
+
+  selectRuleSet(assessmentDate) {
+    return selectRuleSet(assessmentDate);
+  }
+
+  getLocalPolicies() {
+    return getLocalPolicies();
+  }
+
+  getVariationProvisions() {
+    return Object.keys(VARIATION_PROVISIONS);
+  }
+
+  getFrontageTypes() {
+    return FRONTAGE_TYPES;
+  }
+
+  parseSplitCode(rCode) {
+    return parseSplitCode(rCode);
+  }
+
+  isValidRCode(rCode) {
+    return isValidRCode(rCode);
+  }
+
+  evaluateBonusEligibility(site, conditions) {
+    return evaluateBonusEligibility(site, conditions);
+  }
+
   checkCompliance(params) {
     return checkCompliance(params);
   }
 
-  calculateBuildableArea(lotArea, rCode) {
-    return calculateBuildableArea(lotArea, rCode);
+  calculateBuildableArea(lotArea, rCode, options) {
+    return calculateBuildableArea(lotArea, rCode, options);
   }
 
-  calculateBuildableEnvelope(lotWidth, lotDepth, rCode) {
-    return calculateBuildableEnvelope(lotWidth, lotDepth, rCode);
+  calculateBuildableEnvelope(lotWidth, lotDepth, rCode, options) {
+    return calculateBuildableEnvelope(lotWidth, lotDepth, rCode, options);
   }
 
-  calculateParkingRequirements(numDwellings, rCode) {
-    return calculateParkingRequirements(numDwellings, rCode);
+  calculateParkingRequirements(numDwellings, rCode, options) {
+    return calculateParkingRequirements(numDwellings, rCode, options);
   }
 }
 
@@ -1,4 +1,15 @@
-import { optimizeYield, DWELLING_TYPES } from '../../../src/engines/yieldEngine.js';
+import {
+  optimizeYield, DWELLING_TYPES, ROOF_FORMS, OBJECTIVES, PARKING_FORMS, SEARCH_TIME_BUDGET,
+} from '../../../src/engines/yieldEngine.js';
+import {
+  getDwellingTypeLibrary,
+  validateDwellingTypes,
+  resolveDwellingTypes,
+  getApartmentTypeLibrary,
+  APARTMENT_TYPE_LIBRARY,
+  DEFAULT_DWELLING_TYPES,
+} from '../../../src/engines/dwellingLibrary.js';
+import { validateLotBoundary, amalgamateParcels } from '../../../src/engines/layoutEngine.js';
 
 class YieldService {
   optimize(params) {
@@ -8,6 +19,54 @@ class YieldService {
   getDwellingTypes() {
     return DWELLING_TYPES;
   }
+
+  getDwellingTypeLibrary() {
+    return getDwellingTypeLibrary();
+  }
+
+  getDefaultDwellingTypes() {
+    return DEFAULT_DWELLING_TYPES;
+  }
+
+  getApartmentTypeLibrary() {
+    return getApartmentTypeLibrary();
+  }
+
+  getApartmentTypes() {
+    return APARTMENT_TYPE_LIBRARY;
+  }
+
+  validateDwellingTypes(selection) {
+    return validateDwellingTypes(selection);
+  }
+
+  resolveDwellingTypes(selection) {
+    return resolveDwellingTypes(selection);
+  }
+
+  validateLotBoundary(points) {
+    return validateLotBoundary(points);
+  }
+
+  amalgamateParcels(parcels) {
+    return amalgamateParcels(parcels);
+  }
+
+  getRoofForms() {
+    return Object.keys(ROOF_FORMS);
+  }
+
+  getObjectives() {
+    return Object.keys(OBJECTIVES);
+  }
+
+  getParkingForms() {
+    return PARKING_FORMS;
+  }
+
+  getSearchTimeBudget() {
+    return SEARCH_TIME_BUDGET;
+  }
 }
 
 export default new YieldService();
@@ -8,8 +8,11 @@ import Step4ReportPreferences from './components/Step4ReportPreferences';
 import ResultsDashboard from './components/ResultsDashboard';
 import ScenarioComparison from './components/ScenarioComparison';
 import { generatePDF } from './engines/pdfGenerator';
-import { generateReport, generateScenarios, fetchSuburbPrices, ApiError } from './services/api';
-import { getAllRCodes } from './engines/rCodesEngine';
+import {
+  generateReport, generateScenarios, fetchSuburbPrices, getBonusConditions, getTolerances, getDwellingPrices, ApiError,
+} from './services/api';
+import { getAllRCodes, parseSplitCode } from './engines/rCodesEngine';
+import { DEFAULT_DWELLING_TYPES } from './engines/dwellingLibrary';
 
 const DEFAULT_FORM = {
   // Step 1
@@ -20,20 +23,45 @@ const DEFAULT_FORM = {
   lotArea: '',
   lotWidth: '',
   lotDepth: '',
+  frontageFacing: '',
+  frontageType: 'street',
+  amalgamateLots: false,
+  parcels: [],
   rCode: 'R30',
+  bonusRCode: '',
+  bonusMinFrontage: 20,
+  bonusMinLotArea: '',
+  bonusRequiresAmalgamation: false,
+  bonusRequiresLaneway: false,
+  amalgamated: false,
+  lanewayAccess: false,
+  ruleSet: '',
+  assessmentDate: '',
+  lga: '',
+  tolerances: {},
+  roofForm: '',
   terrainAnalysis: null,
+  lotBoundary: null,
   propertyLookupData: null,
   // Step 2
   landCost: '',
   targetMargin: 20,
   constructionQuality: 'standard',
   customBuildCostPerSqm: '',
+  objective: 'profit',
+  dwellingType: 'grouped',
+  apartmentParking: '',
   debtRatio: 70,
   interestRate: 7.5,
   timelineMonths: 18,
+  dwellingTypes: DEFAULT_DWELLING_TYPES,
   price_2bed: '',
   price_3bed: '',
   price_4bed: '',
+  ancillaryIncome: 'sale',
+  ancillaryRent: '',
+  rentalYield: '',
+  nearTransit: false,
   _suburbPrices: null,
   _pricesSource: 'default',
   _pricesFetchedForSuburb: '',
@@ -46,6 +74,9 @@ const DEFAULT_FORM = {
   acidSulfateSoils: false,
   demolitionRequired: false,
   existingStructures: 1,
+  retainExisting: false,
+  retainedLotArea: '',
+  retainedValue: '',
   siteSlope: 'flat',
   lotShape: 'regular',
   streetFrontage: 'adequate',
@@ -90,7 +121,11 @@ function App() {
     num('landCost');
 
     const rCode = params.get('rCode');
-    if (rCode && validRCodes.includes(rCode)) {
+    const split = parseSplitCode(rCode);
+    if (split) {
+      overrides.rCode = split.baseCode;
+      overrides.bonusRCode = split.bonusCode;
+    } else if (rCode && validRCodes.includes(rCode)) {
       overrides.rCode = rCode;
     }
 
@@ -145,15 +180,21 @@ function App() {
     return () => { cancelled = true; };
   }, [formData.suburb, formData.postcode]);
 
-  const canProceedStep1 = formData.lotArea && formData.lotWidth && formData.lotDepth && formData.rCode;
+  const parcelsComplete = !formData.amalgamateLots || formData.parcels.every(parcel =>
+    parcel.lotArea && parcel.lotWidth && parcel.lotDepth && parcel.landCost && parcel.settlementDate);
+  const canProceedStep1 = formData.lotArea && formData.lotWidth && formData.lotDepth && formData.rCode &&
+    parcelsComplete;
   const canProceedStep2 = formData.landCost;
+  const canProceedStep3 = formData.amalgamateLots || !formData.retainExisting || Number(formData.retainedLotArea) > 0;
 
-  const runAnalysis = useCallback(async () => {
+  // Analyse the form as entered, or with overrides such as a mix picked
+  // from the yield options
+  const analyse = useCallback(async (overrides = {}) => {
     setLoading(true);
     setError(null);
 
     try {
-      const data = await generateReport(formData);
+      const data = await generateReport({ ...formData, ...overrides });
       setResults(data);
       setShowScenarios(false);
     } catch (err) {
@@ -170,6 +211,11 @@ function App() {
     }
   }, [formData]);
 
+  const runAnalysis = useCallback(() => analyse(), [analyse]);
+
+  // Re-run the full feasibility on a mix picked from the yield options
+  const handleSelectMix = useCallback(mix => analyse({ mix }), [analyse]);
+
   const runScenarios = useCallback(async () => {
     setLoading(true);
     setError(null);
@@ -180,7 +226,16 @@ function App() {
           lotArea: formData.lotArea,
           lotWidth: formData.lotWidth,
           lotDepth: formData.lotDepth,
-          rCode: formData.rCode,
+          frontageType: formData.frontageType,
+          rCode: formData.bonusRCode ? `${formData.rCode}/${formData.bonusRCode}` : formData.rCode,
+          bonusConditions: getBonusConditions(formData),
+          amalgamated: formData.amalgamated,
+          lanewayAccess: formData.lanewayAccess,
+          ruleSet: formData.ruleSet || undefined,
+          assessmentDate: formData.assessmentDate || undefined,
+          lga: formData.lga || undefined,
+          tolerances: getTolerances(formData),
+          dwellingTypes: formData.dwellingTypes,
           terrainAnalysis: formData.terrainAnalysis,
         },
         financial: {
@@ -190,13 +245,13 @@ function App() {
           debtRatio: formData.debtRatio,
           interestRate: formData.interestRate,
           timelineMonths: formData.timelineMonths,
+          ancillaryIncome: formData.ancillaryIncome || undefined,
+          ancillaryRent: formData.ancillaryRent || undefined,
+          rentalYield: formData.rentalYield || undefined,
         },
         marketData: {
-          prices: {
-            '2bed': Number(formData.price_2bed) || undefined,
-            '3bed': Number(formData.price_3bed) || undefined,
-            '4bed': Number(formData.price_4bed) || undefined,
-          },
+          // The scenarios compare townhouse mixes, whatever the building form
+          prices: getDwellingPrices({ ...formData, dwellingType: 'grouped' }),
         },
       });
       setScenarioResults(data);
@@ -337,6 +392,7 @@ function App() {
             results={results}
             onGeneratePDF={handleGeneratePDF}
             onReset={handleReset}
+            onSelectMix={handleSelectMix}
           />
           {/* Compare Scenarios button */}
           <div className="mt-6 flex justify-center">
@@ -396,7 +452,8 @@ function App() {
           {step < 4 ? (
             <button
               onClick={() => setStep(s => s + 1)}
-              disabled={(step === 1 && !canProceedStep1) || (step === 2 && !canProceedStep2)}
+              disabled={(step === 1 && !canProceedStep1) || (step === 2 && !canProceedStep2) ||
+                (step === 3 && !canProceedStep3)}
               className="btn-primary"
             >
               Next
@@ -0,0 +1,78 @@
+import {
+  ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend,
+} from 'recharts';
+import { formatCurrency, formatPercent, formatSqm } from '../utils/format';
+
+const describeMix = mix => Object.entries(mix)
+  .filter(([, count]) => count > 0)
+  .map(([key, count]) => `${count} × ${key}`)
+  .join(', ');
+
+function PointTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const point = payload[0].payload;
+  return (
+    <div className="rounded-lg border border-slate-200 bg-white p-3 text-xs shadow-sm">
+      <div className="font-semibold text-slate-900">{describeMix(point.mix)}</div>
+      <div className="mt-1 text-slate-600">Profit {formatCurrency(point.grossProfit)}</div>
+      <div className="text-slate-600">Margin {formatPercent(point.profitMargin)}</div>
+      <div className="text-slate-600">Open space {formatSqm(point.openSpace)}</div>
+      {!point.compliant && <div className="mt-1 text-amber-600">Needs design-principles assessment</div>}
+      {point.selected
+        ? <div className="mt-1 font-medium text-emerald-700">Current mix</div>
+        : <div className="mt-1 text-slate-400">Click to run the feasibility on this mix</div>}
+    </div>
+  );
+}
+
+// The non-dominated yield options: dwellings against profit, sized by open
+// space. Clicking a point asks for the full analysis on that mix.
+export default function FrontierChart({ frontier, onSelectMix }) {
+  const select = point => {
+    if (onSelectMix && !point.payload.selected) onSelectMix(point.payload.mix);
+  };
+  const series = [
+    { name: 'Deemed to comply', fill: '#059669', points: frontier.filter(p => p.compliant && !p.selected) },
+    { name: 'Needs variations', fill: '#d97706', points: frontier.filter(p => !p.compliant && !p.selected) },
+    { name: 'Current mix', fill: '#0f172a', points: frontier.filter(p => p.selected) },
+  ].filter(s => s.points.length > 0);
+
+  return (
+    <div className="h-80">
+      <ResponsiveContainer width="100%" height="100%">
+        <ScatterChart margin={{ top: 10, right: 20, bottom: 10, left: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis
+            type="number"
+            dataKey="totalUnits"
+            name="Dwellings"
+            allowDecimals={false}
+            domain={['dataMin - 1', 'dataMax + 1']}
+            tick={{ fontSize: 12 }}
+          />
+          <YAxis
+            type="number"
+            dataKey="grossProfit"
+            name="Profit"
+            tickFormatter={value => `$${(value / 1000).toFixed(0)}k`}
+            tick={{ fontSize: 12 }}
+          />
+          <ZAxis type="number" dataKey="openSpace" range={[40, 200]} name="Open space" />
+          <Tooltip content={<PointTooltip />} />
+          <Legend />
+          {series.map(s => (
+            <Scatter
+              key={s.name}
+              name={s.name}
+              data={s.points}
+              fill={s.fill}
+              fillOpacity={0.75}
+              cursor={onSelectMix ? 'pointer' : undefined}
+              onClick={select}
+            />
+          ))}
+        </ScatterChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -8,6 +8,8 @@ import {
   Building2, ChevronDown, ChevronUp,
 } from 'lucide-react';
 import { formatCurrency, formatPercent, formatNumber, formatSqm } from '../utils/format';
+import SitePlan from './SitePlan';
+import FrontierChart from './FrontierChart';
 import { useState } from 'react';
 
 const PIE_COLORS = [
@@ -81,8 +83,8 @@ function RiskBadge({ level }) {
   );
 }
 
-export default function ResultsDashboard({ results, onGeneratePDF, onReset }) {
-  const { feasibility, yieldResult, compliance, riskAssessment } = results;
+export default function ResultsDashboard({ results, onGeneratePDF, onReset, onSelectMix }) {
+  const { feasibility, yieldResult, compliance, riskAssessment, splitCode, retention, amalgamation } = results;
   const { revenue, costs, profitability, breakeven, sensitivity, metadata } = feasibility;
 
   const marginColor = profitability.profitMargin >= 0.20 ? 'green' : profitability.profitMargin >= 0.10 ? 'amber' : 'red';
@@ -241,6 +243,16 @@ export default function ResultsDashboard({ results, onGeneratePDF, onReset }) {
                 <span className="text-slate-600">Parking Bays</span>
                 <span className="font-medium">{yieldResult.parking?.totalBays || 'N/A'} ({yieldResult.parking?.residentBays} resident + {yieldResult.parking?.visitorBays} visitor)</span>
               </div>
+              {yieldResult.parkingProvision && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-600">Resident Provision</span>
+                  <span className="font-medium">
+                    {yieldResult.apartments
+                      ? `${yieldResult.apartments.parking.bays} bays in ${yieldResult.apartments.parking.levels} ${yieldResult.apartments.parking.form} level${yieldResult.apartments.parking.levels === 1 ? '' : 's'}`
+                      : `${yieldResult.parkingProvision.garageBays} garage + ${yieldResult.parkingProvision.hardstandBays} hardstand`}
+                  </span>
+                </div>
+              )}
               <div className="flex justify-between text-sm">
                 <span className="text-slate-600">Plot Ratio</span>
                 <span className="font-medium">{formatPercent(yieldResult.plotRatio)}</span>
@@ -249,17 +261,196 @@ export default function ResultsDashboard({ results, onGeneratePDF, onReset }) {
                 <span className="text-slate-600">Open Space</span>
                 <span className="font-medium">{formatPercent(yieldResult.openSpaceRatio)}</span>
               </div>
+              {yieldResult.height && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-600">Height</span>
+                  <span className="font-medium">
+                    {yieldResult.height.wallHeight.toFixed(1)}m wall / {yieldResult.height.buildingHeight.toFixed(1)}m overall ({yieldResult.height.stories} storeys)
+                  </span>
+                </div>
+              )}
+              {yieldResult.streetscape?.applicable && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-600">Street Frontage</span>
+                  <span className="font-medium">
+                    {yieldResult.streetscape.dwellings.length} street-facing / {yieldResult.totalUnits - yieldResult.streetscape.dwellings.length} internal, garages {formatPercent(yieldResult.streetscape.garageRatio)}
+                  </span>
+                </div>
+              )}
+              {yieldResult.siteLayout && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-600">Site Layout</span>
+                  <span className="font-medium">
+                    {yieldResult.siteLayout.packed
+                      ? `${yieldResult.siteLayout.dwellings.length} dwellings placed, ${yieldResult.siteLayout.driveway ? `${yieldResult.siteLayout.access} driveway` : 'no driveway'}`
+                      : `Doesn't fit: ${yieldResult.siteLayout.unplaced.join(', ')}`}
+                  </span>
+                </div>
+              )}
+              {yieldResult.retainedDwelling && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-600">Retained Lot</span>
+                  <span className={`font-medium ${yieldResult.retainedDwelling.status === 'non-compliant' ? 'text-red-600' : ''}`}>
+                    {formatSqm(yieldResult.retainedDwelling.lotArea)} (min {formatSqm(yieldResult.retainedDwelling.minLotSize)}), new dwellings on {formatSqm(yieldResult.retainedDwelling.developedLot.lotArea)} behind
+                    {yieldResult.retainedDwelling.accessLegArea > 0 && ` with a ${formatSqm(yieldResult.retainedDwelling.accessLegArea)} access leg`}
+                  </span>
+                </div>
+              )}
+              {yieldResult.ancillary && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-600">Granny Flat</span>
+                  <span className={`font-medium ${yieldResult.ancillary.compliant ? '' : 'text-red-600'}`}>
+                    {formatSqm(yieldResult.ancillary.floorArea)} (max {formatSqm(yieldResult.ancillary.required.maxPlotRatioArea)}), {yieldResult.ancillary.parkingBays} car bay{yieldResult.ancillary.parkingBays === 1 ? '' : 's'}
+                    {!yieldResult.ancillary.singleHouse && ' — needs a single house'}
+                  </span>
+                </div>
+              )}
+              {yieldResult.objective && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-600">Mix Chosen To</span>
+                  <span className="font-medium">
+                    {yieldResult.chosenMix ? 'Selected from yield options' : yieldResult.objective.label}
+                  </span>
+                </div>
+              )}
+              {yieldResult.landscape && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-600">Deep Soil / Trees</span>
+                  <span className="font-medium">
+                    {formatSqm(Math.round(yieldResult.deepSoilArea))} of {formatSqm(Math.ceil(yieldResult.landscape.deepSoilArea))} / {yieldResult.treesProvided} of {yieldResult.landscape.trees} trees
+                  </span>
+                </div>
+              )}
+              {yieldResult.outdoorLiving && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-600">Outdoor Living</span>
+                  <span className="font-medium">
+                    {formatSqm(Math.min(...yieldResult.outdoorLiving.dwellings.map(d => d.area)))} min per dwelling (code {formatSqm(yieldResult.outdoorLiving.required.minArea)})
+                  </span>
+                </div>
+              )}
             </div>
           </div>
           <div className="rounded-lg bg-slate-50 p-4">
             <h4 className="text-sm font-semibold text-slate-700 mb-2">Site Layout Concept</h4>
+            {yieldResult.sitePlan && (
+              <div className="mb-3">
+                <SitePlan plan={yieldResult.sitePlan} />
+              </div>
+            )}
             <p className="text-sm text-slate-600 leading-relaxed">{yieldResult.layoutDescription}</p>
           </div>
         </div>
       </Section>
 
+      {/* Apartment Massing */}
+      {yieldResult.apartments && (
+        <Section title="Apartment Massing">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-left">
+                <th className="pb-2 font-semibold text-slate-600">Storey</th>
+                <th className="pb-2 font-semibold text-slate-600">Use</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Plate</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Saleable</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Apartments</th>
+              </tr>
+            </thead>
+            <tbody>
+              {yieldResult.apartments.storeys.map(storey => (
+                <tr key={storey.storey} className="border-b border-slate-100">
+                  <td className="py-2 text-slate-700">{storey.storey}</td>
+                  <td className="py-2 text-slate-700">{storey.use === 'parking' ? 'Podium parking' : 'Apartments'}</td>
+                  <td className="py-2 text-right text-slate-700">{formatSqm(storey.plateArea)}</td>
+                  <td className="py-2 text-right text-slate-700">{storey.netSaleableArea > 0 ? formatSqm(Math.round(storey.netSaleableArea)) : '—'}</td>
+                  <td className="py-2 text-right text-slate-900 font-medium">
+                    {storey.mix
+                      ? Object.entries(storey.mix).filter(([, n]) => n > 0).map(([key, n]) => `${n} × ${key}`).join(', ')
+                      : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-4 grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+            <div>
+              <div className="text-slate-500">Gross building area</div>
+              <div className="font-medium text-slate-900">{formatSqm(Math.round(yieldResult.apartments.grossBuildingArea))}</div>
+            </div>
+            <div>
+              <div className="text-slate-500">Net saleable area</div>
+              <div className="font-medium text-slate-900">{formatSqm(Math.round(yieldResult.apartments.netSaleableArea))}</div>
+            </div>
+            <div>
+              <div className="text-slate-500">Efficiency</div>
+              <div className="font-medium text-slate-900">{formatPercent(yieldResult.apartments.efficiency)}</div>
+            </div>
+            <div>
+              <div className="text-slate-500">Cores</div>
+              <div className="font-medium text-slate-900">{yieldResult.apartments.cores}</div>
+            </div>
+            <div>
+              <div className="text-slate-500">Lifts</div>
+              <div className="font-medium text-slate-900">
+                {yieldResult.apartments.lifts} serving {yieldResult.apartments.liftStops} floors
+              </div>
+            </div>
+          </div>
+        </Section>
+      )}
+
+      {/* Yield Options */}
+      {yieldResult.frontier?.length > 1 && (
+        <Section title="Yield Options">
+          <p className="text-sm text-slate-600 mb-4">
+            Mixes no other passing mix beats on profit, margin, dwellings and open space.
+            Select one to run the full feasibility on it.
+          </p>
+          {yieldResult.search?.complete === false && (
+            <p className="text-sm text-amber-700 mb-4">
+              The search ran out of time after {yieldResult.search.evaluated} layouts, so these are the best
+              options found rather than every one, and a better mix may exist.
+            </p>
+          )}
+          <FrontierChart frontier={yieldResult.frontier} onSelectMix={onSelectMix} />
+        </Section>
+      )}
+
       {/* R-Code Compliance */}
       <Section title="Planning Compliance">
+        {compliance.ruleSet && (
+          <p className="text-sm text-slate-600 mb-4">Assessed under {compliance.ruleSet.label}.</p>
+        )}
+        {compliance.localPolicies?.length > 0 && (
+          <div className="mb-4 rounded-lg bg-amber-50 p-4">
+            <p className="text-sm font-semibold text-slate-700">Local planning policy overrides</p>
+            <ul className="mt-1 text-xs text-slate-600 space-y-0.5">
+              {compliance.localPolicies.map(p => (
+                <li key={p.id}>{p.lgaLabel} — {p.title} ({p.fields.join(', ')})</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {compliance.overshadowing && (
+          <div className={`mb-4 rounded-lg p-4 ${compliance.overshadowing.compliant ? 'bg-emerald-50' : 'bg-red-50'}`}>
+            <div className="flex items-baseline justify-between">
+              <span className="text-sm font-semibold text-slate-700">Overshadowing of Southern Lot</span>
+              <span className={`text-lg font-bold ${compliance.overshadowing.compliant ? 'text-emerald-700' : 'text-red-700'}`}>
+                {formatPercent(compliance.overshadowing.southern?.shadowRatio ?? 0)}
+                <span className="ml-1 text-xs font-normal text-slate-500">
+                  of {formatPercent(compliance.overshadowing.limit)} allowed
+                </span>
+              </span>
+            </div>
+            <p className="mt-1 text-xs text-slate-600">
+              Noon, 21 June — sun at {compliance.overshadowing.sunAltitude.toFixed(1)}°,
+              {' '}{compliance.overshadowing.shadowLength.toFixed(1)}m shadow.
+              {' '}Frontage faces {compliance.overshadowing.frontageFacing}
+              {compliance.overshadowing.frontageAssumed ? ' (assumed)' : ''}.
+              {!compliance.overshadowing.southern && ' The street lies to the south, so no adjoining lot is overshadowed.'}
+            </p>
+          </div>
+        )}
         <table className="w-full text-sm">
           <thead>
             <tr className="border-b border-slate-200 text-left">
@@ -272,20 +463,277 @@ export default function ResultsDashboard({ results, onGeneratePDF, onReset }) {
           <tbody>
             {compliance.checks.map((c, i) => (
               <tr key={i} className="border-b border-slate-100">
-                <td className="py-2 text-slate-700">{c.name}</td>
+                <td className="py-2 text-slate-700">
+                  {c.name}
+                  {c.localPolicy && <span className="block text-xs text-amber-700">{c.localPolicy}</span>}
+                </td>
                 <td className="py-2 text-right text-slate-600">{c.allowed}</td>
                 <td className="py-2 text-right text-slate-900 font-medium">{c.proposed}</td>
                 <td className="py-2 text-center">
-                  {c.compliant
-                    ? <CheckCircle2 size={18} className="inline text-emerald-500" />
-                    : <XCircle size={18} className="inline text-red-500" />}
+                  {c.compliant && <CheckCircle2 size={18} className="inline text-emerald-500" />}
+                  {c.status === 'design-principles' && (
+                    <AlertTriangle size={18} className="inline text-amber-500" aria-label="Requires design principles assessment" />
+                  )}
+                  {!c.compliant && c.status !== 'design-principles' && <XCircle size={18} className="inline text-red-500" />}
                 </td>
               </tr>
             ))}
           </tbody>
         </table>
+        {compliance.requiresDesignPrinciples && (
+          <p className="mt-3 text-xs text-amber-700">
+            {compliance.designPrinciples.length} provision{compliance.designPrinciples.length > 1 ? 's vary' : ' varies'} from
+            {' '}the deemed-to-comply limit within tolerance and need a design principles assessment.
+          </p>
+        )}
+        {compliance.envelope?.walls && (
+          <div className="mt-6">
+            <h4 className="text-sm font-semibold text-slate-700 mb-2">Lot Boundary Setbacks</h4>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 text-left">
+                  <th className="pb-2 font-semibold text-slate-600">Wall</th>
+                  <th className="pb-2 font-semibold text-slate-600 text-right">Height × Length</th>
+                  <th className="pb-2 font-semibold text-slate-600 text-right">Required</th>
+                  <th className="pb-2 font-semibold text-slate-600 text-right">Proposed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {compliance.envelope.walls.map((w, i) => (
+                  <tr key={i} className="border-b border-slate-100">
+                    <td className="py-2 text-slate-700 capitalize">Storey {w.storey} {w.boundary}</td>
+                    <td className="py-2 text-right text-slate-600">{w.height}m × {w.length.toFixed(1)}m</td>
+                    <td className="py-2 text-right text-slate-600">
+                      {w.requiredSetback}m {w.nilSetbackAllowed ? '(boundary wall)' : w.table ? `(Table ${w.table})` : '(building separation)'}
+                    </td>
+                    <td className={`py-2 text-right font-medium ${w.compliant === false ? 'text-red-600' : 'text-slate-900'}`}>
+                      {w.proposedSetback != null ? `${w.proposedSetback.toFixed(1)}m` : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {compliance.privacy && (
+          <div className="mt-6">
+            <h4 className="text-sm font-semibold text-slate-700 mb-2">Visual Privacy</h4>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 text-left">
+                  <th className="pb-2 font-semibold text-slate-600">Opening</th>
+                  <th className="pb-2 font-semibold text-slate-600 text-right">Cone of Vision</th>
+                  <th className="pb-2 font-semibold text-slate-600 text-right">To Boundary</th>
+                  <th className="pb-2 font-semibold text-slate-600 text-right">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {compliance.privacy.openings.map((o, i) => (
+                  <tr key={i} className="border-b border-slate-100">
+                    <td className="py-2 text-slate-700">{o.name}</td>
+                    <td className="py-2 text-right text-slate-600">{o.requiredDistance}m</td>
+                    <td className="py-2 text-right text-slate-600">
+                      {o.distance != null ? `${o.distance.toFixed(1)}m (${o.nearestBoundary})` : '—'}
+                    </td>
+                    <td className={`py-2 text-right font-medium ${
+                      !o.compliant ? 'text-red-600' : o.needsScreening ? 'text-amber-600' : 'text-emerald-600'
+                    }`}>
+                      {o.exempt ? 'Exempt' : !o.needsScreening ? 'Clear' : o.screened ? 'Screened' : 'Needs screening'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </Section>
 
+      {/* Split Coding */}
+      {splitCode && (
+        <Section title={`Split Coding — ${splitCode.label}`}>
+          <p className="text-sm text-slate-600 mb-4">
+            {splitCode.eligibility.eligible
+              ? `Bonus code conditions are met — this report is based on ${splitCode.bonusCode}.`
+              : `Bonus code conditions are not met — this report is based on ${splitCode.baseCode}.`}
+          </p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-left">
+                <th className="pb-2 font-semibold text-slate-600"></th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">{splitCode.baseCode}</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">{splitCode.bonusCode}</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Uplift</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-b border-slate-100">
+                <td className="py-2 text-slate-700">Dwellings</td>
+                <td className="py-2 text-right">{splitCode.base.totalUnits}</td>
+                <td className="py-2 text-right">{splitCode.bonus.totalUnits}</td>
+                <td className="py-2 text-right font-medium">{splitCode.uplift.units >= 0 ? '+' : ''}{splitCode.uplift.units}</td>
+              </tr>
+              <tr className="border-b border-slate-100">
+                <td className="py-2 text-slate-700">Total GFA</td>
+                <td className="py-2 text-right">{formatSqm(splitCode.base.totalGFA)}</td>
+                <td className="py-2 text-right">{formatSqm(splitCode.bonus.totalGFA)}</td>
+                <td className="py-2 text-right font-medium">{formatSqm(splitCode.uplift.gfa)}</td>
+              </tr>
+              <tr className="border-b border-slate-100">
+                <td className="py-2 text-slate-700">Gross Realisation Value</td>
+                <td className="py-2 text-right">{formatCurrency(splitCode.base.totalGRV)}</td>
+                <td className="py-2 text-right">{formatCurrency(splitCode.bonus.totalGRV)}</td>
+                <td className="py-2 text-right font-medium">{formatCurrency(splitCode.uplift.grv)}</td>
+              </tr>
+              <tr className="border-b border-slate-100">
+                <td className="py-2 text-slate-700">Gross Profit</td>
+                <td className="py-2 text-right">{formatCurrency(splitCode.base.grossProfit)}</td>
+                <td className="py-2 text-right">{formatCurrency(splitCode.bonus.grossProfit)}</td>
+                <td className="py-2 text-right font-medium">{formatCurrency(splitCode.uplift.grossProfit)}</td>
+              </tr>
+              <tr>
+                <td className="py-2 text-slate-700">Profit Margin</td>
+                <td className="py-2 text-right">{formatPercent(splitCode.base.profitMargin)}</td>
+                <td className="py-2 text-right">{formatPercent(splitCode.bonus.profitMargin)}</td>
+                <td></td>
+              </tr>
+            </tbody>
+          </table>
+
+          <h4 className="text-sm font-bold text-slate-800 mt-6 mb-2">Bonus Code Conditions</h4>
+          <div className="space-y-2">
+            {splitCode.eligibility.conditions.map((c, i) => (
+              <div key={i} className="flex items-center justify-between rounded-lg border border-slate-100 p-3 text-sm">
+                <div className="flex items-center gap-2">
+                  {c.met
+                    ? <CheckCircle2 size={16} className="text-emerald-500" />
+                    : <XCircle size={16} className="text-red-500" />}
+                  <span className="font-medium text-slate-800">{c.name}</span>
+                </div>
+                <span className="text-slate-600">{c.required} — {c.actual}</span>
+              </div>
+            ))}
+          </div>
+        </Section>
+      )}
+
+      {/* Retain vs Knock-Down */}
+      {retention && (
+        <Section title="Keep the Existing House?">
+          <p className="text-sm text-slate-600 mb-4">
+            {retention.difference.grossProfit >= 0
+              ? 'Keeping the house and building behind it is the more profitable strategy — this report is based on it.'
+              : 'A full knock-down is the more profitable strategy; this report shows the retained-house scheme you asked for.'}
+          </p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-left">
+                <th className="pb-2 font-semibold text-slate-600"></th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Knock-Down</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Keep House</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Difference</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-b border-slate-100">
+                <td className="py-2 text-slate-700">New Dwellings</td>
+                <td className="py-2 text-right">{retention.knockDown.totalUnits}</td>
+                <td className="py-2 text-right">{retention.retain.totalUnits}</td>
+                <td className="py-2 text-right font-medium">{retention.difference.units >= 0 ? '+' : ''}{retention.difference.units}</td>
+              </tr>
+              <tr className="border-b border-slate-100">
+                <td className="py-2 text-slate-700">Total GFA</td>
+                <td className="py-2 text-right">{formatSqm(retention.knockDown.totalGFA)}</td>
+                <td className="py-2 text-right">{formatSqm(retention.retain.totalGFA)}</td>
+                <td className="py-2 text-right font-medium">{formatSqm(retention.difference.gfa)}</td>
+              </tr>
+              <tr className="border-b border-slate-100">
+                <td className="py-2 text-slate-700">Gross Realisation Value</td>
+                <td className="py-2 text-right">{formatCurrency(retention.knockDown.totalGRV)}</td>
+                <td className="py-2 text-right">{formatCurrency(retention.retain.totalGRV)}</td>
+                <td className="py-2 text-right font-medium">{formatCurrency(retention.difference.grv)}</td>
+              </tr>
+              <tr className="border-b border-slate-100">
+                <td className="py-2 text-slate-700">Gross Profit</td>
+                <td className="py-2 text-right">{formatCurrency(retention.knockDown.grossProfit)}</td>
+                <td className="py-2 text-right">{formatCurrency(retention.retain.grossProfit)}</td>
+                <td className="py-2 text-right font-medium">{formatCurrency(retention.difference.grossProfit)}</td>
+              </tr>
+              <tr>
+                <td className="py-2 text-slate-700">Profit Margin</td>
+                <td className="py-2 text-right">{formatPercent(retention.knockDown.profitMargin)}</td>
+                <td className="py-2 text-right">{formatPercent(retention.retain.profitMargin)}</td>
+                <td></td>
+              </tr>
+            </tbody>
+          </table>
+        </Section>
+      )}
+
+      {/* Amalgamated vs Separate */}
+      {amalgamation && (
+        <Section title={`Amalgamating ${amalgamation.parcels.length} Lots`}>
+          <p className="text-sm text-slate-600 mb-4">
+            {amalgamation.premium.grossProfit >= 0
+              ? `Amalgamating adds ${formatCurrency(amalgamation.premium.grossProfit)} of profit over developing each lot on its own — the most the deal can pay the owners above separate values.`
+              : `Developing each lot on its own is ${formatCurrency(-amalgamation.premium.grossProfit)} more profitable than amalgamating them.`}
+            {!amalgamation.site.evenDepth &&
+              ` The lots differ in depth, so the development takes the largest rectangle inside them: ${formatSqm(amalgamation.site.lotArea)} of the ${formatSqm(amalgamation.site.heldArea)} held.`}
+          </p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-left">
+                <th className="pb-2 font-semibold text-slate-600">Lot</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Area</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Land Cost</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Settles</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Code</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Dwellings</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">GRV</th>
+                <th className="pb-2 font-semibold text-slate-600 text-right">Gross Profit</th>
+              </tr>
+            </thead>
+            <tbody>
+              {amalgamation.parcels.map((parcel, i) => (
+                <tr key={i} className="border-b border-slate-100">
+                  <td className="py-2 text-slate-700">{parcel.address}</td>
+                  <td className="py-2 text-right">{formatSqm(parcel.lotArea)}</td>
+                  <td className="py-2 text-right">{formatCurrency(parcel.landCost)}</td>
+                  <td className="py-2 text-right">{parcel.settlementDate}</td>
+                  <td className="py-2 text-right">{parcel.rCode}</td>
+                  <td className="py-2 text-right">{parcel.totalUnits}</td>
+                  <td className="py-2 text-right">{formatCurrency(parcel.totalGRV)}</td>
+                  <td className="py-2 text-right">{formatCurrency(parcel.grossProfit)}</td>
+                </tr>
+              ))}
+              <tr className="border-b border-slate-200">
+                <td className="py-2 font-medium text-slate-700">Developed separately</td>
+                <td className="py-2 text-right">{formatSqm(amalgamation.site.heldArea)}</td>
+                <td colSpan={3}></td>
+                <td className="py-2 text-right">{amalgamation.separate.totalUnits}</td>
+                <td className="py-2 text-right">{formatCurrency(amalgamation.separate.totalGRV)}</td>
+                <td className="py-2 text-right">{formatCurrency(amalgamation.separate.grossProfit)}</td>
+              </tr>
+              <tr className="border-b border-slate-100">
+                <td className="py-2 font-medium text-slate-700">Amalgamated</td>
+                <td className="py-2 text-right">{formatSqm(amalgamation.site.lotArea)}</td>
+                <td colSpan={2}></td>
+                <td className="py-2 text-right">{amalgamation.combined.rCode}</td>
+                <td className="py-2 text-right">{amalgamation.combined.totalUnits}</td>
+                <td className="py-2 text-right">{formatCurrency(amalgamation.combined.totalGRV)}</td>
+                <td className="py-2 text-right">{formatCurrency(amalgamation.combined.grossProfit)}</td>
+              </tr>
+              <tr>
+                <td className="py-2 font-bold text-slate-900">Amalgamation premium</td>
+                <td colSpan={4}></td>
+                <td className="py-2 text-right font-medium">{amalgamation.premium.units >= 0 ? '+' : ''}{amalgamation.premium.units}</td>
+                <td className="py-2 text-right font-medium">{formatCurrency(amalgamation.premium.grv)}</td>
+                <td className="py-2 text-right font-bold">{formatCurrency(amalgamation.premium.grossProfit)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </Section>
+      )}
+
       {/* Revenue */}
       <Section title="Revenue Breakdown">
         <table className="w-full text-sm">
@@ -312,6 +760,12 @@ export default function ResultsDashboard({ results, onGeneratePDF, onReset }) {
             </tr>
           </tbody>
         </table>
+        {revenue.rentalIncome && (
+          <p className="mt-3 text-xs text-slate-500">
+            Granny flat let at {formatCurrency(revenue.rentalIncome.weeklyRent)} a week
+            ({formatCurrency(revenue.rentalIncome.annualRent)} a year), valued at a {formatPercent(revenue.rentalIncome.rentalYield)} gross yield.
+          </p>
+        )}
       </Section>
 
       {/* Cost Breakdown */}
@@ -332,6 +786,12 @@ export default function ResultsDashboard({ results, onGeneratePDF, onReset }) {
 
             <h4 className="text-sm font-bold text-slate-800 mt-4 mb-2">Construction</h4>
             <CostRow label={`Building (${metadata.numDwellings} units @ $${formatNumber(costs.construction.ratePerSqm)}/sqm)`} amount={costs.construction.buildingCosts} indent />
+            {costs.construction.lifts > 0 && (
+              <CostRow label="Lifts" amount={costs.construction.lifts} indent />
+            )}
+            {costs.construction.carParking > 0 && (
+              <CostRow label="Car parking" amount={costs.construction.carParking} indent />
+            )}
             <CostRow label="Design contingency (4%)" amount={costs.construction.designContingency} indent />
             <CostRow label="Construction contingency (7%)" amount={costs.construction.constructionContingency} indent />
             <CostRow label="Subtotal" amount={costs.construction.total} bold />
@@ -372,6 +832,9 @@ export default function ResultsDashboard({ results, onGeneratePDF, onReset }) {
             <h4 className="text-sm font-bold text-slate-800 mt-4 mb-2">Finance</h4>
             <CostRow label="Establishment fees" amount={costs.finance.establishment} indent />
             <CostRow label="Interest during construction" amount={costs.finance.interest} indent />
+            {costs.finance.landHolding > 0 && (
+              <CostRow label="Holding lots until the last settles" amount={costs.finance.landHolding} indent />
+            )}
             <CostRow label="Subtotal" amount={costs.finance.total} bold />
 
             <h4 className="text-sm font-bold text-slate-800 mt-4 mb-2">Marketing & Sales</h4>
@@ -0,0 +1,134 @@
+import { formatSqm } from '../utils/format';
+
+const STYLES = {
+  courtyard: { fill: '#bbf7d0', stroke: '#16a34a', label: 'Courtyard' },
+  driveway: { fill: '#cbd5e1', stroke: '#64748b', label: 'Driveway' },
+  turning: { fill: '#e2e8f0', stroke: '#64748b', label: 'Turning area' },
+  bay: { fill: '#fde68a', stroke: '#ca8a04', label: 'Resident bay' },
+  'visitor-bay': { fill: '#fed7aa', stroke: '#ea580c', label: 'Visitor bay' },
+  dwelling: { fill: '#0f766e', stroke: '#134e4a', label: 'Dwelling' },
+};
+
+const RETAINED = { fill: '#e7e5e4', stroke: '#78716c' };
+
+// Margin around the lot, and room below it for the street, in metres
+const MARGIN = 2;
+const STREET_BAND = 4;
+const SCALE_BAR = 10;
+
+// Scaled plan of the yield layout, street at the bottom. Drawing units are
+// metres, so the SVG scales to fit its container.
+export default function SitePlan({ plan }) {
+  const { extent, lot, envelope, shapes, openSpaceArea, retainedLot } = plan;
+  const width = extent.u1 - extent.u0 + 2 * MARGIN;
+  const height = extent.v1 - extent.v0 + 2 * MARGIN + STREET_BAND;
+  const x = u => u - extent.u0 + MARGIN;
+  const y = v => extent.v1 - v + MARGIN;
+  const points = list => list.map(p => `${x(p.u)},${y(p.v)}`).join(' ');
+  const kinds = Object.keys(STYLES).filter(kind => shapes.some(s => s.kind === kind));
+  const middle = (list, axis) => (Math.min(...list.map(p => p[axis])) + Math.max(...list.map(p => p[axis]))) / 2;
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        className="w-full max-h-[28rem]"
+        role="img"
+        aria-label="Site plan of the proposed layout"
+      >
+        <polygon points={points(lot)} fill="#f0fdf4" stroke="#334155" strokeWidth={0.25} />
+        {retainedLot?.length > 2 && (
+          <g>
+            <polygon points={points(retainedLot)} fill={RETAINED.fill} stroke={RETAINED.stroke} strokeWidth={0.15} />
+            <text
+              x={x(middle(retainedLot, 'u'))}
+              y={y(middle(retainedLot, 'v'))}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              fill={RETAINED.stroke}
+              fontSize={1.2}
+            >
+              Retained house
+            </text>
+          </g>
+        )}
+        {envelope.length > 2 && (
+          <polygon points={points(envelope)} fill="none" stroke="#94a3b8" strokeWidth={0.12} strokeDasharray="0.6 0.4" />
+        )}
+
+        {shapes.map(shape => {
+          const style = STYLES[shape.kind];
+          const w = shape.u1 - shape.u0;
+          const h = shape.v1 - shape.v0;
+          return (
+            <g key={`${shape.kind}-${shape.name}`}>
+              <rect
+                x={x(shape.u0)}
+                y={y(shape.v1)}
+                width={w}
+                height={h}
+                fill={style.fill}
+                stroke={style.stroke}
+                strokeWidth={0.1}
+              >
+                <title>{shape.label ? `${shape.name} — ${shape.label}` : shape.name}</title>
+              </rect>
+              {shape.kind === 'dwelling' && (
+                <text
+                  x={x(shape.u0) + w / 2}
+                  y={y(shape.v1) + h / 2}
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fill="white"
+                  fontSize={Math.min(1.2, w / (shape.label.length * 0.6))}
+                >
+                  {shape.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        <text
+          x={x((extent.u0 + extent.u1) / 2)}
+          y={y(extent.v0) + STREET_BAND / 2 + 0.5}
+          textAnchor="middle"
+          fill="#64748b"
+          fontSize={1.2}
+          letterSpacing={0.3}
+        >
+          STREET
+        </text>
+        <g transform={`translate(${MARGIN} ${height - 1})`}>
+          <line x1={0} y1={0} x2={SCALE_BAR} y2={0} stroke="#334155" strokeWidth={0.2} />
+          <line x1={0} y1={-0.4} x2={0} y2={0.4} stroke="#334155" strokeWidth={0.2} />
+          <line x1={SCALE_BAR} y1={-0.4} x2={SCALE_BAR} y2={0.4} stroke="#334155" strokeWidth={0.2} />
+          <text x={SCALE_BAR + 0.6} y={0.4} fill="#334155" fontSize={1}>{SCALE_BAR}m</text>
+        </g>
+      </svg>
+
+      <ul className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-600">
+        {kinds.map(kind => (
+          <li key={kind} className="flex items-center gap-1.5">
+            <span className="inline-block h-3 w-3 rounded-sm border" style={{ background: STYLES[kind].fill, borderColor: STYLES[kind].stroke }} />
+            {STYLES[kind].label}
+          </li>
+        ))}
+        {retainedLot && (
+          <li className="flex items-center gap-1.5">
+            <span className="inline-block h-3 w-3 rounded-sm border" style={{ background: RETAINED.fill, borderColor: RETAINED.stroke }} />
+            Retained lot
+          </li>
+        )}
+        <li className="flex items-center gap-1.5">
+          <span className="inline-block h-3 w-3 rounded-sm border border-dashed border-slate-400" />
+          Setback line
+        </li>
+        <li className="flex items-center gap-1.5">
+          <span className="inline-block h-3 w-3 rounded-sm border border-slate-700 bg-emerald-50" />
+          Open space {formatSqm(openSpaceArea)}
+        </li>
+      </ul>
+    </div>
+  );
+}
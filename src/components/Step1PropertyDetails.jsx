@@ -1,8 +1,27 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
-import { MapPin, Ruler, Grid3x3, Search, Loader2, Info, Mountain } from 'lucide-react';
-import { getAllRCodes, getRCodeRules } from '../engines/rCodesEngine';
+import { MapPin, Ruler, Grid3x3, Search, Loader2, Info, Mountain, Plus, Trash2 } from 'lucide-react';
+import { getAllRCodes, getRCodeRules, getRuleSets, getLocalPolicies, VARIATION_PROVISIONS } from '../engines/rCodesEngine';
+import { toCompass } from '../engines/solarEngine';
+import { ROOF_FORMS } from '../engines/yieldEngine';
+import { amalgamateParcels } from '../engines/layoutEngine';
 import { lookupProperty, autocompleteAddress } from '../services/api';
 
+const FRONTAGE_OPTIONS = [
+  { value: 'street', label: 'Single street frontage' },
+  { value: 'corner', label: 'Corner lot' },
+  { value: 'laneway', label: 'Rear laneway' },
+  { value: 'battle-axe', label: 'Battle-axe' },
+];
+
+const MAX_PARCELS = 5;
+const EMPTY_PARCEL = { address: '', lotArea: '', lotWidth: '', lotDepth: '', landCost: '', settlementDate: '' };
+const PARCEL_FIELDS = [
+  { key: 'lotArea', label: 'Area (sqm)' },
+  { key: 'lotWidth', label: 'Width (m)' },
+  { key: 'lotDepth', label: 'Depth (m)' },
+  { key: 'landCost', label: 'Land Cost ($)' },
+];
+
 export default function Step1PropertyDetails({ data, onChange }) {
   const rCodes = getAllRCodes();
   const [lookupLoading, setLookupLoading] = useState(false);
@@ -21,7 +40,61 @@ export default function Step1PropertyDetails({ data, onChange }) {
     onChange({ ...data, [field]: value });
   };
 
-  const selectedRules = data.rCode ? getRCodeRules(data.rCode) : null;
+  // A boundary from the lookup no longer describes a lot whose size is typed in
+  const updateDimension = (field, value) => {
+    onChange({ ...data, [field]: value, lotBoundary: null });
+  };
+
+  // Amalgamated lots give the site its dimensions and land cost between them
+  const updateParcels = (parcels, amalgamateLots = true) => {
+    const measured = parcels.every(p => p.lotArea > 0 && p.lotWidth > 0 && p.lotDepth > 0);
+    const site = amalgamateLots && measured ? amalgamateParcels(parcels) : null;
+    const round = value => Math.round(value * 100) / 100;
+    onChange({
+      ...data,
+      amalgamateLots,
+      parcels,
+      ...(amalgamateLots && {
+        lotArea: site ? round(site.lotArea) : '',
+        lotWidth: site ? round(site.lotWidth) : '',
+        lotDepth: site ? round(site.lotDepth) : '',
+        landCost: parcels.reduce((sum, p) => sum + (Number(p.landCost) || 0), 0) || '',
+        lotBoundary: null,
+      }),
+    });
+  };
+  const updateParcel = (index, field, value) => {
+    updateParcels(data.parcels.map((parcel, i) => (i === index ? { ...parcel, [field]: value } : parcel)));
+  };
+  // The lot already entered becomes the first of those amalgamated
+  const startAmalgamation = amalgamateLots => {
+    if (!amalgamateLots) {
+      updateParcels([], false);
+      return;
+    }
+    updateParcels([
+      {
+        ...EMPTY_PARCEL,
+        address: data.address || '',
+        lotArea: data.lotArea,
+        lotWidth: data.lotWidth,
+        lotDepth: data.lotDepth,
+        landCost: data.landCost,
+      },
+      { ...EMPTY_PARCEL },
+    ]);
+  };
+
+  const ruleSets = getRuleSets();
+  const localPolicies = getLocalPolicies();
+  const selectedRules = data.rCode
+    ? getRCodeRules(data.rCode, {
+      ruleSet: data.ruleSet || undefined,
+      assessmentDate: data.assessmentDate || undefined,
+      lga: data.lga || undefined,
+    })
+    : null;
+  const bonusCodes = rCodes.slice(rCodes.indexOf(data.rCode) + 1);
 
   const handleLookup = async (addressOverride) => {
     const address = addressOverride || data.address;
@@ -46,6 +119,8 @@ export default function Step1PropertyDetails({ data, onChange }) {
           lotArea: p.lotArea || data.lotArea,
           lotWidth: p.frontage || data.lotWidth,
           lotDepth: p.depth || data.lotDepth,
+          lotBoundary: p.lotBoundary || null,
+          frontageFacing: p.frontageBearing != null ? toCompass(p.frontageBearing) : data.frontageFacing,
           rCode: p.rCode || data.rCode,
           terrainAnalysis: result.terrainAnalysis || null,
           propertyLookupData: p,
@@ -335,7 +410,8 @@ export default function Step1PropertyDetails({ data, onChange }) {
               className="input-field"
               placeholder="e.g. 800"
               value={data.lotArea || ''}
-              onChange={e => update('lotArea', parseFloat(e.target.value) || '')}
+              disabled={data.amalgamateLots}
+              onChange={e => updateDimension('lotArea', parseFloat(e.target.value) || '')}
             />
           </div>
           <div>
@@ -345,7 +421,8 @@ export default function Step1PropertyDetails({ data, onChange }) {
               className="input-field"
               placeholder="e.g. 20"
               value={data.lotWidth || ''}
-              onChange={e => update('lotWidth', parseFloat(e.target.value) || '')}
+              disabled={data.amalgamateLots}
+              onChange={e => updateDimension('lotWidth', parseFloat(e.target.value) || '')}
             />
           </div>
           <div>
@@ -355,10 +432,139 @@ export default function Step1PropertyDetails({ data, onChange }) {
               className="input-field"
               placeholder="e.g. 40"
               value={data.lotDepth || ''}
-              onChange={e => update('lotDepth', parseFloat(e.target.value) || '')}
+              disabled={data.amalgamateLots}
+              onChange={e => updateDimension('lotDepth', parseFloat(e.target.value) || '')}
             />
           </div>
         </div>
+        <label className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+          <input
+            type="checkbox"
+            className="h-4 w-4 rounded border-slate-300 text-emerald-600 focus:ring-emerald-500"
+            checked={data.amalgamateLots || false}
+            onChange={e => startAmalgamation(e.target.checked)}
+          />
+          Amalgamating adjoining lots
+        </label>
+        {data.amalgamateLots && (
+          <div className="space-y-3 rounded-lg border border-slate-200 p-4">
+            <p className="text-xs text-slate-500">
+              List the lots side by side along the street, from the left. They are merged into one site, and the
+              report compares it with developing each lot on its own. Where the lots differ in depth, the site
+              developed is the largest rectangle that lies inside them.
+            </p>
+            {data.parcels.map((parcel, i) => (
+              <div key={i} className="grid grid-cols-7 gap-2 items-end">
+                <div className="col-span-2">
+                  <label className="input-label">Lot {i + 1}</label>
+                  <input
+                    type="text"
+                    className="input-field"
+                    placeholder="Address"
+                    value={parcel.address}
+                    onChange={e => updateParcel(i, 'address', e.target.value)}
+                  />
+                </div>
+                {PARCEL_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label className="input-label">{field.label}</label>
+                    <input
+                      type="number"
+                      min="0"
+                      className="input-field"
+                      value={parcel[field.key] || ''}
+                      onChange={e => updateParcel(i, field.key, parseFloat(e.target.value) || '')}
+                    />
+                  </div>
+                ))}
+                <div className="flex gap-1">
+                  <div className="flex-1">
+                    <label className="input-label">Settles</label>
+                    <input
+                      type="date"
+                      className="input-field"
+                      value={parcel.settlementDate}
+                      onChange={e => updateParcel(i, 'settlementDate', e.target.value)}
+                    />
+                  </div>
+                  {data.parcels.length > 2 && (
+                    <button
+                      type="button"
+                      className="self-end p-2 text-slate-400 hover:text-red-600"
+                      aria-label={`Remove lot ${i + 1}`}
+                      onClick={() => updateParcels(data.parcels.filter((_, j) => j !== i))}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+            {data.parcels.length < MAX_PARCELS && (
+              <button
+                type="button"
+                className="flex items-center gap-1 text-sm font-medium text-emerald-700 hover:text-emerald-800"
+                onClick={() => updateParcels([...data.parcels, { ...EMPTY_PARCEL }])}
+              >
+                <Plus size={16} />
+                Add lot
+              </button>
+            )}
+          </div>
+        )}
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <label className="input-label">Street Access</label>
+            <select
+              className="input-field"
+              value={data.frontageType || 'street'}
+              onChange={e => update('frontageType', e.target.value)}
+            >
+              {FRONTAGE_OPTIONS.map(opt => (
+                <option key={opt.value} value={opt.value}>{opt.label}</option>
+              ))}
+            </select>
+          </div>
+          <p className="col-span-2 self-end text-xs text-slate-500">
+            Corner lots take a secondary street setback on the left boundary; laneway lots need no shared driveway.
+          </p>
+        </div>
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <label className="input-label">Roof Form</label>
+            <select
+              className="input-field"
+              value={data.roofForm || ''}
+              onChange={e => update('roofForm', e.target.value)}
+            >
+              <option value="">Dwelling type default</option>
+              {Object.entries(ROOF_FORMS).map(([key, form]) => (
+                <option key={key} value={key}>{form.label}</option>
+              ))}
+            </select>
+          </div>
+          <p className="col-span-2 self-end text-xs text-slate-500">
+            Wall and building heights are measured from natural ground; on a sloping site the fall under the building adds to the downhill walls.
+          </p>
+        </div>
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <label className="input-label">Frontage Faces</label>
+            <select
+              className="input-field"
+              value={data.frontageFacing || ''}
+              onChange={e => update('frontageFacing', e.target.value)}
+            >
+              <option value="">Not known (assume N)</option>
+              {['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'].map(dir => (
+                <option key={dir} value={dir}>{dir}</option>
+              ))}
+            </select>
+          </div>
+          <p className="col-span-2 self-end text-xs text-slate-500">
+            Direction of the street from the lot. Used for overshadowing of the southern neighbour.
+          </p>
+        </div>
       </div>
 
       {/* Terrain Summary Card */}
@@ -409,13 +615,18 @@ export default function Step1PropertyDetails({ data, onChange }) {
         </h3>
         <div>
           <label className="input-label">R-Code</label>
-          <div className="grid grid-cols-5 gap-2">
+          <div className="grid grid-cols-6 gap-2">
             {rCodes.map(code => (
               <button
                 key={code}
                 type="button"
-                onClick={() => update('rCode', code)}
-                className={`rounded-lg border-2 px-4 py-3 text-center text-sm font-bold transition-all ${
+                onClick={() => onChange({
+                  ...data,
+                  rCode: code,
+                  // A bonus code only makes sense above the base code
+                  bonusRCode: rCodes.indexOf(data.bonusRCode) > rCodes.indexOf(code) ? data.bonusRCode : '',
+                })}
+                className={`rounded-lg border-2 px-2 py-3 text-center text-sm font-bold transition-all ${
                   data.rCode === code
                     ? 'border-emerald-500 bg-emerald-50 text-emerald-700 shadow-sm'
                     : 'border-slate-200 bg-white text-slate-600 hover:border-slate-300 hover:bg-slate-50'
@@ -431,16 +642,159 @@ export default function Step1PropertyDetails({ data, onChange }) {
             <p className="text-sm font-semibold text-emerald-800">
               {selectedRules.label} — {selectedRules.typicalDensity} Density
             </p>
+            <p className="text-xs text-emerald-700">Assessed under {selectedRules.ruleSetLabel}</p>
+            {selectedRules.localPolicies.length > 0 && (
+              <p className="text-xs text-emerald-700">
+                Varied by {selectedRules.localPolicies.map(p => `${p.lgaLabel} ${p.title}`).join(', ')}
+              </p>
+            )}
             <div className="mt-2 grid grid-cols-2 gap-x-6 gap-y-1 text-xs text-emerald-700">
-              <span>Min lot size: {selectedRules.minLotSize} sqm</span>
+              <span>Site area: {selectedRules.minLotSize} sqm min, {selectedRules.avgLotSize} avg</span>
               <span>Max plot ratio: {(selectedRules.maxPlotRatio * 100)}%</span>
               <span>Max stories: {selectedRules.maxStories}</span>
               <span>Site coverage: {Math.round(selectedRules.maxSiteCoverage * 100)}%</span>
               <span>Open space: &ge;{(selectedRules.minOpenSpace * 100)}%</span>
-              <span>Front setback: {selectedRules.setbacks.primaryStreet}m</span>
+              <span>
+                Front setback: {selectedRules.setbacks.primaryStreet}m
+                {selectedRules.setbacks.primaryStreetMin != null && ` avg (min ${selectedRules.setbacks.primaryStreetMin}m)`}
+              </span>
+              {selectedRules.deepSoil && (
+                <span>Deep soil: &ge;{Math.round(selectedRules.deepSoil.minRatio * 100)}%</span>
+              )}
+              {selectedRules.treeCanopy && (
+                <span>Trees: {selectedRules.treeCanopy.treesPerDwelling} per dwelling</span>
+              )}
+              {selectedRules.outdoorLiving && (
+                <span>Outdoor living: {selectedRules.outdoorLiving.minArea}sqm per dwelling</span>
+              )}
+            </div>
+          </div>
+        )}
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="input-label">Rule Set</label>
+            <select
+              className="input-field"
+              value={data.ruleSet || ''}
+              onChange={e => update('ruleSet', e.target.value)}
+            >
+              <option value="">Automatic (by assessment date)</option>
+              {ruleSets.map(set => (
+                <option key={set.id} value={set.id}>{set.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="input-label">Assessment Date</label>
+            <input
+              type="date"
+              className="input-field"
+              value={data.assessmentDate || ''}
+              onChange={e => update('assessmentDate', e.target.value)}
+            />
+          </div>
+        </div>
+        <div>
+          <label className="input-label">Local Government</label>
+          <select
+            className="input-field"
+            value={data.lga || ''}
+            onChange={e => update('lga', e.target.value)}
+          >
+            <option value="">No local planning policy overrides</option>
+            {localPolicies.map(pack => (
+              <option key={pack.lga} value={pack.lga}>{pack.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="input-label">Split Code Bonus (optional)</label>
+          <select
+            className="input-field"
+            value={data.bonusRCode || ''}
+            onChange={e => update('bonusRCode', e.target.value)}
+          >
+            <option value="">No split coding</option>
+            {bonusCodes.map(code => (
+              <option key={code} value={code}>{data.rCode}/{code}</option>
+            ))}
+          </select>
+        </div>
+        {data.bonusRCode && (
+          <div className="rounded-lg border border-slate-200 p-4 space-y-3">
+            <p className="text-sm font-semibold text-slate-700">
+              Conditions for {data.bonusRCode}
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="input-label">Min Frontage (m)</label>
+                <input
+                  type="number"
+                  className="input-field"
+                  placeholder="e.g. 20"
+                  value={data.bonusMinFrontage || ''}
+                  onChange={e => update('bonusMinFrontage', parseFloat(e.target.value) || '')}
+                />
+              </div>
+              <div>
+                <label className="input-label">Min Site Area (sqm)</label>
+                <input
+                  type="number"
+                  className="input-field"
+                  placeholder="e.g. 1000"
+                  value={data.bonusMinLotArea || ''}
+                  onChange={e => update('bonusMinLotArea', parseFloat(e.target.value) || '')}
+                />
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2 text-sm text-slate-700">
+              {[
+                { key: 'bonusRequiresAmalgamation', label: 'Requires amalgamation' },
+                { key: 'amalgamated', label: 'Lots are amalgamated' },
+                { key: 'bonusRequiresLaneway', label: 'Requires laneway access' },
+                { key: 'lanewayAccess', label: 'Rear laneway available' },
+              ].map(opt => (
+                <label key={opt.key} className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 rounded border-slate-300 text-emerald-600 focus:ring-emerald-500"
+                    checked={data[opt.key] || false}
+                    onChange={e => update(opt.key, e.target.checked)}
+                  />
+                  {opt.label}
+                </label>
+              ))}
             </div>
           </div>
         )}
+        <details className="rounded-lg border border-slate-200 p-4">
+          <summary className="cursor-pointer text-sm font-semibold text-slate-700">
+            Design Principles Tolerances (optional)
+          </summary>
+          <p className="mt-2 text-xs text-slate-500">
+            How far past a deemed-to-comply limit a design may go and still be put forward
+            for a design principles assessment. Leave blank to treat the limit as absolute.
+          </p>
+          <div className="mt-3 grid grid-cols-3 gap-3">
+            {Object.entries(VARIATION_PROVISIONS).map(([provision, label]) => (
+              <div key={provision}>
+                <label className="input-label">{label} (%)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  className="input-field"
+                  placeholder="0"
+                  value={data.tolerances?.[provision] ?? ''}
+                  onChange={e => update('tolerances', {
+                    ...data.tolerances,
+                    [provision]: e.target.value === '' ? '' : parseFloat(e.target.value),
+                  })}
+                />
+              </div>
+            ))}
+          </div>
+        </details>
       </div>
     </div>
   );
@@ -1,7 +1,18 @@
-import { DollarSign, TrendingUp, Building2, Loader2, MapPin } from 'lucide-react';
-import { CONSTRUCTION_QUALITY, DEFAULT_MARKET_PRICES } from '../engines/financialEngine';
+import { DollarSign, TrendingUp, Building2, Home, Loader2, MapPin, Target } from 'lucide-react';
+import { CONSTRUCTION_QUALITY, DEFAULT_MARKET_PRICES, ANCILLARY_RENTAL_YIELD } from '../engines/financialEngine';
+import { getDwellingTypeLibrary, getApartmentTypeLibrary, DEFAULT_DWELLING_TYPES } from '../engines/dwellingLibrary';
+import { OBJECTIVES, PARKING_FORMS } from '../engines/yieldEngine';
 import { formatCurrency } from '../utils/format';
 
+const DWELLING_TYPE_LIBRARY = getDwellingTypeLibrary();
+const APARTMENT_TYPES = getApartmentTypeLibrary();
+
+const BUILDING_FORMS = [
+  { key: 'grouped', label: 'Grouped Townhouses', description: 'Dwellings side by side, each on its own ground' },
+  { key: 'multiple', label: 'Apartments', description: 'Dwellings stacked storey by storey in one building' },
+];
+const PARKING_LABELS = { basement: 'Basement', podium: 'Podium' };
+
 export default function Step2FinancialInputs({ data, onChange }) {
   const update = (field, value) => {
     onChange({ ...data, [field]: value });
@@ -22,6 +33,23 @@ export default function Step2FinancialInputs({ data, onChange }) {
     });
   };
 
+  // A scheme needs at least one house type, so the last can't be turned off;
+  // a granny flat only goes beside a house
+  const selectedTypes = data.dwellingTypes || DEFAULT_DWELLING_TYPES;
+  const isAncillary = key => Boolean(DWELLING_TYPE_LIBRARY.find(t => t.key === key)?.ancillary);
+  const toggleType = key => {
+    const next = selectedTypes.includes(key)
+      ? selectedTypes.filter(k => k !== key)
+      : DWELLING_TYPE_LIBRARY.map(t => t.key).filter(k => k === key || selectedTypes.includes(k));
+    if (next.some(k => !isAncillary(k))) update('dwellingTypes', next);
+  };
+  const multiple = data.dwellingType === 'multiple';
+  const pricedTypes = multiple ? APARTMENT_TYPES : DWELLING_TYPE_LIBRARY.filter(t => selectedTypes.includes(t.key));
+  const ancillaryType = !multiple && DWELLING_TYPE_LIBRARY.find(t => t.ancillary && selectedTypes.includes(t.key));
+  const ancillaryIncome = data.ancillaryIncome || 'sale';
+  const defaultPrice = key =>
+    DEFAULT_MARKET_PRICES[key]?.mid ?? pricedTypes.find(t => t.key === key).defaultPrice;
+
   const pricesSource = data._pricesSource || 'default';
   const suburbPrices = data._suburbPrices;
   const suburb = data.suburb;
@@ -50,9 +78,15 @@ export default function Step2FinancialInputs({ data, onChange }) {
               className="input-field pl-8"
               placeholder="e.g. 850000"
               value={data.landCost || ''}
+              disabled={data.amalgamateLots}
               onChange={e => update('landCost', parseFloat(e.target.value) || '')}
             />
           </div>
+          {data.amalgamateLots && (
+            <p className="mt-1 text-xs text-slate-500">
+              Total of the amalgamated lots&apos; land costs. Stamp duty is assessed on each purchase.
+            </p>
+          )}
         </div>
       </div>
 
@@ -148,6 +182,33 @@ export default function Step2FinancialInputs({ data, onChange }) {
         )}
       </div>
 
+      {/* Yield Objective */}
+      <div className="card space-y-4">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <Target size={18} className="text-slate-500" />
+          Optimise For
+        </h3>
+        <p className="text-xs text-slate-500 -mt-2">
+          The dwelling mix is chosen on these prices and build costs
+        </p>
+        <div className="grid grid-cols-4 gap-3">
+          {Object.entries(OBJECTIVES).map(([key, o]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => update('objective', key)}
+              className={`rounded-lg border-2 p-4 text-left transition-all ${
+                (data.objective || 'profit') === key
+                  ? 'border-emerald-500 bg-emerald-50 shadow-sm'
+                  : 'border-slate-200 bg-white hover:border-slate-300'
+              }`}
+            >
+              <div className="font-bold text-slate-900">{o.label}</div>
+            </button>
+          ))}
+        </div>
+      </div>
+
       {/* Financing */}
       <div className="card space-y-4">
         <h3 className="font-semibold text-slate-800">Financing Structure</h3>
@@ -187,6 +248,80 @@ export default function Step2FinancialInputs({ data, onChange }) {
         </div>
       </div>
 
+      {/* Building Form */}
+      <div className="card space-y-4">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <Building2 size={18} className="text-slate-500" />
+          Building Form
+        </h3>
+        <div className="grid grid-cols-2 gap-3">
+          {BUILDING_FORMS.map(form => (
+            <button
+              key={form.key}
+              type="button"
+              onClick={() => update('dwellingType', form.key)}
+              className={`rounded-lg border-2 p-3 text-left transition-all ${
+                (data.dwellingType || 'grouped') === form.key
+                  ? 'border-emerald-500 bg-emerald-50 shadow-sm'
+                  : 'border-slate-200 bg-white hover:border-slate-300'
+              }`}
+            >
+              <div className="text-sm font-bold text-slate-900">{form.label}</div>
+              <div className="mt-1 text-xs text-slate-500">{form.description}</div>
+            </button>
+          ))}
+        </div>
+        {multiple && (
+          <div>
+            <label className="input-label">Car Parking</label>
+            <select
+              className="input-field"
+              value={data.apartmentParking || ''}
+              onChange={e => update('apartmentParking', e.target.value)}
+            >
+              <option value="">Let the optimiser choose</option>
+              {PARKING_FORMS.map(form => (
+                <option key={form} value={form}>{PARKING_LABELS[form]}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-slate-500">
+              The apartment mix is split across {APARTMENT_TYPES.map(t => t.label).join(', ')}.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Dwelling Types */}
+      {!multiple && (
+        <div className="card space-y-4">
+          <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+            <Home size={18} className="text-slate-500" />
+            Dwelling Types
+          </h3>
+          <p className="text-xs text-slate-500 -mt-2">The yield optimiser mixes only the types selected here.</p>
+          <div className="grid grid-cols-4 gap-3">
+            {DWELLING_TYPE_LIBRARY.map(type => (
+              <button
+                key={type.key}
+                type="button"
+                onClick={() => toggleType(type.key)}
+                className={`rounded-lg border-2 p-3 text-left transition-all ${
+                  selectedTypes.includes(type.key)
+                    ? 'border-emerald-500 bg-emerald-50 shadow-sm'
+                    : 'border-slate-200 bg-white hover:border-slate-300'
+                }`}
+              >
+                <div className="text-sm font-bold text-slate-900">{type.label}</div>
+                <div className="mt-1 text-xs text-slate-500">
+                  {type.bedrooms} bed · {type.totalBuildArea}sqm · {type.stories} storey{type.stories > 1 ? 's' : ''}
+                </div>
+                <div className="mt-0.5 text-xs text-slate-500">{type.minLotWidth}m frontage</div>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Market Prices Override */}
       <div className="card space-y-4">
         <h3 className="font-semibold text-slate-800 flex items-center gap-2">
@@ -219,11 +354,7 @@ export default function Step2FinancialInputs({ data, onChange }) {
         )}
 
         <div className="grid grid-cols-3 gap-4">
-          {[
-            { key: '2bed', label: '2-Bedroom' },
-            { key: '3bed', label: '3-Bedroom' },
-            { key: '4bed', label: '4-Bedroom' },
-          ].map(({ key, label }) => (
+          {pricedTypes.map(({ key, label }) => (
             <div key={key}>
               <label className="input-label">{label}</label>
               <div className="relative">
@@ -231,15 +362,15 @@ export default function Step2FinancialInputs({ data, onChange }) {
                 <input
                   type="number"
                   className="input-field pl-8"
-                  placeholder={DEFAULT_MARKET_PRICES[key].mid.toLocaleString()}
+                  placeholder={defaultPrice(key).toLocaleString()}
                   value={data[`price_${key}`] || ''}
                   onChange={e => updatePrice(`price_${key}`, parseFloat(e.target.value) || '')}
                 />
               </div>
               <div className="mt-1 text-xs text-slate-400">
-                {pricesSource === 'suburb' && suburbPrices
+                {pricesSource === 'suburb' && suburbPrices?.[`price_${key}`]
                   ? `Suburb estimate for ${suburbPrices.suburb}`
-                  : `Default: ${formatCurrency(DEFAULT_MARKET_PRICES[key].mid)}`}
+                  : `Default: ${formatCurrency(defaultPrice(key))}`}
               </div>
             </div>
           ))}
@@ -257,6 +388,70 @@ export default function Step2FinancialInputs({ data, onChange }) {
           </button>
         )}
       </div>
+
+      {/* Granny flat income */}
+      {ancillaryType && (
+        <div className="card space-y-4">
+          <h3 className="font-semibold text-slate-800">Granny Flat Income</h3>
+          <p className="text-xs text-slate-500 -mt-2">
+            An ancillary dwelling goes beside a single house. It can add its sale price above to the house&apos;s,
+            or be let and valued on its rent.
+          </p>
+          <div className="grid grid-cols-2 gap-3">
+            {[
+              { key: 'sale', label: 'Sold with the house' },
+              { key: 'rental', label: 'Let for rental income' },
+            ].map(o => (
+              <button
+                key={o.key}
+                type="button"
+                onClick={() => update('ancillaryIncome', o.key)}
+                className={`rounded-lg border-2 p-3 text-left text-sm font-bold text-slate-900 transition-all ${
+                  ancillaryIncome === o.key
+                    ? 'border-emerald-500 bg-emerald-50 shadow-sm'
+                    : 'border-slate-200 bg-white hover:border-slate-300'
+                }`}
+              >
+                {o.label}
+              </button>
+            ))}
+          </div>
+          {ancillaryIncome === 'rental' && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="input-label">Weekly Rent ($)</label>
+                <input
+                  type="number"
+                  className="input-field"
+                  placeholder={String(ancillaryType.defaultRent)}
+                  value={data.ancillaryRent || ''}
+                  onChange={e => update('ancillaryRent', parseFloat(e.target.value) || '')}
+                />
+              </div>
+              <div>
+                <label className="input-label">Rental Yield (%)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  className="input-field"
+                  placeholder={String(ANCILLARY_RENTAL_YIELD * 100)}
+                  value={data.rentalYield || ''}
+                  onChange={e => update('rentalYield', parseFloat(e.target.value) || '')}
+                />
+              </div>
+            </div>
+          )}
+          <label className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+            <input
+              type="checkbox"
+              className="h-4 w-4 rounded border-slate-300 text-emerald-600 focus:ring-emerald-500"
+              checked={data.nearTransit || false}
+              onChange={e => update('nearTransit', e.target.checked)}
+            />
+            Within walking distance of a train station or high-frequency bus route (no car bay needed)
+          </label>
+        </div>
+      )}
     </div>
   );
 }
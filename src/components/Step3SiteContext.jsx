@@ -96,7 +96,61 @@ export default function Step3SiteContext({ data, onChange }) {
               />
             </div>
           )}
+          {!data.amalgamateLots && (
+            <div>
+              <label className="input-label">Keep Existing House?</label>
+              <div className="flex gap-3">
+                {[
+                  { value: true, label: 'Yes' },
+                  { value: false, label: 'No' },
+                ].map(opt => (
+                  <button
+                    key={String(opt.value)}
+                    type="button"
+                    onClick={() => update('retainExisting', opt.value)}
+                    className={`flex-1 rounded-lg border-2 py-2.5 text-sm font-medium transition-all ${
+                      Boolean(data.retainExisting) === opt.value
+                        ? 'border-emerald-500 bg-emerald-50 text-emerald-700'
+                        : 'border-slate-200 bg-white text-slate-600 hover:border-slate-300'
+                    }`}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
+        {data.retainExisting && !data.amalgamateLots && (
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="input-label">Retained Lot Area (sqm)</label>
+              <input
+                type="number"
+                min="1"
+                className="input-field"
+                placeholder="e.g. 350"
+                value={data.retainedLotArea ?? ''}
+                onChange={e => update('retainedLotArea', e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="input-label">Retained House Value ($)</label>
+              <input
+                type="number"
+                min="0"
+                className="input-field"
+                placeholder="e.g. 650000"
+                value={data.retainedValue ?? ''}
+                onChange={e => update('retainedValue', e.target.value)}
+              />
+            </div>
+            <p className="col-span-2 text-xs text-slate-500">
+              The house keeps a lot across the front of the site and the new dwellings are built behind it.
+              The report compares this with knocking it down and developing the whole lot.
+            </p>
+          </div>
+        )}
       </div>
 
       {/* Site Characteristics */}
@@ -0,0 +1,294 @@
+// Dwelling Type Library
+// Shared product definitions read by the yield optimiser and the mixed
+// scenario generator
+
+// Areas are m², widths and heights metres. groundFloorArea is the footprint
+// including the internal garage; totalBuildArea is the GFA across every storey.
+// minLotWidth is the frontage the dwelling needs, garageWidth how much of it
+// the garage door and structure take.
+//
+// An ancillary type is a granny flat: it goes on the lot of a single house,
+// is assessed under the ancillary dwelling provisions rather than as a
+// grouped dwelling, and can be let at defaultRent a week instead of sold.
+const DWELLING_TYPE_LIBRARY = {
+  '1bed': {
+    label: '1 Bedroom',
+    bedrooms: 1,
+    groundFloorArea: 65,
+    totalBuildArea: 65,
+    internalGarage: 18,
+    parkingBays: 1,
+    garageWidth: 3.5,
+    pavedOutdoorArea: 8,
+    outdoorLivingArea: 16,
+    coveredOutdoorArea: 4,
+    minLotWidth: 7,
+    stories: 1,
+    floorToFloor: 3,
+    plateHeight: 2.7,
+    roofForm: 'pitched',
+    defaultPrice: 380000,
+  },
+  '2bed': {
+    label: '2 Bedroom',
+    bedrooms: 2,
+    groundFloorArea: 55,
+    totalBuildArea: 100,
+    internalGarage: 18,
+    parkingBays: 1,
+    garageWidth: 3.5,
+    pavedOutdoorArea: 10,
+    outdoorLivingArea: 24,
+    coveredOutdoorArea: 6,
+    minLotWidth: 6,
+    stories: 2,
+    floorToFloor: 3,
+    plateHeight: 2.7,
+    roofForm: 'pitched',
+    defaultPrice: 450000,
+  },
+  '3bed': {
+    label: '3 Bedroom',
+    bedrooms: 3,
+    groundFloorArea: 70,
+    totalBuildArea: 145,
+    internalGarage: 20,
+    parkingBays: 2,
+    garageWidth: 6,
+    pavedOutdoorArea: 12,
+    outdoorLivingArea: 30,
+    coveredOutdoorArea: 8,
+    minLotWidth: 7.5,
+    stories: 2,
+    floorToFloor: 3,
+    plateHeight: 2.7,
+    roofForm: 'pitched',
+    defaultPrice: 620000,
+  },
+  '4bed': {
+    label: '4 Bedroom',
+    bedrooms: 4,
+    groundFloorArea: 95,
+    totalBuildArea: 200,
+    internalGarage: 22,
+    parkingBays: 2,
+    garageWidth: 6,
+    pavedOutdoorArea: 16,
+    outdoorLivingArea: 36,
+    coveredOutdoorArea: 10,
+    minLotWidth: 9,
+    stories: 2,
+    floorToFloor: 3,
+    plateHeight: 2.7,
+    roofForm: 'pitched',
+    defaultPrice: 780000,
+  },
+  '5bed': {
+    label: '5 Bedroom',
+    bedrooms: 5,
+    groundFloorArea: 120,
+    totalBuildArea: 260,
+    internalGarage: 36,
+    parkingBays: 2,
+    garageWidth: 6,
+    pavedOutdoorArea: 18,
+    outdoorLivingArea: 40,
+    coveredOutdoorArea: 12,
+    minLotWidth: 10.5,
+    stories: 2,
+    floorToFloor: 3,
+    plateHeight: 2.7,
+    roofForm: 'pitched',
+    defaultPrice: 950000,
+  },
+  villa: {
+    label: 'Single-storey Villa',
+    bedrooms: 3,
+    groundFloorArea: 130,
+    totalBuildArea: 130,
+    internalGarage: 36,
+    parkingBays: 2,
+    garageWidth: 6,
+    pavedOutdoorArea: 12,
+    outdoorLivingArea: 30,
+    coveredOutdoorArea: 8,
+    minLotWidth: 12,
+    stories: 1,
+    floorToFloor: 3,
+    plateHeight: 2.7,
+    roofForm: 'pitched',
+    defaultPrice: 640000,
+  },
+  terrace: {
+    label: '3-storey Terrace',
+    bedrooms: 3,
+    groundFloorArea: 55,
+    totalBuildArea: 160,
+    internalGarage: 20,
+    parkingBays: 2, // tandem
+    garageWidth: 3.5,
+    pavedOutdoorArea: 8,
+    outdoorLivingArea: 20,
+    coveredOutdoorArea: 4,
+    minLotWidth: 6,
+    stories: 3,
+    floorToFloor: 3,
+    plateHeight: 2.7,
+    roofForm: 'pitched',
+    defaultPrice: 700000,
+  },
+  ancillary: {
+    label: 'Ancillary Dwelling (Granny Flat)',
+    bedrooms: 1,
+    groundFloorArea: 70,
+    totalBuildArea: 70,
+    internalGarage: 0,
+    parkingBays: 0,
+    garageWidth: 0,
+    pavedOutdoorArea: 6,
+    outdoorLivingArea: 16,
+    coveredOutdoorArea: 4,
+    minLotWidth: 7,
+    stories: 1,
+    floorToFloor: 3,
+    plateHeight: 2.7,
+    roofForm: 'pitched',
+    defaultPrice: 160000,
+    ancillary: true,
+    defaultRent: 420,
+  },
+};
+
+// Apartments for multiple dwellings, stacked storey by storey in one building
+// rather than placed side by side. internalArea is the saleable area inside
+// each apartment; lift and stair cores, corridors and walls are planned with
+// the building, and parking is provided in it rather than per apartment.
+const APARTMENT_TYPE_LIBRARY = {
+  '1bed-apt': {
+    label: '1 Bedroom Apartment',
+    bedrooms: 1,
+    internalArea: 55,
+    defaultPrice: 430000,
+  },
+  '2bed-apt': {
+    label: '2 Bedroom Apartment',
+    bedrooms: 2,
+    internalArea: 80,
+    defaultPrice: 590000,
+  },
+  '3bed-apt': {
+    label: '3 Bedroom Apartment',
+    bedrooms: 3,
+    internalArea: 105,
+    defaultPrice: 780000,
+  },
+};
+
+// The 2/3/4-bed townhouses the engines used before the library existed, and
+// still use unless a request picks its own types
+const DEFAULT_DWELLING_TYPES = ['2bed', '3bed', '4bed'];
+
+// Fields a custom type must give; every one but the label is a number
+const DWELLING_TYPE_FIELDS = [
+  'label', 'bedrooms', 'groundFloorArea', 'totalBuildArea', 'internalGarage', 'parkingBays',
+  'garageWidth', 'pavedOutdoorArea', 'outdoorLivingArea', 'coveredOutdoorArea', 'minLotWidth',
+  'stories', 'floorToFloor', 'plateHeight', 'defaultPrice',
+];
+// Numbers that must be above zero; the rest may be zero
+const POSITIVE_FIELDS = [
+  'groundFloorArea', 'totalBuildArea', 'minLotWidth', 'stories', 'floorToFloor', 'plateHeight', 'defaultPrice',
+];
+
+export function getDwellingTypeLibrary() {
+  return Object.entries(DWELLING_TYPE_LIBRARY).map(([key, type]) => ({
+    key,
+    ...type,
+    isDefault: DEFAULT_DWELLING_TYPES.includes(key),
+  }));
+}
+
+// A selection lists the types a scheme may use. Each entry is a library key,
+// or { key, ...fields } to edit a library type or add a custom one. Returns
+// a list of problems; an empty list means resolveDwellingTypes can use it.
+export function validateDwellingTypes(selection) {
+  if (!Array.isArray(selection) || selection.length === 0) {
+    return ['must list at least one dwelling type'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  let houses = 0;
+  for (const entry of selection) {
+    const key = typeof entry === 'string' ? entry : entry?.key;
+    if (typeof key !== 'string' || !key) {
+      errors.push('each dwelling type needs a key');
+      continue;
+    }
+    if (seen.has(key)) errors.push(`${key} is listed twice`);
+    seen.add(key);
+
+    const base = DWELLING_TYPE_LIBRARY[key];
+    if (typeof entry === 'string') {
+      if (!base) errors.push(`${key} is not in the library; give all of its fields to add it`);
+      else if (!base.ancillary) houses++;
+      continue;
+    }
+
+    const type = { ...base, ...entry };
+    if (!type.ancillary) houses++;
+    for (const field of DWELLING_TYPE_FIELDS) {
+      const value = type[field];
+      if (field === 'label') {
+        if (typeof value !== 'string' || !value.trim()) errors.push(`${key} needs a label`);
+      } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push(`${key}.${field} must be a number of zero or more`);
+      } else if (value === 0 && POSITIVE_FIELDS.includes(field)) {
+        errors.push(`${key}.${field} must be more than zero`);
+      }
+    }
+    if (!Number.isInteger(type.stories)) errors.push(`${key}.stories must be a whole number`);
+    if (type.ancillary != null && typeof type.ancillary !== 'boolean') {
+      errors.push(`${key}.ancillary must be true or false`);
+    }
+    if (type.defaultRent != null && !(typeof type.defaultRent === 'number' && type.defaultRent >= 0)) {
+      errors.push(`${key}.defaultRent must be a weekly rent of zero or more`);
+    }
+    if (type.totalBuildArea < type.groundFloorArea) {
+      errors.push(`${key}.totalBuildArea can't be less than its groundFloorArea`);
+    }
+  }
+  // An ancillary dwelling can only go beside a house
+  if (errors.length === 0 && houses === 0) errors.push('must list a dwelling type that is not ancillary');
+  return errors;
+}
+
+export function getApartmentTypeLibrary() {
+  return Object.entries(APARTMENT_TYPE_LIBRARY).map(([key, type]) => ({ key, ...type }));
+}
+
+// Dwelling types keyed as the engines read them, in selection order.
+// Validate a selection from outside first; this trusts it.
+export function resolveDwellingTypes(selection = DEFAULT_DWELLING_TYPES) {
+  const types = {};
+  for (const entry of selection) {
+    if (typeof entry === 'string') {
+      types[entry] = { ...DWELLING_TYPE_LIBRARY[entry] };
+    } else {
+      const { key, ...fields } = entry;
+      types[key] = { roofForm: 'pitched', ...DWELLING_TYPE_LIBRARY[key], ...fields };
+    }
+  }
+  return types;
+}
+
+export { DWELLING_TYPE_LIBRARY, APARTMENT_TYPE_LIBRARY, DEFAULT_DWELLING_TYPES };
+
+export default {
+  getDwellingTypeLibrary,
+  validateDwellingTypes,
+  resolveDwellingTypes,
+  getApartmentTypeLibrary,
+  DWELLING_TYPE_LIBRARY,
+  APARTMENT_TYPE_LIBRARY,
+  DEFAULT_DWELLING_TYPES,
+};
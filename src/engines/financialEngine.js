@@ -1,5 +1,5 @@
 // Financial Calculation Engine
-// Comprehensive feasibility analysis for Perth townhouse developments
+// Comprehensive feasibility analysis for Perth townhouse and apartment developments
 
 const CONSTRUCTION_QUALITY = {
   budget: { label: 'Budget', rateMin: 1800, rateMax: 2200, midRate: 2000 },
@@ -8,6 +8,14 @@ const CONSTRUCTION_QUALITY = {
   custom: { label: 'Custom', rateMin: null, rateMax: null, midRate: null },
 };
 
+// Apartment buildings: each lift is costed per stop, and car parking built
+// into the structure per bay, dearer dug out below ground than in a podium
+const LIFT_COST_PER_STOP = 45000;
+const CAR_PARK_COST_PER_BAY = {
+  basement: 65000,
+  podium: 30000,
+};
+
 // WA Stamp Duty rates (2025)
 function calculateStampDuty(landValue) {
   if (landValue <= 80000) return landValue * 0.019;
@@ -17,6 +25,29 @@ function calculateStampDuty(landValue) {
   return 19665 + (landValue - 500000) * 0.0515;
 }
 
+// Legal fees on each purchase of land
+const ACQUISITION_LEGAL_FEES = 3500;
+
+// Duty and legal fees on buying the land at these prices, each lot of an
+// amalgamation being bought, and assessed for duty, on its own
+function acquisitionCosts(purchases) {
+  return {
+    stampDuty: purchases.reduce((sum, price) => sum + calculateStampDuty(price), 0),
+    legalFees: purchases.length * ACQUISITION_LEGAL_FEES,
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Gross yield a let granny flat is valued at: its annual rent capitalised at
+// this rate is what it adds to the house's sale price
+const ANCILLARY_RENTAL_YIELD = 0.07;
+
+// What a granny flat let at weeklyRent adds to the house's value
+function ancillaryRentalValue(weeklyRent, rentalYield = ANCILLARY_RENTAL_YIELD) {
+  return rentalYield > 0 ? weeklyRent * 52 / rentalYield : 0;
+}
+
 // Default market prices for Perth townhouses (2025 estimates)
 const DEFAULT_MARKET_PRICES = {
   '2bed': { low: 380000, mid: 450000, high: 520000 },
@@ -29,6 +60,8 @@ export function calculateFeasibility(params) {
     // Land
     landCost,
     lotArea,
+    // Adjoining lots amalgamated into the site: [{ landCost, settlementDate }]
+    landParcels = null,
 
     // Yield results
     yield: yieldResult,
@@ -45,6 +78,15 @@ export function calculateFeasibility(params) {
     demolitionRequired = false,
     existingStructures = 1,
     siteSlope = 'flat', // flat, moderate, steep
+    // Existing house kept on its own lot rather than demolished: { value }
+    retainedDwelling = null,
+
+    // Ancillary dwellings (granny flats): 'sale' adds their price to the
+    // house's, 'rental' lets them at ancillaryRent a week (else the type's
+    // default rent), valued at rentalYield
+    ancillaryIncome = 'sale',
+    ancillaryRent = null,
+    rentalYield = ANCILLARY_RENTAL_YIELD,
 
     // Market prices (optional overrides)
     customPrices = null,
@@ -67,10 +109,28 @@ export function calculateFeasibility(params) {
   const prices = customPrices || DEFAULT_MARKET_PRICES;
   const revenueByType = [];
   let totalGRV = 0;
+  let rentalIncome = null;
 
   for (const detail of yieldResult.dwellingDetails) {
-    const typeKey = detail.type.includes('2') ? '2bed' : detail.type.includes('3') ? '3bed' : '4bed';
-    const price = prices[typeKey]?.mid || 600000;
+    if (detail.ancillary && ancillaryIncome === 'rental') {
+      const weeklyRent = Number(ancillaryRent) || detail.defaultRent || 0;
+      const annualRent = detail.quantity * weeklyRent * 52;
+      const value = ancillaryRentalValue(weeklyRent, rentalYield);
+      totalGRV += detail.quantity * value;
+      revenueByType.push({
+        type: `${detail.type} — rental`,
+        quantity: detail.quantity,
+        priceEach: value,
+        total: detail.quantity * value,
+      });
+      rentalIncome = {
+        weeklyRent,
+        annualRent: (rentalIncome?.annualRent || 0) + annualRent,
+        rentalYield,
+      };
+      continue;
+    }
+    const price = prices[detail.key]?.mid || detail.defaultPrice || 600000;
     const lineTotal = detail.quantity * price;
     totalGRV += lineTotal;
     revenueByType.push({
@@ -81,26 +141,64 @@ export function calculateFeasibility(params) {
     });
   }
 
+  // The retained house is sold on its new lot alongside the new dwellings
+  if (retainedDwelling) {
+    const value = Number(retainedDwelling.value) || 0;
+    totalGRV += value;
+    revenueByType.push({
+      type: 'Retained Dwelling',
+      quantity: 1,
+      priceEach: value,
+      total: value,
+    });
+  }
+
   // ─────────────────────────────────────
   // B. COSTS (TDC)
   // ─────────────────────────────────────
 
   // 1. Land & Acquisition
-  const stampDuty = calculateStampDuty(landCost);
-  const legalFeesAcquisition = 3500;
+  const purchases = landParcels ? landParcels.map(parcel => parcel.landCost) : [landCost];
+  const { stampDuty, legalFees: legalFeesAcquisition } = acquisitionCosts(purchases);
   const landTotal = landCost + stampDuty + legalFeesAcquisition;
 
+  // Lots settled ahead of the last carry interest on their debt-funded share
+  // until it settles and the project can start
+  const lastSettlement = landParcels
+    ? Math.max(...landParcels.map(parcel => Date.parse(parcel.settlementDate) || -Infinity))
+    : null;
+  const parcels = landParcels && landParcels.map(parcel => {
+    const settled = Date.parse(parcel.settlementDate);
+    const holdingDays = Number.isFinite(settled) ? Math.round((lastSettlement - settled) / DAY_MS) : 0;
+    return {
+      landCost: parcel.landCost,
+      settlementDate: parcel.settlementDate,
+      stampDuty: calculateStampDuty(parcel.landCost),
+      holdingDays,
+      holdingCost: parcel.landCost * debtRatio * interestRate * holdingDays / 365,
+    };
+  });
+  const landHolding = parcels ? parcels.reduce((sum, parcel) => sum + parcel.holdingCost, 0) : 0;
+
   // 2. Site Preparation
-  const demolitionCost = demolitionRequired ? existingStructures * 27500 : 0;
+  // A retained house is one structure fewer to knock down
+  const demolished = Math.max(0, existingStructures - (retainedDwelling ? 1 : 0));
+  const demolitionCost = demolitionRequired ? demolished * 27500 : 0;
   const siteClearingCost = lotArea > 600 ? 10000 : 7500;
   const earthworksCost = siteSlope === 'steep' ? 50000 : siteSlope === 'moderate' ? 30000 : 15000;
   const siteTotal = demolitionCost + siteClearingCost + earthworksCost;
 
   // 3. Construction
-  const buildingCost = totalGFA * quality.midRate;
-  const designContingency = buildingCost * 0.04;
-  const constructionContingency = buildingCost * 0.07;
-  const constructionTotal = buildingCost + designContingency + constructionContingency;
+  // An apartment building is built over its whole gross floor area, cores and
+  // corridors included, with its lifts and car park on top
+  const apartments = yieldResult.apartments;
+  const buildingCost = (apartments?.grossBuildingArea ?? totalGFA) * quality.midRate;
+  const liftCost = apartments ? apartments.lifts * apartments.liftStops * LIFT_COST_PER_STOP : 0;
+  const carParkCost = apartments ? apartments.parking.bays * CAR_PARK_COST_PER_BAY[apartments.parking.form] : 0;
+  const worksCost = buildingCost + liftCost + carParkCost;
+  const designContingency = worksCost * 0.04;
+  const constructionContingency = worksCost * 0.07;
+  const constructionTotal = worksCost + designContingency + constructionContingency;
 
   // 4. Services Connection
   const waterConnection = numDwellings * 4000;
@@ -120,12 +218,12 @@ export function calculateFeasibility(params) {
   const infraTotal = drivewayCost + accessRoadCost + landscapingCost + fencingCost + stormwaterCost;
 
   // 6. Professional Fees
-  const architectFee = buildingCost * 0.055;
-  const engineerFee = buildingCost * 0.015;
+  const architectFee = worksCost * 0.055;
+  const engineerFee = worksCost * 0.015;
   const geoReport = 3500;
   const surveyorFee = 5500;
   const townPlannerFee = 10000;
-  const buildingPermitFee = buildingCost * 0.01;
+  const buildingPermitFee = worksCost * 0.01;
   const professionalTotal = architectFee + engineerFee + geoReport + surveyorFee + townPlannerFee + buildingPermitFee;
 
   // 7. Statutory Fees
@@ -142,7 +240,7 @@ export function calculateFeasibility(params) {
   const establishmentFee = loanAmount * 0.015;
   // Interest calculated on progressive drawdown (average 60% of loan over period)
   const interestCost = loanAmount * 0.6 * interestRate * (timelineMonths / 12);
-  const financeTotal = establishmentFee + interestCost;
+  const financeTotal = establishmentFee + interestCost + landHolding;
 
   // 9. Marketing & Sales
   const agentCommission = totalGRV * 0.025;
@@ -178,6 +276,7 @@ export function calculateFeasibility(params) {
     totalDevelopmentCost,
     buildingCost,
     landCost,
+    purchases,
     landTotal,
     siteTotal,
     servicesTotal,
@@ -188,6 +287,7 @@ export function calculateFeasibility(params) {
     marketingTotal,
     constructionTotal,
     loanAmount,
+    landHolding,
     interestRate,
     debtRatio,
     timelineMonths,
@@ -200,6 +300,7 @@ export function calculateFeasibility(params) {
     revenue: {
       byType: revenueByType,
       totalGRV,
+      rentalIncome,
     },
     costs: {
       land: {
@@ -207,6 +308,7 @@ export function calculateFeasibility(params) {
         stampDuty,
         legalFees: legalFeesAcquisition,
         total: landTotal,
+        parcels,
       },
       sitePrep: {
         demolition: demolitionCost,
@@ -216,6 +318,8 @@ export function calculateFeasibility(params) {
       },
       construction: {
         buildingCosts: buildingCost,
+        lifts: liftCost,
+        carParking: carParkCost,
         designContingency,
         constructionContingency,
         total: constructionTotal,
@@ -257,6 +361,7 @@ export function calculateFeasibility(params) {
       finance: {
         establishment: establishmentFee,
         interest: interestCost,
+        landHolding,
         total: financeTotal,
         loanAmount,
         interestRate,
@@ -297,10 +402,10 @@ export function calculateFeasibility(params) {
 
 function calculateSensitivity(params) {
   const {
-    totalGRV, totalDevelopmentCost, buildingCost, landCost,
+    totalGRV, totalDevelopmentCost, buildingCost, landCost, purchases,
     landTotal, siteTotal, servicesTotal, infraTotal,
     professionalTotal, statutoryTotal, financeTotal, marketingTotal,
-    constructionTotal, loanAmount, interestRate, debtRatio,
+    constructionTotal, loanAmount, landHolding, interestRate, debtRatio,
     timelineMonths, numDwellings, totalGFA, quality,
   } = params;
 
@@ -335,7 +440,8 @@ function calculateSensitivity(params) {
   // Land cost sensitivity
   const landSensitivity = salesVariances.map(v => {
     const newLandCost = landCost * (1 + v);
-    const newLandTotal = newLandCost + calculateStampDutyInternal(newLandCost) + 3500;
+    const { stampDuty, legalFees } = acquisitionCosts(purchases.map(price => price * (1 + v)));
+    const newLandTotal = newLandCost + stampDuty + legalFees;
     const newTDC = newLandTotal + siteTotal + constructionTotal + servicesTotal + infraTotal +
       professionalTotal + statutoryTotal + financeTotal + marketingTotal;
     return {
@@ -355,7 +461,7 @@ function calculateSensitivity(params) {
 
   const timelineSensitivity = timelineScenarios.map(s => {
     const newInterest = loanAmount * 0.6 * interestRate * (s.months / 12);
-    const newFinanceTotal = loanAmount * 0.015 + newInterest;
+    const newFinanceTotal = loanAmount * 0.015 + newInterest + landHolding;
     const newTDC = landTotal + siteTotal + constructionTotal + servicesTotal + infraTotal +
       professionalTotal + statutoryTotal + newFinanceTotal + marketingTotal;
     return {
@@ -384,8 +490,12 @@ function calculateSensitivity(params) {
   };
 }
 
-function calculateStampDutyInternal(value) {
-  return calculateStampDuty(value);
-}
-
-export { CONSTRUCTION_QUALITY, DEFAULT_MARKET_PRICES, calculateStampDuty };
+export {
+  CONSTRUCTION_QUALITY,
+  DEFAULT_MARKET_PRICES,
+  ANCILLARY_RENTAL_YIELD,
+  LIFT_COST_PER_STOP,
+  CAR_PARK_COST_PER_BAY,
+  calculateStampDuty,
+  ancillaryRentalValue,
+};
@@ -0,0 +1,571 @@
+// Site Layout Engine
+// Packs dwelling footprints, courtyards, the shared driveway and parking onto
+// the lot, with every building inside the setback envelope
+
+// Lot coordinates as in the solar engine: u runs across the frontage from the
+// left boundary (as seen from the street), v from the street boundary back to
+// the rear. Rectangles are { u0, u1, v0, v1 }.
+
+// Uncovered bays open at right angles off the driveway
+const BAY_WIDTH = 2.5;
+const BAY_DEPTH = 5.5;
+const EPSILON = 1e-6;
+
+// A boundary on an axis gives -0 where it is negated; report it as 0
+const withoutNegativeZero = x => (x === 0 ? 0 : x);
+
+export function rectangleBoundary(lotWidth, lotDepth) {
+  return [
+    { u: 0, v: 0 },
+    { u: lotWidth, v: 0 },
+    { u: lotWidth, v: lotDepth },
+    { u: 0, v: lotDepth },
+  ];
+}
+
+function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.u * b.v - b.u * a.v;
+  }
+  return area / 2;
+}
+
+// Each edge as a half-plane n·p <= c, n its outward normal, named for the
+// boundary it faces: the street edge faces -v, the rear +v
+function boundaryEdges(points) {
+  const orientation = signedArea(points) < 0 ? -1 : 1;
+  return points.map((a, i) => {
+    const b = points[(i + 1) % points.length];
+    const length = Math.hypot(b.u - a.u, b.v - a.v);
+    const n = { u: orientation * (b.v - a.v) / length, v: -orientation * (b.u - a.u) / length };
+    const boundary = Math.abs(n.v) >= Math.abs(n.u)
+      ? (n.v < 0 ? 'front' : 'rear')
+      : (n.u < 0 ? 'left' : 'right');
+    return { n, c: n.u * a.u + n.v * a.v, boundary };
+  });
+}
+
+// A lot boundary must be a convex polygon of at least three { u, v } points.
+// Returns a list of problems; an empty list means the layout can use it.
+export function validateLotBoundary(points) {
+  if (!Array.isArray(points) || points.length < 3) {
+    return ['must list at least three points'];
+  }
+  if (points.some(p => !Number.isFinite(p?.u) || !Number.isFinite(p?.v))) {
+    return ['each point needs numeric u and v'];
+  }
+
+  const turns = points.map((a, i) => {
+    const b = points[(i + 1) % points.length];
+    const c = points[(i + 2) % points.length];
+    return (b.u - a.u) * (c.v - b.v) - (b.v - a.v) * (c.u - b.u);
+  });
+  if (Math.abs(signedArea(points)) < EPSILON) return ['must enclose an area'];
+  if (turns.some(t => t > EPSILON) && turns.some(t => t < -EPSILON)) return ['must be convex'];
+  return [];
+}
+
+// Half-planes for a region: the lot itself, or the lot pulled in by a
+// setback from each named boundary
+function regionOf(edges, setbacks = {}) {
+  return edges.map(({ n, c, boundary }) => ({ n, c: c - (setbacks[boundary] || 0) }));
+}
+
+function containsRect(region, r) {
+  const corners = [[r.u0, r.v0], [r.u1, r.v0], [r.u1, r.v1], [r.u0, r.v1]];
+  return r.u1 >= r.u0 - EPSILON && r.v1 >= r.v0 - EPSILON &&
+    corners.every(([u, v]) => region.every(({ n, c }) => n.u * u + n.v * v <= c + EPSILON));
+}
+
+// Extent of a convex region along one axis at a fixed value of the other.
+// For a band between two values, the intersection of the ends holds across it.
+function slice(region, axis, at) {
+  const other = axis === 'u' ? 'v' : 'u';
+  let lo = -Infinity;
+  let hi = Infinity;
+  for (const { n, c } of region) {
+    const rest = c - n[other] * at;
+    if (Math.abs(n[axis]) < EPSILON) {
+      if (rest < -EPSILON) return null;
+    } else if (n[axis] > 0) {
+      hi = Math.min(hi, rest / n[axis]);
+    } else {
+      lo = Math.max(lo, rest / n[axis]);
+    }
+  }
+  return lo <= hi + EPSILON ? { lo: withoutNegativeZero(lo), hi: withoutNegativeZero(hi) } : null;
+}
+
+function sliceBand(region, axis, from, to) {
+  const a = slice(region, axis, from);
+  const b = slice(region, axis, to);
+  if (!a || !b) return null;
+  return { lo: Math.max(a.lo, b.lo), hi: Math.min(a.hi, b.hi) };
+}
+
+function extentOf(points, axis) {
+  const values = points.map(p => p[axis]);
+  return { lo: Math.min(...values), hi: Math.max(...values) };
+}
+
+// Clip a convex polygon to the half-plane n·p <= c
+function clipToHalfPlane(points, { n, c }) {
+  const side = p => n.u * p.u + n.v * p.v - c;
+  const out = [];
+  points.forEach((current, i) => {
+    const previous = points[(i + points.length - 1) % points.length];
+    const a = side(previous);
+    const b = side(current);
+    if ((a <= 0) !== (b <= 0)) {
+      const t = a / (a - b);
+      out.push({ u: previous.u + t * (current.u - previous.u), v: previous.v + t * (current.v - previous.v) });
+    }
+    if (b <= 0) out.push(current);
+  });
+  return out;
+}
+
+// Run a courtyard out along axis, towards its hi or lo end, only as far as the
+// lot goes. A cramped lot leaves the dwelling a smaller courtyard, for the
+// outdoor living check to judge, rather than none.
+function reachWithin(lot, r, axis, end = 'hi') {
+  const other = axis === 'u' ? 'v' : 'u';
+  const band = sliceBand(lot, axis, r[`${other}0`], r[`${other}1`]);
+  if (!band) return r;
+  const [lo, hi] = [`${axis}0`, `${axis}1`];
+  return end === 'hi'
+    ? { ...r, [hi]: Math.max(r[lo], Math.min(r[hi], band.hi)) }
+    : { ...r, [lo]: Math.min(r[hi], Math.max(r[lo], band.lo)) };
+}
+
+const rectArea = r => (r.u1 - r.u0) * (r.v1 - r.v0);
+
+// How far a courtyard of this area runs out from a side this long, never
+// less than the minimum dimension
+const courtyardReach = (area, side, minDimension) => Math.max(area / side, minDimension);
+
+// Street-facing dwellings sit side by side across the front of the envelope,
+// either side of the driveway, each with its courtyard behind it. A dwelling
+// is set back further where the envelope's front edge needs it.
+function packStreetRow(dwellings, envelope, lot, reserved, start, across, minDimension) {
+  const segments = reserved
+    ? [{ lo: across.lo, hi: reserved.u0 }, { lo: reserved.u1, hi: across.hi }]
+    : [across];
+  const cursors = segments.map(s => s.lo);
+  const placed = [];
+  const unplaced = [];
+  for (const dwelling of dwellings) {
+    let fitted = null;
+    for (let i = 0; i < segments.length && !fitted; i++) {
+      const u = cursors[i];
+      if (u + dwelling.width > segments[i].hi + EPSILON) continue;
+      const front = sliceBand(envelope, 'v', u, u + dwelling.width);
+      if (!front) continue;
+      const v0 = Math.max(start, front.lo);
+      const building = { u0: u, u1: u + dwelling.width, v0, v1: v0 + dwelling.footprintArea / dwelling.width };
+      const reach = courtyardReach(dwelling.courtyardArea, dwelling.width, minDimension);
+      const courtyard = reachWithin(lot, { ...building, v0: building.v1, v1: building.v1 + reach }, 'v');
+      if (containsRect(envelope, building) && containsRect(lot, courtyard)) {
+        fitted = { ...dwelling, building, courtyard };
+        cursors[i] = building.u1;
+      }
+    }
+    if (fitted) placed.push(fitted);
+    else unplaced.push(dwelling.name);
+  }
+  return { placed, unplaced };
+}
+
+// Internal dwellings and parking bays line the driveway, their short side to
+// it: dwellings with the garage on the driveway and the courtyard beyond, or
+// behind where the lot is too narrow for that, or whichever of the two holds
+// more where neither fits whole. Each goes to whichever column is shortest
+// that can take it.
+function packColumns(items, envelope, lot, columns, start, minDimension) {
+  const cursors = columns.map(() => start);
+  const placed = [];
+  const unplaced = [];
+  for (const item of items) {
+    const order = columns.map((_, i) => i).sort((a, b) => cursors[a] - cursors[b]);
+    let fitted = null;
+    for (const i of order) {
+      const { side, edge } = columns[i];
+      const v0 = cursors[i];
+      const v1 = v0 + item.width;
+      // Buildings keep to the envelope even where the driveway leaves room
+      const band = sliceBand(item.dwelling ? envelope : lot, 'u', v0, v1);
+      if (!band) continue;
+      const face = side === 'left' ? Math.min(edge, band.hi) : Math.max(edge, band.lo);
+      const span = (near, far, from = v0, to = v1) => (side === 'left'
+        ? { u0: face - far, u1: face - near, v0: from, v1: to }
+        : { u0: face + near, u1: face + far, v0: from, v1: to });
+
+      if (item.dwelling) {
+        const { buildingDepth, courtyardDepth } = item;
+        const building = span(0, buildingDepth);
+        const { courtyardArea } = item.dwelling;
+        const beside = reachWithin(lot, span(buildingDepth, buildingDepth + courtyardDepth), 'u', side === 'left' ? 'lo' : 'hi');
+        const behind = reachWithin(
+          lot, span(0, buildingDepth, v1, v1 + courtyardReach(courtyardArea, buildingDepth, minDimension)), 'v'
+        );
+        const options = [beside, behind].filter(c => containsRect(lot, c));
+        const courtyard = options.find(c => rectArea(c) >= courtyardArea - EPSILON) ||
+          options.reduce((best, c) => (!best || rectArea(c) > rectArea(best) ? c : best), null);
+        if (courtyard && containsRect(envelope, building)) {
+          fitted = { ...item.dwelling, building, courtyard };
+          cursors[i] = courtyard.v1;
+        }
+      } else {
+        const bay = span(0, BAY_DEPTH);
+        if (containsRect(lot, bay)) {
+          fitted = { name: item.name, ...bay };
+          cursors[i] = v1;
+        }
+      }
+      if (fitted) break;
+    }
+    if (fitted) placed.push(fitted);
+    else unplaced.push(item.dwelling ? item.dwelling.name : item.name);
+  }
+  return { placed, unplaced, end: Math.max(start, ...cursors) };
+}
+
+// One layout with the driveway along the right boundary ('side') or down the
+// middle with a column of dwellings either side ('central')
+function attemptLayout(access, params, lot, envelope, envelopePoints) {
+  const { boundary, dwellings, drivewayWidth, turningArea, parkingBays, minCourtyardDimension } = params;
+  const lotV = extentOf(boundary, 'v');
+  const envelopeV = extentOf(envelopePoints, 'v');
+  // Across their whole depth, convex shapes narrow no further than at the
+  // ends. The driveway runs straight, so it keeps to the narrowest width.
+  const lotBand = sliceBand(lot, 'u', lotV.lo + EPSILON, lotV.hi - EPSILON);
+  const envelopeBand = sliceBand(envelope, 'u', envelopeV.lo + EPSILON, envelopeV.hi - EPSILON);
+
+  const internal = dwellings.filter(d => d.position !== 'street').map(dwelling => ({
+    dwelling,
+    width: dwelling.width,
+    buildingDepth: dwelling.footprintArea / dwelling.width,
+    courtyardDepth: courtyardReach(dwelling.courtyardArea, dwelling.width, minCourtyardDimension),
+  }));
+  const bays = Array.from({ length: parkingBays }, (_, i) => ({ name: `Bay ${i + 1}`, width: BAY_WIDTH }));
+
+  if (!lotBand || !envelopeBand) {
+    return {
+      access,
+      driveway: null,
+      turningArea: null,
+      dwellings: [],
+      parking: [],
+      unplaced: dwellings.map(d => d.name),
+      unplacedBays: parkingBays,
+    };
+  }
+
+  let u0 = lotBand.hi - drivewayWidth;
+  if (access === 'central') {
+    u0 = Math.max(
+      ...internal.map(i => Math.max(lotBand.lo + i.buildingDepth + i.courtyardDepth, envelopeBand.lo + i.buildingDepth)),
+      ...(bays.length ? [lotBand.lo + BAY_DEPTH] : []),
+    );
+  }
+  const u1 = u0 + drivewayWidth;
+  const columns = access === 'central'
+    ? [{ side: 'left', edge: u0 }, { side: 'right', edge: u1 }]
+    : [{ side: 'left', edge: u0 }];
+
+  const reserved = drivewayWidth > 0 ? { u0, u1 } : null;
+  const row = packStreetRow(
+    dwellings.filter(d => d.position === 'street'), envelope, lot, reserved, envelopeV.lo, envelopeBand,
+    minCourtyardDimension,
+  );
+  const columnStart = Math.max(envelopeV.lo, ...row.placed.map(d => d.courtyard.v1));
+  const packed = packColumns([...internal, ...bays], envelope, lot, columns, columnStart, minCourtyardDimension);
+  // Bays that find no room are left off rather than failing the layout
+  const bayNames = new Set(bays.map(bay => bay.name));
+  const unplaced = [...row.unplaced, ...packed.unplaced.filter(name => !bayNames.has(name))];
+  const unplacedBays = packed.unplaced.filter(name => bayNames.has(name)).length;
+
+  let driveway = null;
+  let turning = null;
+  if (drivewayWidth > 0) {
+    const streetEdge = sliceBand(lot, 'v', u0, u1);
+    driveway = { u0, u1, v0: streetEdge ? streetEdge.lo : lotV.lo, v1: packed.end };
+    if (!containsRect(lot, driveway)) unplaced.push('Driveway');
+    if (turningArea > 0) {
+      turning = { u0, u1, v0: driveway.v1, v1: driveway.v1 + turningArea / drivewayWidth };
+      if (!containsRect(lot, turning)) unplaced.push('Turning area');
+    }
+  }
+
+  return {
+    access,
+    driveway,
+    turningArea: turning,
+    dwellings: [...row.placed, ...packed.placed.filter(p => p.building)],
+    parking: packed.placed.filter(p => !p.building),
+    unplaced,
+    unplacedBays,
+  };
+}
+
+/**
+ * Place every dwelling, its courtyard, the shared driveway, its turning area
+ * and the uncovered parking bays on the lot. Buildings stay inside the setback
+ * envelope; courtyards, driveway and parking only inside the lot. A courtyard
+ * with no room for its full area is cut back to the lot boundary. The layout
+ * is packed once everything but the bays is placed; bays with no room left
+ * are counted in unplacedBays.
+ *
+ * @param {Object} params
+ * @param {number} params.lotWidth
+ * @param {number} params.lotDepth
+ * @param {Array<Object>} [params.boundary] - Convex lot polygon [{ u, v }], a lotWidth × lotDepth rectangle if omitted
+ * @param {Object} params.setbacks - { front, rear, left, right } in metres
+ * @param {Array<Object>} params.dwellings - [{ name, type, position, width, footprintArea, courtyardArea }]
+ * @param {number} params.drivewayWidth - 0 where garages open off a laneway
+ * @param {number} [params.turningArea]
+ * @param {number} [params.parkingBays] - Uncovered bays to place
+ * @param {number} [params.minCourtyardDimension] - Courtyards run out at least this far where the lot allows
+ * @returns {Object} { packed, access, lot, envelope, driveway, turningArea, dwellings, parking, unplaced, unplacedBays }
+ */
+export function packSiteLayout(params) {
+  const {
+    lotWidth,
+    lotDepth,
+    setbacks,
+    dwellings,
+    drivewayWidth = 0,
+    turningArea = 0,
+    parkingBays = 0,
+    minCourtyardDimension = 0,
+  } = params;
+  const boundary = params.boundary || rectangleBoundary(lotWidth, lotDepth);
+  const edges = boundaryEdges(boundary);
+  const lot = regionOf(edges);
+  const envelope = regionOf(edges, setbacks);
+  const envelopePoints = envelope.reduce((points, plane) => clipToHalfPlane(points, plane), boundary);
+  const input = { boundary, dwellings, drivewayWidth, turningArea, parkingBays, minCourtyardDimension };
+
+  const base = { lot: boundary, envelope: envelopePoints };
+  if (envelopePoints.length < 3) {
+    return {
+      packed: false,
+      ...base,
+      access: null,
+      driveway: null,
+      turningArea: null,
+      dwellings: [],
+      parking: [],
+      unplaced: dwellings.map(d => d.name),
+      unplacedBays: parkingBays,
+    };
+  }
+
+  // A central driveway only helps where dwellings or bays line it
+  const lined = dwellings.some(d => d.position !== 'street') || parkingBays > 0;
+  const attempts = (drivewayWidth > 0 && lined ? ['side', 'central'] : ['side'])
+    .map(access => attemptLayout(access, input, lot, envelope, envelopePoints));
+  const shortfall = a => [a.unplaced.length, a.unplacedBays];
+  const best = attempts.find(a => a.unplaced.length === 0 && a.unplacedBays === 0) ||
+    attempts.reduce((a, b) => {
+      const [missingA, baysA] = shortfall(a);
+      const [missingB, baysB] = shortfall(b);
+      return missingB < missingA || (missingB === missingA && baysB < baysA) ? b : a;
+    });
+  return { packed: best.unplaced.length === 0, ...base, ...best };
+}
+
+// Least distance from a rectangle to each named boundary of the lot:
+// { front, rear, left, right }, leaving out any the lot doesn't have
+export function setbacksOf(boundary, r) {
+  const corners = [[r.u0, r.v0], [r.u1, r.v0], [r.u1, r.v1], [r.u0, r.v1]];
+  const setbacks = {};
+  for (const { n, c, boundary: name } of boundaryEdges(boundary)) {
+    const distance = c - Math.max(...corners.map(([u, v]) => n.u * u + n.v * v));
+    setbacks[name] = withoutNegativeZero(Math.min(setbacks[name] ?? Infinity, distance));
+  }
+  return setbacks;
+}
+
+// Drawing model of a layout for the site plan: the lot, its setback envelope
+// and every placed element in lot coordinates, drawn in this order. labels
+// maps dwelling type keys to names; the last visitorBays bays are visitors'.
+// Open space is whatever of the lot isn't built on or paved, courtyards included.
+export function buildSitePlan(layout, labels = {}, visitorBays = 0) {
+  const u = extentOf(layout.lot, 'u');
+  const v = extentOf(layout.lot, 'v');
+  const firstVisitorBay = layout.parking.length - visitorBays;
+  const shapes = [
+    ...(layout.driveway ? [{ kind: 'driveway', name: 'Driveway', ...layout.driveway }] : []),
+    ...(layout.turningArea ? [{ kind: 'turning', name: 'Turning area', ...layout.turningArea }] : []),
+    ...layout.parking.map((bay, i) => ({ kind: i >= firstVisitorBay ? 'visitor-bay' : 'bay', ...bay })),
+    ...layout.dwellings.flatMap(d => [
+      { kind: 'courtyard', name: `${d.name} courtyard`, ...d.courtyard },
+      { kind: 'dwelling', name: d.name, label: labels[d.type] || d.type, ...d.building },
+    ]),
+  ];
+  const hardArea = shapes.filter(s => s.kind !== 'courtyard').reduce((sum, s) => sum + rectArea(s), 0);
+
+  return {
+    extent: { u0: u.lo, u1: u.hi, v0: v.lo, v1: v.hi },
+    lot: layout.lot,
+    envelope: layout.envelope,
+    shapes,
+    openSpaceArea: Math.max(0, Math.abs(signedArea(layout.lot)) - hardArea),
+  };
+}
+
+// Drawing model of a single building on the lot, such as an apartment block,
+// in the form buildSitePlan gives: its ground-floor footprint, a rectangle,
+// and a driveway in across the street setback beside its right wall
+export function buildingSitePlan(params) {
+  const { lotWidth, lotDepth, setbacks, footprint, label, drivewayWidth = 0 } = params;
+  const boundary = params.boundary || rectangleBoundary(lotWidth, lotDepth);
+  const envelope = regionOf(boundaryEdges(boundary), setbacks)
+    .reduce((points, plane) => clipToHalfPlane(points, plane), boundary);
+  const u = extentOf(boundary, 'u');
+  const v = extentOf(boundary, 'v');
+  const shapes = [
+    ...(drivewayWidth > 0 && footprint.v0 > v.lo
+      ? [{ kind: 'driveway', name: 'Driveway', u0: footprint.u1 - drivewayWidth, u1: footprint.u1, v0: v.lo, v1: footprint.v0 }]
+      : []),
+    { kind: 'dwelling', name: 'Building', label, ...footprint },
+  ];
+  const hardArea = shapes.reduce((sum, r) => sum + rectArea(r), 0);
+
+  return {
+    extent: { u0: u.lo, u1: u.hi, v0: v.lo, v1: v.hi },
+    lot: boundary,
+    envelope,
+    shapes,
+    openSpaceArea: Math.max(0, Math.abs(signedArea(boundary)) - hardArea),
+  };
+}
+
+// Largest rectangle inside the lot less the setbacks from each named boundary,
+// and inside the rectangle `within` if given, with its front and rear on a
+// grid of step metres from the front of that region. Past maxArea it is cut
+// short from the rear. Of equal areas the one nearest the street wins.
+// Returns { u0, u1, v0, v1 }, or null if the region is empty.
+export function largestRectangle(boundary, setbacks, { within, maxArea = Infinity, step = 0.5 } = {}) {
+  const region = [
+    ...regionOf(boundaryEdges(boundary), setbacks),
+    ...(within
+      ? [
+        { n: { u: -1, v: 0 }, c: -within.u0 },
+        { n: { u: 1, v: 0 }, c: within.u1 },
+        { n: { u: 0, v: -1 }, c: -within.v0 },
+        { n: { u: 0, v: 1 }, c: within.v1 },
+      ]
+      : []),
+  ];
+  const points = region.reduce((clipped, plane) => clipToHalfPlane(clipped, plane), boundary);
+  if (points.length < 3) return null;
+  const { lo, hi } = extentOf(points, 'v');
+  const grid = [];
+  for (let v = lo; v < hi - EPSILON; v += step) grid.push(v);
+  grid.push(hi);
+
+  let best = null;
+  let bestArea = 0;
+  grid.forEach((v0, i) => {
+    for (const v1 of grid.slice(i + 1)) {
+      const band = sliceBand(region, 'u', v0, v1);
+      if (!band || band.hi - band.lo < EPSILON) continue;
+      const width = band.hi - band.lo;
+      const depth = Math.min(v1 - v0, maxArea / width);
+      if (width * depth > bestArea + EPSILON) {
+        best = { u0: band.lo, u1: band.hi, v0, v1: v0 + depth };
+        bestArea = width * depth;
+      }
+    }
+  });
+  return best;
+}
+
+// The part of a lot more than depth metres back from the street, in its own
+// coordinates: the cut becomes its front boundary
+export function rearOfBoundary(boundary, depth) {
+  return clipToHalfPlane(boundary, { n: { u: 0, v: -1 }, c: -depth })
+    .map(p => ({ u: p.u, v: p.v - depth }));
+}
+
+// Adjoining lots, side by side along the street in order from the left, as
+// one development site. Each keeps its strip of the combined frontage, and
+// outline traces the lots' stepped rear. The packer only takes convex lots,
+// so where the depths differ the site developed is the largest rectangle
+// inside the lots: the run of adjoining strips whose width times shallowest
+// depth is greatest, from u0 along the frontage. lotArea, lotWidth and
+// lotDepth describe that rectangle; heldArea is all the land bought.
+export function amalgamateParcels(parcels) {
+  let u = 0;
+  const strips = parcels.map(parcel => {
+    const strip = { u0: u, u1: u + parcel.lotWidth, lotArea: parcel.lotArea, lotDepth: parcel.lotDepth };
+    u = strip.u1;
+    return strip;
+  });
+  const heldArea = parcels.reduce((sum, parcel) => sum + parcel.lotArea, 0);
+  const evenDepth = parcels.every(parcel => Math.abs(parcel.lotDepth - parcels[0].lotDepth) < EPSILON);
+
+  let site = null;
+  strips.forEach((first, i) => {
+    let depth = Infinity;
+    for (const last of strips.slice(i)) {
+      depth = Math.min(depth, last.lotDepth);
+      const width = last.u1 - first.u0;
+      if (!site || width * depth > site.lotWidth * site.lotDepth + EPSILON) {
+        site = { u0: first.u0, lotWidth: width, lotDepth: depth };
+      }
+    }
+  });
+  return {
+    ...site,
+    lotArea: evenDepth ? heldArea : site.lotWidth * site.lotDepth,
+    heldArea,
+    evenDepth,
+    outline: [
+      { u: 0, v: 0 },
+      { u, v: 0 },
+      ...[...strips].reverse().flatMap(strip => [{ u: strip.u1, v: strip.lotDepth }, { u: strip.u0, v: strip.lotDepth }]),
+    ].filter((point, i, points) => i === 0 ||
+      Math.abs(point.u - points[i - 1].u) > EPSILON || Math.abs(point.v - points[i - 1].v) > EPSILON),
+    parcels: strips,
+  };
+}
+
+// A site plan of the lot behind a retained front lot, moved back behind it
+// onto the whole lot. The retained lot is the part of boundary within depth
+// metres of the street; the driveway reaches the street down a leg through it.
+export function withRetainedLot(plan, boundary, depth) {
+  const back = p => ({ ...p, v: p.v + depth });
+  const u = extentOf(boundary, 'u');
+  const v = extentOf(boundary, 'v');
+  const driveway = plan.shapes.find(shape => shape.kind === 'driveway');
+  const leg = driveway
+    ? [{ kind: 'driveway', name: 'Access leg', u0: driveway.u0, u1: driveway.u1, v0: 0, v1: depth }]
+    : [];
+  return {
+    ...plan,
+    extent: { u0: u.lo, u1: u.hi, v0: v.lo, v1: v.hi },
+    lot: boundary,
+    envelope: plan.envelope.map(back),
+    retainedLot: clipToHalfPlane(boundary, { n: { u: 0, v: 1 }, c: depth }),
+    shapes: [...leg, ...plan.shapes.map(shape => ({ ...shape, v0: shape.v0 + depth, v1: shape.v1 + depth }))],
+  };
+}
+
+export default {
+  rectangleBoundary,
+  rearOfBoundary,
+  withRetainedLot,
+  amalgamateParcels,
+  validateLotBoundary,
+  packSiteLayout,
+  setbacksOf,
+  buildSitePlan,
+  buildingSitePlan,
+  largestRectangle,
+};
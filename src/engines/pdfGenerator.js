@@ -85,6 +85,9 @@ export function generatePDF(results, formData) {
   const companyName = formData.companyName || '';
   const address = formData.address || 'Property Address';
   const reportTitle = formData.reportTitle || `Feasibility Assessment — ${address}`;
+  const zoning = results.splitCode
+    ? `${results.splitCode.label} (${results.splitCode.appliedCode} applied)`
+    : formData.rCode || 'N/A';
   const dateStr = new Date().toLocaleDateString('en-AU', {
     day: 'numeric', month: 'long', year: 'numeric',
   });
@@ -172,7 +175,7 @@ export function generatePDF(results, formData) {
   // Project summary
   y = addSectionTitle(doc, y, 'PROJECT SUMMARY');
   y = addKeyValue(doc, y + 4, 'Address:', address);
-  y = addKeyValue(doc, y, 'Zoning:', formData.rCode || 'N/A');
+  y = addKeyValue(doc, y, 'Zoning:', zoning);
   y = addKeyValue(doc, y, 'Lot Area:', formatSqm(formData.lotArea || 0));
   y = addKeyValue(doc, y, 'Construction Quality:', metadata.constructionQuality);
   y = addKeyValue(doc, y, 'Timeline:', `${metadata.timelineMonths} months`);
@@ -198,7 +201,15 @@ export function generatePDF(results, formData) {
   y = addKeyValue(doc, y, 'Total Lot Area:', formatSqm(formData.lotArea || 0));
   y = addKeyValue(doc, y, 'Lot Width:', `${formData.lotWidth || 0}m`);
   y = addKeyValue(doc, y, 'Lot Depth:', `${formData.lotDepth || 0}m`);
-  y = addKeyValue(doc, y, 'Current Zoning:', formData.rCode || 'N/A');
+  const streetAccess = {
+    street: 'Single street frontage',
+    corner: 'Corner lot',
+    laneway: 'Rear laneway',
+    'battle-axe': 'Battle-axe',
+  };
+  y = addKeyValue(doc, y, 'Street Access:', streetAccess[formData.frontageType] || streetAccess.street);
+  y = addKeyValue(doc, y, 'Current Zoning:', zoning);
+  y = addKeyValue(doc, y, 'Rule Set:', compliance.ruleSet?.label || 'R-Codes Volume 1');
   y += 4;
 
   y = addSectionTitle(doc, y, 'PLANNING OVERLAYS');
@@ -229,6 +240,10 @@ export function generatePDF(results, formData) {
   y = addKeyValue(doc, y, 'Lot Shape:', (formData.lotShape || 'regular').replace('_', ' ').replace(/^\w/, c => c.toUpperCase()));
   y = addKeyValue(doc, y, 'Street Frontage:', (formData.streetFrontage || 'adequate').replace(/^\w/, c => c.toUpperCase()));
   y = addKeyValue(doc, y, 'Demolition Required:', formData.demolitionRequired ? 'Yes' : 'No');
+  if (yieldResult.retainedDwelling) {
+    const { lotArea, value } = yieldResult.retainedDwelling;
+    y = addKeyValue(doc, y, 'Existing House:', `Retained on a ${formatSqm(lotArea)} lot, valued at ${formatCurrency(value)}`);
+  }
   y = addKeyValue(doc, y, 'Significant Trees:', formData.largeTrees ? 'Yes' : 'No');
 
   // ══════════════════════════════════════════════
@@ -244,10 +259,10 @@ export function generatePDF(results, formData) {
     startY: y + 2,
     head: [['Requirement', 'Allowed', 'Proposed', 'Status']],
     body: compliance.checks.map(c => [
-      c.name,
+      c.localPolicy ? `${c.name}\n${c.localPolicy}` : c.name,
       c.allowed,
       c.proposed,
-      c.compliant ? 'COMPLIANT' : 'NON-COMPLIANT',
+      c.status === 'design-principles' ? 'DESIGN PRINCIPLES' : c.compliant ? 'COMPLIANT' : 'NON-COMPLIANT',
     ]),
     theme: 'grid',
     margin: { left: 14, right: 14 },
@@ -259,6 +274,9 @@ export function generatePDF(results, formData) {
         if (data.cell.raw === 'COMPLIANT') {
           data.cell.styles.textColor = COLORS.green;
           data.cell.styles.fontStyle = 'bold';
+        } else if (data.cell.raw === 'DESIGN PRINCIPLES') {
+          data.cell.styles.textColor = COLORS.amber;
+          data.cell.styles.fontStyle = 'bold';
         } else {
           data.cell.styles.textColor = COLORS.red;
           data.cell.styles.fontStyle = 'bold';
@@ -270,12 +288,91 @@ export function generatePDF(results, formData) {
 
   y = addSectionTitle(doc, y, 'PLANNING CONSIDERATIONS');
   y += 4;
-  y = addText(doc, y, `The subject site is zoned ${formData.rCode || 'N/A'} under the applicable Local Planning Scheme.`);
+  y = addText(doc, y, `The subject site is zoned ${zoning} under the applicable Local Planning Scheme.`);
   y = addText(doc, y, `The proposed development of ${metadata.numDwellings} grouped dwellings is ${compliance.valid ? 'compliant' : 'subject to variations'}`);
-  y = addText(doc, y, 'with the deemed-to-comply requirements of the Residential Design Codes.');
+  y = addText(doc, y, `with the deemed-to-comply requirements of the ${compliance.ruleSet?.label || 'Residential Design Codes'}.`);
+  if (compliance.requiresDesignPrinciples) {
+    y += 3;
+    y = addText(doc, y, 'Within the set tolerance but outside the deemed-to-comply limit, so requiring a design principles assessment:');
+    compliance.designPrinciples.forEach(v => {
+      y = addText(doc, y, `• ${v.name}: ${v.proposed} against ${v.allowed} (${formatPercent(v.variation)} variation)`, 18);
+    });
+  }
+  if (compliance.localPolicies?.length) {
+    y += 3;
+    y = addText(doc, y, 'The R-Codes are varied for this site by local planning policy:');
+    compliance.localPolicies.forEach(p => {
+      y = addText(doc, y, `• ${p.lgaLabel} — ${p.title}`, 18);
+    });
+  }
+  if (compliance.overshadowing) {
+    const { southern, limit, sunAltitude, frontageFacing, frontageAssumed } = compliance.overshadowing;
+    y += 3;
+    y = addText(doc, y, southern
+      ? `Noon midwinter shadow covers ${formatPercent(southern.shadowRatio)} of the southern (${southern.boundary}) lot against a ${formatPercent(limit)} limit.`
+      : 'The street lies to the south of the site, so no adjoining lot is overshadowed at noon midwinter.');
+    y = addText(doc, y, `Sun altitude ${sunAltitude.toFixed(1)}° at noon on 21 June; frontage faces ${frontageFacing}${frontageAssumed ? ' (assumed)' : ''}.`);
+  }
+  if (compliance.privacy) {
+    const flagged = compliance.privacy.openings.filter(o => o.needsScreening);
+    const summary = flagged.length === 0
+      ? `Visual privacy: all ${compliance.privacy.openings.length} assessed openings clear their cone-of-vision setbacks.`
+      : `Visual privacy: ${flagged.length} of ${compliance.privacy.openings.length} openings need screening (${flagged.map(o => o.name).join(', ')}).`;
+    y += 3;
+    doc.splitTextToSize(summary, 180).forEach(line => { y = addText(doc, y, line); });
+  }
   y += 3;
   y = addText(doc, y, 'Estimated Planning Approval Timeline: 60-90 days for standard development application.');
 
+  if (results.splitCode) {
+    const { splitCode } = results;
+    y += 6;
+    y = addSectionTitle(doc, y, `SPLIT CODING — ${splitCode.label}`);
+    y += 4;
+    y = addText(doc, y, splitCode.eligibility.eligible
+      ? `Bonus code conditions are met. This assessment is based on ${splitCode.bonusCode}.`
+      : `Bonus code conditions are not met. This assessment is based on ${splitCode.baseCode}.`);
+
+    autoTable(doc, {
+      startY: y + 2,
+      head: [['', splitCode.baseCode, splitCode.bonusCode, 'Uplift']],
+      body: [
+        ['Dwellings', String(splitCode.base.totalUnits), String(splitCode.bonus.totalUnits), String(splitCode.uplift.units)],
+        ['Total GFA', formatSqm(splitCode.base.totalGFA), formatSqm(splitCode.bonus.totalGFA), formatSqm(splitCode.uplift.gfa)],
+        ['Gross Realisation Value', formatCurrency(splitCode.base.totalGRV), formatCurrency(splitCode.bonus.totalGRV), formatCurrency(splitCode.uplift.grv)],
+        ['Gross Profit', formatCurrency(splitCode.base.grossProfit), formatCurrency(splitCode.bonus.grossProfit), formatCurrency(splitCode.uplift.grossProfit)],
+      ],
+      theme: 'grid',
+      margin: { left: 14, right: 14 },
+      headStyles: { fillColor: COLORS.primary, textColor: COLORS.white, fontSize: 8, fontStyle: 'bold' },
+      bodyStyles: { fontSize: 8, textColor: COLORS.dark, halign: 'right' },
+      columnStyles: { 0: { halign: 'left' } },
+    });
+    y = doc.lastAutoTable.finalY + 4;
+
+    autoTable(doc, {
+      startY: y,
+      head: [['Bonus Code Condition', 'Required', 'Actual', 'Status']],
+      body: splitCode.eligibility.conditions.map(c => [
+        c.name,
+        c.required,
+        c.actual,
+        c.met ? 'MET' : 'NOT MET',
+      ]),
+      theme: 'grid',
+      margin: { left: 14, right: 14 },
+      headStyles: { fillColor: COLORS.primary, textColor: COLORS.white, fontSize: 8, fontStyle: 'bold' },
+      bodyStyles: { fontSize: 8, textColor: COLORS.dark },
+      didParseCell(data) {
+        if (data.column.index === 3 && data.section === 'body') {
+          data.cell.styles.textColor = data.cell.raw === 'MET' ? COLORS.green : COLORS.red;
+          data.cell.styles.fontStyle = 'bold';
+        }
+      },
+    });
+    y = doc.lastAutoTable.finalY + 8;
+  }
+
   // ══════════════════════════════════════════════
   // PAGE 4: Development Yield
   // ══════════════════════════════════════════════
@@ -313,8 +410,102 @@ export function generatePDF(results, formData) {
   y = addKeyValue(doc, y, 'Resident Bays:', String(yieldResult.parking?.residentBays || 0));
   y = addKeyValue(doc, y, 'Visitor Bays:', String(yieldResult.parking?.visitorBays || 0));
   y = addKeyValue(doc, y, 'Total Parking:', `${yieldResult.parking?.totalBays || 0} bays`);
+  if (yieldResult.apartments) {
+    const { bays, levels, form } = yieldResult.apartments.parking;
+    y = addKeyValue(doc, y, 'Resident Provision:', `${bays} bays in ${levels} ${form} level${levels === 1 ? '' : 's'}`);
+  } else if (yieldResult.parkingProvision) {
+    const { garageBays, hardstandBays } = yieldResult.parkingProvision;
+    y = addKeyValue(doc, y, 'Resident Provision:', `${garageBays} garage + ${hardstandBays} hardstand`);
+  }
+  if (yieldResult.height) {
+    const { wallHeight, buildingHeight, groundFall } = yieldResult.height;
+    y = addKeyValue(doc, y, 'Height above NGL:',
+      `${wallHeight.toFixed(1)}m wall / ${buildingHeight.toFixed(1)}m overall${groundFall > 0 ? ` (${groundFall.toFixed(1)}m fall)` : ''}`);
+  }
+  if (yieldResult.streetscape?.applicable) {
+    const { dwellings, garageRatio } = yieldResult.streetscape;
+    y = addKeyValue(doc, y, 'Street Frontage:',
+      `${dwellings.length} street-facing / ${yieldResult.totalUnits - dwellings.length} internal, garages ${(garageRatio * 100).toFixed(0)}%`);
+  }
+  if (yieldResult.siteLayout) {
+    const { packed, dwellings, driveway, access, unplaced } = yieldResult.siteLayout;
+    y = addKeyValue(doc, y, 'Site Layout:', packed
+      ? `${dwellings.length} dwellings placed, ${driveway ? `${access} driveway` : 'no driveway'}`
+      : `Doesn't fit: ${unplaced.join(', ')}`);
+  }
+  if (yieldResult.retainedDwelling) {
+    const { lotArea, minLotSize, developedLot, accessLegArea } = yieldResult.retainedDwelling;
+    y = addKeyValue(doc, y, 'Retained Lot:',
+      `${formatSqm(lotArea)} (min ${formatSqm(minLotSize)}), new dwellings on ${formatSqm(developedLot.lotArea)} behind` +
+      (accessLegArea > 0 ? ` with a ${formatSqm(accessLegArea)} access leg` : ''));
+  }
+  if (yieldResult.ancillary) {
+    const { floorArea, required, parkingBays, singleHouse } = yieldResult.ancillary;
+    y = addKeyValue(doc, y, 'Granny Flat:',
+      `${formatSqm(floorArea)} (max ${formatSqm(required.maxPlotRatioArea)}), ${parkingBays} car bay${parkingBays === 1 ? '' : 's'}` +
+      (singleHouse ? '' : ' — needs a single house'));
+  }
+  if (yieldResult.objective) {
+    y = addKeyValue(doc, y, 'Mix Chosen To:',
+      yieldResult.chosenMix ? 'Selected from yield options' : yieldResult.objective.label);
+  }
+  if (yieldResult.landscape) {
+    const { deepSoilArea, trees } = yieldResult.landscape;
+    y = addKeyValue(doc, y, 'Deep Soil / Trees:',
+      `${Math.round(yieldResult.deepSoilArea)} of ${Math.ceil(deepSoilArea)} sqm / ${yieldResult.treesProvided} of ${trees} trees`);
+  }
   y += 4;
 
+  if (yieldResult.apartments) {
+    const { storeys, grossBuildingArea, netSaleableArea, efficiency, lifts, liftStops } = yieldResult.apartments;
+    y = addSectionTitle(doc, y, 'APARTMENT MASSING');
+    autoTable(doc, {
+      startY: y + 2,
+      head: [['Storey', 'Use', 'Plate (sqm)', 'Saleable (sqm)', 'Setbacks L / R / Rear', 'Apartments']],
+      body: storeys.map(storey => [
+        String(storey.storey),
+        storey.use === 'parking' ? 'Podium parking' : 'Apartments',
+        formatNumber(storey.plateArea),
+        storey.netSaleableArea > 0 ? formatNumber(Math.round(storey.netSaleableArea)) : '—',
+        `${storey.setbacks.left}m / ${storey.setbacks.right}m / ${storey.setbacks.rear}m`,
+        storey.mix
+          ? Object.entries(storey.mix).filter(([, n]) => n > 0).map(([key, n]) => `${n} × ${key}`).join(', ')
+          : '—',
+      ]),
+      foot: [[{
+        content: `GBA ${formatSqm(Math.round(grossBuildingArea))} · NSA ${formatSqm(Math.round(netSaleableArea))} · ` +
+          `${(efficiency * 100).toFixed(0)}% efficient · ${lifts} lift${lifts === 1 ? '' : 's'} serving ${liftStops} floors`,
+        colSpan: 6,
+      }]],
+      theme: 'grid',
+      margin: { left: 14, right: 14 },
+      headStyles: { fillColor: COLORS.primary, textColor: COLORS.white, fontSize: 7, fontStyle: 'bold' },
+      bodyStyles: { fontSize: 7, textColor: COLORS.dark, cellPadding: 1.2 },
+      footStyles: { fillColor: COLORS.sectionBg, textColor: COLORS.dark, fontSize: 7 },
+    });
+    y = doc.lastAutoTable.finalY + 8;
+  } else if (compliance.envelope?.walls) {
+    // An apartment building's setbacks are in its massing table, storey by
+    // storey, rather than wall by wall
+    y = addSectionTitle(doc, y, 'LOT BOUNDARY SETBACKS (TABLE 2A/2B)');
+    autoTable(doc, {
+      startY: y + 2,
+      head: [['Wall', 'Height × Length', 'Required', 'Proposed']],
+      body: compliance.envelope.walls.map(w => [
+        `Storey ${w.storey} ${w.boundary}`,
+        `${w.height}m × ${w.length.toFixed(1)}m`,
+        `${w.requiredSetback}m ${w.nilSetbackAllowed ? '(boundary wall)' : `(Table ${w.table})`}`,
+        w.proposedSetback != null ? `${w.proposedSetback.toFixed(1)}m` : '—',
+      ]),
+      theme: 'grid',
+      margin: { left: 14, right: 14 },
+      headStyles: { fillColor: COLORS.primary, textColor: COLORS.white, fontSize: 7, fontStyle: 'bold' },
+      bodyStyles: { fontSize: 7, textColor: COLORS.dark, cellPadding: 1.2 },
+      alternateRowStyles: { fillColor: COLORS.sectionBg },
+    });
+    y = doc.lastAutoTable.finalY + 8;
+  }
+
   y = addSectionTitle(doc, y, 'SITE LAYOUT CONCEPT');
   y += 4;
   const layoutLines = doc.splitTextToSize(yieldResult.layoutDescription || '', 175);
@@ -402,6 +593,8 @@ export function generatePDF(results, formData) {
     ['', ''],
     [{ content: 'CONSTRUCTION', styles: { fontStyle: 'bold', fillColor: COLORS.sectionBg } }, ''],
     [`  Building costs (${metadata.numDwellings} units @ $${formatNumber(costs.construction.ratePerSqm)}/sqm)`, formatCurrency(costs.construction.buildingCosts)],
+    ...(costs.construction.lifts > 0 ? [['  Lifts', formatCurrency(costs.construction.lifts)]] : []),
+    ...(costs.construction.carParking > 0 ? [['  Car parking', formatCurrency(costs.construction.carParking)]] : []),
     ['  Design contingency (4%)', formatCurrency(costs.construction.designContingency)],
     ['  Construction contingency (7%)', formatCurrency(costs.construction.constructionContingency)],
     [{ content: '  Subtotal', styles: { fontStyle: 'bold' } }, { content: formatCurrency(costs.construction.total), styles: { fontStyle: 'bold' } }],
@@ -462,6 +655,9 @@ export function generatePDF(results, formData) {
     [{ content: 'FINANCE COSTS', styles: { fontStyle: 'bold', fillColor: COLORS.sectionBg } }, ''],
     ['  Establishment fees', formatCurrency(costs.finance.establishment)],
     ['  Interest during construction', formatCurrency(costs.finance.interest)],
+    ...(costs.finance.landHolding > 0
+      ? [['  Holding lots until the last settles', formatCurrency(costs.finance.landHolding)]]
+      : []),
     [{ content: '  Subtotal', styles: { fontStyle: 'bold' } }, { content: formatCurrency(costs.finance.total), styles: { fontStyle: 'bold' } }],
     ['', ''],
     [{ content: 'MARKETING & SALES', styles: { fontStyle: 'bold', fillColor: COLORS.sectionBg } }, ''],
@@ -546,6 +742,66 @@ export function generatePDF(results, formData) {
   y = addKeyValue(doc, y, 'Current GRV vs Required:', breakeven.grvShortfall > 0 ? `Shortfall of ${formatCurrency(breakeven.grvShortfall)}` : 'Target exceeded');
   y = addKeyValue(doc, y, 'Breakeven price per unit:', formatCurrency(breakeven.breakEvenPricePerUnit));
 
+  if (results.retention) {
+    const { retention } = results;
+    y += 8;
+    y = addSectionTitle(doc, y, 'KEEP THE EXISTING HOUSE?');
+    y += 4;
+    y = addText(doc, y, retention.difference.grossProfit >= 0
+      ? 'Keeping the house and building behind it is the more profitable strategy. This assessment is based on it.'
+      : 'A full knock-down is the more profitable strategy. This assessment shows the retained-house scheme requested.');
+
+    autoTable(doc, {
+      startY: y + 2,
+      head: [['', 'Knock-Down', 'Keep House', 'Difference']],
+      body: [
+        ['New Dwellings', String(retention.knockDown.totalUnits), String(retention.retain.totalUnits), String(retention.difference.units)],
+        ['Total GFA', formatSqm(retention.knockDown.totalGFA), formatSqm(retention.retain.totalGFA), formatSqm(retention.difference.gfa)],
+        ['Gross Realisation Value', formatCurrency(retention.knockDown.totalGRV), formatCurrency(retention.retain.totalGRV), formatCurrency(retention.difference.grv)],
+        ['Gross Profit', formatCurrency(retention.knockDown.grossProfit), formatCurrency(retention.retain.grossProfit), formatCurrency(retention.difference.grossProfit)],
+      ],
+      theme: 'grid',
+      margin: { left: 14, right: 14 },
+      headStyles: { fillColor: COLORS.primary, textColor: COLORS.white, fontSize: 8, fontStyle: 'bold' },
+      bodyStyles: { fontSize: 8, textColor: COLORS.dark, halign: 'right' },
+      columnStyles: { 0: { halign: 'left' } },
+    });
+  }
+
+  if (results.amalgamation) {
+    const { amalgamation } = results;
+    y += 8;
+    y = addSectionTitle(doc, y, `AMALGAMATING ${amalgamation.parcels.length} LOTS`);
+    y += 4;
+    y = addText(doc, y, amalgamation.premium.grossProfit >= 0
+      ? `Amalgamating adds ${formatCurrency(amalgamation.premium.grossProfit)} of profit over developing each lot on its own.`
+      : `Developing each lot on its own is ${formatCurrency(-amalgamation.premium.grossProfit)} more profitable than amalgamating.`);
+    if (!amalgamation.site.evenDepth) {
+      y = addText(doc, y, `The lots differ in depth, so the development takes the largest rectangle inside them: ` +
+        `${formatSqm(amalgamation.site.lotArea)} of the ${formatSqm(amalgamation.site.heldArea)} held.`);
+    }
+
+    autoTable(doc, {
+      startY: y + 2,
+      head: [['Lot', 'Land Cost', 'Settles', 'Code', 'Dwellings', 'Gross Profit']],
+      body: [
+        ...amalgamation.parcels.map(parcel => [
+          parcel.address, formatCurrency(parcel.landCost), parcel.settlementDate, parcel.rCode,
+          String(parcel.totalUnits), formatCurrency(parcel.grossProfit),
+        ]),
+        ['Developed separately', '', '', '', String(amalgamation.separate.totalUnits), formatCurrency(amalgamation.separate.grossProfit)],
+        ['Amalgamated', '', '', amalgamation.combined.rCode, String(amalgamation.combined.totalUnits), formatCurrency(amalgamation.combined.grossProfit)],
+        [{ content: 'Amalgamation premium', styles: { fontStyle: 'bold' } }, '', '', '', String(amalgamation.premium.units),
+          { content: formatCurrency(amalgamation.premium.grossProfit), styles: { fontStyle: 'bold' } }],
+      ],
+      theme: 'grid',
+      margin: { left: 14, right: 14 },
+      headStyles: { fillColor: COLORS.primary, textColor: COLORS.white, fontSize: 8, fontStyle: 'bold' },
+      bodyStyles: { fontSize: 8, textColor: COLORS.dark, halign: 'right', cellPadding: 1.5 },
+      columnStyles: { 0: { halign: 'left' } },
+    });
+  }
+
   // ══════════════════════════════════════════════
   // PAGE 9: Sensitivity Analysis
   // ══════════════════════════════════════════════
@@ -1,7 +1,113 @@
 // WA Residential Design Codes (R-Codes) Compliance Engine
 // Based on State Planning Policy 7.3 – Residential Design Codes
 
+import { calculateOvershadowing, footprintsFromMassing } from './solarEngine.js';
+
+// Density codes are listed from lowest to highest. R100, R160 and the R-AC
+// codes are multiple-dwelling codes with no deemed-to-comply site area; their
+// minLotSize/avgLotSize figures are nominal caps for grouped-dwelling yield.
+// deepSoil.minRatio is the share of the site kept as unbuilt, unpaved ground;
+// each required tree also needs treeCanopy.deepSoilPerTree m² of it to grow in.
+// outdoorLiving is the private open space each grouped dwelling must have.
+// streetscape caps the share of the street frontage given to garage doors;
+// the cap rises to upperFloorGarageRatio where an upper floor spans the garages.
 const R_CODE_RULES = {
+  R10: {
+    label: 'R10',
+    minLotSize: 875,
+    avgLotSize: 1000,
+    maxPlotRatio: 0.35,
+    minOpenSpace: 0.60,
+    maxSiteCoverage: 0.40,
+    maxStories: 2,
+    maxWallHeight: 6,
+    maxBuildingHeight: 9,
+    setbacks: {
+      primaryStreet: 7.5,
+      secondaryStreet: 2,
+      side: 1.5,
+      rear: 6,
+    },
+    parkingPerDwelling: 2,
+    visitorParkingRatio: 0.25,
+    deepSoil: { minRatio: 0.12 },
+    treeCanopy: { treesPerDwelling: 1, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 30, minDimension: 4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Very Low',
+  },
+  'R12.5': {
+    label: 'R12.5',
+    minLotSize: 700,
+    avgLotSize: 800,
+    maxPlotRatio: 0.4,
+    minOpenSpace: 0.55,
+    maxSiteCoverage: 0.45,
+    maxStories: 2,
+    maxWallHeight: 6,
+    maxBuildingHeight: 9,
+    setbacks: {
+      primaryStreet: 7.5,
+      secondaryStreet: 2,
+      side: 1.5,
+      rear: 6,
+    },
+    parkingPerDwelling: 2,
+    visitorParkingRatio: 0.25,
+    deepSoil: { minRatio: 0.12 },
+    treeCanopy: { treesPerDwelling: 1, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 30, minDimension: 4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Very Low',
+  },
+  R15: {
+    label: 'R15',
+    minLotSize: 580,
+    avgLotSize: 666,
+    maxPlotRatio: 0.4,
+    minOpenSpace: 0.50,
+    maxSiteCoverage: 0.50,
+    maxStories: 2,
+    maxWallHeight: 6,
+    maxBuildingHeight: 9,
+    setbacks: {
+      primaryStreet: 6,
+      secondaryStreet: 1.5,
+      side: 1.5,
+      rear: 6,
+    },
+    parkingPerDwelling: 2,
+    visitorParkingRatio: 0.25,
+    deepSoil: { minRatio: 0.12 },
+    treeCanopy: { treesPerDwelling: 1, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 30, minDimension: 4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Low',
+  },
+  'R17.5': {
+    label: 'R17.5',
+    minLotSize: 500,
+    avgLotSize: 571,
+    maxPlotRatio: 0.45,
+    minOpenSpace: 0.50,
+    maxSiteCoverage: 0.50,
+    maxStories: 2,
+    maxWallHeight: 6,
+    maxBuildingHeight: 9,
+    setbacks: {
+      primaryStreet: 6,
+      secondaryStreet: 1.5,
+      side: 1.5,
+      rear: 6,
+    },
+    parkingPerDwelling: 2,
+    visitorParkingRatio: 0.25,
+    deepSoil: { minRatio: 0.12 },
+    treeCanopy: { treesPerDwelling: 1, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 30, minDimension: 4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Low',
+  },
   R20: {
     label: 'R20',
     minLotSize: 350,
@@ -20,6 +126,34 @@ const R_CODE_RULES = {
     },
     parkingPerDwelling: 2,
     visitorParkingRatio: 0.25,
+    deepSoil: { minRatio: 0.12 },
+    treeCanopy: { treesPerDwelling: 1, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 30, minDimension: 4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Low',
+  },
+  R25: {
+    label: 'R25',
+    minLotSize: 300,
+    avgLotSize: 350,
+    maxPlotRatio: 0.55,
+    minOpenSpace: 0.50,
+    maxSiteCoverage: 0.50,
+    maxStories: 2,
+    maxWallHeight: 6,
+    maxBuildingHeight: 9,
+    setbacks: {
+      primaryStreet: 6,
+      secondaryStreet: 1.5,
+      side: 1.5,
+      rear: 6,
+    },
+    parkingPerDwelling: 2,
+    visitorParkingRatio: 0.25,
+    deepSoil: { minRatio: 0.12 },
+    treeCanopy: { treesPerDwelling: 1, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 30, minDimension: 4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
     typicalDensity: 'Low',
   },
   R30: {
@@ -40,6 +174,34 @@ const R_CODE_RULES = {
     },
     parkingPerDwelling: 2,
     visitorParkingRatio: 0.25,
+    deepSoil: { minRatio: 0.07 },
+    treeCanopy: { treesPerDwelling: 1, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 24, minDimension: 4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Medium',
+  },
+  R35: {
+    label: 'R35',
+    minLotSize: 220,
+    avgLotSize: 260,
+    maxPlotRatio: 0.6,
+    minOpenSpace: 0.45,
+    maxSiteCoverage: 0.55,
+    maxStories: 2,
+    maxWallHeight: 6,
+    maxBuildingHeight: 9,
+    setbacks: {
+      primaryStreet: 4,
+      secondaryStreet: 1.5,
+      side: 1.0,
+      rear: 1.5,
+    },
+    parkingPerDwelling: 1.5,
+    visitorParkingRatio: 0.25,
+    deepSoil: { minRatio: 0.07 },
+    treeCanopy: { treesPerDwelling: 1, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 24, minDimension: 4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
     typicalDensity: 'Medium',
   },
   R40: {
@@ -60,6 +222,34 @@ const R_CODE_RULES = {
     },
     parkingPerDwelling: 1.5,
     visitorParkingRatio: 0.25,
+    deepSoil: { minRatio: 0.07 },
+    treeCanopy: { treesPerDwelling: 1, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 20, minDimension: 4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Medium-High',
+  },
+  R50: {
+    label: 'R50',
+    minLotSize: 160,
+    avgLotSize: 180,
+    maxPlotRatio: 0.65,
+    minOpenSpace: 0.40,
+    maxSiteCoverage: 0.65,
+    maxStories: 3,
+    maxWallHeight: 9,
+    maxBuildingHeight: 12,
+    setbacks: {
+      primaryStreet: 4,
+      secondaryStreet: 1.5,
+      side: 1.0,
+      rear: 1.5,
+    },
+    parkingPerDwelling: 1.25,
+    visitorParkingRatio: 0.25,
+    deepSoil: { minRatio: 0.07 },
+    treeCanopy: { treesPerDwelling: 1, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 16, minDimension: 4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
     typicalDensity: 'Medium-High',
   },
   R60: {
@@ -80,6 +270,10 @@ const R_CODE_RULES = {
     },
     parkingPerDwelling: 1,
     visitorParkingRatio: 0.25,
+    deepSoil: { minRatio: 0.07 },
+    treeCanopy: { treesPerDwelling: 1, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 16, minDimension: 4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
     typicalDensity: 'High',
   },
   R80: {
@@ -100,21 +294,461 @@ const R_CODE_RULES = {
     },
     parkingPerDwelling: 1,
     visitorParkingRatio: 0.20,
+    deepSoil: { minRatio: 0.07 },
+    treeCanopy: { treesPerDwelling: 0.5, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 16, minDimension: 4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
     typicalDensity: 'High',
   },
+  R100: {
+    label: 'R100',
+    minLotSize: 80,
+    avgLotSize: 100,
+    maxPlotRatio: 1.0,
+    minOpenSpace: 0.30,
+    maxSiteCoverage: 0.70,
+    maxStories: 5,
+    maxWallHeight: 15,
+    maxBuildingHeight: 18,
+    setbacks: {
+      primaryStreet: 2,
+      secondaryStreet: 1.5,
+      side: 1.0,
+      rear: 1.0,
+    },
+    parkingPerDwelling: 1,
+    visitorParkingRatio: 0.20,
+    deepSoil: { minRatio: 0.07 },
+    treeCanopy: { treesPerDwelling: 0.5, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 16, minDimension: 2.4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Very High',
+  },
+  R160: {
+    label: 'R160',
+    minLotSize: 60,
+    avgLotSize: 80,
+    maxPlotRatio: 2.0,
+    minOpenSpace: 0.25,
+    maxSiteCoverage: 0.75,
+    maxStories: 6,
+    maxWallHeight: 18,
+    maxBuildingHeight: 21,
+    setbacks: {
+      primaryStreet: 2,
+      secondaryStreet: 1.5,
+      side: 1.0,
+      rear: 1.0,
+    },
+    parkingPerDwelling: 0.75,
+    visitorParkingRatio: 0.15,
+    deepSoil: { minRatio: 0.07 },
+    treeCanopy: { treesPerDwelling: 0.5, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 10, minDimension: 2.4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Very High',
+  },
+  'R-AC4': {
+    label: 'R-AC4',
+    minLotSize: 60,
+    avgLotSize: 80,
+    maxPlotRatio: 1.5,
+    minOpenSpace: 0.25,
+    maxSiteCoverage: 0.75,
+    maxStories: 4,
+    maxWallHeight: 13,
+    maxBuildingHeight: 16,
+    setbacks: {
+      primaryStreet: 2,
+      secondaryStreet: 1,
+      side: 1.0,
+      rear: 3,
+    },
+    parkingPerDwelling: 1,
+    visitorParkingRatio: 0.15,
+    deepSoil: { minRatio: 0.07 },
+    treeCanopy: { treesPerDwelling: 0.5, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 16, minDimension: 2.4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Activity Centre',
+  },
+  'R-AC3': {
+    label: 'R-AC3',
+    minLotSize: 50,
+    avgLotSize: 60,
+    maxPlotRatio: 2.0,
+    minOpenSpace: 0.20,
+    maxSiteCoverage: 0.80,
+    maxStories: 6,
+    maxWallHeight: 19,
+    maxBuildingHeight: 22,
+    setbacks: {
+      primaryStreet: 2,
+      secondaryStreet: 1,
+      side: 0,
+      rear: 3,
+    },
+    parkingPerDwelling: 0.75,
+    visitorParkingRatio: 0.10,
+    deepSoil: { minRatio: 0.07 },
+    treeCanopy: { treesPerDwelling: 0.5, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 16, minDimension: 2.4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Activity Centre',
+  },
+  'R-AC2': {
+    label: 'R-AC2',
+    minLotSize: 40,
+    avgLotSize: 50,
+    maxPlotRatio: 2.5,
+    minOpenSpace: 0.15,
+    maxSiteCoverage: 0.85,
+    maxStories: 8,
+    maxWallHeight: 26,
+    maxBuildingHeight: 29,
+    setbacks: {
+      primaryStreet: 1,
+      secondaryStreet: 0,
+      side: 0,
+      rear: 3,
+    },
+    parkingPerDwelling: 0.75,
+    visitorParkingRatio: 0.10,
+    deepSoil: { minRatio: 0.07 },
+    treeCanopy: { treesPerDwelling: 0.5, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 10, minDimension: 2.4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Activity Centre',
+  },
+  'R-AC1': {
+    label: 'R-AC1',
+    minLotSize: 30,
+    avgLotSize: 40,
+    maxPlotRatio: 3.0,
+    minOpenSpace: 0.10,
+    maxSiteCoverage: 0.90,
+    maxStories: 10,
+    maxWallHeight: 32,
+    maxBuildingHeight: 35,
+    setbacks: {
+      primaryStreet: 0,
+      secondaryStreet: 0,
+      side: 0,
+      rear: 3,
+    },
+    parkingPerDwelling: 0.75,
+    visitorParkingRatio: 0.10,
+    deepSoil: { minRatio: 0.07 },
+    treeCanopy: { treesPerDwelling: 0.5, deepSoilPerTree: 9 },
+    outdoorLiving: { minArea: 10, minDimension: 2.4, minUncoveredRatio: 2 / 3 },
+    streetscape: { maxGarageRatio: 0.5, upperFloorGarageRatio: 0.6 },
+    typicalDensity: 'Activity Centre',
+  },
+};
+
+// Versioned rule sets. The R-Codes Volume 1 table above is the base; later sets
+// patch it for the codes they cover and leave every other code untouched.
+// The Medium Density Code swaps flat street setbacks for an average with a hard
+// minimum, raises the deep soil area to 10% of the site and adds solar access
+// provisions.
+const MDC_PROVISIONS = {
+  deepSoil: { minRatio: 0.10 },
+  treeCanopy: { treesPerDwelling: 1, deepSoilPerTree: 9 },
+};
+
+const RULE_SETS = {
+  'rcodes-vol1': {
+    label: 'R-Codes Volume 1',
+    effectiveFrom: null,
+    overrides: {},
+  },
+  'mdc-2024': {
+    label: 'Medium Density Code (2024)',
+    effectiveFrom: '2024-09-01',
+    overrides: {
+      R30: {
+        ...MDC_PROVISIONS,
+        setbacks: { primaryStreet: 4, primaryStreetMin: 2, side: 1.2, rear: 3 },
+        solarAccess: { maxOvershadowing: 0.35 },
+      },
+      R35: {
+        ...MDC_PROVISIONS,
+        setbacks: { primaryStreet: 3, primaryStreetMin: 1.5, side: 1.2, rear: 3 },
+        solarAccess: { maxOvershadowing: 0.35 },
+      },
+      R40: {
+        ...MDC_PROVISIONS,
+        setbacks: { primaryStreet: 3, primaryStreetMin: 1.5, side: 1.2, rear: 3 },
+        solarAccess: { maxOvershadowing: 0.35 },
+      },
+      R50: {
+        ...MDC_PROVISIONS,
+        setbacks: { primaryStreet: 2, primaryStreetMin: 1, side: 1.2, rear: 3 },
+        solarAccess: { maxOvershadowing: 0.50 },
+      },
+      R60: {
+        ...MDC_PROVISIONS,
+        setbacks: { primaryStreet: 2, primaryStreetMin: 1, side: 1.2, rear: 3 },
+        solarAccess: { maxOvershadowing: 0.50 },
+      },
+    },
+  },
+};
+
+export function getRuleSets() {
+  return Object.entries(RULE_SETS).map(([id, set]) => ({
+    id,
+    label: set.label,
+    effectiveFrom: set.effectiveFrom,
+  }));
+}
+
+// Pick the newest rule set in force on the assessment date (defaults to today)
+export function selectRuleSet(assessmentDate) {
+  const date = assessmentDate ? new Date(assessmentDate) : new Date();
+  if (Number.isNaN(date.getTime())) return null;
+
+  let selected = 'rcodes-vol1';
+  let selectedFrom = null;
+  for (const [id, set] of Object.entries(RULE_SETS)) {
+    if (!set.effectiveFrom) continue;
+    const from = new Date(set.effectiveFrom);
+    if (from <= date && (!selectedFrom || from > selectedFrom)) {
+      selected = id;
+      selectedFrom = from;
+    }
+  }
+  return selected;
+}
+
+// Local planning policies, keyed by local government area. A council can vary
+// the R-Codes for sites in its area; each policy patches the rules for the
+// codes it lists (every code when codes is omitted). Patches deep-merge, so a
+// policy can change one setback and leave the others alone. Policies apply on
+// top of whichever rule set is in force.
+const LOCAL_PLANNING_POLICIES = {
+  stirling: {
+    label: 'City of Stirling',
+    policies: [
+      {
+        id: 'stirling-street-setbacks',
+        title: 'Street Setbacks',
+        codes: ['R20', 'R25', 'R30', 'R35', 'R40'],
+        patch: { setbacks: { primaryStreet: 6, secondaryStreet: 2 } },
+      },
+    ],
+  },
+  vincent: {
+    label: 'City of Vincent',
+    policies: [
+      {
+        id: 'vincent-building-height',
+        title: 'Built Form — Building Height',
+        codes: ['R40', 'R50', 'R60'],
+        patch: { maxStories: 2, maxWallHeight: 7, maxBuildingHeight: 10 },
+      },
+    ],
+  },
+  bayswater: {
+    label: 'City of Bayswater',
+    policies: [
+      {
+        id: 'bayswater-tree-retention',
+        title: 'Tree Retention and Canopy',
+        patch: {
+          deepSoil: { minRatio: 0.15 },
+          treeCanopy: { treesPerDwelling: 1 },
+        },
+      },
+    ],
+  },
 };
 
-export function getRCodeRules(rCode) {
-  return R_CODE_RULES[rCode] || null;
+// 'City of Stirling', 'Stirling' and 'stirling' all name the same area
+export function normaliseLga(lga) {
+  if (!lga) return null;
+  return String(lga)
+    .trim()
+    .toLowerCase()
+    .replace(/^(city|town|shire) of\s+/, '')
+    .replace(/\s+/g, '-');
+}
+
+export function getLocalPolicies() {
+  return Object.entries(LOCAL_PLANNING_POLICIES).map(([lga, pack]) => ({
+    lga,
+    label: pack.label,
+    policies: pack.policies.map(({ id, title, codes }) => ({ id, title, codes: codes || null })),
+  }));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(target, patch) {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    merged[key] = isPlainObject(value) && isPlainObject(target?.[key])
+      ? deepMerge(target[key], value)
+      : value;
+  }
+  return merged;
+}
+
+// Dotted paths of every leaf a patch sets, e.g. 'setbacks.primaryStreet'
+function patchedFields(patch, prefix = '') {
+  return Object.entries(patch).flatMap(([key, value]) => (
+    isPlainObject(value) ? patchedFields(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  ));
+}
+
+// options: { ruleSet, assessmentDate, lga }. An explicit ruleSet wins over the
+// date. The returned rules record which set actually applied, so codes a newer
+// set doesn't cover report the legacy set they fell back to, and list the local
+// planning policies that patched them.
+export function getRCodeRules(rCode, options = {}) {
+  const base = R_CODE_RULES[rCode];
+  if (!base) return null;
+
+  const requested = options.ruleSet || selectRuleSet(options.assessmentDate);
+  if (!RULE_SETS[requested]) return null;
+
+  const override = RULE_SETS[requested].overrides[rCode];
+  const ruleSet = override ? requested : 'rcodes-vol1';
+
+  let rules = {
+    ...base,
+    ...override,
+    setbacks: { ...base.setbacks, ...override?.setbacks },
+  };
+
+  // An area without a policy pack is assessed on the R-Codes alone
+  const lga = normaliseLga(options.lga);
+  const pack = LOCAL_PLANNING_POLICIES[lga];
+  const localPolicies = [];
+  for (const policy of pack?.policies || []) {
+    if (policy.codes && !policy.codes.includes(rCode)) continue;
+    rules = deepMerge(rules, policy.patch);
+    localPolicies.push({
+      lga,
+      lgaLabel: pack.label,
+      id: policy.id,
+      title: policy.title,
+      fields: patchedFields(policy.patch),
+    });
+  }
+
+  return {
+    ...rules,
+    ruleSet,
+    ruleSetLabel: RULE_SETS[ruleSet].label,
+    lga: pack ? lga : null,
+    localPolicies,
+  };
 }
 
 export function getAllRCodes() {
   return Object.keys(R_CODE_RULES);
 }
 
+// Conditions a split-coded lot must meet before the bonus code applies.
+// Local planning schemes vary these per precinct, so callers can override any field.
+const DEFAULT_BONUS_CONDITIONS = {
+  requiresAmalgamation: false,
+  minLotArea: null,
+  minFrontage: 20,
+  dwellingTypes: ['grouped', 'multiple'],
+  requiresLanewayAccess: false,
+};
+
+// Parse a split code such as 'R20/R40' (or 'R20/40') into its base and bonus codes
+export function parseSplitCode(rCode) {
+  if (typeof rCode !== 'string' || !rCode.includes('/')) return null;
+
+  const [baseCode, bonus, ...rest] = rCode.split('/').map(part => part.trim());
+  if (rest.length > 0) return null;
+
+  // Schemes often write the bonus code without its prefix, e.g. R20/40
+  const bonusCode = bonus.startsWith('R') ? bonus : `R${bonus}`;
+  if (!R_CODE_RULES[baseCode] || !R_CODE_RULES[bonusCode]) return null;
+  // The bonus code has to allow more dwellings than the base code
+  if (R_CODE_RULES[bonusCode].avgLotSize >= R_CODE_RULES[baseCode].avgLotSize) return null;
+
+  return { baseCode, bonusCode, label: `${baseCode}/${bonusCode}` };
+}
+
+export function isValidRCode(rCode) {
+  return Boolean(getRCodeRules(rCode) || parseSplitCode(rCode));
+}
+
+// Evaluate whether a site qualifies for the bonus code of a split-coded lot
+export function evaluateBonusEligibility(site, conditions = {}) {
+  const {
+    lotArea,
+    lotWidth,
+    amalgamated = false,
+    lanewayAccess = false,
+    dwellingType = 'grouped',
+  } = site;
+  const required = { ...DEFAULT_BONUS_CONDITIONS, ...conditions };
+
+  const checks = [];
+
+  if (required.requiresAmalgamation) {
+    checks.push({
+      name: 'Lot Amalgamation',
+      required: 'Lots amalgamated',
+      actual: amalgamated ? 'Amalgamated' : 'Single lot',
+      met: Boolean(amalgamated),
+    });
+  }
+
+  if (required.minLotArea) {
+    checks.push({
+      name: 'Site Area',
+      required: `>= ${required.minLotArea} sqm`,
+      actual: `${lotArea} sqm`,
+      met: lotArea >= required.minLotArea,
+    });
+  }
+
+  if (required.minFrontage) {
+    checks.push({
+      name: 'Street Frontage',
+      required: `>= ${required.minFrontage}m`,
+      actual: `${lotWidth}m`,
+      met: lotWidth >= required.minFrontage,
+    });
+  }
+
+  if (required.dwellingTypes && required.dwellingTypes.length > 0) {
+    checks.push({
+      name: 'Dwelling Type',
+      required: required.dwellingTypes.join(' or '),
+      actual: dwellingType,
+      met: required.dwellingTypes.includes(dwellingType),
+    });
+  }
+
+  if (required.requiresLanewayAccess) {
+    checks.push({
+      name: 'Laneway Access',
+      required: 'Vehicle access from rear laneway',
+      actual: lanewayAccess ? 'Laneway available' : 'No laneway',
+      met: Boolean(lanewayAccess),
+    });
+  }
+
+  return {
+    eligible: checks.every(c => c.met),
+    conditions: checks,
+  };
+}
+
 // Calculate the maximum buildable area given lot area and R-Code
-export function calculateBuildableArea(lotArea, rCode) {
-  const rules = getRCodeRules(rCode);
+export function calculateBuildableArea(lotArea, rCode, options = {}) {
+  const rules = getRCodeRules(rCode, options);
   if (!rules) return null;
 
   const maxFootprint = lotArea * rules.maxSiteCoverage;
@@ -132,14 +766,242 @@ export function calculateBuildableArea(lotArea, rCode) {
   };
 }
 
-// Calculate setback-adjusted buildable envelope
-export function calculateBuildableEnvelope(lotWidth, lotDepth, rCode) {
-  const rules = getRCodeRules(rCode);
+// How the lot meets the street. 'street' is a single street frontage; a
+// 'corner' lot also has a secondary street, taken to run along the left
+// boundary; a 'laneway' lot has a rear laneway for vehicle access; a
+// 'battle-axe' lot sits behind another and reaches the street by an access leg.
+export const FRONTAGE_TYPES = ['street', 'corner', 'laneway', 'battle-axe'];
+
+// Flat setback to each boundary for a frontage type. Street boundaries take
+// the street setbacks; a battle-axe lot has no primary street, so its front
+// boundary is treated as a side boundary. streets lists the side boundaries
+// that face a street rather than a neighbour.
+export function getBoundarySetbacks(rCode, frontageType = 'street', options = {}) {
+  const rules = getRCodeRules(rCode, options);
   if (!rules) return null;
 
-  const { primaryStreet, side, rear } = rules.setbacks;
-  const effectiveWidth = lotWidth - (side * 2);
-  const effectiveDepth = lotDepth - primaryStreet - rear;
+  const { primaryStreet, secondaryStreet, side, rear } = rules.setbacks;
+  return {
+    frontageType,
+    front: frontageType === 'battle-axe' ? side : primaryStreet,
+    left: frontageType === 'corner' ? secondaryStreet : side,
+    right: side,
+    rear,
+    streets: frontageType === 'corner' ? ['left'] : [],
+    laneway: frontageType === 'laneway',
+  };
+}
+
+// Lot boundary setbacks per R-Codes Table 2a (walls without major openings) and
+// Table 2b (walls with major openings). Rows are wall heights and columns wall
+// lengths, both in metres; a wall falls into the first band that covers it.
+const WALL_HEIGHT_BANDS = [3.5, 4.5, 5.5, 6, 7, 8, 9];
+const WALL_LENGTH_BANDS = [9, 12, 15, 20, 25, Infinity];
+const WALL_SETBACK_TABLES = {
+  '2a': [
+    [1.0, 1.0, 1.1, 1.3, 1.5, 1.5],
+    [1.0, 1.1, 1.3, 1.6, 1.8, 2.0],
+    [1.2, 1.4, 1.6, 1.9, 2.2, 2.5],
+    [1.2, 1.5, 1.8, 2.1, 2.4, 2.7],
+    [1.5, 1.8, 2.1, 2.5, 2.8, 3.2],
+    [1.8, 2.1, 2.5, 2.9, 3.3, 3.6],
+    [2.0, 2.4, 2.8, 3.3, 3.7, 4.1],
+  ],
+  '2b': [
+    [1.5, 1.5, 1.6, 1.8, 2.0, 2.0],
+    [1.6, 1.8, 2.0, 2.3, 2.5, 2.7],
+    [1.9, 2.1, 2.4, 2.7, 3.0, 3.3],
+    [2.0, 2.3, 2.6, 2.9, 3.2, 3.5],
+    [2.3, 2.7, 3.0, 3.4, 3.7, 4.1],
+    [2.7, 3.1, 3.5, 3.9, 4.2, 4.6],
+    [3.0, 3.4, 3.9, 4.3, 4.7, 5.1],
+  ],
+};
+// Walls taller than the tables go up by this much per extra metre of height
+const SETBACK_PER_EXTRA_METRE = 0.5;
+
+// Nil-setback walls: side boundaries only, behind the street setback, within
+// the height limits and no longer than two-thirds of the boundary. Codes up to
+// R25 allow them on one side boundary, higher codes on both.
+const BOUNDARY_WALL_LIMITS = {
+  maxHeight: 3.5,
+  maxAverageHeight: 3,
+  maxLengthRatio: 2 / 3,
+};
+
+export function getWallSetback(wallHeight, wallLength, majorOpenings = false) {
+  const table = WALL_SETBACK_TABLES[majorOpenings ? '2b' : '2a'];
+  const col = WALL_LENGTH_BANDS.findIndex(max => wallLength <= max);
+  const row = WALL_HEIGHT_BANDS.findIndex(max => wallHeight <= max);
+  if (row !== -1) return table[row][col];
+
+  const tallest = WALL_HEIGHT_BANDS[WALL_HEIGHT_BANDS.length - 1];
+  const extra = Math.ceil(wallHeight - tallest) * SETBACK_PER_EXTRA_METRE;
+  return Number((table[table.length - 1][col] + extra).toFixed(1));
+}
+
+// Multiple dwellings are set back from lot boundaries by half the separation
+// their storey needs from a building on the neighbouring lot, in place of
+// Tables 2a/2b. Walls with major openings to habitable rooms or balconies need
+// the habitable distance. Codes with a nil side setback let the podium, the
+// lowest NIL_SETBACK_PODIUM_STOREYS storeys, stand on the side boundaries.
+const BUILDING_SEPARATION_BANDS = [
+  { maxStorey: 4, habitable: 6, nonHabitable: 3 },
+  { maxStorey: 8, habitable: 9, nonHabitable: 4.5 },
+  { maxStorey: Infinity, habitable: 12, nonHabitable: 6 },
+];
+const NIL_SETBACK_PODIUM_STOREYS = 2;
+
+export function getBuildingSeparation(rules, storey, boundary, majorOpenings = false) {
+  if (boundary !== 'rear' && rules.setbacks.side === 0 && storey <= NIL_SETBACK_PODIUM_STOREYS) return 0;
+  const band = BUILDING_SEPARATION_BANDS.find(b => storey <= b.maxStorey);
+  return majorOpenings ? band.habitable : band.nonHabitable;
+}
+
+function boundaryWallSidesAllowed(rCode) {
+  const codes = Object.keys(R_CODE_RULES);
+  return codes.indexOf(rCode) <= codes.indexOf('R25') ? 1 : 2;
+}
+
+// Required setback for every wall in a massing, plus a stepped envelope per
+// storey. massing: { storeys: [{ wallHeight, walls: [{ boundary: 'left' |
+// 'right' | 'rear', length, majorOpenings?, nilSetback?, averageHeight?,
+// height?, setback? }] }] }. wallHeight is measured from natural ground to the
+// top of that storey's walls; a wall's own height overrides it. setback is the
+// proposed distance to the boundary, if known. Walls facing a secondary street
+// or laneway take that flat setback instead of the tables, and can't be
+// boundary walls. A massing marked multipleDwelling is held to the building
+// separation instead of the tables.
+function assessMassing(lotWidth, lotDepth, rCode, rules, massing, boundarySetbacks) {
+  const { front, streets, laneway } = boundarySetbacks;
+  const boundaryLengths = Object.fromEntries(['left', 'right']
+    .filter(boundary => !streets.includes(boundary))
+    .map(boundary => [boundary, lotDepth - front]));
+
+  const walls = [];
+  massing.storeys.forEach((storey, index) => {
+    for (const wall of storey.walls || []) {
+      const height = wall.height ?? storey.wallHeight;
+      const majorOpenings = Boolean(wall.majorOpenings);
+      let boundaryType = 'lot';
+      if (streets.includes(wall.boundary)) boundaryType = 'street';
+      if (laneway && wall.boundary === 'rear') boundaryType = 'laneway';
+      let table = null;
+      let requiredSetback = boundarySetbacks[wall.boundary];
+      if (boundaryType === 'lot' && massing.multipleDwelling) {
+        requiredSetback = getBuildingSeparation(rules, index + 1, wall.boundary, majorOpenings);
+      } else if (boundaryType === 'lot') {
+        table = majorOpenings ? '2b' : '2a';
+        requiredSetback = getWallSetback(height, wall.length, majorOpenings);
+      }
+      // The rear setback in the code table stays as a floor behind the wall tables
+      if (wall.boundary === 'rear') requiredSetback = Math.max(requiredSetback, rules.setbacks.rear);
+
+      walls.push({
+        storey: index + 1,
+        boundary: wall.boundary,
+        height,
+        averageHeight: wall.averageHeight ?? height,
+        length: wall.length,
+        majorOpenings,
+        table,
+        boundaryType,
+        requiredSetback,
+        nilSetback: Boolean(wall.nilSetback),
+        proposedSetback: wall.setback ?? null,
+      });
+    }
+  });
+
+  // Boundary walls: total length per side boundary, sides allowed in order of use
+  const maxSides = boundaryWallSidesAllowed(rCode);
+  const boundaryWalls = [];
+  for (const wall of walls.filter(w => w.nilSetback)) {
+    let side = boundaryWalls.find(s => s.boundary === wall.boundary);
+    if (!side) {
+      side = {
+        boundary: wall.boundary,
+        length: 0,
+        maxLength: (boundaryLengths[wall.boundary] ?? 0) * BOUNDARY_WALL_LIMITS.maxLengthRatio,
+        sideAllowed: wall.boundary in boundaryLengths &&
+          boundaryWalls.filter(s => s.sideAllowed).length < maxSides,
+        walls: [],
+      };
+      boundaryWalls.push(side);
+    }
+    side.length += wall.length;
+    side.walls.push(wall);
+  }
+  for (const side of boundaryWalls) {
+    side.allowed = side.sideAllowed && side.length <= side.maxLength;
+    for (const wall of side.walls) {
+      wall.nilSetbackAllowed = side.allowed &&
+        wall.height <= BOUNDARY_WALL_LIMITS.maxHeight &&
+        wall.averageHeight <= BOUNDARY_WALL_LIMITS.maxAverageHeight;
+      if (wall.nilSetbackAllowed) wall.requiredSetback = 0;
+    }
+    delete side.walls;
+    delete side.sideAllowed;
+  }
+
+  for (const wall of walls) {
+    wall.compliant = wall.proposedSetback != null
+      ? wall.proposedSetback >= wall.requiredSetback
+      : null;
+  }
+
+  // Each storey's envelope is set by its most demanding wall on each boundary
+  const storeys = massing.storeys.map((_, index) => {
+    const governing = boundary => {
+      const onBoundary = walls.filter(w => w.storey === index + 1 && w.boundary === boundary);
+      if (onBoundary.length === 0) return boundarySetbacks[boundary];
+      return Math.max(...onBoundary.map(w => w.requiredSetback));
+    };
+    const setbacks = { left: governing('left'), right: governing('right'), rear: governing('rear') };
+    const effectiveWidth = Math.max(0, lotWidth - setbacks.left - setbacks.right);
+    const effectiveDepth = Math.max(0, lotDepth - front - setbacks.rear);
+    return {
+      storey: index + 1,
+      setbacks,
+      effectiveWidth,
+      effectiveDepth,
+      envelopeArea: effectiveWidth * effectiveDepth,
+    };
+  });
+
+  return { walls, storeys, boundaryWalls, boundaryWallLimits: { ...BOUNDARY_WALL_LIMITS, maxSides } };
+}
+
+// Calculate setback-adjusted buildable envelope. Without a massing this is the
+// flat rectangle from the code's typical side and rear setbacks; pass
+// options.massing to get per-wall setbacks from Tables 2a/2b instead.
+// options.frontageType (one of FRONTAGE_TYPES) marks which boundaries are streets.
+export function calculateBuildableEnvelope(lotWidth, lotDepth, rCode, options = {}) {
+  const rules = getRCodeRules(rCode, options);
+  if (!rules) return null;
+
+  const frontageType = options.frontageType || 'street';
+  const boundarySetbacks = getBoundarySetbacks(rCode, frontageType, { ruleSet: rules.ruleSet, lga: rules.lga });
+
+  if (options.massing?.storeys?.length) {
+    const assessed = assessMassing(lotWidth, lotDepth, rCode, rules, options.massing, boundarySetbacks);
+    const [ground] = assessed.storeys;
+    return {
+      lotWidth,
+      lotDepth,
+      effectiveWidth: ground.effectiveWidth,
+      effectiveDepth: ground.effectiveDepth,
+      envelopeArea: ground.envelopeArea,
+      setbacks: rules.setbacks,
+      frontageType,
+      boundarySetbacks,
+      ...assessed,
+    };
+  }
+
+  const { front, left, right, rear } = boundarySetbacks;
+  const effectiveWidth = lotWidth - left - right;
+  const effectiveDepth = lotDepth - front - rear;
   const envelopeArea = Math.max(0, effectiveWidth * effectiveDepth);
 
   return {
@@ -149,15 +1011,35 @@ export function calculateBuildableEnvelope(lotWidth, lotDepth, rCode) {
     effectiveDepth: Math.max(0, effectiveDepth),
     envelopeArea,
     setbacks: rules.setbacks,
+    frontageType,
+    boundarySetbacks,
   };
 }
 
-// Calculate parking requirements
-export function calculateParkingRequirements(numDwellings, rCode) {
-  const rules = getRCodeRules(rCode);
+// Ancillary dwellings (clause 5.5.1): a granny flat on the same lot as a
+// single house. It isn't counted towards the site area per dwelling, but the
+// lot must reach minLotArea, the flat stay within maxPlotRatioArea and sit
+// behind the street setback line, and it needs parkingBays of its own, or
+// transitParkingBays within walking distance of frequent public transport.
+// A local planning policy can vary these through rules.ancillaryDwelling.
+const ANCILLARY_DWELLING_RULES = {
+  minLotArea: 350,
+  maxPlotRatioArea: 70,
+  parkingBays: 1,
+  transitParkingBays: 0,
+};
+
+// Calculate parking requirements. numDwellings leaves out ancillary
+// dwellings; pass them as options.ancillaryDwellings to add their own bays,
+// and options.nearTransit where the site is close to frequent public transport.
+export function calculateParkingRequirements(numDwellings, rCode, options = {}) {
+  const rules = getRCodeRules(rCode, options);
   if (!rules) return null;
 
-  const residentBays = Math.ceil(numDwellings * rules.parkingPerDwelling);
+  const { ancillaryDwellings = 0, nearTransit = false } = options;
+  const ancillary = { ...ANCILLARY_DWELLING_RULES, ...rules.ancillaryDwelling };
+  const residentBays = Math.ceil(numDwellings * rules.parkingPerDwelling) +
+    ancillaryDwellings * (nearTransit ? ancillary.transitParkingBays : ancillary.parkingBays);
   const visitorBays = Math.ceil(numDwellings * rules.visitorParkingRatio);
   const totalBays = residentBays + visitorBays;
   // Standard bay: 5.5m x 2.5m = 13.75sqm, with access aisle ~18sqm effective
@@ -172,7 +1054,438 @@ export function calculateParkingRequirements(numDwellings, rCode) {
   };
 }
 
-// Full compliance check
+// Deep soil and trees for a site. The deep soil area must cover both the
+// site-wide minimum and a planting area for every required tree.
+export function calculateLandscapeRequirements(lotArea, numDwellings, rCode, options = {}) {
+  const rules = getRCodeRules(rCode, options);
+  if (!rules) return null;
+
+  const { minRatio } = rules.deepSoil;
+  const { treesPerDwelling, deepSoilPerTree } = rules.treeCanopy;
+  const trees = Math.ceil(numDwellings * treesPerDwelling);
+  const deepSoilArea = Math.max(lotArea * minRatio, trees * deepSoilPerTree);
+
+  return {
+    deepSoilRatio: minRatio,
+    deepSoilArea,
+    trees,
+    deepSoilPerTree,
+  };
+}
+
+// Site area per dwelling (Table 1). Every dwelling's site must reach minLotSize
+// and the site as a whole must average avgLotSize. For survey-strata schemes,
+// lotAreas are the survey-strata lots excluding common property; each is
+// credited an equal share of commonPropertyArea. Without lots the site is
+// split evenly.
+export function assessSiteArea(params, rCode, options = {}) {
+  const rules = getRCodeRules(rCode, options);
+  if (!rules) return null;
+
+  const { lotArea, commonPropertyArea = 0, lotAreas } = params;
+  const numDwellings = lotAreas?.length || params.numDwellings;
+  if (!numDwellings) return null;
+
+  const commonPropertyShare = commonPropertyArea / numDwellings;
+  const siteAreas = lotAreas
+    ? lotAreas.map(area => area + commonPropertyShare)
+    : Array(numDwellings).fill(lotArea / numDwellings);
+  const average = lotArea / numDwellings;
+  const minimum = Math.min(...siteAreas);
+  // Small tolerance so an exact split isn't failed by floating point
+  const minimumOk = minimum >= rules.minLotSize - 1e-6;
+  const averageOk = average >= rules.avgLotSize - 1e-6;
+
+  return {
+    minLotSize: rules.minLotSize,
+    avgLotSize: rules.avgLotSize,
+    siteAreas,
+    commonPropertyShare,
+    minimum,
+    average,
+    minimumOk,
+    averageOk,
+    compliant: minimumOk && averageOk,
+    variation: Math.max(
+      measureVariation(minimum, rules.minLotSize, 'min'),
+      measureVariation(average, rules.avgLotSize, 'min'),
+    ),
+  };
+}
+
+// params: { lotArea, floorArea, houses = 1, ancillaryDwellings = 1,
+// behindStreetSetback = true, nearTransit = false }. floorArea is the largest
+// ancillary dwelling's plot ratio area, houses the other dwellings on the lot.
+// Only one ancillary dwelling can go with a single house; any other pairing
+// can't be argued on the design principles.
+export function assessAncillaryDwelling(params, rCode, options = {}) {
+  const rules = getRCodeRules(rCode, options);
+  if (!rules) return null;
+
+  const { minLotArea, maxPlotRatioArea, parkingBays, transitParkingBays } = {
+    ...ANCILLARY_DWELLING_RULES,
+    ...rules.ancillaryDwelling,
+  };
+  const {
+    lotArea,
+    floorArea,
+    houses = 1,
+    ancillaryDwellings = 1,
+    behindStreetSetback = true,
+    nearTransit = false,
+  } = params;
+  const singleHouse = houses === 1 && ancillaryDwellings === 1;
+  const lotAreaOk = lotArea >= minLotArea - 1e-6;
+  const floorAreaOk = floorArea <= maxPlotRatioArea + 1e-6;
+
+  return {
+    required: { minLotArea, maxPlotRatioArea },
+    lotArea,
+    floorArea,
+    houses,
+    ancillaryDwellings,
+    parkingBays: nearTransit ? transitParkingBays : parkingBays,
+    singleHouse,
+    lotAreaOk,
+    floorAreaOk,
+    behindStreetSetback,
+    compliant: singleHouse && lotAreaOk && floorAreaOk && behindStreetSetback,
+    variation: singleHouse && behindStreetSetback
+      ? Math.max(measureVariation(lotArea, minLotArea, 'min'), measureVariation(floorArea, maxPlotRatioArea))
+      : Infinity,
+  };
+}
+
+// Outdoor living areas, one per dwelling: [{ name, area, width, depth, coveredArea }]
+// in metres and m². The area must meet the code's minimum, its narrower side
+// the minimum dimension, and enough of it must be open to the sky.
+export function assessOutdoorLiving(dwellings, rCode, options = {}) {
+  const rules = getRCodeRules(rCode, options);
+  if (!rules) return null;
+
+  const { minArea, minDimension, minUncoveredRatio } = rules.outdoorLiving;
+  const assessed = dwellings.map(d => {
+    const dimension = Math.min(d.width, d.depth);
+    const uncoveredRatio = d.area > 0 ? (d.area - (d.coveredArea || 0)) / d.area : 0;
+    return {
+      name: d.name,
+      area: d.area,
+      width: d.width,
+      depth: d.depth,
+      coveredArea: d.coveredArea || 0,
+      minDimension: dimension,
+      uncoveredRatio,
+      compliant: d.area >= minArea && dimension >= minDimension &&
+        uncoveredRatio >= minUncoveredRatio - 1e-9,
+      variation: Math.max(
+        measureVariation(d.area, minArea, 'min'),
+        measureVariation(dimension, minDimension, 'min'),
+        measureVariation(uncoveredRatio, minUncoveredRatio, 'min'),
+      ),
+    };
+  });
+
+  return {
+    required: { minArea, minDimension, minUncoveredRatio },
+    dwellings: assessed,
+    compliant: assessed.every(d => d.compliant),
+    variation: Math.max(0, ...assessed.map(d => d.variation)),
+  };
+}
+
+// Street-facing dwellings need this much frontage beside the garage for an
+// entry and a habitable room window overlooking the street
+const MIN_ENTRY_FRONTAGE = 2;
+
+// Streetscape: garage dominance and street surveillance. units are the
+// dwellings along the primary street: [{ name, frontage, garageWidth,
+// garageFacesStreet, upperFloorOver }] in metres. Garage doors facing the street
+// may take up to maxGarageRatio of the lot frontage, or upperFloorGarageRatio
+// where an upper floor spans every one of them, and every street-facing dwelling
+// must address the street. options.frontageType 'battle-axe' has no street to
+// assess.
+export function assessStreetscape(units, lotWidth, rCode, options = {}) {
+  const rules = getRCodeRules(rCode, options);
+  if (!rules) return null;
+
+  const { maxGarageRatio, upperFloorGarageRatio } = rules.streetscape;
+  if (options.frontageType === 'battle-axe') {
+    return {
+      applicable: false,
+      frontage: 0,
+      garageWidth: 0,
+      garageRatio: 0,
+      maxGarageRatio,
+      garageOk: true,
+      dwellings: [],
+      addressesStreet: true,
+      compliant: true,
+      variation: 0,
+    };
+  }
+
+  const assessed = units.map(u => {
+    const garageWidth = u.garageFacesStreet ? u.garageWidth || 0 : 0;
+    const activeFrontage = u.frontage - garageWidth;
+    return {
+      name: u.name,
+      frontage: u.frontage,
+      garageWidth,
+      upperFloorOver: !!u.upperFloorOver,
+      activeFrontage,
+      addressesStreet: activeFrontage >= MIN_ENTRY_FRONTAGE - 1e-9,
+    };
+  });
+
+  const streetGarages = assessed.filter(d => d.garageWidth > 0);
+  const garageWidth = streetGarages.reduce((sum, d) => sum + d.garageWidth, 0);
+  const garageRatio = lotWidth > 0 ? garageWidth / lotWidth : 0;
+  const limit = streetGarages.length > 0 && streetGarages.every(d => d.upperFloorOver)
+    ? upperFloorGarageRatio
+    : maxGarageRatio;
+  const garageOk = garageRatio <= limit + 1e-9;
+  const addressesStreet = assessed.length > 0 && assessed.every(d => d.addressesStreet);
+
+  return {
+    applicable: true,
+    frontage: lotWidth,
+    garageWidth,
+    garageRatio,
+    maxGarageRatio: limit,
+    garageOk,
+    dwellings: assessed,
+    addressesStreet,
+    compliant: garageOk && addressesStreet,
+    // A dwelling that turns its back on the street can't be measured in
+    // metres, so it leaves nothing to band
+    variation: addressesStreet ? measureVariation(garageRatio, limit) : null,
+  };
+}
+
+// Visual privacy: major openings and unenclosed outdoor spaces more than 0.5m
+// above natural ground must keep their cone of vision this far from side and
+// rear lot boundaries, or be screened.
+const PRIVACY_SETBACKS = {
+  bedroom: 4.5,
+  study: 4.5,
+  habitable: 6,
+  balcony: 7.5,
+};
+const PRIVACY_EXEMPT_FLOOR_LEVEL = 0.5;
+const FACING_VECTORS = {
+  front: { u: 0, v: -1 },
+  rear: { u: 0, v: 1 },
+  left: { u: -1, v: 0 },
+  right: { u: 1, v: 0 },
+};
+
+function privacySetbackFor(opening) {
+  if (opening.type === 'balcony') return PRIVACY_SETBACKS.balcony;
+  return PRIVACY_SETBACKS[opening.room] ?? PRIVACY_SETBACKS.habitable;
+}
+
+// Shortest distance from a point to a boundary segment within the 90° cone of
+// vision (45° either side of the facing direction), or null if the cone never
+// reaches it. Works in the opening's own frame: a ahead, b to the side.
+function coneDistance(point, facing, start, end) {
+  const side = { u: -facing.v, v: facing.u };
+  const toLocal = q => ({
+    a: (q.u - point.u) * facing.u + (q.v - point.v) * facing.v,
+    b: (q.u - point.u) * side.u + (q.v - point.v) * side.v,
+  });
+  const s = toLocal(start);
+  const e = toLocal(end);
+
+  if (Math.abs(s.a - e.a) < 1e-9) {
+    // Boundary square to the view: visible across |b| <= a
+    const a = s.a;
+    if (a <= 0) return null;
+    const lo = Math.max(Math.min(s.b, e.b), -a);
+    const hi = Math.min(Math.max(s.b, e.b), a);
+    if (lo > hi) return null;
+    const b = lo > 0 ? lo : hi < 0 ? hi : 0;
+    return Math.hypot(a, b);
+  }
+
+  // Boundary running alongside the view: visible from a >= |b| onwards
+  const b = s.b;
+  const lo = Math.max(Math.min(s.a, e.a), Math.abs(b));
+  const hi = Math.max(s.a, e.a);
+  if (lo > hi) return null;
+  return Math.hypot(lo, b);
+}
+
+/**
+ * Cone-of-vision privacy check for windows and balconies.
+ *
+ * Openings are located in lot coordinates: u across the frontage from the left
+ * boundary (as seen from the street) and v back from the street boundary.
+ * Only side and rear boundaries count; streets aren't neighbours.
+ *
+ * @param {Array<Object>} openings - [{ name, type: 'window' | 'balcony', room,
+ *   u, v, facing: 'front' | 'rear' | 'left' | 'right', floorLevel, width?, screened? }]
+ * @param {number} lotWidth
+ * @param {number} lotDepth
+ * @param {Array<string>} [streets] - Side boundaries that face a street, e.g. ['left'] on a corner lot
+ * @returns {Object} { openings, needsScreening, compliant }
+ */
+export function assessPrivacy(openings, lotWidth, lotDepth, streets = []) {
+  const boundaries = Object.fromEntries(Object.entries({
+    left: [{ u: 0, v: 0 }, { u: 0, v: lotDepth }],
+    right: [{ u: lotWidth, v: 0 }, { u: lotWidth, v: lotDepth }],
+    rear: [{ u: 0, v: lotDepth }, { u: lotWidth, v: lotDepth }],
+  }).filter(([boundary]) => !streets.includes(boundary)));
+
+  const assessed = (openings || []).map(opening => {
+    const facing = FACING_VECTORS[opening.facing] || FACING_VECTORS.rear;
+    const requiredDistance = privacySetbackFor(opening);
+    const exempt = opening.floorLevel <= PRIVACY_EXEMPT_FLOOR_LEVEL;
+
+    // Measure from the centre and both edges of the opening
+    const halfWidth = (opening.width || 0) / 2;
+    const points = [-halfWidth, 0, halfWidth].map(offset => ({
+      u: opening.u - facing.v * offset,
+      v: opening.v + facing.u * offset,
+    }));
+
+    const distances = {};
+    for (const [boundary, [start, end]] of Object.entries(boundaries)) {
+      const seen = points
+        .map(p => coneDistance(p, facing, start, end))
+        .filter(d => d !== null);
+      distances[boundary] = seen.length > 0 ? Math.min(...seen) : null;
+    }
+
+    const nearest = Object.entries(distances)
+      .filter(([, d]) => d !== null)
+      .reduce((best, [boundary, d]) => (!best || d < best.distance ? { boundary, distance: d } : best), null);
+
+    const needsScreening = !exempt && nearest !== null && nearest.distance < requiredDistance;
+    return {
+      name: opening.name,
+      type: opening.type || 'window',
+      room: opening.room,
+      floorLevel: opening.floorLevel,
+      requiredDistance,
+      distances,
+      nearestBoundary: nearest?.boundary ?? null,
+      distance: nearest?.distance ?? null,
+      exempt,
+      needsScreening,
+      screened: Boolean(opening.screened),
+      compliant: !needsScreening || Boolean(opening.screened),
+    };
+  });
+
+  return {
+    openings: assessed,
+    needsScreening: assessed.filter(o => o.needsScreening).length,
+    compliant: assessed.every(o => o.compliant),
+  };
+}
+
+// Share of the southern neighbour's site that may sit in noon midwinter shadow:
+// 25% up to R25, 35% for R30–R40 and 50% above. Rule sets can override it.
+export function getOvershadowingLimit(rCode, options = {}) {
+  const rules = getRCodeRules(rCode, options);
+  if (!rules) return null;
+  if (rules.solarAccess?.maxOvershadowing != null) return rules.solarAccess.maxOvershadowing;
+
+  const codes = Object.keys(R_CODE_RULES);
+  const index = codes.indexOf(rCode);
+  if (index <= codes.indexOf('R25')) return 0.25;
+  if (index <= codes.indexOf('R40')) return 0.35;
+  return 0.50;
+}
+
+function formatMetres(value) {
+  return `${Number(value.toFixed(2))}m`;
+}
+
+// Design-principles pathway. A proposal that misses a deemed-to-comply limit
+// can still be approved on the design principles, so a user may set a
+// tolerance band per provision: the fraction of the limit (0.1 = 10%) a
+// proposal can fall outside it by and go forward for that assessment instead
+// of failing. Provisions without a band stay absolute.
+export const VARIATION_PROVISIONS = {
+  siteArea: 'Site area per dwelling',
+  plotRatio: 'Plot ratio',
+  siteCoverage: 'Site coverage',
+  openSpace: 'Open space',
+  height: 'Building height',
+  parking: 'Parking',
+  deepSoil: 'Deep soil area',
+  trees: 'Trees',
+  outdoorLiving: 'Outdoor living',
+  ancillaryDwelling: 'Ancillary dwelling',
+  setbacks: 'Setbacks',
+  overshadowing: 'Overshadowing',
+  garageWidth: 'Garage width',
+};
+
+// How far a value falls outside a limit, as a fraction of the limit. 'max'
+// limits are ceilings, 'min' limits floors; 0 means the limit is met.
+export function measureVariation(proposed, limit, direction = 'max') {
+  if (proposed == null) return null;
+  const outside = direction === 'max' ? proposed - limit : limit - proposed;
+  if (outside <= 1e-6) return 0;
+  return limit > 0 ? outside / limit : Infinity;
+}
+
+// 'compliant', 'design-principles' when within the provision's band,
+// otherwise 'non-compliant'. An unmeasured variation can't be banded.
+export function classifyVariation(provision, variation, tolerances = {}) {
+  if (variation === 0) return 'compliant';
+  const tolerance = tolerances?.[provision];
+  return tolerance != null && variation != null && variation <= tolerance + 1e-9
+    ? 'design-principles'
+    : 'non-compliant';
+}
+
+// Rule fields each compliance check reads its limit from
+const CHECK_RULE_FIELDS = {
+  'Site Area per Dwelling': ['minLotSize', 'avgLotSize'],
+  'Plot Ratio': ['maxPlotRatio'],
+  'Site Coverage': ['maxSiteCoverage'],
+  'Open Space': ['minOpenSpace'],
+  'Storeys': ['maxStories'],
+  'Wall Height': ['maxWallHeight'],
+  'Building Height': ['maxBuildingHeight'],
+  'Parking Bays': ['parkingPerDwelling', 'visitorParkingRatio'],
+  'Deep Soil Area': ['deepSoil'],
+  'Trees': ['treeCanopy'],
+  'Outdoor Living': ['outdoorLiving'],
+  'Ancillary Dwelling': ['ancillaryDwelling'],
+  'Primary Setback': ['setbacks.primaryStreet', 'setbacks.primaryStreetMin'],
+  'Secondary Setback': ['setbacks.secondaryStreet'],
+  'Side Setbacks': ['setbacks.side'],
+  'Rear Setback': ['setbacks.rear'],
+  'Overshadowing': ['solarAccess'],
+  'Garage Width': ['streetscape'],
+};
+
+// Walls may stand taller where they conceal the roof behind a parapet, since
+// no roof rises above them (Table 3)
+const CONCEALED_ROOF_WALL_ALLOWANCE = 1;
+
+export function getWallHeightLimit(rules, roofForm) {
+  return rules.maxWallHeight + (roofForm === 'concealed' ? CONCEALED_ROOF_WALL_ALLOWANCE : 0);
+}
+
+// Full compliance check. proposedBuildings is a list of
+// { name, setbacks: { primaryStreet, side, rear } } in metres; proposedDeepSoil
+// is in m². proposedOutdoorLiving takes the dwellings assessOutdoorLiving does;
+// proposedLots and commonPropertyArea (m²) describe a survey-strata subdivision.
+// On a corner lot, buildings also give a secondaryStreet setback.
+// proposedHeight is in storeys; proposedWallHeight and proposedBuildingHeight
+// are metres above natural ground level, and roofForm picks the wall limit.
+// proposedStreetscape takes the street-facing dwellings assessStreetscape does.
+// proposedVisitorBays, if given, are held to the visitor requirement on their
+// own, since residents' spare bays aren't open to visitors.
+// proposedAncillary { dwellings, floorArea } picks out the ancillary dwellings
+// among proposedDwellings; they share the house's lot and site area.
+// dwellingType 'multiple' assesses apartments, whose number plot ratio
+// controls in place of the site area per dwelling.
 export function checkCompliance(params) {
   const {
     lotArea,
@@ -180,17 +1493,98 @@ export function checkCompliance(params) {
     lotDepth,
     rCode,
     proposedDwellings,
+    dwellingType = 'grouped',
+    proposedLots,
+    proposedAncillary,
+    nearTransit = false,
+    commonPropertyArea,
     proposedGFA,
     proposedSiteCoverage,
     proposedOpenSpace,
     proposedHeight,
+    proposedWallHeight,
+    proposedBuildingHeight,
+    roofForm,
+    proposedParkingBays,
+    proposedVisitorBays,
+    proposedDeepSoil,
+    proposedTrees,
+    proposedOutdoorLiving,
+    proposedStreetscape,
+    proposedBuildings,
+    massing,
+    openings,
+    frontageType = 'street',
+    frontageFacing,
+    latitude,
+    ruleSet,
+    assessmentDate,
+    lga,
+    tolerances = {},
   } = params;
 
-  const rules = getRCodeRules(rCode);
+  const rules = getRCodeRules(rCode, { ruleSet, assessmentDate, lga });
   if (!rules) return { valid: false, errors: ['Invalid R-Code'] };
 
   const checks = [];
-  let allPassed = true;
+  const ancillaryDwellings = proposedAncillary?.dwellings || 0;
+  const dwellings = proposedDwellings - ancillaryDwellings;
+
+  // Site area per dwelling
+  const multiple = dwellingType === 'multiple';
+  const siteArea = multiple ? null : assessSiteArea(
+    { lotArea, numDwellings: dwellings, lotAreas: proposedLots, commonPropertyArea },
+    rCode,
+    { ruleSet: rules.ruleSet, lga: rules.lga }
+  );
+  if (multiple && dwellings > 0) {
+    checks.push({
+      name: 'Site Area per Dwelling',
+      allowed: 'Not applicable (multiple dwellings, by plot ratio)',
+      proposed: `${Math.round(lotArea / dwellings)}sqm average`,
+      compliant: true,
+      provision: 'siteArea',
+      variation: 0,
+    });
+  }
+  if (siteArea) {
+    checks.push({
+      name: 'Site Area per Dwelling',
+      allowed: `${siteArea.minLotSize}sqm min, ${siteArea.avgLotSize}sqm average`,
+      proposed: `${Math.round(siteArea.minimum)}sqm min, ${Math.round(siteArea.average)}sqm average`,
+      compliant: siteArea.compliant,
+      provision: 'siteArea',
+      variation: siteArea.variation,
+    });
+  }
+
+  // Ancillary dwelling beside a single house
+  let ancillary = null;
+  if (ancillaryDwellings > 0) {
+    ancillary = assessAncillaryDwelling(
+      {
+        lotArea,
+        floorArea: proposedAncillary.floorArea,
+        houses: dwellings,
+        ancillaryDwellings,
+        behindStreetSetback: proposedAncillary.behindStreetSetback,
+        nearTransit,
+      },
+      rCode,
+      { ruleSet: rules.ruleSet, lga: rules.lga }
+    );
+    const { minLotArea, maxPlotRatioArea } = ancillary.required;
+    checks.push({
+      name: 'Ancillary Dwelling',
+      allowed: `One per single house, ${maxPlotRatioArea}sqm max on a ${minLotArea}sqm+ lot`,
+      proposed: ancillary.singleHouse
+        ? `${Math.round(ancillary.floorArea)}sqm on ${Math.round(lotArea)}sqm`
+        : `${ancillaryDwellings} with ${dwellings} dwelling${dwellings === 1 ? '' : 's'}`,
+      compliant: ancillary.compliant,
+      provision: 'ancillaryDwelling',
+      variation: ancillary.variation,
+    });
+  }
 
   // Plot ratio check
   const proposedPlotRatio = proposedGFA / lotArea;
@@ -200,8 +1594,9 @@ export function checkCompliance(params) {
     allowed: `${(rules.maxPlotRatio * 100).toFixed(0)}%`,
     proposed: `${(proposedPlotRatio * 100).toFixed(1)}%`,
     compliant: plotRatioOk,
+    provision: 'plotRatio',
+    variation: measureVariation(proposedPlotRatio, rules.maxPlotRatio),
   });
-  if (!plotRatioOk) allPassed = false;
 
   // Site coverage check
   const coverageRatio = proposedSiteCoverage / lotArea;
@@ -211,8 +1606,9 @@ export function checkCompliance(params) {
     allowed: `${(rules.maxSiteCoverage * 100).toFixed(0)}%`,
     proposed: `${(coverageRatio * 100).toFixed(1)}%`,
     compliant: coverageOk,
+    provision: 'siteCoverage',
+    variation: measureVariation(coverageRatio, rules.maxSiteCoverage),
   });
-  if (!coverageOk) allPassed = false;
 
   // Open space check
   const openSpaceRatio = proposedOpenSpace / lotArea;
@@ -222,64 +1618,365 @@ export function checkCompliance(params) {
     allowed: `>= ${(rules.minOpenSpace * 100).toFixed(0)}%`,
     proposed: `${(openSpaceRatio * 100).toFixed(1)}%`,
     compliant: openSpaceOk,
+    provision: 'openSpace',
+    variation: measureVariation(openSpaceRatio, rules.minOpenSpace, 'min'),
   });
-  if (!openSpaceOk) allPassed = false;
 
-  // Height check
+  // Height — storeys, plus metres above natural ground when they're known
   const heightOk = proposedHeight <= rules.maxStories;
   checks.push({
-    name: 'Building Height',
+    name: 'Storeys',
     allowed: `${rules.maxStories} stories`,
     proposed: `${proposedHeight} stories`,
     compliant: heightOk,
+    provision: 'height',
+    variation: measureVariation(proposedHeight, rules.maxStories),
   });
-  if (!heightOk) allPassed = false;
+
+  const metreChecks = [
+    { name: 'Wall Height', proposed: proposedWallHeight, limit: getWallHeightLimit(rules, roofForm) },
+    { name: 'Building Height', proposed: proposedBuildingHeight, limit: rules.maxBuildingHeight },
+  ];
+  for (const { name, proposed, limit } of metreChecks) {
+    if (proposed == null) continue;
+    const variation = measureVariation(proposed, limit);
+    checks.push({
+      name,
+      allowed: `${formatMetres(limit)} above natural ground`,
+      proposed: formatMetres(proposed),
+      compliant: variation === 0,
+      provision: 'height',
+      variation,
+    });
+  }
 
   // Parking
-  const parking = calculateParkingRequirements(proposedDwellings, rCode);
+  const options = { ruleSet: rules.ruleSet, lga: rules.lga };
+  const parking = calculateParkingRequirements(dwellings, rCode, { ...options, ancillaryDwellings, nearTransit });
+  const visitorsShort = proposedVisitorBays != null && proposedVisitorBays < parking.visitorBays;
+  const parkingOk = proposedParkingBays != null && proposedParkingBays >= parking.totalBays && !visitorsShort;
   checks.push({
     name: 'Parking Bays',
-    allowed: `${parking.totalBays} bays required`,
-    proposed: `${parking.totalBays} bays allocated`,
-    compliant: true,
+    allowed: `${parking.totalBays} bays required${proposedVisitorBays != null ? `, ${parking.visitorBays} for visitors` : ''}`,
+    proposed: proposedParkingBays != null
+      ? `${proposedParkingBays} bays provided${proposedVisitorBays != null ? `, ${proposedVisitorBays} for visitors` : ''}`
+      : 'Not provided',
+    compliant: parkingOk,
+    provision: 'parking',
+    variation: visitorsShort
+      ? Math.max(
+        measureVariation(proposedParkingBays, parking.totalBays, 'min'),
+        measureVariation(proposedVisitorBays, parking.visitorBays, 'min'),
+      )
+      : measureVariation(proposedParkingBays, parking.totalBays, 'min'),
   });
 
-  // Setbacks
-  const envelope = calculateBuildableEnvelope(lotWidth, lotDepth, rCode);
+  // Deep soil and trees
+  const landscape = calculateLandscapeRequirements(lotArea, dwellings, rCode, options);
+  const deepSoilOk = proposedDeepSoil != null && proposedDeepSoil >= landscape.deepSoilArea;
   checks.push({
-    name: 'Primary Setback',
-    allowed: `${rules.setbacks.primaryStreet}m`,
-    proposed: `${rules.setbacks.primaryStreet}m`,
-    compliant: true,
-  });
-  checks.push({
-    name: 'Side Setbacks',
-    allowed: `${rules.setbacks.side}m each side`,
-    proposed: `${rules.setbacks.side}m`,
-    compliant: true,
+    name: 'Deep Soil Area',
+    allowed: `${Math.ceil(landscape.deepSoilArea)}sqm (${(landscape.deepSoilRatio * 100).toFixed(0)}% of site)`,
+    proposed: proposedDeepSoil != null
+      ? `${Math.round(proposedDeepSoil)}sqm (${(proposedDeepSoil / lotArea * 100).toFixed(1)}%)`
+      : 'Not provided',
+    compliant: deepSoilOk,
+    provision: 'deepSoil',
+    variation: measureVariation(proposedDeepSoil, landscape.deepSoilArea, 'min'),
   });
+
+  const treesOk = proposedTrees != null && proposedTrees >= landscape.trees;
   checks.push({
-    name: 'Rear Setback',
-    allowed: `${rules.setbacks.rear}m`,
-    proposed: `${rules.setbacks.rear}m`,
-    compliant: true,
+    name: 'Trees',
+    allowed: `${landscape.trees} trees required`,
+    proposed: proposedTrees != null ? `${proposedTrees} trees provided` : 'Not provided',
+    compliant: treesOk,
+    provision: 'trees',
+    variation: measureVariation(proposedTrees, landscape.trees, 'min'),
   });
 
+  // Outdoor living — only when each dwelling's area is known
+  let outdoorLiving = null;
+  if (proposedOutdoorLiving?.length) {
+    outdoorLiving = assessOutdoorLiving(proposedOutdoorLiving, rCode, options);
+    const { minArea, minDimension, minUncoveredRatio } = outdoorLiving.required;
+    const smallest = outdoorLiving.dwellings.reduce((a, b) => (b.area < a.area ? b : a));
+    const failing = outdoorLiving.dwellings.filter(d => !d.compliant).length;
+    checks.push({
+      name: 'Outdoor Living',
+      allowed: `${minArea}sqm, ${minDimension}m min, ${Math.round(minUncoveredRatio * 100)}% uncovered`,
+      proposed: failing > 0
+        ? `${failing} of ${outdoorLiving.dwellings.length} dwellings short`
+        : `${Math.round(smallest.area)}sqm smallest (${smallest.name})`,
+      compliant: outdoorLiving.compliant,
+      provision: 'outdoorLiving',
+      variation: outdoorLiving.variation,
+    });
+  }
+
+  // Streetscape — only when the street-facing dwellings are known
+  let streetscape = null;
+  if (proposedStreetscape) {
+    streetscape = assessStreetscape(proposedStreetscape, lotWidth, rCode, { ...options, frontageType });
+    if (!streetscape.applicable) {
+      checks.push({
+        name: 'Garage Width',
+        allowed: 'No street frontage (battle-axe)',
+        proposed: 'N/A',
+        compliant: true,
+        provision: 'garageWidth',
+        variation: 0,
+      });
+    } else {
+      const street = streetscape.dwellings;
+      checks.push({
+        name: 'Garage Width',
+        allowed: `${Math.round(streetscape.maxGarageRatio * 100)}% of ${formatMetres(lotWidth)} frontage`,
+        proposed: `${formatMetres(streetscape.garageWidth)} (${(streetscape.garageRatio * 100).toFixed(1)}%)`,
+        compliant: streetscape.garageOk,
+        provision: 'garageWidth',
+        variation: measureVariation(streetscape.garageRatio, streetscape.maxGarageRatio),
+      });
+      checks.push({
+        name: 'Street Surveillance',
+        allowed: 'Street-facing dwellings address the street',
+        proposed: street.length === 0
+          ? 'No dwelling faces the street'
+          : `${street.filter(d => d.addressesStreet).length} of ${street.length} street-facing dwellings address it`,
+        compliant: streetscape.addressesStreet,
+      });
+    }
+  }
+
+  // Setbacks — each building is measured from its own walls. A null setback
+  // means the building doesn't face that boundary (e.g. a rear dwelling has no
+  // street setback) and is left out of that check.
+  const envelope = calculateBuildableEnvelope(lotWidth, lotDepth, rCode, { ...options, massing, frontageType });
+  const { streets } = envelope.boundarySetbacks;
+  const { primaryStreetMin } = rules.setbacks;
+  const setbackChecks = [
+    frontageType === 'battle-axe'
+      ? { name: 'Primary Setback', allowed: 'No street frontage (battle-axe)', notApplicable: true }
+      : {
+        name: 'Primary Setback',
+        key: 'primaryStreet',
+        allowed: primaryStreetMin != null
+          ? `${rules.setbacks.primaryStreet}m average (min ${primaryStreetMin}m)`
+          : `${rules.setbacks.primaryStreet}m`,
+      },
+    ...(streets.length > 0
+      ? [{ name: 'Secondary Setback', key: 'secondaryStreet', allowed: `${rules.setbacks.secondaryStreet}m`, boundaries: streets }]
+      : []),
+    {
+      name: 'Side Setbacks',
+      key: 'side',
+      allowed: streets.length > 0 ? `${rules.setbacks.side}m` : `${rules.setbacks.side}m each side`,
+      boundaries: ['left', 'right'].filter(b => !streets.includes(b)),
+    },
+    { name: 'Rear Setback', key: 'rear', allowed: `${rules.setbacks.rear}m`, boundaries: ['rear'] },
+  ];
+
+  for (const { name, key, allowed, boundaries, notApplicable } of setbackChecks) {
+    if (notApplicable) {
+      checks.push({ name, allowed, proposed: 'N/A', compliant: true, provision: 'setbacks', variation: 0 });
+      continue;
+    }
+
+    // With a massing, side and rear walls are held to their own Table 2a/2b
+    // setback, or the building separation for multiple dwellings
+    const walls = (envelope.walls || [])
+      .filter(w => boundaries?.includes(w.boundary) && w.proposedSetback != null);
+    if (walls.length > 0) {
+      const governing = walls.reduce((a, b) =>
+        (b.proposedSetback - b.requiredSetback < a.proposedSetback - a.requiredSetback ? b : a));
+      const compliant = walls.every(w => w.compliant);
+      const sources = { street: 'secondary street', laneway: 'laneway' };
+      let source = sources[governing.boundaryType] || 'building separation';
+      if (governing.nilSetbackAllowed) source = 'boundary wall';
+      else if (governing.table) source = `Table ${governing.table}`;
+      checks.push({
+        name,
+        allowed: `${formatMetres(governing.requiredSetback)} (${source})`,
+        proposed: `${formatMetres(governing.proposedSetback)} (storey ${governing.storey} ${governing.boundary} wall)`,
+        compliant,
+        provision: 'setbacks',
+        variation: Math.max(...walls.map(w => measureVariation(w.proposedSetback, w.requiredSetback, 'min'))),
+      });
+      continue;
+    }
+
+    const measured = (proposedBuildings || [])
+      .filter(b => b.setbacks?.[key] != null)
+      .map(b => ({ name: b.name, value: b.setbacks[key] }));
+
+    let proposed = 'Not provided';
+    let compliant = false;
+    let variation = null;
+    if (measured.length > 0) {
+      const closest = measured.reduce((a, b) => (b.value < a.value ? b : a));
+      const label = measured.length > 1 ? ` (${closest.name})` : '';
+      proposed = `${formatMetres(closest.value)}${label}`;
+
+      if (key === 'primaryStreet' && primaryStreetMin != null) {
+        // Medium Density Code: the average meets the setback, no wall inside the minimum
+        const average = measured.reduce((sum, b) => sum + b.value, 0) / measured.length;
+        compliant = average >= rules.setbacks.primaryStreet && closest.value >= primaryStreetMin;
+        variation = Math.max(
+          measureVariation(average, rules.setbacks.primaryStreet, 'min'),
+          measureVariation(closest.value, primaryStreetMin, 'min'),
+        );
+        if (measured.length > 1) proposed = `${formatMetres(average)} average, ${proposed} min`;
+      } else {
+        compliant = closest.value >= rules.setbacks[key];
+        variation = measureVariation(closest.value, rules.setbacks[key], 'min');
+      }
+    } else if (proposedBuildings && key !== 'side' && key !== 'secondaryStreet') {
+      // Buildings were supplied but none face this boundary
+      proposed = 'N/A';
+      compliant = true;
+      variation = 0;
+    }
+
+    checks.push({ name, allowed, proposed, compliant, provision: 'setbacks', variation });
+  }
+
+  // Boundary (nil setback) walls
+  if (envelope.boundaryWalls?.length) {
+    const nilWalls = envelope.walls.filter(w => w.nilSetback);
+    const boundaryWallsOk = nilWalls.every(w => w.nilSetbackAllowed);
+    const { maxHeight, maxSides } = envelope.boundaryWallLimits;
+    checks.push({
+      name: 'Boundary Walls',
+      allowed: `${maxSides} side${maxSides > 1 ? 's' : ''}, ≤${maxHeight}m high, ≤2/3 boundary length`,
+      proposed: envelope.boundaryWalls
+        .map(b => `${b.boundary} ${formatMetres(b.length)} of ${formatMetres(b.maxLength)}`)
+        .join(', '),
+      compliant: boundaryWallsOk,
+    });
+  }
+
+  // Overshadowing — needs storey heights and positions, so only with a massing
+  let overshadowing = null;
+  const footprints = footprintsFromMassing(massing, lotWidth, lotDepth);
+  if (footprints) {
+    const limit = getOvershadowingLimit(rCode, options);
+    const shadow = calculateOvershadowing({ lotWidth, lotDepth, footprints, frontageFacing, latitude, streets });
+    const ratio = shadow.southern?.shadowRatio ?? 0;
+    overshadowing = {
+      ...shadow,
+      frontageAssumed: !frontageFacing,
+      limit,
+      compliant: ratio <= limit,
+    };
+    checks.push({
+      name: 'Overshadowing',
+      allowed: `${(limit * 100).toFixed(0)}% of southern lot`,
+      proposed: shadow.southern
+        ? `${(ratio * 100).toFixed(1)}% (${shadow.southern.boundary} neighbour)`
+        : 'Street to the south',
+      compliant: overshadowing.compliant,
+      provision: 'overshadowing',
+      variation: measureVariation(ratio, limit),
+    });
+  }
+
+  // Visual privacy — only when openings are located
+  let privacy = null;
+  if (openings?.length) {
+    privacy = assessPrivacy(openings, lotWidth, lotDepth, streets);
+    const screened = privacy.openings.filter(o => o.needsScreening && o.screened).length;
+    const unresolved = privacy.openings.filter(o => !o.compliant).length;
+    checks.push({
+      name: 'Visual Privacy',
+      allowed: 'Cone of vision 4.5m / 6m / 7.5m',
+      proposed: privacy.needsScreening === 0
+        ? `${privacy.openings.length} openings clear`
+        : [
+          screened > 0 && `${screened} screened`,
+          unresolved > 0 && `${unresolved} need screening`,
+        ].filter(Boolean).join(', '),
+      compliant: privacy.compliant,
+    });
+  }
+
+  // Name the local planning policy behind any check whose limit it varied
+  for (const check of checks) {
+    const prefixes = CHECK_RULE_FIELDS[check.name] || [];
+    const policy = rules.localPolicies.find(p => p.fields.some(
+      field => prefixes.some(prefix => field === prefix || field.startsWith(`${prefix}.`))
+    ));
+    if (policy) check.localPolicy = `${policy.lgaLabel} — ${policy.title}`;
+  }
+
+  // A missed limit inside its tolerance band goes to a design-principles
+  // assessment; anything else that misses is a fail
+  for (const check of checks) {
+    check.status = check.compliant
+      ? 'compliant'
+      : classifyVariation(check.provision, check.variation || null, tolerances);
+  }
+  const designPrinciples = checks
+    .filter(c => c.status === 'design-principles')
+    .map(c => ({
+      provision: c.provision,
+      name: c.name,
+      allowed: c.allowed,
+      proposed: c.proposed,
+      variation: c.variation,
+      tolerance: tolerances[c.provision],
+    }));
+
   return {
-    valid: allPassed,
+    valid: checks.every(c => c.status !== 'non-compliant'),
+    deemedToComply: checks.every(c => c.compliant),
+    requiresDesignPrinciples: designPrinciples.length > 0,
+    designPrinciples,
     checks,
+    ruleSet: { id: rules.ruleSet, label: rules.ruleSetLabel },
+    localPolicies: rules.localPolicies,
+    frontageType,
     rules,
     envelope,
+    siteArea,
+    ancillary,
     parking,
+    landscape,
+    outdoorLiving,
+    streetscape,
+    overshadowing,
+    privacy,
   };
 }
 
 export default {
   getRCodeRules,
+  getRuleSets,
+  selectRuleSet,
+  getLocalPolicies,
+  normaliseLga,
+  getWallHeightLimit,
+  measureVariation,
+  classifyVariation,
+  VARIATION_PROVISIONS,
   getAllRCodes,
+  parseSplitCode,
+  isValidRCode,
+  evaluateBonusEligibility,
+  getBoundarySetbacks,
+  getWallSetback,
+  getBuildingSeparation,
+  getOvershadowingLimit,
+  assessPrivacy,
   calculateBuildableArea,
   calculateBuildableEnvelope,
   calculateParkingRequirements,
+  calculateLandscapeRequirements,
+  assessSiteArea,
+  assessAncillaryDwelling,
+  assessOutdoorLiving,
+  assessStreetscape,
   checkCompliance,
   R_CODE_RULES,
+  RULE_SETS,
+  FRONTAGE_TYPES,
 };
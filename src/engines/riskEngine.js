@@ -22,6 +22,7 @@ export function assessRisks(params) {
     streetFrontage = 'adequate', // wide, adequate, limited
     topography = 'flat', // flat, moderate, steep
     largeTrees = false,
+    designPrinciples = [], // R-Code variations relying on a design-principles assessment
 
     // Financial results
     profitMargin = 0,
@@ -197,6 +198,19 @@ export function assessRisks(params) {
     });
   }
 
+  // Each variation is discretionary: the approval, and the yield resting on it,
+  // depends on the decision-maker accepting the design-principles case
+  designPrinciples.forEach(variation => {
+    const percent = (variation.variation * 100).toFixed(1);
+    const detail = variation.allowed ? ` (${variation.proposed} against ${variation.allowed})` : '';
+    risks.push({
+      category: 'Planning',
+      level: variation.variation > 0.1 ? 'high' : 'medium',
+      title: `Design Principles Variation — ${variation.name || variation.provision}`,
+      description: `Varies from the deemed-to-comply limit by ${percent}%${detail}. Requires a design principles assessment; approval is discretionary and may need design changes or reduce yield.`,
+    });
+  });
+
   // ─────────────────────────────────────
   // FINANCIAL RISKS
   // ─────────────────────────────────────
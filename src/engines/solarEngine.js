@@ -0,0 +1,232 @@
+// Solar Access Engine
+// Noon midwinter (21 June) shadow cast by a proposed building onto adjoining lots
+
+// Perth CBD — used when the site's own latitude isn't known
+const DEFAULT_LATITUDE = -31.95;
+// Sun's declination at the June solstice
+const JUNE_SOLSTICE_DECLINATION = 23.44;
+
+const COMPASS_BEARINGS = {
+  N: 0, NE: 45, E: 90, SE: 135, S: 180, SW: 225, W: 270, NW: 315,
+};
+
+export function toBearing(direction) {
+  if (typeof direction === 'number') return ((direction % 360) + 360) % 360;
+  return COMPASS_BEARINGS[String(direction).toUpperCase()] ?? null;
+}
+
+export function toCompass(bearing) {
+  const points = Object.keys(COMPASS_BEARINGS);
+  return points[Math.round(toBearing(bearing) / 45) % points.length];
+}
+
+// Sun altitude in degrees at solar noon on 21 June
+export function getNoonSunAltitude(latitude = DEFAULT_LATITUDE) {
+  return 90 - Math.abs(latitude - JUNE_SOLSTICE_DECLINATION);
+}
+
+// ── Convex polygon helpers (points are { u, v } in metres) ──
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.u * b.v - b.u * a.v;
+  }
+  return Math.abs(area) / 2;
+}
+
+function cross(o, a, b) {
+  return (a.u - o.u) * (b.v - o.v) - (a.v - o.v) * (b.u - o.u);
+}
+
+// Monotone chain, counter-clockwise
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.u - b.u || a.v - b.v);
+  const half = list => {
+    const out = [];
+    for (const p of list) {
+      while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+      out.push(p);
+    }
+    out.pop();
+    return out;
+  };
+  return [...half(sorted), ...half([...sorted].reverse())];
+}
+
+// Sutherland–Hodgman: clip a polygon by a convex counter-clockwise polygon
+function clipPolygon(subject, clip) {
+  let output = subject;
+  for (let i = 0; i < clip.length && output.length > 0; i++) {
+    const a = clip[i];
+    const b = clip[(i + 1) % clip.length];
+    const inside = p => cross(a, b, p) >= 0;
+    const intersect = (p, q) => {
+      const t = cross(a, b, p) / (cross(a, b, p) - cross(a, b, q));
+      return { u: p.u + t * (q.u - p.u), v: p.v + t * (q.v - p.v) };
+    };
+
+    const input = output;
+    output = [];
+    for (let j = 0; j < input.length; j++) {
+      const current = input[j];
+      const previous = input[(j + input.length - 1) % input.length];
+      if (inside(current)) {
+        if (!inside(previous)) output.push(intersect(previous, current));
+        output.push(current);
+      } else if (inside(previous)) {
+        output.push(intersect(previous, current));
+      }
+    }
+  }
+  return output;
+}
+
+function rectangle(u0, u1, v0, v1) {
+  return [{ u: u0, v: v0 }, { u: u1, v: v0 }, { u: u1, v: v1 }, { u: u0, v: v1 }];
+}
+
+// Area of the union of convex polygons, by inclusion–exclusion. Storey counts
+// are small, so the 2^n subsets stay cheap.
+function unionArea(polygons) {
+  let total = 0;
+  const n = polygons.length;
+  for (let mask = 1; mask < (1 << n); mask++) {
+    let region = null;
+    let count = 0;
+    for (let i = 0; i < n && (region === null || region.length > 0); i++) {
+      if (!(mask & (1 << i))) continue;
+      region = region === null ? polygons[i] : clipPolygon(region, polygons[i]);
+      count++;
+    }
+    const area = region.length >= 3 ? polygonArea(region) : 0;
+    total += count % 2 === 1 ? area : -area;
+  }
+  return total;
+}
+
+// Storey footprints from a yield-style massing: a storey either lists its
+// footprints or has left, right and rear walls with proposed setbacks.
+// Returns null when that isn't known.
+export function footprintsFromMassing(massing, lotWidth, lotDepth) {
+  if (!massing?.storeys?.length) return null;
+
+  const footprints = [];
+  for (const storey of massing.storeys) {
+    if (storey.footprints) {
+      footprints.push(...storey.footprints.map(f => ({ ...f, height: storey.wallHeight })));
+      continue;
+    }
+    const wall = boundary => (storey.walls || []).find(w => w.boundary === boundary && w.setback != null);
+    const left = wall('left');
+    const right = wall('right');
+    const rear = wall('rear');
+    if (!left || !right || !rear) return null;
+
+    const v1 = lotDepth - rear.setback;
+    footprints.push({
+      u0: left.setback,
+      u1: lotWidth - right.setback,
+      v0: v1 - left.length,
+      v1,
+      height: storey.wallHeight,
+    });
+  }
+  return footprints;
+}
+
+/**
+ * Noon midwinter overshadowing of the lots either side of and behind the site.
+ *
+ * Lot coordinates: u runs across the frontage from the left boundary (as seen
+ * from the street), v runs from the street boundary back to the rear. Adjoining
+ * lots are assumed to match the subject lot's dimensions.
+ *
+ * @param {Object} params
+ * @param {number} params.lotWidth
+ * @param {number} params.lotDepth
+ * @param {Array<Object>} params.footprints - [{ u0, u1, v0, v1, height }]
+ * @param {string|number} params.frontageFacing - Compass point or bearing the street lies in
+ * @param {number} [params.latitude]
+ * @param {Array<string>} [params.streets] - Side boundaries with a street rather than a neighbour
+ * @returns {Object} { sunAltitude, shadowLength, neighbours, southern }
+ */
+export function calculateOvershadowing(params) {
+  const {
+    lotWidth,
+    lotDepth,
+    footprints,
+    frontageFacing = 'N',
+    latitude = DEFAULT_LATITUDE,
+    streets = [],
+  } = params;
+
+  const bearing = toBearing(frontageFacing) ?? 0;
+  const sunAltitude = getNoonSunAltitude(latitude);
+  const tanAltitude = Math.tan(sunAltitude * Math.PI / 180);
+
+  // Shadows fall due south while the noon sun is north of the site
+  const theta = bearing * Math.PI / 180;
+  const southward = latitude < JUNE_SOLSTICE_DECLINATION ? 1 : -1;
+  const direction = { u: -Math.sin(theta) * southward, v: Math.cos(theta) * southward };
+
+  const shadows = footprints.map(f => {
+    const length = f.height / tanAltitude;
+    const base = rectangle(f.u0, f.u1, f.v0, f.v1);
+    const cast = base.map(p => ({ u: p.u + direction.u * length, v: p.v + direction.v * length }));
+    return convexHull([...base, ...cast]);
+  });
+
+  const neighbourLots = {
+    left: rectangle(-lotWidth, 0, 0, lotDepth),
+    right: rectangle(lotWidth, 2 * lotWidth, 0, lotDepth),
+    rear: rectangle(0, lotWidth, lotDepth, 2 * lotDepth),
+  };
+  // Outward direction of each shared boundary, to find the one facing south
+  const outward = { left: { u: -1, v: 0 }, right: { u: 1, v: 0 }, rear: { u: 0, v: 1 } };
+
+  const neighbours = Object.entries(neighbourLots)
+    .filter(([boundary]) => !streets.includes(boundary))
+    .map(([boundary, lot]) => {
+      const area = lotWidth * lotDepth;
+      const shadowArea = unionArea(shadows.map(s => clipPolygon(s, lot)).filter(p => p.length >= 3));
+      return {
+        boundary,
+        area,
+        shadowArea,
+        shadowRatio: area > 0 ? shadowArea / area : 0,
+        southness: outward[boundary].u * direction.u + outward[boundary].v * direction.v,
+      };
+    });
+
+  // Southern neighbours are the adjoining lots within 45° of the shadow's
+  // direction; the most overshadowed one governs. When the street is to the
+  // south, no adjoining lot faces that way.
+  const southern = neighbours
+    .filter(n => n.southness >= Math.SQRT1_2 - 1e-9)
+    .reduce((worst, n) => (!worst || n.shadowRatio > worst.shadowRatio ? n : worst), null);
+
+  const strip = n => ({
+    boundary: n.boundary,
+    area: n.area,
+    shadowArea: n.shadowArea,
+    shadowRatio: n.shadowRatio,
+  });
+  return {
+    sunAltitude,
+    shadowLength: Math.max(0, ...footprints.map(f => f.height)) / tanAltitude,
+    frontageFacing: toCompass(bearing),
+    neighbours: neighbours.map(strip),
+    southern: southern && strip(southern),
+  };
+}
+
+export default {
+  toBearing,
+  toCompass,
+  getNoonSunAltitude,
+  footprintsFromMassing,
+  calculateOvershadowing,
+};
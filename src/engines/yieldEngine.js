@@ -1,37 +1,59 @@
 // Yield Optimization Engine
 // Determines maximum viable dwelling count and mix for a site
 
-import { getRCodeRules, calculateParkingRequirements, calculateBuildableEnvelope } from './rCodesEngine.js';
-
-const DWELLING_TYPES = {
-  '2bed': {
-    label: '2 Bedroom',
-    groundFloorArea: 55, // sqm ground floor footprint
-    totalBuildArea: 100, // sqm total (2 story)
-    internalGarage: 18,
-    minLotWidth: 6,
-    stories: 2,
-  },
-  '3bed': {
-    label: '3 Bedroom',
-    groundFloorArea: 70,
-    totalBuildArea: 145,
-    internalGarage: 20,
-    minLotWidth: 7.5,
-    stories: 2,
-  },
-  '4bed': {
-    label: '4 Bedroom',
-    groundFloorArea: 95,
-    totalBuildArea: 200,
-    internalGarage: 22,
-    minLotWidth: 9,
-    stories: 2,
-  },
+import {
+  getRCodeRules,
+  calculateParkingRequirements,
+  calculateLandscapeRequirements,
+  assessOutdoorLiving,
+  assessSiteArea,
+  assessAncillaryDwelling,
+  calculateBuildableEnvelope,
+  assessStreetscape,
+  measureVariation,
+  classifyVariation,
+  getWallHeightLimit,
+  getBuildingSeparation,
+} from './rCodesEngine.js';
+import { resolveDwellingTypes, APARTMENT_TYPE_LIBRARY } from './dwellingLibrary.js';
+import {
+  packSiteLayout,
+  setbacksOf,
+  buildSitePlan,
+  buildingSitePlan,
+  rectangleBoundary,
+  rearOfBoundary,
+  withRetainedLot,
+  largestRectangle,
+} from './layoutEngine.js';
+import { calculateFeasibility } from './financialEngine.js';
+
+// The default townhouse types; a request can pick its own from the library
+const DWELLING_TYPES = resolveDwellingTypes();
+
+// What optimizeYield maximises. Each reads the mix's feasibility, so the
+// chosen mix is the best on the same numbers the financial results report.
+// Ties go to the more profitable mix.
+const OBJECTIVES = {
+  profit: { label: 'Maximise profit', measure: feasibility => feasibility.profitability.grossProfit },
+  margin: { label: 'Maximise margin', measure: feasibility => feasibility.profitability.profitMargin },
+  roe: { label: 'Maximise return on equity', measure: feasibility => feasibility.profitability.returnOnEquity },
+  units: { label: 'Maximise dwellings', measure: (feasibility, summary) => summary.totalUnits },
 };
 
-// Determine site layout type based on lot proportions
-function determineSiteLayout(lotWidth, lotDepth) {
+// What the frontier of yield options trades off; more is better on each.
+// A mix is on it when no other passing mix is at least as good on all four.
+const FRONTIER_MEASURES = ['grossProfit', 'profitMargin', 'totalUnits', 'openSpace'];
+
+// How long optimizeYield searches, in milliseconds, before settling for the
+// best mix it has found. Most sites finish well inside it. Callers running
+// several searches for one answer share it out between them with timeBudget.
+const SEARCH_TIME_BUDGET = 3000;
+
+// Determine site layout type from the lot's frontage, falling back to its
+// proportions for a single street frontage
+function determineSiteLayout(lotWidth, lotDepth, frontageType = 'street') {
+  if (frontageType !== 'street') return frontageType;
   const ratio = lotDepth / lotWidth;
   if (ratio > 2.5) return 'battle-axe';
   if (lotWidth > lotDepth * 1.2) return 'wide-frontage';
@@ -41,17 +63,29 @@ function determineSiteLayout(lotWidth, lotDepth) {
 // Calculate common infrastructure area (driveways, access)
 function calculateInfrastructureArea(numDwellings, layout) {
   // Shared driveway: 3.5m wide minimum (6m for two-way)
-  const drivewayWidth = numDwellings > 3 ? 6 : 3.5;
-  const drivewayLength = layout === 'battle-axe' ? 25 : 15;
-  const drivewayArea = drivewayWidth * drivewayLength;
+  let drivewayWidth = numDwellings > 3 ? 6 : 3.5;
+  let drivewayLength = layout === 'battle-axe' ? 25 : 15;
 
   // Turning areas for more than 4 dwellings
-  const turningArea = numDwellings > 4 ? 50 : 0;
+  let turningArea = numDwellings > 4 ? 50 : 0;
+
+  if (layout === 'corner') {
+    // A crossover to each street halves the traffic and lets cars leave forwards
+    drivewayWidth = 3.5;
+    turningArea = 0;
+  } else if (layout === 'laneway') {
+    // Garages open straight off the rear laneway
+    drivewayWidth = 0;
+    drivewayLength = 0;
+    turningArea = 0;
+  }
+  const drivewayArea = drivewayWidth * drivewayLength;
 
   // Common landscaping / pedestrian paths
   const commonLandscaping = numDwellings * 8;
 
   return {
+    drivewayWidth,
     drivewayArea,
     turningArea,
     commonLandscaping,
@@ -59,101 +93,1236 @@ function calculateInfrastructureArea(numDwellings, layout) {
   };
 }
 
-// Main yield optimization function
+// Roof forms. A pitched roof rises to a central ridge and a skillion slopes
+// across the full span, both from the wall plate; a concealed roof sits behind
+// a parapet, so the parapet is the top of the wall and the building.
+const ROOF_FORMS = {
+  pitched: { label: 'Pitched', pitch: 25, ridgeSpan: 0.5, parapet: 0 },
+  skillion: { label: 'Skillion', pitch: 10, ridgeSpan: 1, parapet: 0 },
+  concealed: { label: 'Concealed (parapet)', pitch: 0, ridgeSpan: 0, parapet: 0.9 },
+};
+
+const WINDOW_WIDTH = 1.2;
+
+/**
+ * Wall and building heights in metres above natural ground level.
+ *
+ * The ground floor slab is benched to the middle of the fall across the
+ * building, so the downhill walls stand half that fall taller than on a flat
+ * site, and the heights are taken at that worst point.
+ *
+ * @param {Object} params
+ * @param {number} params.stories
+ * @param {number} params.floorToFloor - Metres from each floor to the one above
+ * @param {number} params.plateHeight - Metres from the top floor to its wall plate
+ * @param {string} params.roofForm - Key of ROOF_FORMS
+ * @param {number} params.roofSpan - Metres the roof spans across
+ * @param {number} [params.groundFall] - Fall in natural ground across the building
+ * @returns {Object} { stories, floorToFloor, plateHeight, roofForm, groundFall, floorLevels, storeyWallHeights, wallHeight, buildingHeight }
+ */
+export function calculateBuildingHeight(params) {
+  const { stories, floorToFloor, plateHeight, roofForm = 'pitched', roofSpan, groundFall = 0 } = params;
+  const roof = ROOF_FORMS[roofForm] || ROOF_FORMS.pitched;
+  const benching = groundFall / 2;
+
+  // Each floor, and the wall each storey stands to, above the low side of the
+  // ground. A lower storey's wall runs up to the floor above it.
+  const floorLevels = Array.from({ length: stories }, (_, i) => benching + i * floorToFloor);
+  const storeyWallHeights = floorLevels.map((level, i) => level + (i < stories - 1 ? floorToFloor : plateHeight));
+  const plate = storeyWallHeights[stories - 1];
+  const rise = roofSpan * roof.ridgeSpan * Math.tan(roof.pitch * Math.PI / 180);
+
+  return {
+    stories,
+    floorToFloor,
+    plateHeight,
+    roofForm: ROOF_FORMS[roofForm] ? roofForm : 'pitched',
+    groundFall,
+    floorLevels,
+    storeyWallHeights,
+    wallHeight: plate + roof.parapet,
+    buildingHeight: plate + roof.parapet + rise,
+  };
+}
+
+const EPSILON = 1e-6;
+
+// Faces of a rectangle towards each boundary: where the face lies across the
+// lot and the span it covers along it
+const FACES = {
+  left: r => ({ at: r.u0, from: r.v0, to: r.v1 }),
+  right: r => ({ at: r.u1, from: r.v0, to: r.v1 }),
+  rear: r => ({ at: r.v1, from: r.u0, to: r.u1 }),
+};
+
+// Whether rectangle o stands between r and the boundary
+const SHIELDS = {
+  left: (o, r) => o.u1 <= r.u0 + EPSILON && o.v0 < r.v1 - EPSILON && o.v1 > r.v0 + EPSILON,
+  right: (o, r) => o.u0 >= r.u1 - EPSILON && o.v0 < r.v1 - EPSILON && o.v1 > r.v0 + EPSILON,
+  rear: (o, r) => o.v0 >= r.v1 - EPSILON && o.u0 < r.u1 - EPSILON && o.u1 > r.u0 + EPSILON,
+};
+
+// The walls of a storey's dwellings that look onto a boundary with no other
+// dwelling in between. Walls that run on from one dwelling to the next along
+// the same line make one wall, set back as far as its nearest part.
+function exposedWalls(standing, boundary) {
+  const rects = standing.map(d => d.building);
+  const faces = standing
+    .filter(d => d.setbacks[boundary] != null && !rects.some(o => o !== d.building && SHIELDS[boundary](o, d.building)))
+    .map(d => ({ ...FACES[boundary](d.building), setback: d.setbacks[boundary] }))
+    .sort((a, b) => a.at - b.at || a.from - b.from);
+
+  const walls = [];
+  for (const face of faces) {
+    const last = walls[walls.length - 1];
+    if (last && Math.abs(last.at - face.at) < EPSILON && face.from <= last.to + EPSILON) {
+      last.to = Math.max(last.to, face.to);
+      last.setback = Math.min(last.setback, face.setback);
+    } else {
+      walls.push({ ...face });
+    }
+  }
+  return walls.map(w => ({ boundary, length: w.to - w.from, setback: w.setback }));
+}
+
+// Indicative upper-floor openings: every dwelling has a bedroom window looking
+// over the driveway, or over its courtyard where another dwelling adjoins it on
+// that side, and the dwelling furthest back also looks over the rear boundary.
+// None are taken as screened, so the privacy check reports any that sit inside
+// their cone-of-vision distance.
+function planUpperOpenings(upper, driveway, floorLevel) {
+  const rects = upper.map(d => d.building);
+  const window = (name, r, facing) => ({
+    name,
+    type: 'window',
+    room: 'bedroom',
+    u: { left: r.u0, right: r.u1 }[facing] ?? (r.u0 + r.u1) / 2,
+    v: facing === 'rear' ? r.v1 : (r.v0 + r.v1) / 2,
+    facing,
+    floorLevel,
+    width: WINDOW_WIDTH,
+  });
+
+  const openings = upper.map(({ name, building }) => {
+    const towardsDriveway = driveway && building.u0 >= driveway.u1 - EPSILON ? 'left' : 'right';
+    const adjoined = rects.some(o => o !== building && SHIELDS[towardsDriveway](o, building));
+    return window(`${name} bedroom`, building, adjoined ? 'rear' : towardsDriveway);
+  });
+  if (upper.length > 0) {
+    const rearmost = upper.reduce((a, b) => (b.building.v1 > a.building.v1 ? b : a));
+    openings.push(window(`${rearmost.name} rear bedroom`, rearmost.building, 'rear'));
+  }
+  return openings;
+}
+
+// Each dwelling the layout places is a building of its own, its upper storeys
+// standing over its ground floor. Setbacks, the massing's walls and the upper
+// openings are all measured from the placed rectangles to the lot boundary.
+// Storey wall heights and floor levels come from the height above natural
+// ground.
+function planBuildings(siteLayout, types, boundarySetbacks, height) {
+  const leftOnStreet = boundarySetbacks.streets.includes('left');
+  const placed = siteLayout.dwellings.map(d => ({
+    ...d,
+    stories: types[d.type].stories,
+    setbacks: setbacksOf(siteLayout.lot, d.building),
+  }));
+
+  const buildings = placed.map(({ name, building, setbacks }) => ({
+    name,
+    width: building.u1 - building.u0,
+    depth: building.v1 - building.v0,
+    setbacks: {
+      // A battle-axe lot has no street frontage to set back from
+      primaryStreet: boundarySetbacks.frontageType === 'battle-axe' ? null : setbacks.front,
+      ...(leftOnStreet ? { secondaryStreet: setbacks.left } : {}),
+      side: leftOnStreet ? setbacks.right : Math.min(setbacks.left, setbacks.right),
+      rear: setbacks.rear,
+    },
+  }));
+
+  const storeys = height.storeyWallHeights.map((wallHeight, level) => {
+    const standing = placed.filter(d => d.stories > level);
+    return {
+      wallHeight,
+      walls: ['left', 'right', 'rear'].flatMap(boundary => exposedWalls(standing, boundary)),
+      footprints: standing.map(d => ({ ...d.building })),
+    };
+  });
+
+  return {
+    buildings,
+    massing: { storeys },
+    openings: height.stories > 1
+      ? planUpperOpenings(placed.filter(d => d.stories > 1), siteLayout.driveway, height.floorLevels[1])
+      : [],
+  };
+}
+
+// Each type sells at the price given for it, or its library default
+function pricedTypes(types, prices) {
+  return Object.fromEntries(Object.entries(types)
+    .map(([key, type]) => [key, { ...type, price: Number(prices?.[key]) || type.defaultPrice }]));
+}
+
+// Scores a summary on the objective by its feasibility at the types' prices,
+// with the profit and margin the frontier trades off. compare ranks two
+// scores, ties going to the more profitable.
+function scoring(types, objective, financial, lotArea) {
+  const target = OBJECTIVES[objective] || OBJECTIVES.profit;
+  const customPrices = Object.fromEntries(Object.entries(types).map(([key, type]) => [key, { mid: type.price }]));
+  const scoreOf = summary => {
+    const feasibility = calculateFeasibility({ landCost: 0, ...financial, lotArea, yield: summary, customPrices });
+    return {
+      value: target.measure(feasibility, summary),
+      profit: feasibility.profitability.grossProfit,
+      margin: feasibility.profitability.profitMargin,
+    };
+  };
+  const compare = (a, b) => (a.value - b.value) || (a.profit - b.profit);
+  return { target, scoreOf, compare };
+}
+
+// Main yield optimization function. dwellingType 'multiple' plans apartments
+// in one building in place of grouped townhouses.
 export function optimizeYield(params) {
   const {
     lotArea,
     lotWidth,
     lotDepth,
     rCode,
+    frontageType,
+    ruleSet,
+    assessmentDate,
+    lga,
+    tolerances,
+    terrain,
+    roofForm,
+    dwellingTypes,
+    lotBoundary,
+    prices,
+    objective = 'profit',
+    financial = {},
+    mix: chosenMix,
+    timeBudget = SEARCH_TIME_BUDGET,
+    retainedDwelling,
+    nearTransit = false,
+    dwellingType = 'grouped',
   } = params;
 
-  const rules = getRCodeRules(rCode);
+  const rules = getRCodeRules(rCode, { ruleSet, assessmentDate, lga });
   if (!rules) return null;
+  if (retainedDwelling) return optimizeBehindRetained(params, rules);
+  if (dwellingType === 'multiple') return optimizeApartments(params, rules);
 
-  const layout = determineSiteLayout(lotWidth, lotDepth);
-  const envelope = calculateBuildableEnvelope(lotWidth, lotDepth, rCode);
+  const types = pricedTypes(resolveDwellingTypes(dwellingTypes), prices);
+  const { target, scoreOf, compare } = scoring(types, objective, financial, lotArea);
+  const layout = determineSiteLayout(lotWidth, lotDepth, frontageType);
+  const envelope = calculateBuildableEnvelope(lotWidth, lotDepth, rCode, { ruleSet: rules.ruleSet, lga: rules.lga, frontageType });
+  const options = { tolerances, terrain, roofForm, types, lotBoundary, nearTransit };
 
-  // Calculate the maximum number of dwellings by trying different counts
-  let bestResult = null;
-
-  for (let totalUnits = 1; totalUnits <= 20; totalUnits++) {
-    // Try various mixes
-    const mixes = generateMixes(totalUnits, lotWidth, rules);
+  // Search the mixes for the best on the objective, and the frontier of
+  // options trading profit, margin, dwellings and open space
+  const search = searchMixes({
+    types,
+    lotArea,
+    limitsFor: totalUnits => mixLimits(totalUnits, lotArea, rules, layout, tolerances),
+    summarise: mix => summariseMix(mix, types, lotArea, rules, layout, { nearTransit }),
+    scoreOf,
+    compare,
+    evaluate: mix => evaluateMix(mix, lotArea, lotWidth, lotDepth, rules, layout, envelope, options),
+    timeBudget,
+  });
+  let bestResult = search.best;
+  let bestScore = search.bestScore;
 
-    for (const mix of mixes) {
-      const result = evaluateMix(mix, lotArea, lotWidth, lotDepth, rules, layout, envelope);
-      if (result.compliant) {
-        // Score by estimated revenue (higher value mixes preferred), then by unit count
-        const score = result.estimatedRevenue;
-        const bestScore = bestResult ? bestResult.estimatedRevenue : 0;
-        if (!bestResult || score > bestScore) {
-          bestResult = result;
-        }
-      }
-    }
+  if (!bestResult) {
+    // Fallback: at least 1 unit of the smallest type should be possible on most lots
+    const smallest = Object.keys(types)
+      .filter(key => !types[key].ancillary)
+      .reduce((a, b) => (types[b].groundFloorArea < types[a].groundFloorArea ? b : a));
+    bestResult = evaluateMix(
+      Object.fromEntries(Object.keys(types).map(key => [key, key === smallest ? 1 : 0])),
+      lotArea, lotWidth, lotDepth, rules, layout, envelope, options
+    );
+    bestScore = scoreOf(bestResult);
   }
 
-  if (!bestResult) {
-    // Fallback: at least 1 unit should be possible on most lots
+  // A mix picked by hand, usually from the frontier, is reported in place of
+  // the optimiser's choice whether or not it passes
+  if (chosenMix) {
     bestResult = evaluateMix(
-      { '2bed': 1, '3bed': 0, '4bed': 0 },
-      lotArea, lotWidth, lotDepth, rules, layout, envelope
+      Object.fromEntries(Object.keys(types).map(key => [key, Number(chosenMix[key]) || 0])),
+      lotArea, lotWidth, lotDepth, rules, layout, envelope, options
     );
+    bestScore = scoreOf(bestResult);
   }
+  const sameMix = mix => Object.keys(types).every(key => mix[key] === bestResult.mix[key]);
 
+  const labels = Object.fromEntries(Object.entries(types).map(([key, type]) => [key, type.label]));
   return {
     ...bestResult,
     layout,
     layoutDescription: getLayoutDescription(layout, bestResult),
+    sitePlan: buildSitePlan(bestResult.siteLayout, labels, bestResult.parkingProvision.visitorBays),
+    objective: { key: OBJECTIVES[objective] ? objective : 'profit', label: target.label, value: bestScore.value },
+    chosenMix: Boolean(chosenMix),
+    search: { complete: search.complete, evaluated: search.evaluated },
+    frontier: search.frontier
+      .sort((a, b) => (a.totalUnits - b.totalUnits) || (b.grossProfit - a.grossProfit))
+      .map(point => ({ ...point, selected: sameMix(point.mix) })),
     rCode,
     rules,
   };
 }
 
-function generateMixes(totalUnits, lotWidth, rules) {
-  const mixes = [];
+// Keep the front, build behind: the existing house stays on a lot of its own
+// across the front of the site, retainedDwelling.lotArea in size, and the new
+// dwellings go on the lot behind it. That lot is reached down the side of the
+// house as a battle-axe, or still off the laneway where there is one. The
+// battle-axe's access leg belongs to the lot behind, so it comes out of the
+// retained lot.
+function optimizeBehindRetained(params, rules) {
+  const { lotArea, lotWidth, lotDepth, frontageType, tolerances, lotBoundary, retainedDwelling } = params;
+  const retainedArea = Number(retainedDwelling.lotArea);
+  const depth = retainedArea / lotWidth;
+  const developedLot = { lotArea: lotArea - retainedArea, lotWidth, lotDepth: lotDepth - depth };
+  const rear = optimizeYield({
+    ...params,
+    ...developedLot,
+    frontageType: frontageType === 'laneway' ? 'laneway' : 'battle-axe',
+    lotBoundary: lotBoundary && rearOfBoundary(lotBoundary, depth),
+    retainedDwelling: undefined,
+  });
+
+  // The retained lot, less the access leg beside the house, has to meet the
+  // minimum site area on its own
+  const accessLegArea = rear.infrastructure.drivewayWidth * depth;
+  const retainedLotArea = retainedArea - accessLegArea;
+  const variation = measureVariation(retainedLotArea, rules.minLotSize, 'min');
+  const status = classifyVariation('siteArea', variation, tolerances);
+  return {
+    ...rear,
+    compliant: rear.compliant && status === 'compliant',
+    withinTolerance: rear.withinTolerance && status !== 'non-compliant',
+    sitePlan: withRetainedLot(rear.sitePlan, lotBoundary || rectangleBoundary(lotWidth, lotDepth), depth),
+    retainedDwelling: {
+      lotArea: retainedLotArea,
+      lotDepth: depth,
+      accessLegArea,
+      value: Number(retainedDwelling.value) || 0,
+      minLotSize: rules.minLotSize,
+      status,
+      developedLot,
+    },
+  };
+}
+
+// Multiple dwellings: apartments stacked storey by storey in one building,
+// concrete framed under a concealed roof. Each core holds a stair, and a lift
+// once the building reaches liftFromStoreys or has a basement to get down to;
+// a core serves up to corePlateArea m² of floor plate. Of each storey's plate
+// outside the cores, efficiency is saleable inside the apartments, the rest
+// corridors, walls and services. A car bay takes bayArea m² with its aisle,
+// and each parking level gives rampArea m² to the ramp. The driveway is
+// drivewayWidth wide so cars can pass on the ramp.
+const APARTMENT_MASSING = {
+  floorToFloor: 3,
+  plateHeight: 2.9,
+  roofForm: 'concealed',
+  stairArea: 20,
+  liftArea: 12,
+  liftFromStoreys: 3,
+  corePlateArea: 700,
+  efficiency: 0.85,
+  bayArea: 30,
+  rampArea: 60,
+  maxBasementLevels: 3,
+  drivewayWidth: 6,
+};
+
+// Where an apartment building parks its cars: levels below ground, or the
+// lowest storeys of the building itself
+const PARKING_FORMS = ['basement', 'podium'];
+
+// Apartment mixes are shares of each storey's apartments by type, in tenths
+const SHARE_STEPS = 10;
 
-  // Heuristic: allocate based on lot width and code density
-  for (let fourBed = 0; fourBed <= Math.min(totalUnits, Math.floor(totalUnits * 0.3)); fourBed++) {
-    for (let threeBed = 0; threeBed <= totalUnits - fourBed; threeBed++) {
-      const twoBed = totalUnits - fourBed - threeBed;
-      mixes.push({ '2bed': twoBed, '3bed': threeBed, '4bed': fourBed });
+// Every split of SHARE_STEPS across the types, the type with the most
+// bedrooms held to 30% as in the townhouse mixes
+function apartmentShares(types) {
+  const keys = Object.keys(types);
+  const largest = keys.reduce((a, b) => (types[b].bedrooms > types[a].bedrooms ? b : a));
+  const shares = [];
+  const split = (i, left, share) => {
+    if (i === keys.length - 1) {
+      shares.push({ ...share, [keys[i]]: left });
+      return;
     }
+    for (let n = 0; n <= left; n++) split(i + 1, left - n, { ...share, [keys[i]]: n });
+  };
+  split(0, SHARE_STEPS, {});
+  return shares.filter(share => share[largest] <= SHARE_STEPS * 0.3);
+}
+
+// Apartments on a storey with area m² to sell, split by type as near the
+// shares as whole apartments allow. What's left takes whichever shared type
+// still fits and is furthest below its share.
+function fillStorey(area, shares, types) {
+  const keys = Object.keys(types);
+  const average = keys.reduce((sum, key) => sum + shares[key] * types[key].internalArea, 0) / SHARE_STEPS;
+  const whole = Math.floor(area / average);
+  const counts = Object.fromEntries(keys.map(key => [key, Math.floor(shares[key] * whole / SHARE_STEPS)]));
+  let left = area - keys.reduce((sum, key) => sum + counts[key] * types[key].internalArea, 0);
+  for (;;) {
+    const total = keys.reduce((sum, key) => sum + counts[key], 0) + 1;
+    const below = key => shares[key] * total / SHARE_STEPS - counts[key];
+    const fitting = keys.filter(key => shares[key] > 0 && types[key].internalArea <= left + 1e-9);
+    if (fitting.length === 0) break;
+    const next = fitting.reduce((a, b) => (below(b) > below(a) ? b : a));
+    counts[next]++;
+    left -= types[next].internalArea;
   }
+  return counts;
+}
 
-  return mixes;
+// Setback each storey of the building needs from a boundary: the building
+// separation from neighbouring lots, with the rear setback as a floor, or the
+// flat setback to a street or laneway. Apartments look out front and back,
+// so only the rear wall has major openings.
+function apartmentSetback(rules, boundarySetbacks, storey, boundary) {
+  const { streets, laneway } = boundarySetbacks;
+  if (streets.includes(boundary) || (laneway && boundary === 'rear')) return boundarySetbacks[boundary];
+  const separation = getBuildingSeparation(rules, storey, boundary, boundary === 'rear');
+  return boundary === 'rear' ? Math.max(separation, rules.setbacks.rear) : separation;
 }
 
-function evaluateMix(mix, lotArea, lotWidth, lotDepth, rules, layout, envelope) {
-  const totalUnits = mix['2bed'] + mix['3bed'] + mix['4bed'];
-  if (totalUnits === 0) return { compliant: false, totalUnits: 0, estimatedRevenue: 0 };
+// Each storey's largest plate, from the ground up to mostStoreys or the first
+// that won't fit: a rectangle inside the lot boundary less the street setback
+// and the storey's separation, never past the storey below, the ground floor
+// within site coverage and open space once the driveway across the street
+// setback is taken out. Returns { plates, infrastructure }.
+function apartmentPlates(mostStoreys, lotArea, boundary, rules, envelope, tolerances = {}) {
+  const band = provision => tolerances?.[provision] || 0;
+  const { boundarySetbacks } = envelope;
+  const { front } = boundarySetbacks;
+
+  // The driveway crosses the street setback into the car park
+  const drivewayArea = APARTMENT_MASSING.drivewayWidth * front;
+  const infrastructure = {
+    drivewayWidth: APARTMENT_MASSING.drivewayWidth,
+    drivewayArea,
+    turningArea: 0,
+    commonLandscaping: 0,
+    totalInfraArea: drivewayArea,
+  };
+  const maxFootprint = Math.min(
+    lotArea * rules.maxSiteCoverage * (1 + band('siteCoverage')),
+    lotArea * (1 - rules.minOpenSpace * (1 - band('openSpace'))),
+  ) - drivewayArea;
+
+  const plates = [];
+  for (let storey = 1; storey <= mostStoreys; storey++) {
+    const below = plates[plates.length - 1];
+    const setbacks = Object.fromEntries(['left', 'right', 'rear']
+      .map(boundary => [boundary, apartmentSetback(rules, boundarySetbacks, storey, boundary)]));
+    const rect = largestRectangle(boundary, { ...setbacks, front }, below
+      ? { within: below }
+      : { maxArea: Math.max(0, maxFootprint) });
+    if (!rect) break;
+    const width = rect.u1 - rect.u0;
+    const depth = rect.v1 - rect.v0;
+    if (width <= 0 || depth <= 0) break;
+    plates.push({ storey, ...rect, width, depth, area: width * depth });
+  }
+  return { plates, infrastructure };
+}
+
+// Plan one apartment building on the first `stories` of the plates and score
+// its compliance. With podium parking the lowest storeys hold the cars, as few
+// as fit them; otherwise the building sits over basement levels. shares splits
+// each storey's apartments by type. Whatever is over the plot ratio comes off
+// the top, each storey cut short from the rear.
+// options: { boundary, tolerances, terrain, roofForm }
+function planApartments(stories, site, parkingForm, shares, types, lotArea, lotWidth, lotDepth, rules, envelope, options = {}) {
+  const { boundary, tolerances = {}, terrain, roofForm } = options;
+  const band = provision => tolerances?.[provision] || 0;
+  const { boundarySetbacks } = envelope;
+  const { front } = boundarySetbacks;
+  const massingRules = APARTMENT_MASSING;
+  const podium = parkingForm === 'podium';
+  if ((podium && stories < 2) || site.plates.length < stories) return null;
+
+  const { infrastructure } = site;
+  const { drivewayArea } = infrastructure;
+  const plates = site.plates.slice(0, stories);
+  const [ground] = plates;
+
+  const cores = Math.max(1, Math.ceil(ground.area / massingRules.corePlateArea));
+  const hasLift = stories >= massingRules.liftFromStoreys || !podium;
+  const coreArea = cores * (massingRules.stairArea + (hasLift ? massingRules.liftArea : 0));
+  const smallest = Math.min(...Object.values(types).map(type => type.internalArea));
+  const landscapeFor = units => calculateLandscapeRequirements(lotArea, units, rules.label, {
+    ruleSet: rules.ruleSet,
+    lga: rules.lga,
+  });
+  const parkingFor = units => calculateParkingRequirements(units, rules.label, { ruleSet: rules.ruleSet, lga: rules.lga });
+  const bayCapacity = plateArea => Math.max(0, Math.floor((plateArea - coreArea - massingRules.rampArea) / massingRules.bayArea));
+  const maxPlotRatioArea = lotArea * rules.maxPlotRatio * (1 + band('plotRatio'));
+
+  // Storeys above the podium take apartments until the plot ratio runs out.
+  // Parking at ground level isn't plot ratio area; a podium storey above it is.
+  const stack = podiumLevels => {
+    let plotRatioArea = 0;
+    const planned = [];
+    for (const plate of plates) {
+      const parking = plate.storey <= podiumLevels;
+      const usable = plate.area - coreArea;
+      if (parking) {
+        if (plate.storey > 1) plotRatioArea += usable;
+        planned.push({ ...plate, use: 'parking', coreArea, plotRatioArea: plate.storey > 1 ? usable : 0, netSaleableArea: 0, mix: null, units: 0 });
+        continue;
+      }
+      const area = Math.min(usable, maxPlotRatioArea - plotRatioArea);
+      const netSaleableArea = area * massingRules.efficiency;
+      if (netSaleableArea < smallest) break;
+      const mix = fillStorey(netSaleableArea, shares, types);
+      const units = Object.values(mix).reduce((sum, n) => sum + n, 0);
+      if (units === 0) break;
+      plotRatioArea += area;
+      const depth = (area + coreArea) / plate.width;
+      planned.push({
+        ...plate,
+        depth,
+        v1: plate.v0 + depth,
+        area: area + coreArea,
+        use: 'apartments',
+        coreArea,
+        plotRatioArea: area,
+        netSaleableArea,
+        mix,
+        units,
+      });
+    }
+    return planned;
+  };
+
+  let planned;
+  let parking;
+  let parkingLevels;
+  let baysProvided;
+  let basementArea = 0;
+  if (podium) {
+    // As few podium storeys as hold every bay, else as many as leave a storey
+    // of apartments over them
+    for (let levels = 1; levels < stories; levels++) {
+      planned = stack(levels);
+      const units = planned.reduce((sum, p) => sum + p.units, 0);
+      parking = parkingFor(units);
+      parkingLevels = levels;
+      baysProvided = Math.min(parking.totalBays, bayCapacity(ground.area) * levels);
+      if (baysProvided >= parking.totalBays) break;
+    }
+  } else {
+    planned = stack(0);
+    const units = planned.reduce((sum, p) => sum + p.units, 0);
+    parking = parkingFor(units);
+    // The basement runs under everything but the deep soil and the entry path
+    basementArea = Math.max(ground.area, lotArea - landscapeFor(units).deepSoilArea - front * 1.5);
+    const perLevel = bayCapacity(basementArea);
+    parkingLevels = perLevel > 0
+      ? Math.min(massingRules.maxBasementLevels, Math.ceil(parking.totalBays / perLevel))
+      : 0;
+    baysProvided = Math.min(parking.totalBays, perLevel * parkingLevels);
+  }
+  const apartmentStoreys = planned.filter(p => p.use === 'apartments');
+  if (apartmentStoreys.length === 0) return null;
+  // How far each storey, as built, stands from every boundary
+  const setbacks = planned.map(p => setbacksOf(boundary, p));
+
+  const mix = Object.fromEntries(Object.keys(types).map(key => [key, apartmentStoreys.reduce((sum, p) => sum + p.mix[key], 0)]));
+  const totalUnits = apartmentStoreys.reduce((sum, p) => sum + p.units, 0);
+  const plotRatioArea = planned.reduce((sum, p) => sum + p.plotRatioArea, 0);
+  const netSaleableArea = apartmentStoreys.reduce((sum, p) => sum + p.netSaleableArea, 0);
+  const grossBuildingArea = apartmentStoreys.reduce((sum, p) => sum + p.area, 0);
+  const estimatedRevenue = Object.entries(types).reduce((sum, [key, type]) => sum + mix[key] * type.price, 0);
+
+  // Open space is what the building and driveway leave; deep soil is the
+  // part of it clear of the basement and the entry path
+  const totalFootprint = planned[0].area;
+  const totalCoverage = totalFootprint + drivewayArea;
+  const openSpace = lotArea - totalCoverage;
+  const landscape = landscapeFor(totalUnits);
+  const deepSoilArea = Math.max(0, lotArea - Math.max(totalCoverage, basementArea) - front * 1.5);
+  const treesProvided = Math.min(landscape.trees, Math.floor(deepSoilArea / landscape.deepSoilPerTree));
+
+  const height = calculateBuildingHeight({
+    stories: planned.length,
+    floorToFloor: massingRules.floorToFloor,
+    plateHeight: massingRules.plateHeight,
+    roofForm: roofForm || massingRules.roofForm,
+    roofSpan: ground.width,
+    groundFall: fallAcross(terrain, lotDepth, ground.depth),
+  });
+  const massing = {
+    multipleDwelling: true,
+    storeys: planned.map((p, i) => ({
+      wallHeight: height.storeyWallHeights[i],
+      walls: [
+        { boundary: 'left', length: p.depth, setback: setbacks[i].left },
+        { boundary: 'right', length: p.depth, setback: setbacks[i].right },
+        { boundary: 'rear', length: p.width, setback: setbacks[i].rear, majorOpenings: p.use === 'apartments' },
+      ],
+    })),
+  };
+  const wallEnvelope = calculateBuildableEnvelope(lotWidth, lotDepth, rules.label, {
+    ruleSet: rules.ruleSet,
+    lga: rules.lga,
+    frontageType: envelope.frontageType,
+    massing,
+  });
+  const leftOnStreet = boundarySetbacks.streets.includes('left');
+  const building = {
+    name: 'Apartment building',
+    width: ground.width,
+    depth: ground.depth,
+    setbacks: {
+      primaryStreet: boundarySetbacks.frontageType === 'battle-axe' ? null : front,
+      ...(leftOnStreet ? { secondaryStreet: setbacks[0].left } : {}),
+      side: leftOnStreet ? setbacks[0].right : Math.min(setbacks[0].left, setbacks[0].right),
+      rear: Math.min(...setbacks.map(s => s.rear)),
+    },
+  };
+
+  const plotRatio = plotRatioArea / lotArea;
+  const siteCoverageRatio = totalCoverage / lotArea;
+  const openSpaceRatio = openSpace / lotArea;
+  const maxWallHeight = getWallHeightLimit(rules, height.roofForm);
+  const compliance = {
+    plotRatio: plotRatio <= rules.maxPlotRatio + 1e-9,
+    siteCoverage: siteCoverageRatio <= rules.maxSiteCoverage + 1e-9,
+    openSpace: openSpaceRatio >= rules.minOpenSpace - 1e-9,
+    height: height.stories <= rules.maxStories &&
+      height.wallHeight <= maxWallHeight + 1e-9 &&
+      height.buildingHeight <= rules.maxBuildingHeight + 1e-9,
+    envelope: true,
+    parking: baysProvided >= parking.totalBays,
+    setbacks: wallEnvelope.walls.every(w => w.compliant),
+    deepSoil: deepSoilArea >= landscape.deepSoilArea - 1e-6,
+    trees: treesProvided >= landscape.trees,
+  };
+  const compliant = Object.values(compliance).every(Boolean);
+
+  // How far each provision misses its limit, for the design-principles pathway
+  const variations = {
+    plotRatio: measureVariation(plotRatio, rules.maxPlotRatio),
+    siteCoverage: measureVariation(siteCoverageRatio, rules.maxSiteCoverage),
+    openSpace: measureVariation(openSpaceRatio, rules.minOpenSpace, 'min'),
+    height: Math.max(
+      measureVariation(height.stories, rules.maxStories),
+      measureVariation(height.wallHeight, maxWallHeight),
+      measureVariation(height.buildingHeight, rules.maxBuildingHeight),
+    ),
+    parking: measureVariation(baysProvided, parking.totalBays, 'min'),
+    setbacks: Math.max(0, ...wallEnvelope.walls
+      .filter(w => w.proposedSetback != null)
+      .map(w => measureVariation(w.proposedSetback, w.requiredSetback, 'min'))),
+    deepSoil: measureVariation(deepSoilArea, landscape.deepSoilArea, 'min'),
+    trees: measureVariation(treesProvided, landscape.trees, 'min'),
+  };
+  const statuses = Object.entries(variations)
+    .map(([provision, variation]) => [provision, classifyVariation(provision, variation, tolerances)]);
+  const withinTolerance = statuses.every(([, status]) => status !== 'non-compliant');
+  const designPrinciples = statuses
+    .filter(([, status]) => status === 'design-principles')
+    .map(([provision]) => ({ provision, variation: variations[provision], tolerance: tolerances[provision] }));
+
+  const basementLevels = podium ? 0 : parkingLevels;
+  return {
+    mix,
+    totalUnits,
+    totalGFA: plotRatioArea,
+    totalFootprint,
+    estimatedRevenue,
+    infrastructure,
+    parking,
+    parkingProvision: {
+      garageBays: 0,
+      hardstandBays: 0,
+      visitorBays: parking.visitorBays,
+      totalBays: baysProvided,
+    },
+    buildings: [building],
+    height,
+    massing,
+    openings: [],
+    totalCoverage,
+    openSpace,
+    landscape,
+    deepSoilArea,
+    treesProvided,
+    outdoorLiving: null,
+    streetscape: null,
+    siteLayout: null,
+    lots: null,
+    commonPropertyArea: null,
+    siteArea: null,
+    ancillary: null,
+    plotRatio,
+    siteCoverageRatio,
+    openSpaceRatio,
+    compliant,
+    withinTolerance,
+    requiresDesignPrinciples: withinTolerance && designPrinciples.length > 0,
+    designPrinciples,
+    compliance,
+    dwellingDetails: Object.entries(types).filter(([key]) => mix[key] > 0).map(([key, type]) => ({
+      key,
+      type: type.label,
+      bedrooms: type.bedrooms,
+      quantity: mix[key],
+      avgSize: type.internalArea,
+      totalGFA: mix[key] * type.internalArea,
+      defaultPrice: type.defaultPrice,
+    })),
+    apartments: {
+      shares: Object.fromEntries(Object.keys(types).map(key => [key, shares[key] / SHARE_STEPS])),
+      storeys: planned.map((p, i) => ({
+        storey: p.storey,
+        use: p.use,
+        plateArea: p.area,
+        coreArea: p.coreArea,
+        plotRatioArea: p.plotRatioArea,
+        netSaleableArea: p.netSaleableArea,
+        mix: p.mix,
+        units: p.units,
+        setbacks: { left: setbacks[i].left, right: setbacks[i].right, rear: setbacks[i].rear },
+      })),
+      grossBuildingArea,
+      netSaleableArea,
+      plotRatioArea,
+      efficiency: grossBuildingArea > 0 ? netSaleableArea / grossBuildingArea : 0,
+      cores,
+      lifts: hasLift ? cores : 0,
+      // Each lift stops at every storey and basement level
+      liftStops: planned.length + basementLevels,
+      parking: {
+        form: parkingForm,
+        levels: parkingLevels,
+        bays: baysProvided,
+        basementArea,
+      },
+      footprint: { u0: ground.u0, u1: ground.u1, v0: ground.v0, v1: ground.v1 },
+    },
+  };
+}
+
+// Multiple dwellings: every apartment building the code allows, from one
+// storey to its limit, with each parking form unless one was asked for and
+// each split of the apartment types, lowest first. There are few enough to
+// try them all within the time budget on most sites; past it, the best found
+// so far stands. The best passing building on the objective is reported, with
+// the frontier of the options that pass.
+function optimizeApartments(params, rules) {
+  const {
+    lotArea,
+    lotWidth,
+    lotDepth,
+    rCode,
+    frontageType,
+    tolerances,
+    terrain,
+    roofForm,
+    lotBoundary,
+    prices,
+    objective = 'profit',
+    financial = {},
+    mix: chosenMix,
+    apartmentParking,
+    timeBudget = SEARCH_TIME_BUDGET,
+  } = params;
+
+  const types = pricedTypes(APARTMENT_TYPE_LIBRARY, prices);
+  const { target, scoreOf, compare } = scoring(types, objective, financial, lotArea);
+  const layout = determineSiteLayout(lotWidth, lotDepth, frontageType);
+  const envelope = calculateBuildableEnvelope(lotWidth, lotDepth, rCode, { ruleSet: rules.ruleSet, lga: rules.lga, frontageType });
+  const boundary = lotBoundary || rectangleBoundary(lotWidth, lotDepth);
+  const options = { boundary, tolerances, terrain, roofForm };
+  const mostStoreys = Math.floor(rules.maxStories * (1 + (tolerances?.height || 0)) + 1e-9);
+  const site = apartmentPlates(mostStoreys, lotArea, boundary, rules, envelope, tolerances);
+  const parkingForms = PARKING_FORMS.includes(apartmentParking) ? [apartmentParking] : PARKING_FORMS;
+  const shareOptions = apartmentShares(types);
+  const buildings = Array.from({ length: mostStoreys }, (_, i) => i + 1).flatMap(stories =>
+    parkingForms.flatMap(parkingForm => shareOptions.map(shares => ({ stories, parkingForm, shares }))));
+  const deadline = Date.now() + timeBudget;
+
+  let best = null;
+  let bestScore = null;
+  // The highest scoring building, passing or not, in case none passes
+  let fallback = null;
+  let chosen = null;
+  let frontier = [];
+  let evaluated = 0;
+  let complete = true;
+  const sameMix = (a, b) => Object.keys(types).every(key => a[key] === (Number(b[key]) || 0));
+  for (const { stories, parkingForm, shares } of buildings) {
+    // Something is always planned before the budget can stop the search
+    if (fallback && Date.now() > deadline) {
+      complete = false;
+      break;
+    }
+    const result = planApartments(
+      stories, site, parkingForm, shares, types, lotArea, lotWidth, lotDepth, rules, envelope, options
+    );
+    if (!result) continue;
+    evaluated++;
+    const score = scoreOf(result);
+    const candidate = { result, score };
+    if (!fallback || compare(score, fallback.score) > 0) fallback = candidate;
+    if (chosenMix && sameMix(result.mix, chosenMix) && (!chosen || compare(score, chosen.score) > 0)) {
+      chosen = candidate;
+    }
+    if (!result.compliant && !result.withinTolerance) continue;
+
+    const point = frontierPoint(result.mix, result, score);
+    if (!frontier.some(other => covers(other, point))) {
+      frontier = frontier.filter(other => !covers(point, other));
+      frontier.push({ ...point, compliant: result.compliant });
+    }
+    // On an equal score a deemed-to-comply building beats one needing variations
+    const order = bestScore ? compare(score, bestScore) : 1;
+    if (order > 0 || (order === 0 && result.compliant && !best.compliant)) {
+      best = result;
+      bestScore = score;
+    }
+  }
+  if (!fallback) return null;
+
+  // A mix picked by hand is reported as the best building that gives it
+  const picked = chosen || (best ? { result: best, score: bestScore } : fallback);
+  const result = picked.result;
+  const labels = Object.fromEntries(Object.entries(types).map(([key, type]) => [key, type.label]));
+  return {
+    ...result,
+    dwellingType: 'multiple',
+    layout,
+    layoutDescription: getApartmentDescription(result, labels),
+    sitePlan: buildingSitePlan({
+      lotWidth,
+      lotDepth,
+      boundary: lotBoundary,
+      setbacks: envelope.boundarySetbacks,
+      footprint: result.apartments.footprint,
+      label: `${result.height.stories}-storey apartments`,
+      drivewayWidth: result.infrastructure.drivewayWidth,
+    }),
+    objective: { key: OBJECTIVES[objective] ? objective : 'profit', label: target.label, value: picked.score.value },
+    chosenMix: Boolean(chosen),
+    search: { complete, evaluated },
+    frontier: frontier
+      .sort((a, b) => (a.totalUnits - b.totalUnits) || (b.grossProfit - a.grossProfit))
+      .map(point => ({ ...point, selected: sameMix(point.mix, result.mix) })),
+    rCode,
+    rules,
+  };
+}
+
+function getApartmentDescription(result, labels) {
+  const { totalUnits, mix, height, apartments } = result;
+  const { parking, cores, lifts } = apartments;
+  const types = Object.entries(mix)
+    .filter(([, count]) => count > 0)
+    .map(([key, count]) => `${count} × ${labels[key]}`)
+    .join(', ');
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const parked = parking.form === 'podium'
+    ? `${plural(parking.levels, 'podium level')} of parking at the base of the building`
+    : `${plural(parking.levels, 'basement level')} of parking`;
+  return `${height.stories}-storey apartment building of ${totalUnits} apartments (${types}) over ${parked}. ` +
+    `${plural(cores, 'core')}${lifts > 0 ? ` with ${plural(lifts, 'lift')}` : ', stairs only,'} serve the floors, ` +
+    'each storey set back from the neighbouring lots by the separation its height needs.';
+}
+
+// Ceilings a mix of totalUnits must stay under to have any chance of passing,
+// tolerance bands included: gross floor area against plot ratio, and footprint
+// against site coverage and open space once the common infrastructure is
+// taken out. maxUnits comes from the average site area per dwelling.
+function mixLimits(totalUnits, lotArea, rules, layout, tolerances = {}) {
+  const band = provision => tolerances?.[provision] || 0;
+  const slack = 1e-6;
+  const infra = calculateInfrastructureArea(totalUnits, layout);
+  const maxCoverage = Math.min(
+    lotArea * rules.maxSiteCoverage * (1 + band('siteCoverage')),
+    lotArea * (1 - rules.minOpenSpace * (1 - band('openSpace'))),
+  );
+  return {
+    maxUnits: lotArea / (rules.avgLotSize * (1 - band('siteArea'))) + slack,
+    maxGFA: lotArea * rules.maxPlotRatio * (1 + band('plotRatio')) + slack,
+    maxFootprint: maxCoverage - infra.totalInfraArea + slack,
+  };
+}
+
+// A scheme builds at most this many different dwelling types
+const MAX_TYPES_PER_MIX = 3;
+
+// Best-first branch and bound over every split of a dwelling count across the
+// types, within the limits. A node fixes the counts of the later types and
+// leaves its remaining dwellings to the earlier ones, the first type taking
+// whatever is left. The largest type (most bedrooms, then floor area) is
+// capped at 30% of the mix.
+//
+// For a given count, profit is linear in the mix bar parking overflow and
+// landscaping, which only bend it upwards, and margin and return on equity
+// are ratios of such terms. Each peaks with all of a node's remaining
+// dwellings given to one type, so the best of those completions bounds the
+// node. Nodes come off the queue best bound first and are dropped once they
+// can neither beat the best mix found nor join the frontier, so a search
+// that empties the queue has found the optimum. Otherwise the time budget
+// ran out first and the best found so far stands.
+//
+// Ancillary types stay out of the splits: each only goes with a single house,
+// so every house type paired with each ancillary type is queued whole.
+function searchMixes({ types, lotArea, limitsFor, summarise, scoreOf, compare, evaluate, timeBudget }) {
+  const keys = Object.keys(types).filter(key => !types[key].ancillary);
+  const ancillaryKeys = Object.keys(types).filter(key => types[key].ancillary);
+  const deadline = Date.now() + timeBudget;
+  const size = key => [types[key].bedrooms, types[key].totalBuildArea];
+  const largest = keys.length > 1
+    ? keys.reduce((a, b) => {
+      const [bedsA, areaA] = size(a);
+      const [bedsB, areaB] = size(b);
+      return bedsB > bedsA || (bedsB === bedsA && areaB > areaA) ? b : a;
+    })
+    : null;
+  // Over the types still to fill, keys[0] to keys[i]
+  const least = (field, i) => Math.min(...keys.slice(0, i + 1).map(key => types[key][field]));
+  const mixOf = counts => Object.fromEntries(Object.keys(types).map(key => [key, counts[key] || 0]));
+  // Whether the lightest mix of totalUnits stays within the code's limits
+  const withinLimits = totalUnits => {
+    const limits = limitsFor(totalUnits);
+    return totalUnits <= limits.maxUnits &&
+      totalUnits * least('totalBuildArea', keys.length - 1) <= limits.maxGFA &&
+      totalUnits * least('groundFloorArea', keys.length - 1) <= limits.maxFootprint;
+  };
+
+  // Best score first; on a tie a whole mix comes off before a node that
+  // only might hold one
+  const queue = createQueue((a, b) => {
+    const order = compare(a.score, b.score);
+    return order > 0 || (order === 0 && Boolean(a.mix) && !b.mix);
+  });
+
+  const addMix = mix => {
+    const summary = summarise(mix);
+    const score = scoreOf(summary);
+    queue.push({ mix, score, point: frontierPoint(mix, summary, score) });
+  };
+
+  // Queues a node, or the whole mix once only the first type is left,
+  // unless even the smallest types can't finish it within limits
+  const add = node => {
+    const { totalUnits, limits, i, remaining, counts, gfa, footprint, distinct } = node;
+    const minFootprint = least('groundFloorArea', i);
+    if (gfa + remaining * least('totalBuildArea', i) > limits.maxGFA ||
+      footprint + remaining * minFootprint > limits.maxFootprint) return;
+    if (remaining > 0 && distinct >= MAX_TYPES_PER_MIX) return;
+
+    if (i === 0) {
+      addMix(mixOf({ ...counts, [keys[0]]: remaining }));
+      return;
+    }
+
+    const summaries = keys.slice(0, i + 1).map(key => summarise(mixOf({ ...counts, [key]: remaining })));
+    const scores = summaries.map(scoreOf);
+    queue.push({
+      ...node,
+      score: scores.reduce((a, b) => (compare(b, a) > 0 ? b : a)),
+      point: {
+        totalUnits,
+        grossProfit: Math.max(...scores.map(score => score.profit)),
+        profitMargin: Math.max(...scores.map(score => score.margin)),
+        // At most what the smallest footprints leave open
+        openSpace: lotArea - footprint - remaining * minFootprint - summaries[0].infrastructure.totalInfraArea,
+      },
+    });
+  };
+
+  const expand = ({ totalUnits, limits, i, remaining, counts, gfa, footprint, distinct }) => {
+    const type = types[keys[i]];
+    const cap = keys[i] === largest ? Math.floor(totalUnits * 0.3) : remaining;
+    const most = distinct < MAX_TYPES_PER_MIX ? Math.min(remaining, cap) : 0;
+    for (let n = 0; n <= most; n++) {
+      add({
+        totalUnits,
+        limits,
+        i: i - 1,
+        remaining: remaining - n,
+        counts: { ...counts, [keys[i]]: n },
+        gfa: gfa + n * type.totalBuildArea,
+        footprint: footprint + n * type.groundFloorArea,
+        distinct: distinct + (n > 0 ? 1 : 0),
+      });
+    }
+  };
+
+  let best = null;
+  let bestScore = null;
+  // Every passing mix no other passing mix beats on all of FRONTIER_MEASURES
+  let frontier = [];
+  let evaluated = 0;
+  const assess = mix => {
+    evaluated++;
+    return evaluate(mix);
+  };
+  const consider = (node, result) => {
+    const order = bestScore ? compare(node.score, bestScore) : 1;
+    // Mixes within the tolerance bands stay in, flagged for a
+    // design-principles assessment
+    if (!result.compliant && !result.withinTolerance) return;
+    if (!frontier.some(other => covers(other, node.point))) {
+      frontier = frontier.filter(other => !covers(node.point, other));
+      frontier.push({ ...node.point, compliant: result.compliant });
+    }
+    // On an equal score a deemed-to-comply mix beats one needing variations
+    if (order > 0 || (order === 0 && result.compliant && !best.compliant)) {
+      best = result;
+      bestScore = node.score;
+    }
+  };
+
+  // Most dwellings the code's limits allow; once a count can't stay within
+  // them, no larger one can
+  let most = 0;
+  while (withinLimits(most + 1)) most++;
+
+  // Roughly how many dwellings the lot fits, found with the narrowest type
+  // alone. Unless the type is capped, that mix starts the search off with
+  // something to beat.
+  const narrowest = keys.reduce((a, b) => (types[b].minLotWidth < types[a].minLotWidth ||
+    (types[b].minLotWidth === types[a].minLotWidth && types[b].groundFloorArea < types[a].groundFloorArea) ? b : a));
+  const single = n => mixOf({ [narrowest]: n });
+  let fitting = 0;
+  let fittingResult = null;
+  for (let low = 1, high = most; low <= high;) {
+    const n = Math.floor((low + high) / 2);
+    const result = assess(single(n));
+    if (result.siteLayout.packed) {
+      fitting = n;
+      fittingResult = result;
+      low = n + 1;
+    } else {
+      high = n - 1;
+    }
+  }
+  if (fittingResult && narrowest !== largest) {
+    const summary = summarise(single(fitting));
+    const score = scoreOf(summary);
+    consider({ score, point: frontierPoint(single(fitting), summary, score) }, fittingResult);
+  }
+
+  for (const flat of ancillaryKeys) {
+    for (const house of keys) addMix(mixOf({ [house]: 1, [flat]: 1 }));
+  }
+
+  // One root per dwelling count. Counts up to the rough fit are searched
+  // first; larger ones, few of whose mixes will pack, only once those are
+  // exhausted.
+  let complete = true;
+  for (const [from, to] of [[1, fitting], [fitting + 1, most]]) {
+    if (!complete) break;
+    for (let totalUnits = from; totalUnits <= to; totalUnits++) {
+      add({
+        totalUnits,
+        limits: limitsFor(totalUnits),
+        i: keys.length - 1,
+        remaining: totalUnits,
+        counts: {},
+        gfa: 0,
+        footprint: 0,
+        distinct: 0,
+      });
+    }
+
+    while (queue.size > 0) {
+      if (Date.now() > deadline) {
+        complete = false;
+        break;
+      }
+      const node = queue.pop();
+      const order = bestScore ? compare(node.score, bestScore) : 1;
+      const canWin = order > 0 || (order === 0 && !best.compliant);
+      if (!canWin && frontier.some(other => covers(other, node.point))) continue;
+      if (node.mix) {
+        consider(node, assess(node.mix));
+      } else {
+        expand(node);
+      }
+    }
+  }
+
+  return { best, bestScore, frontier, complete, evaluated };
+}
+
+function frontierPoint(mix, summary, score) {
+  return {
+    mix,
+    totalUnits: summary.totalUnits,
+    grossProfit: score.profit,
+    profitMargin: score.margin,
+    openSpace: summary.openSpace,
+  };
+}
 
-  // Estimate revenue for scoring (uses default Perth market prices)
-  const REVENUE_ESTIMATE = { '2bed': 450000, '3bed': 620000, '4bed': 780000 };
-  const estimatedRevenue = mix['2bed'] * REVENUE_ESTIMATE['2bed'] +
-    mix['3bed'] * REVENUE_ESTIMATE['3bed'] +
-    mix['4bed'] * REVENUE_ESTIMATE['4bed'];
+// Whether mix a is at least as good as mix b on every frontier measure
+function covers(a, b) {
+  return FRONTIER_MEASURES.every(measure => a[measure] >= b[measure]);
+}
+
+// Priority queue with the item `before` ranks first on top
+function createQueue(before) {
+  const heap = [];
+  const swap = (a, b) => {
+    [heap[a], heap[b]] = [heap[b], heap[a]];
+  };
+  return {
+    get size() {
+      return heap.length;
+    },
+    push(item) {
+      heap.push(item);
+      for (let i = heap.length - 1; i > 0;) {
+        const parent = (i - 1) >> 1;
+        if (!before(heap[i], heap[parent])) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length > 0) {
+        heap[0] = last;
+        for (let i = 0; ;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let first = i;
+          if (left < heap.length && before(heap[left], heap[first])) first = left;
+          if (right < heap.length && before(heap[right], heap[first])) first = right;
+          if (first === i) break;
+          swap(i, first);
+          i = first;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+// The courtyard each dwelling asks the layout for: sized to the code's minimum
+// area, spanning the dwelling's frontage and covered only under its alfresco.
+// Where the open space can't hold them all, each asks for its share of what
+// there is.
+function planOutdoorLiving(mix, types, minArea, openSpace) {
+  const wanted = [];
+  for (const [key, type] of Object.entries(types)) {
+    for (let i = 0; i < (mix[key] || 0); i++) wanted.push({ type, area: Math.max(type.outdoorLivingArea, minArea) });
+  }
+  const totalWanted = wanted.reduce((sum, c) => sum + c.area, 0);
+  const share = totalWanted > 0 ? Math.min(1, Math.max(0, openSpace) / totalWanted) : 1;
+
+  return wanted.map(({ type, area }, i) => ({
+    name: `Dwelling ${i + 1}`,
+    area: area * share,
+    width: type.minLotWidth,
+    depth: (area * share) / type.minLotWidth,
+    coveredArea: Math.min(type.coveredOutdoorArea, area * share),
+  }));
+}
+
+// Layouts that bring cars in somewhere other than the primary street: off the
+// rear laneway, or off the secondary street on a corner
+const OFF_STREET_GARAGE_LAYOUTS = ['laneway', 'corner'];
+
+// Street-facing dwellings sit side by side across the front of the block and
+// share its width in proportion to their own; the rest are internal and garage
+// off the shared driveway. Dwellings with the most frontage to spare beside
+// their garage go to the street first, for as long as the block has frontage
+// left for them; the streetscape check then judges the row as it stands. The
+// front dwelling always faces the street, except on a battle-axe lot, which
+// has none. Ancillary dwellings stay behind the street setback line.
+function planStreetscape(mix, types, blockWidth, layout, frontageType) {
+  const units = Object.entries(types).flatMap(([key, type]) =>
+    Array.from({ length: mix[key] }, () => ({ key, type })))
+    .map((unit, i) => ({ ...unit, name: `Dwelling ${i + 1}` }));
+
+  const place = street => {
+    const streetWidth = street.reduce((sum, { type }) => sum + type.minLotWidth, 0);
+    return units.map(unit => ({
+      name: unit.name,
+      type: unit.key,
+      position: street.includes(unit) ? 'street' : 'internal',
+      frontage: street.includes(unit) ? blockWidth * unit.type.minLotWidth / streetWidth : 0,
+      garageWidth: unit.type.garageWidth,
+      garageFacesStreet: street.includes(unit) && !OFF_STREET_GARAGE_LAYOUTS.includes(layout),
+      upperFloorOver: unit.type.stories > 1,
+    }));
+  };
+
+  let street = [];
+  if (frontageType !== 'battle-axe') {
+    const spare = ({ type }) => type.minLotWidth - type.garageWidth;
+    let used = 0;
+    for (const unit of units.filter(u => !u.type.ancillary).sort((a, b) => spare(b) - spare(a))) {
+      if (street.length > 0 && used + unit.type.minLotWidth > blockWidth) continue;
+      street = [...street, unit];
+      used += unit.type.minLotWidth;
+    }
+  }
+  return place(street);
+}
+
+// Terrain analysis gives the fall across the lot but not its direction, so
+// it's taken to run evenly from the street to the rear
+function fallAcross(terrain, lotDepth, depth) {
+  const totalFall = Number(terrain?.totalFall) || 0;
+  return lotDepth > 0 ? totalFall * Math.min(1, depth / lotDepth) : 0;
+}
+
+// The quantities a mix implies before any layout: floor areas, revenue,
+// infrastructure, parking and the open space left over. They're all the
+// financial engine needs, so a mix can be scored from them alone.
+// options.nearTransit relaxes the ancillary dwellings' parking.
+function summariseMix(mix, types, lotArea, rules, layout, options = {}) {
+  const entries = Object.entries(types);
+  const sumOf = field => entries.reduce((sum, [key, type]) => sum + (mix[key] || 0) * type[field], 0);
+  const totalUnits = entries.reduce((sum, [key]) => sum + (mix[key] || 0), 0);
+  const ancillaryUnits = entries.reduce((sum, [key, type]) => sum + (type.ancillary ? mix[key] || 0 : 0), 0);
+
+  // Revenue at each type's price, or its library default
+  const estimatedRevenue = entries
+    .reduce((sum, [key, type]) => sum + (mix[key] || 0) * (type.price ?? type.defaultPrice), 0);
 
   // Calculate total GFA
-  const totalGFA =
-    mix['2bed'] * DWELLING_TYPES['2bed'].totalBuildArea +
-    mix['3bed'] * DWELLING_TYPES['3bed'].totalBuildArea +
-    mix['4bed'] * DWELLING_TYPES['4bed'].totalBuildArea;
+  const totalGFA = sumOf('totalBuildArea');
 
   // Calculate ground floor coverage (site coverage)
-  const totalFootprint =
-    mix['2bed'] * DWELLING_TYPES['2bed'].groundFloorArea +
-    mix['3bed'] * DWELLING_TYPES['3bed'].groundFloorArea +
-    mix['4bed'] * DWELLING_TYPES['4bed'].groundFloorArea;
+  const totalFootprint = sumOf('groundFloorArea');
 
   // Infrastructure
   const infra = calculateInfrastructureArea(totalUnits, layout);
 
   // Parking
-  const parking = calculateParkingRequirements(totalUnits, rules.label);
+  const parking = calculateParkingRequirements(totalUnits - ancillaryUnits, rules.label, {
+    ruleSet: rules.ruleSet,
+    lga: rules.lga,
+    ancillaryDwellings: ancillaryUnits,
+    nearTransit: options.nearTransit,
+  });
+  const garageBays = sumOf('parkingBays');
+  // Resident bays the garages can't hold go on uncovered hardstand
+  const hardstandBays = Math.max(0, parking.residentBays - garageBays);
   // External parking (visitor bays + any overflow)
-  const externalParkingArea = parking.visitorBays * 15;
+  const externalParkingArea = (parking.visitorBays + hardstandBays) * 15;
 
   // Total impervious/built area
   const totalCoverage = totalFootprint + infra.totalInfraArea + externalParkingArea;
@@ -161,6 +1330,70 @@ function evaluateMix(mix, lotArea, lotWidth, lotDepth, rules, layout, envelope)
   // Open space
   const openSpace = lotArea - totalCoverage;
 
+  return {
+    mix,
+    totalUnits,
+    ancillaryUnits,
+    totalGFA,
+    totalFootprint,
+    estimatedRevenue,
+    infrastructure: infra,
+    parking,
+    garageBays,
+    hardstandBays,
+    externalParkingArea,
+    totalCoverage,
+    openSpace,
+    dwellingDetails: entries.filter(([key]) => mix[key] > 0).map(([key, type]) => ({
+      key,
+      type: type.label,
+      bedrooms: type.bedrooms,
+      quantity: mix[key],
+      avgSize: type.totalBuildArea,
+      totalGFA: mix[key] * type.totalBuildArea,
+      defaultPrice: type.defaultPrice,
+      ...(type.ancillary && { ancillary: true, defaultRent: type.defaultRent }),
+    })),
+  };
+}
+
+// options: { tolerances, terrain, roofForm, types, lotBoundary, nearTransit }.
+// types is the resolved dwelling type library the mix is keyed by; lotBoundary
+// the lot polygon when it isn't a plain rectangle.
+function evaluateMix(mix, lotArea, lotWidth, lotDepth, rules, layout, envelope, options = {}) {
+  const { tolerances = {}, terrain, roofForm, types = DWELLING_TYPES, lotBoundary, nearTransit } = options;
+  const entries = Object.entries(types);
+  const sumOf = field => entries.reduce((sum, [key, type]) => sum + (mix[key] || 0) * type[field], 0);
+  const summary = summariseMix(mix, types, lotArea, rules, layout, { nearTransit });
+  const {
+    totalUnits,
+    ancillaryUnits,
+    totalGFA,
+    totalFootprint,
+    infrastructure: infra,
+    parking,
+    garageBays,
+    hardstandBays,
+    externalParkingArea,
+    totalCoverage,
+    openSpace,
+  } = summary;
+  if (totalUnits === 0) return { compliant: false, totalUnits: 0, estimatedRevenue: 0 };
+
+  // Deep soil is the open space left once each dwelling's paved outdoor area
+  // is taken out; trees are planted in it up to the number required
+  const landscape = calculateLandscapeRequirements(lotArea, totalUnits - ancillaryUnits, rules.label, {
+    ruleSet: rules.ruleSet,
+    lga: rules.lga,
+  });
+  const pavedOutdoorArea = sumOf('pavedOutdoorArea');
+  const deepSoilArea = Math.max(0, openSpace - pavedOutdoorArea);
+  const treesProvided = Math.min(landscape.trees, Math.floor(deepSoilArea / landscape.deepSoilPerTree));
+
+  // Each dwelling asks for a courtyard as wide as its frontage, out of the
+  // site's open space
+  const requested = planOutdoorLiving(mix, types, rules.outdoorLiving.minArea, openSpace);
+
   // Compliance checks
   const plotRatio = totalGFA / lotArea;
   const siteCoverageRatio = totalCoverage / lotArea;
@@ -169,50 +1402,222 @@ function evaluateMix(mix, lotArea, lotWidth, lotDepth, rules, layout, envelope)
   const plotRatioOk = plotRatio <= rules.maxPlotRatio;
   const siteCoverageOk = siteCoverageRatio <= rules.maxSiteCoverage;
   const openSpaceOk = openSpaceRatio >= rules.minOpenSpace;
-  const fitsInEnvelope = totalCoverage <= envelope.envelopeArea + infra.totalInfraArea;
 
-  const compliant = plotRatioOk && siteCoverageOk && openSpaceOk;
+  // Height of the tallest dwelling type in the mix, roofed across the widest
+  // frontage, over the fall beneath the block
+  const used = entries.filter(([key]) => mix[key] > 0).map(([, type]) => type);
+  const plateOf = t => (t.stories - 1) * t.floorToFloor + t.plateHeight;
+  const tallest = used.reduce((a, b) => (plateOf(b) > plateOf(a) ? b : a));
+  const blockDepth = totalFootprint / Math.max(1, lotWidth - infra.drivewayWidth);
+  const height = calculateBuildingHeight({
+    stories: tallest.stories,
+    floorToFloor: tallest.floorToFloor,
+    plateHeight: tallest.plateHeight,
+    roofForm: roofForm || tallest.roofForm,
+    roofSpan: Math.max(...used.map(t => t.minLotWidth)),
+    groundFall: fallAcross(terrain, lotDepth, blockDepth),
+  });
+
+  // The street row runs across the setback envelope beside a side driveway
+  const { boundarySetbacks } = envelope;
+  const frontageWidth = Math.max(0, lotWidth - boundarySetbacks.left - infra.drivewayWidth);
+  const positions = planStreetscape(mix, types, frontageWidth, layout, envelope.frontageType);
+  const streetscape = {
+    ...assessStreetscape(positions.filter(u => u.position === 'street'), lotWidth, rules.label, {
+      ruleSet: rules.ruleSet,
+      lga: rules.lga,
+      frontageType: envelope.frontageType,
+    }),
+    positions,
+  };
+
+  // A granny flat goes with a single house, on its lot
+  const flats = entries.filter(([key, type]) => type.ancillary && mix[key] > 0).map(([, type]) => type);
+  const ancillary = ancillaryUnits > 0
+    ? assessAncillaryDwelling({
+      lotArea,
+      floorArea: Math.max(...flats.map(type => type.totalBuildArea)),
+      houses: totalUnits - ancillaryUnits,
+      ancillaryDwellings: ancillaryUnits,
+      behindStreetSetback: positions.every(u => !types[u.type].ancillary || u.position !== 'street'),
+      nearTransit,
+    }, rules.label, { ruleSet: rules.ruleSet, lga: rules.lga })
+    : null;
+  const ancillaryOk = ancillary?.compliant ?? true;
+
+  // Every dwelling, courtyard, the driveway and the uncovered bays have to
+  // physically fit: buildings inside the setback envelope, the rest on the lot.
+  // A wall the code's setbacks leave too close for Tables 2a/2b sets its
+  // boundary back further and the site is packed again, the setbacks only ever
+  // growing until they settle.
+  const packing = {
+    lotWidth,
+    lotDepth,
+    boundary: lotBoundary,
+    dwellings: positions.map((unit, i) => ({
+      name: unit.name,
+      type: unit.type,
+      position: unit.position,
+      width: types[unit.type].minLotWidth,
+      footprintArea: types[unit.type].groundFloorArea,
+      courtyardArea: requested[i].area,
+    })),
+    drivewayWidth: infra.drivewayWidth,
+    turningArea: infra.turningArea,
+    parkingBays: hardstandBays + parking.visitorBays,
+    minCourtyardDimension: rules.outdoorLiving.minDimension,
+  };
+  let setbacks = boundarySetbacks;
+  let siteLayout;
+  let planned;
+  let wallEnvelope;
+  for (let pass = 0; pass < 5; pass++) {
+    siteLayout = packSiteLayout({ ...packing, setbacks });
+    planned = planBuildings(siteLayout, types, boundarySetbacks, height);
+    wallEnvelope = calculateBuildableEnvelope(lotWidth, lotDepth, rules.label, {
+      ruleSet: rules.ruleSet,
+      lga: rules.lga,
+      frontageType: envelope.frontageType,
+      massing: planned.massing,
+    });
+    const tooClose = wallEnvelope.walls.filter(w => w.compliant === false);
+    if (tooClose.length === 0) break;
+    setbacks = { ...setbacks };
+    for (const wall of tooClose) setbacks[wall.boundary] = Math.max(setbacks[wall.boundary], wall.requiredSetback);
+  }
+  const fitsInEnvelope = siteLayout.packed;
+  const { buildings, massing, openings } = planned;
+
+  // Outdoor living is judged on the courtyards the layout leaves each
+  // dwelling, measured to the millimetre so that one run out to exactly the
+  // minimum isn't failed for a rounding error
+  const mm = x => Math.round(x * 1000) / 1000;
+  const placedCourtyards = new Map(siteLayout.dwellings.map(d => [d.name, d.courtyard]));
+  const courtyards = requested.map(courtyard => {
+    const rect = placedCourtyards.get(courtyard.name);
+    const width = rect ? rect.u1 - rect.u0 : 0;
+    const depth = rect ? rect.v1 - rect.v0 : 0;
+    const area = mm(width * depth);
+    return { ...courtyard, area, width: mm(width), depth: mm(depth), coveredArea: Math.min(courtyard.coveredArea, area) };
+  });
+  const outdoorLiving = assessOutdoorLiving(courtyards, rules.label, { ruleSet: rules.ruleSet, lga: rules.lga });
+
+  // Survey-strata lots: the driveway, paths and shared parking are common
+  // property, and the rest of the site is split in proportion to each
+  // dwelling's footprint and courtyard. Ancillary dwellings share a house's lot.
+  const commonPropertyArea = infra.totalInfraArea + externalParkingArea;
+  const dwellings = entries.flatMap(([key, type]) => Array(mix[key] || 0).fill(type));
+  const lotWeights = dwellings.flatMap((type, i) => (type.ancillary ? [] : [type.groundFloorArea + courtyards[i].area]));
+  const totalWeight = lotWeights.reduce((sum, w) => sum + w, 0);
+  const privateArea = Math.max(0, lotArea - commonPropertyArea);
+  const lots = lotWeights.map(w => privateArea * w / totalWeight);
+  const siteArea = assessSiteArea({ lotArea, commonPropertyArea, lotAreas: lots }, rules.label, { ruleSet: rules.ruleSet, lga: rules.lga });
+
+  // Hardstand and visitor bays are only provided where the layout finds room
+  // for them, residents' first
+  const baysPlaced = siteLayout.parking.length;
+  const parkingProvision = {
+    garageBays,
+    hardstandBays: Math.min(hardstandBays, baysPlaced),
+    visitorBays: Math.min(parking.visitorBays, Math.max(0, baysPlaced - hardstandBays)),
+  };
+  parkingProvision.totalBays = garageBays + parkingProvision.hardstandBays + parkingProvision.visitorBays;
+
+  const maxWallHeight = getWallHeightLimit(rules, height.roofForm);
+  const heightOk = height.stories <= rules.maxStories &&
+    height.wallHeight <= maxWallHeight + 1e-9 &&
+    height.buildingHeight <= rules.maxBuildingHeight + 1e-9;
+  // Spare garages don't make up for visitor bays
+  const parkingOk = parkingProvision.totalBays >= parking.totalBays && parkingProvision.visitorBays >= parking.visitorBays;
+  const setbacksOk = wallEnvelope.walls.every(w => w.compliant);
+  const deepSoilOk = deepSoilArea >= landscape.deepSoilArea;
+  const treesOk = treesProvided >= landscape.trees;
+  const outdoorLivingOk = outdoorLiving.compliant;
+
+  const compliant = fitsInEnvelope && plotRatioOk && siteCoverageOk && openSpaceOk && heightOk && parkingOk &&
+    setbacksOk && deepSoilOk && treesOk && outdoorLivingOk && siteArea.compliant && streetscape.compliant &&
+    ancillaryOk;
+
+  // How far each provision misses its limit, for the design-principles pathway
+  const variations = {
+    plotRatio: measureVariation(plotRatio, rules.maxPlotRatio),
+    siteCoverage: measureVariation(siteCoverageRatio, rules.maxSiteCoverage),
+    openSpace: measureVariation(openSpaceRatio, rules.minOpenSpace, 'min'),
+    height: Math.max(
+      measureVariation(height.stories, rules.maxStories),
+      measureVariation(height.wallHeight, maxWallHeight),
+      measureVariation(height.buildingHeight, rules.maxBuildingHeight),
+    ),
+    parking: Math.max(
+      measureVariation(parkingProvision.totalBays, parking.totalBays, 'min'),
+      measureVariation(parkingProvision.visitorBays, parking.visitorBays, 'min'),
+    ),
+    setbacks: Math.max(0, ...wallEnvelope.walls
+      .filter(w => w.proposedSetback != null)
+      .map(w => measureVariation(w.proposedSetback, w.requiredSetback, 'min'))),
+    deepSoil: measureVariation(deepSoilArea, landscape.deepSoilArea, 'min'),
+    trees: measureVariation(treesProvided, landscape.trees, 'min'),
+    outdoorLiving: outdoorLiving.variation,
+    siteArea: siteArea.variation,
+    garageWidth: streetscape.variation,
+    ancillaryDwelling: ancillary?.variation ?? 0,
+  };
+  const statuses = Object.entries(variations)
+    .map(([provision, variation]) => [provision, classifyVariation(provision, variation, tolerances)]);
+  // A mix that doesn't fit on the lot can't be argued through design principles
+  const withinTolerance = fitsInEnvelope && statuses.every(([, status]) => status !== 'non-compliant');
+  const designPrinciples = statuses
+    .filter(([, status]) => status === 'design-principles')
+    .map(([provision]) => ({ provision, variation: variations[provision], tolerance: tolerances[provision] }));
 
   return {
     mix,
     totalUnits,
     totalGFA,
     totalFootprint,
-    estimatedRevenue,
+    estimatedRevenue: summary.estimatedRevenue,
     infrastructure: infra,
     parking,
+    parkingProvision,
+    buildings,
+    height,
+    massing,
+    openings,
     totalCoverage,
     openSpace,
+    landscape,
+    deepSoilArea,
+    treesProvided,
+    outdoorLiving,
+    streetscape,
+    siteLayout,
+    lots,
+    commonPropertyArea,
+    siteArea,
+    ancillary,
     plotRatio,
     siteCoverageRatio,
     openSpaceRatio,
     compliant,
+    withinTolerance,
+    requiresDesignPrinciples: withinTolerance && designPrinciples.length > 0,
+    designPrinciples,
     compliance: {
       plotRatio: plotRatioOk,
       siteCoverage: siteCoverageOk,
       openSpace: openSpaceOk,
+      height: heightOk,
       envelope: fitsInEnvelope,
+      parking: parkingOk,
+      setbacks: setbacksOk,
+      deepSoil: deepSoilOk,
+      trees: treesOk,
+      outdoorLiving: outdoorLivingOk,
+      siteArea: siteArea.compliant,
+      streetscape: streetscape.compliant,
+      ancillaryDwelling: ancillaryOk,
     },
-    dwellingDetails: [
-      ...(mix['2bed'] > 0 ? [{
-        type: '2 Bedroom',
-        quantity: mix['2bed'],
-        avgSize: DWELLING_TYPES['2bed'].totalBuildArea,
-        totalGFA: mix['2bed'] * DWELLING_TYPES['2bed'].totalBuildArea,
-      }] : []),
-      ...(mix['3bed'] > 0 ? [{
-        type: '3 Bedroom',
-        quantity: mix['3bed'],
-        avgSize: DWELLING_TYPES['3bed'].totalBuildArea,
-        totalGFA: mix['3bed'] * DWELLING_TYPES['3bed'].totalBuildArea,
-      }] : []),
-      ...(mix['4bed'] > 0 ? [{
-        type: '4 Bedroom',
-        quantity: mix['4bed'],
-        avgSize: DWELLING_TYPES['4bed'].totalBuildArea,
-        totalGFA: mix['4bed'] * DWELLING_TYPES['4bed'].totalBuildArea,
-      }] : []),
-    ],
+    dwellingDetails: summary.dwellingDetails,
   };
 }
 
@@ -223,10 +1628,22 @@ function getLayoutDescription(layout, result) {
   const descriptions = {
     'battle-axe': `Battle-axe configuration with shared driveway access from the street. ${totalUnits} dwellings arranged along the driveway with individual access to each unit. Deep lot allows for rear positioning of units with private courtyard spaces.`,
     'wide-frontage': `Linear frontage configuration maximizing street presence. ${totalUnits} dwellings arranged side-by-side with individual street access where possible. Wide lot allows for varied facade treatments and direct vehicle access.`,
+    'corner': `Corner lot configuration with vehicle access from both streets. ${totalUnits} dwellings share a single-width driveway off the secondary street, with dwellings addressing both frontages.`,
+    'laneway': `Laneway configuration with garages accessed from the rear laneway. ${totalUnits} dwellings address the street with no shared driveway, freeing the frontage for landscaping and private open space.`,
     'standard': `Standard grouped dwelling configuration with ${totalUnits > 3 ? 'central' : 'side'} shared driveway. ${totalUnits} dwellings arranged to maximize private open space for each unit while maintaining efficient common area usage.`,
   };
 
   return descriptions[layout] || descriptions['standard'];
 }
 
-export { DWELLING_TYPES };
+export {
+  DWELLING_TYPES,
+  ROOF_FORMS,
+  OBJECTIVES,
+  APARTMENT_MASSING,
+  PARKING_FORMS,
+  SEARCH_TIME_BUDGET,
+  determineSiteLayout,
+  calculateInfrastructureArea,
+  mixLimits,
+};
@@ -1,3 +1,5 @@
+import { DEFAULT_DWELLING_TYPES, APARTMENT_TYPE_LIBRARY } from '../engines/dwellingLibrary';
+
 const API_BASE = '/api';
 
 export class ApiError extends Error {
@@ -34,6 +36,73 @@ async function request(endpoint, options = {}) {
   return res.json();
 }
 
+/**
+ * Builds the bonus-code eligibility conditions for a split-coded lot
+ * from the flat form fields.
+ */
+export function getBonusConditions(formData) {
+  if (!formData.bonusRCode) return undefined;
+  return {
+    minFrontage: Number(formData.bonusMinFrontage) || null,
+    minLotArea: Number(formData.bonusMinLotArea) || null,
+    requiresAmalgamation: Boolean(formData.bonusRequiresAmalgamation),
+    requiresLanewayAccess: Boolean(formData.bonusRequiresLaneway),
+  };
+}
+
+/**
+ * Sale prices entered for the selected dwelling types, or for the apartment
+ * types of a multiple-dwelling scheme, keyed by type. Blank prices are left
+ * undefined so the API falls back to its defaults.
+ */
+export function getDwellingPrices(formData) {
+  const keys = formData.dwellingType === 'multiple'
+    ? Object.keys(APARTMENT_TYPE_LIBRARY)
+    : formData.dwellingTypes || DEFAULT_DWELLING_TYPES;
+  return Object.fromEntries(keys
+    .map(key => [key, Number(formData[`price_${key}`]) || undefined]));
+}
+
+/**
+ * Converts the form's design-principles tolerance bands, entered as
+ * percentages, to the fractions the API expects. Blank bands are left out.
+ */
+export function getTolerances(formData) {
+  const bands = Object.entries(formData.tolerances || {})
+    .filter(([, percent]) => percent !== '' && percent != null)
+    .map(([provision, percent]) => [provision, Number(percent) / 100]);
+  return bands.length > 0 ? Object.fromEntries(bands) : undefined;
+}
+
+/**
+ * The existing house kept on a front lot of its own, when the form keeps it.
+ * A blank value is sent as zero.
+ */
+export function getRetainedDwelling(formData) {
+  if (!formData.retainExisting || formData.amalgamateLots) return undefined;
+  return {
+    lotArea: Number(formData.retainedLotArea),
+    value: Number(formData.retainedValue) || 0,
+  };
+}
+
+/**
+ * The adjoining lots to amalgamate, when the form merges several, in order
+ * along the street from the left. Each has its own land cost and settlement
+ * date.
+ */
+export function getParcels(formData) {
+  if (!formData.amalgamateLots) return undefined;
+  return formData.parcels.map(parcel => ({
+    address: parcel.address || undefined,
+    lotArea: Number(parcel.lotArea),
+    lotWidth: Number(parcel.lotWidth),
+    lotDepth: Number(parcel.lotDepth),
+    landCost: Number(parcel.landCost),
+    settlementDate: parcel.settlementDate,
+  }));
+}
+
 /**
  * Maps the frontend DEFAULT_FORM shape to the API contract.
  * The API expects: { property, financial, siteContext, report }
@@ -48,7 +117,27 @@ export async function generateReport(formData) {
       lotArea: formData.lotArea,
       lotWidth: formData.lotWidth,
       lotDepth: formData.lotDepth,
-      rCode: formData.rCode,
+      lotBoundary: formData.lotBoundary || undefined,
+      frontageFacing: formData.frontageFacing || undefined,
+      frontageType: formData.frontageType,
+      roofForm: formData.roofForm || undefined,
+      terrainAnalysis: formData.terrainAnalysis || undefined,
+      latitude: formData.propertyLookupData?.lat,
+      rCode: formData.bonusRCode ? `${formData.rCode}/${formData.bonusRCode}` : formData.rCode,
+      bonusConditions: getBonusConditions(formData),
+      amalgamated: formData.amalgamated,
+      lanewayAccess: formData.lanewayAccess,
+      ruleSet: formData.ruleSet || undefined,
+      assessmentDate: formData.assessmentDate || undefined,
+      lga: formData.lga || undefined,
+      tolerances: getTolerances(formData),
+      dwellingType: formData.dwellingType || undefined,
+      apartmentParking: formData.dwellingType === 'multiple' ? formData.apartmentParking || undefined : undefined,
+      dwellingTypes: formData.dwellingTypes,
+      mix: formData.mix || undefined,
+      retainedDwelling: getRetainedDwelling(formData),
+      parcels: getParcels(formData),
+      nearTransit: formData.nearTransit || undefined,
     },
     financial: {
       landCost: formData.landCost,
@@ -58,9 +147,12 @@ export async function generateReport(formData) {
       debtRatio: formData.debtRatio,
       interestRate: formData.interestRate,
       timelineMonths: formData.timelineMonths,
-      price_2bed: formData.price_2bed,
-      price_3bed: formData.price_3bed,
-      price_4bed: formData.price_4bed,
+      objective: formData.objective,
+      ancillaryIncome: formData.ancillaryIncome || undefined,
+      ancillaryRent: formData.ancillaryRent || undefined,
+      rentalYield: formData.rentalYield || undefined,
+      ...Object.fromEntries(Object.entries(getDwellingPrices(formData))
+        .map(([key, price]) => [`price_${key}`, price])),
     },
     siteContext: {
       heritageOverlay: formData.heritageOverlay,